@@ -148,6 +148,16 @@ export class MJCFAdapter {
         // Parse equality constraints (closed-chain constraints for parallel mechanisms)
         this.parseEquality(doc, model);
 
+        // Tendons are not modelled, only recorded (e.g. for exporters to report them)
+        model.userData = model.userData || {};
+        model.userData.tendons = Array.from(doc.querySelectorAll('tendon > spatial, tendon > fixed')).map((tendonEl, index) => ({
+            name: tendonEl.getAttribute('name') || `tendon_${index}`,
+            type: tendonEl.tagName
+        }));
+
+        // Keyframes (qpos layout follows joint document order)
+        this.parseKeyframes(doc, worldbody, model);
+
         // Find root body
         // Priority: worldbody link > bodies without parent joints > first link
         const worldbodyLink = model.links.get('worldbody');
@@ -462,6 +472,8 @@ export class MJCFAdapter {
                         collision.geometry = geom;
                         collision.name = geomEl.getAttribute('name') || `collision_${geomIndex}`;
                         collision.origin = this.parseOrigin(geomEl);
+                        // Position among the body's geoms, used to write edits back to the XML
+                        collision.userData = { geomIndex };
                         link.collisions.push(collision);
                     } else {
                     // Add to visual list
@@ -512,7 +524,8 @@ export class MJCFAdapter {
                             rgba: rgba,
                             materialName: materialName,
                             meshRef: meshRef,
-                            geomType: geomType
+                            geomType: geomType,
+                            geomIndex
                         };
                         link.visuals.push(visual);
                     }
@@ -762,6 +775,17 @@ export class MJCFAdapter {
         return inertial;
     }
 
+    /**
+     * Convert between the stored inertia tensor (turned 180° about Y, see parseInertial) and the
+     * body-frame tensor of the MJCF source. The rotation is its own inverse and flips ixy and iyz,
+     * so this converts in both directions
+     * @param {Object} inertia - { ixx, iyy, izz, ixy, ixz, iyz }, other fields are copied
+     * @returns {Object} Converted copy
+     */
+    static convertStoredInertia(inertia) {
+        return { ...inertia, ixy: -(inertia.ixy || 0), iyz: -(inertia.iyz || 0) };
+    }
+
     /**
      * Rotate inertia tensor around specified axis
      * @param {string} axis - 'X', 'Y', or 'Z'
@@ -913,6 +937,7 @@ export class MJCFAdapter {
             else if (jointType === 'ball' || jointType === 'hinge') urdfType = 'revolute';
 
             const joint = new Joint(jointName, urdfType);
+            joint.userData.mjcfType = jointType; // Keep original type (ball/free are not representable in URDF)
 
             // Joint types that don't require axis attribute
             const jointTypesWithoutAxis = ['free', 'ball'];
@@ -1026,6 +1051,65 @@ export class MJCFAdapter {
         });
     }
 
+    /**
+     * Parse <keyframe> keys and assign qpos addresses to joints (joint.userData.qposAdr)
+     * Stores model.userData.qpos0 (default qpos) and model.userData.keyframes
+     */
+    static parseKeyframes(doc, worldbody, model) {
+        // MuJoCo orders dofs body by body (depth-first), joints of a body before its children
+        const jointElements = [];
+        const collectJoints = (element) => {
+            jointElements.push(...element.querySelectorAll(':scope > joint, :scope > freejoint'));
+            element.querySelectorAll(':scope > body').forEach(collectJoints);
+        };
+        collectJoints(worldbody);
+
+        const qpos0 = [];
+        let jointIndex = 0;
+
+        // Same naming as parseJoints for unnamed joints; <freejoint> is not parsed as a joint
+        jointElements.forEach(jointEl => {
+            const isFree = jointEl.tagName === 'freejoint' || jointEl.getAttribute('type') === 'free';
+            const type = isFree ? 'free' : (jointEl.getAttribute('type') || 'hinge');
+
+            if (jointEl.tagName === 'joint') {
+                const name = jointEl.getAttribute('name') || `joint_${jointIndex}`;
+                const joint = model.joints.get(name);
+                if (joint) {
+                    joint.userData.qposAdr = qpos0.length;
+                }
+                jointIndex++;
+            }
+
+            if (type === 'free') {
+                // Free body starts at its body pose (quat only, euler/axisangle not resolved here)
+                const bodyEl = jointEl.parentElement;
+                const pos = (bodyEl.getAttribute('pos') || '0 0 0').trim().split(/\s+/).map(parseFloat);
+                const quat = (bodyEl.getAttribute('quat') || '1 0 0 0').trim().split(/\s+/).map(parseFloat);
+                qpos0.push(...pos, ...quat);
+            } else if (type === 'ball') {
+                qpos0.push(1, 0, 0, 0);
+            } else {
+                qpos0.push(parseFloat(jointEl.getAttribute('ref')) || 0);
+            }
+        });
+
+        const parseValues = (keyEl, attr) => {
+            const text = keyEl.getAttribute(attr);
+            return text ? text.trim().split(/\s+/).map(parseFloat) : null;
+        };
+
+        model.userData.qpos0 = qpos0;
+        model.userData.keyframes = Array.from(doc.querySelectorAll('keyframe > key')).map((keyEl, index) => ({
+            index,
+            name: keyEl.getAttribute('name') || `key_${index}`,
+            time: parseFloat(keyEl.getAttribute('time')) || 0,
+            qpos: parseValues(keyEl, 'qpos'),
+            qvel: parseValues(keyEl, 'qvel'),
+            ctrl: parseValues(keyEl, 'ctrl')
+        }));
+    }
+
     /**
      * Parse equality constraints (closed-chain constraints for parallel mechanisms)
      */
@@ -1506,6 +1590,14 @@ export class MJCFAdapter {
                 }
                 break;
 
+            case 'capsule':
+                if (geometry.size) {
+                    // height is the cylindrical part; rotate from Y-axis to Z-axis like cylinder
+                    threeGeometry = new THREE.CapsuleGeometry(geometry.size.radius, geometry.size.height, 8, 32);
+                    threeGeometry.rotateX(Math.PI / 2);
+                }
+                break;
+
             case 'mesh':
                 // Load mesh file
                 if (geometry.filename) {
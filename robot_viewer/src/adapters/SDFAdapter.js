@@ -0,0 +1,1013 @@
+/**
+ * SDF Adapter
+ * Parses SDFormat (.sdf / .world) XML and converts to unified model
+ *
+ * SDF poses form a frame graph (links relative to the model frame, joints relative
+ * to their child link, anything may use relative_to). All frames are resolved first,
+ * then the model is normalized to URDF conventions: a child link's frame coincides
+ * with its parent joint frame, so the unified model behaves like a URDF model.
+ */
+import * as THREE from 'three';
+import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, InertialProperties, GeometryType, Material } from '../models/UnifiedRobotModel.js';
+import { MJCFAdapter } from './MJCFAdapter.js';
+import { loadMeshFile, getLoaders } from '../utils/MeshLoader.js';
+
+// SDF uses +/-1e16 as "no limit" for revolute joints
+const SDF_UNLIMITED = 1e15;
+
+export class SDFAdapter {
+    /**
+     * Parse SDF XML content and convert to unified model
+     * @param {string} xmlContent - SDF XML content
+     * @param {Map} fileMap - File map (optional), for model:// includes and mesh files
+     * @param {string} fileName - SDF file key in fileMap (optional), base for relative URIs
+     * @returns {Promise<UnifiedRobotModel>}
+     */
+    static async parse(xmlContent, fileMap = null, fileName = '') {
+        const doc = this.parseXML(xmlContent);
+        const sdfEl = doc.documentElement;
+        if (!sdfEl || sdfEl.tagName !== 'sdf') {
+            throw new Error('SDF file missing <sdf> root element');
+        }
+
+        const ctx = {
+            fileMap,
+            frames: new Map(), // Map<scopedName, FrameEntry>
+            links: [], // { name, el, prefix, baseDir }
+            joints: [], // { name, el, prefix }
+            canonicalLinks: new Map(), // Map<modelPrefix, scopedLinkName>
+            includeStack: []
+        };
+
+        const baseDir = this.dirname(fileName);
+
+        // Top-level models: <sdf><model> or <sdf><world><model|include>
+        const topModels = [];
+        const containers = [sdfEl, ...this.children(sdfEl, 'world')];
+        for (const container of containers) {
+            for (const child of Array.from(container.children)) {
+                if (child.tagName === 'model') {
+                    topModels.push({ el: child, name: child.getAttribute('name'), poseEl: null, baseDir });
+                } else if (child.tagName === 'include') {
+                    const included = await this.loadInclude(child, baseDir, ctx);
+                    if (included) topModels.push(included);
+                }
+            }
+        }
+
+        if (topModels.length === 0) {
+            throw new Error('SDF file contains no <model> elements');
+        }
+
+        // Scope names with the model name only when a world holds several models
+        const usePrefix = topModels.length > 1;
+        for (const top of topModels) {
+            const prefix = usePrefix ? `${top.name}::` : '';
+            if (top.key) ctx.includeStack.push(top.key);
+            await this.collectModel(top.el, prefix, null, top.poseEl, top.baseDir, ctx);
+            if (top.key) ctx.includeStack.pop();
+        }
+
+        const model = new UnifiedRobotModel();
+        model.name = topModels.length === 1 ? (topModels[0].name || 'sdf_model') : (this.children(sdfEl, 'world')[0]?.getAttribute('name') || 'world');
+        model.userData = { type: 'sdf', version: sdfEl.getAttribute('version') || null };
+
+        this.buildLinks(model, ctx);
+        this.buildJoints(model, ctx);
+        this.assignRootLinks(model);
+
+        // Create Three.js objects (asynchronously load mesh files)
+        await this.createThreeObject(model, fileMap);
+
+        return model;
+    }
+
+    /**
+     * Parse XML string and check for errors
+     */
+    static parseXML(xmlContent) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(xmlContent, 'text/xml');
+
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('SDF XML parsing failed: ' + parseError.textContent);
+        }
+        return doc;
+    }
+
+    /**
+     * Direct child elements with given tag name
+     */
+    static children(element, tagName) {
+        return Array.from(element.children).filter(child => child.tagName === tagName);
+    }
+
+    /**
+     * Text content of first direct child with given tag name
+     */
+    static childText(element, tagName) {
+        const child = this.children(element, tagName)[0];
+        return child ? child.textContent.trim() : null;
+    }
+
+    /**
+     * Parse numeric list from child element text
+     */
+    static childNumbers(element, tagName) {
+        const text = this.childText(element, tagName);
+        return text ? text.split(/\s+/).map(parseFloat) : null;
+    }
+
+    static dirname(path) {
+        if (!path) return '';
+        const normalized = path.replace(/\\/g, '/');
+        const index = normalized.lastIndexOf('/');
+        return index >= 0 ? normalized.substring(0, index + 1) : '';
+    }
+
+    // ==================== Frame graph ====================
+
+    /**
+     * Parse <pose> element into matrix and relative_to reference
+     * Supports SDF 1.9 degrees="true" and rotation_format="quat_xyzw"
+     * @returns {{matrix: THREE.Matrix4, relativeTo: string|null}}
+     */
+    static parsePose(poseEl) {
+        const matrix = new THREE.Matrix4();
+        if (!poseEl) {
+            return { matrix, relativeTo: null };
+        }
+
+        const values = poseEl.textContent.trim().split(/\s+/).filter(v => v).map(parseFloat);
+        const position = new THREE.Vector3(values[0] || 0, values[1] || 0, values[2] || 0);
+        const quaternion = new THREE.Quaternion();
+
+        if (poseEl.getAttribute('rotation_format') === 'quat_xyzw') {
+            quaternion.set(values[3] || 0, values[4] || 0, values[5] || 0, values[6] ?? 1).normalize();
+        } else {
+            const scale = poseEl.getAttribute('degrees') === 'true' ? Math.PI / 180 : 1;
+            const rpy = [values[3] || 0, values[4] || 0, values[5] || 0].map(v => v * scale);
+            quaternion.setFromEuler(new THREE.Euler(rpy[0], rpy[1], rpy[2], 'ZYX'));
+        }
+
+        matrix.compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+
+        // SDF 1.4-1.6 used the frame attribute for the same purpose
+        const relativeTo = poseEl.getAttribute('relative_to') || poseEl.getAttribute('frame') || null;
+        return { matrix, relativeTo };
+    }
+
+    /**
+     * Register a frame in the frame graph
+     * @param {string} name - Scoped frame name
+     * @param {Element|null} poseEl - <pose> element (null = identity)
+     * @param {string|null} defaultRelativeTo - Reference used when pose has no relative_to ('world' for top-level)
+     * @param {string} prefix - Scope in which references are resolved
+     */
+    static addFrame(ctx, name, poseEl, defaultRelativeTo, prefix) {
+        const pose = this.parsePose(poseEl);
+        ctx.frames.set(name, {
+            pose: pose.matrix,
+            relativeTo: pose.relativeTo || defaultRelativeTo,
+            prefix,
+            matrix: null,
+            resolving: false
+        });
+    }
+
+    /**
+     * Resolve a (possibly unscoped) frame reference to a registered scoped name
+     * Searches the current scope first, then enclosing scopes
+     * @returns {string|null} Scoped name, or null for the world frame
+     */
+    static lookupFrame(ref, prefix, ctx) {
+        if (!ref || ref === 'world') return null;
+
+        let scope = prefix;
+        while (true) {
+            if (ctx.frames.has(scope + ref)) {
+                return scope + ref;
+            }
+            if (!scope) break;
+            // Drop the innermost scope: 'a::b::' -> 'a::'
+            const trimmed = scope.slice(0, -2);
+            const index = trimmed.lastIndexOf('::');
+            scope = index >= 0 ? trimmed.substring(0, index + 2) : '';
+        }
+
+        console.warn(`SDF frame "${ref}" not found (scope "${prefix}")`);
+        return null;
+    }
+
+    /**
+     * Resolve frame pose in world (top-level) coordinates
+     * @returns {THREE.Matrix4}
+     */
+    static resolveFrame(name, ctx) {
+        if (!name) return new THREE.Matrix4();
+
+        const entry = ctx.frames.get(name);
+        if (!entry) return new THREE.Matrix4();
+        if (entry.matrix) return entry.matrix;
+
+        if (entry.resolving) {
+            throw new Error(`Cycle in SDF pose graph at frame "${name}"`);
+        }
+        entry.resolving = true;
+
+        const parentName = entry.relativeTo === 'world' ? null : this.lookupFrame(entry.relativeTo, entry.prefix, ctx);
+        entry.matrix = this.resolveFrame(parentName, ctx).clone().multiply(entry.pose);
+        entry.resolving = false;
+        return entry.matrix;
+    }
+
+    // ==================== Model collection ====================
+
+    /**
+     * Register model contents (links, joints, frames, nested models) in the frame graph
+     * @param {Element} modelEl - <model> element
+     * @param {string} prefix - Scope prefix for names in this model ('' or 'name::')
+     * @param {string|null} parentPrefix - Scope of enclosing model (null for top-level)
+     * @param {Element|null} poseOverride - <pose> from <include>, replaces model pose
+     * @param {string} baseDir - Directory for resolving relative URIs
+     */
+    static async collectModel(modelEl, prefix, parentPrefix, poseOverride, baseDir, ctx) {
+        const poseEl = poseOverride || this.children(modelEl, 'pose')[0] || null;
+        const modelFrame = prefix + '__model__';
+
+        // Model frame: relative to enclosing model frame, or world for top-level models
+        this.addFrame(ctx, modelFrame, poseEl, parentPrefix === null ? 'world' : '__model__', parentPrefix ?? '');
+
+        // Nested model name refers to its model frame from the enclosing scope
+        if (prefix) {
+            ctx.frames.set(prefix.slice(0, -2), {
+                pose: new THREE.Matrix4(),
+                relativeTo: '__model__',
+                prefix,
+                matrix: null,
+                resolving: false
+            });
+        }
+
+        const canonicalLink = modelEl.getAttribute('canonical_link');
+        if (canonicalLink) {
+            ctx.canonicalLinks.set(prefix, prefix + canonicalLink);
+        }
+
+        for (const child of Array.from(modelEl.children)) {
+            const name = child.getAttribute('name');
+
+            switch (child.tagName) {
+                case 'link':
+                    this.addFrame(ctx, prefix + name, this.children(child, 'pose')[0], '__model__', prefix);
+                    ctx.links.push({ name: prefix + name, el: child, prefix, baseDir });
+                    break;
+
+                case 'frame': {
+                    const attachedTo = child.getAttribute('attached_to') || '__model__';
+                    this.addFrame(ctx, prefix + name, this.children(child, 'pose')[0], attachedTo, prefix);
+                    break;
+                }
+
+                case 'joint': {
+                    // Joint pose defaults to child link frame
+                    const childRef = this.childText(child, 'child');
+                    this.addFrame(ctx, prefix + name, this.children(child, 'pose')[0], childRef, prefix);
+                    ctx.joints.push({ name: prefix + name, el: child, prefix });
+                    break;
+                }
+
+                case 'model':
+                    await this.collectModel(child, `${prefix}${name}::`, prefix, null, baseDir, ctx);
+                    break;
+
+                case 'include': {
+                    const included = await this.loadInclude(child, baseDir, ctx);
+                    if (included) {
+                        ctx.includeStack.push(included.key);
+                        await this.collectModel(included.el, `${prefix}${included.name}::`, prefix, included.poseEl, included.baseDir, ctx);
+                        ctx.includeStack.pop();
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Load model referenced by <include><uri>
+     * @returns {Promise<{el: Element, name: string, poseEl: Element|null, baseDir: string, key: string}|null>}
+     */
+    static async loadInclude(includeEl, baseDir, ctx) {
+        const uri = this.childText(includeEl, 'uri');
+        if (!uri) {
+            console.warn('SDF <include> without <uri> ignored');
+            return null;
+        }
+
+        const modelDir = this.resolveUri(uri, baseDir).replace(/\/+$/, '');
+        if (ctx.includeStack.includes(modelDir)) {
+            throw new Error(`Recursive SDF include: ${uri}`);
+        }
+
+        const sdfPath = await this.findModelSDF(modelDir, ctx.fileMap);
+        const file = sdfPath ? this.findFile(sdfPath, ctx.fileMap) : null;
+        if (!file) {
+            console.warn(`Cannot resolve SDF include "${uri}" (upload the model folder together with the file)`);
+            return null;
+        }
+
+        const doc = this.parseXML(await file.text());
+        const modelEl = doc.documentElement.tagName === 'model'
+            ? doc.documentElement
+            : this.children(doc.documentElement, 'model')[0];
+        if (!modelEl) {
+            console.warn(`Included SDF "${uri}" contains no <model>`);
+            return null;
+        }
+
+        return {
+            el: modelEl,
+            name: this.childText(includeEl, 'name') || modelEl.getAttribute('name'),
+            poseEl: this.children(includeEl, 'pose')[0] || null,
+            // Relative URIs inside the included model resolve against its own directory
+            baseDir: this.dirname(sdfPath),
+            key: modelDir
+        };
+    }
+
+    /**
+     * Find the SDF file of a model directory (model.config <sdf> entry, else model.sdf)
+     */
+    static async findModelSDF(modelDir, fileMap) {
+        if (!fileMap) return null;
+
+        // URI may already point to a file
+        if (/\.(sdf|world)$/i.test(modelDir)) {
+            return modelDir;
+        }
+
+        const configFile = this.findFile(`${modelDir}/model.config`, fileMap);
+        if (configFile) {
+            try {
+                const config = this.parseXML(await configFile.text());
+                const sdfEntries = Array.from(config.querySelectorAll('sdf'));
+                // Prefer the highest declared SDF version
+                sdfEntries.sort((a, b) => parseFloat(b.getAttribute('version') || 0) - parseFloat(a.getAttribute('version') || 0));
+                if (sdfEntries.length > 0) {
+                    return `${modelDir}/${sdfEntries[0].textContent.trim()}`;
+                }
+            } catch (error) {
+                console.warn(`Invalid model.config in ${modelDir}:`, error.message);
+            }
+        }
+
+        return `${modelDir}/model.sdf`;
+    }
+
+    /**
+     * Convert SDF URI to a path usable for fileMap lookup
+     * model://name/x -> name/x, package://pkg/x -> pkg/x, file:// and relative paths against baseDir
+     */
+    static resolveUri(uri, baseDir = '') {
+        const trimmed = uri.trim();
+
+        const schemeMatch = trimmed.match(/^(model|package):\/\/(.*)$/);
+        if (schemeMatch) {
+            return schemeMatch[2];
+        }
+
+        // Gazebo Fuel: .../models/<name>/<version>/files/<path>
+        const fuelMatch = trimmed.match(/\/models\/([^/]+)\/[^/]+\/files\/(.*)$/i);
+        if (/^https?:\/\//.test(trimmed) && fuelMatch) {
+            return `${decodeURIComponent(fuelMatch[1])}/${fuelMatch[2]}`;
+        }
+
+        if (trimmed.startsWith('file://')) {
+            return trimmed.substring('file://'.length);
+        }
+
+        if (trimmed.startsWith('/') || /^https?:\/\//.test(trimmed)) {
+            return trimmed;
+        }
+
+        // Relative path: normalize ./ and ../ against base directory
+        const parts = (baseDir + trimmed).split('/');
+        const resolved = [];
+        for (const part of parts) {
+            if (part === '..') resolved.pop();
+            else if (part !== '.') resolved.push(part);
+        }
+        return resolved.join('/');
+    }
+
+    /**
+     * Find file in fileMap by exact key or path suffix
+     * @returns {File|null}
+     */
+    static findFile(path, fileMap) {
+        if (!fileMap || !path) return null;
+
+        const normalized = path.replace(/\\/g, '/').replace(/^\/+/, '');
+        if (fileMap.has(path)) return fileMap.get(path);
+        if (fileMap.has(normalized)) return fileMap.get(normalized);
+        if (fileMap.has('/' + normalized)) return fileMap.get('/' + normalized);
+
+        const suffix = '/' + normalized.toLowerCase();
+        for (const [key, file] of fileMap.entries()) {
+            const keyLower = key.replace(/\\/g, '/').toLowerCase();
+            if (keyLower.endsWith(suffix) || keyLower === normalized.toLowerCase()) {
+                return file;
+            }
+        }
+        return null;
+    }
+
+    // ==================== Unified model ====================
+
+    /**
+     * Convert world-frame matrix to origin relative to a frame
+     * @param {THREE.Matrix4} frameMatrix - Reference frame (world)
+     * @param {THREE.Matrix4} matrix - Target frame (world)
+     * @returns {{xyz: number[], rpy: number[]}}
+     */
+    static relativeOrigin(frameMatrix, matrix) {
+        const relative = frameMatrix.clone().invert().multiply(matrix);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        relative.decompose(position, quaternion, new THREE.Vector3());
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+
+        const clean = v => (Math.abs(v) < 1e-12 ? 0 : v);
+        return {
+            xyz: [position.x, position.y, position.z].map(clean),
+            rpy: [euler.x, euler.y, euler.z].map(clean)
+        };
+    }
+
+    /**
+     * Pose of a link child element (visual/collision/inertial) in world coordinates
+     */
+    static elementMatrix(element, linkEntry, ctx) {
+        const pose = this.parsePose(this.children(element, 'pose')[0]);
+        const reference = pose.relativeTo
+            ? this.lookupFrame(pose.relativeTo, linkEntry.prefix, ctx)
+            : linkEntry.name;
+        return this.resolveFrame(reference, ctx).clone().multiply(pose.matrix);
+    }
+
+    /**
+     * Create unified links; link frame is moved onto parent joint frame (URDF convention)
+     */
+    static buildLinks(model, ctx) {
+        // Joint frame of each child link
+        const childJointFrame = new Map();
+        for (const jointEntry of ctx.joints) {
+            const childName = this.lookupLink(this.childText(jointEntry.el, 'child'), jointEntry.prefix, ctx);
+            if (!childName) continue;
+            if (childJointFrame.has(childName)) {
+                console.warn(`SDF link "${childName}" is child of several joints, using the first`);
+                continue;
+            }
+            childJointFrame.set(childName, this.resolveFrame(jointEntry.name, ctx));
+        }
+
+        for (const linkEntry of ctx.links) {
+            const link = new Link(linkEntry.name);
+            const linkMatrix = this.resolveFrame(linkEntry.name, ctx);
+            const frameMatrix = childJointFrame.get(linkEntry.name) || linkMatrix;
+
+            link.userData.frameMatrix = frameMatrix;
+            link.userData.worldOrigin = this.relativeOrigin(new THREE.Matrix4(), frameMatrix);
+
+            this.children(linkEntry.el, 'visual').forEach((visualEl, index) => {
+                const geometry = this.parseGeometry(this.children(visualEl, 'geometry')[0], linkEntry.baseDir);
+                if (!geometry) return;
+
+                const visual = new VisualGeometry();
+                visual.name = visualEl.getAttribute('name') || `${linkEntry.name}_visual_${index}`;
+                visual.geometry = geometry;
+                visual.origin = this.relativeOrigin(frameMatrix, this.elementMatrix(visualEl, linkEntry, ctx));
+                visual.userData = {};
+
+                const rgba = this.parseMaterialColor(visualEl);
+                if (rgba) {
+                    visual.userData.rgba = rgba;
+                    const material = new Material(visualEl.getAttribute('name') || visual.name);
+                    material.color = { r: rgba.r, g: rgba.g, b: rgba.b, a: rgba.a };
+                    visual.material = material;
+                }
+                link.visuals.push(visual);
+            });
+
+            this.children(linkEntry.el, 'collision').forEach((collisionEl, index) => {
+                const geometry = this.parseGeometry(this.children(collisionEl, 'geometry')[0], linkEntry.baseDir);
+                if (!geometry) return;
+
+                const collision = new CollisionGeometry();
+                collision.name = collisionEl.getAttribute('name') || `${linkEntry.name}_collision_${index}`;
+                collision.geometry = geometry;
+                collision.origin = this.relativeOrigin(frameMatrix, this.elementMatrix(collisionEl, linkEntry, ctx));
+                link.collisions.push(collision);
+            });
+
+            const inertialEl = this.children(linkEntry.el, 'inertial')[0];
+            if (inertialEl) {
+                link.inertial = this.parseInertial(inertialEl, frameMatrix, linkEntry, ctx);
+            }
+
+            model.addLink(link);
+        }
+    }
+
+    /**
+     * Resolve link reference; a nested model name resolves to its canonical link
+     */
+    static lookupLink(ref, prefix, ctx) {
+        if (!ref || ref === 'world') return null;
+
+        const scoped = this.lookupFrame(ref, prefix, ctx);
+        if (!scoped) return null;
+        if (ctx.links.some(l => l.name === scoped)) return scoped;
+
+        // Nested model: canonical_link attribute or first link in that scope
+        const modelScope = scoped + '::';
+        if (ctx.canonicalLinks.has(modelScope)) return ctx.canonicalLinks.get(modelScope);
+        const canonical = ctx.links.find(l => l.prefix === modelScope);
+        if (canonical) return canonical.name;
+
+        // Frame attached to a link
+        const entry = ctx.frames.get(scoped);
+        return entry ? this.lookupLink(entry.relativeTo, entry.prefix, ctx) : null;
+    }
+
+    /**
+     * Parse <geometry> element
+     * @returns {GeometryType|null}
+     */
+    static parseGeometry(geometryEl, baseDir) {
+        if (!geometryEl || geometryEl.children.length === 0) return null;
+
+        const shapeEl = geometryEl.children[0];
+        let geometry = null;
+
+        switch (shapeEl.tagName) {
+            case 'box': {
+                const size = this.childNumbers(shapeEl, 'size') || [1, 1, 1];
+                geometry = new GeometryType('box');
+                geometry.size = { x: size[0], y: size[1], z: size[2] };
+                break;
+            }
+
+            case 'sphere':
+                geometry = new GeometryType('sphere');
+                geometry.size = { radius: parseFloat(this.childText(shapeEl, 'radius') || '1') };
+                break;
+
+            case 'cylinder':
+            case 'capsule':
+                geometry = new GeometryType(shapeEl.tagName);
+                geometry.size = {
+                    radius: parseFloat(this.childText(shapeEl, 'radius') || '1'),
+                    height: parseFloat(this.childText(shapeEl, 'length') || '1')
+                };
+                break;
+
+            case 'ellipsoid': {
+                // Rendered as scaled sphere
+                const radii = this.childNumbers(shapeEl, 'radii') || [1, 1, 1];
+                geometry = new GeometryType('sphere');
+                geometry.size = { radius: 1 };
+                geometry.scale = radii;
+                break;
+            }
+
+            case 'mesh': {
+                const uri = this.childText(shapeEl, 'uri');
+                if (!uri) return null;
+                geometry = new GeometryType('mesh');
+                geometry.filename = this.resolveUri(uri, baseDir);
+                geometry.scale = this.childNumbers(shapeEl, 'scale') || [1, 1, 1];
+                break;
+            }
+
+            default:
+                // plane, heightmap, polyline, image: not rendered
+                console.warn(`SDF geometry <${shapeEl.tagName}> is not supported, skipped`);
+                return null;
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Parse visual material color (diffuse, falling back to ambient) and transparency
+     * @returns {{r, g, b, a}|null}
+     */
+    static parseMaterialColor(visualEl) {
+        const materialEl = this.children(visualEl, 'material')[0];
+        if (!materialEl) return null;
+
+        const color = this.childNumbers(materialEl, 'diffuse') || this.childNumbers(materialEl, 'ambient');
+        if (!color) return null;
+
+        const transparency = parseFloat(this.childText(visualEl, 'transparency') || '0');
+        const alpha = color.length > 3 ? color[3] : 1;
+        return { r: color[0], g: color[1], b: color[2], a: alpha * (1 - transparency) };
+    }
+
+    /**
+     * Parse <inertial>; origin is expressed in the (normalized) link frame
+     */
+    static parseInertial(inertialEl, frameMatrix, linkEntry, ctx) {
+        const inertial = new InertialProperties();
+        inertial.mass = parseFloat(this.childText(inertialEl, 'mass') || '1');
+        inertial.origin = this.relativeOrigin(frameMatrix, this.elementMatrix(inertialEl, linkEntry, ctx));
+
+        const inertiaEl = this.children(inertialEl, 'inertia')[0];
+        if (inertiaEl) {
+            ['ixx', 'iyy', 'izz', 'ixy', 'ixz', 'iyz'].forEach(key => {
+                const value = this.childText(inertiaEl, key);
+                if (value !== null) inertial[key] = parseFloat(value);
+            });
+        } else {
+            // SDF default inertia is identity
+            inertial.ixx = inertial.iyy = inertial.izz = 1;
+        }
+
+        return inertial;
+    }
+
+    /**
+     * Create unified joints
+     * Ball, universal and revolute2 joints are split into chained revolute joints
+     * through virtual links so each DOF gets its own control
+     */
+    static buildJoints(model, ctx) {
+        for (const jointEntry of ctx.joints) {
+            const el = jointEntry.el;
+            const sdfType = el.getAttribute('type') || 'fixed';
+            const parentRef = this.childText(el, 'parent');
+            const parentName = parentRef === 'world' ? 'world' : this.lookupLink(parentRef, jointEntry.prefix, ctx);
+            const childName = this.lookupLink(this.childText(el, 'child'), jointEntry.prefix, ctx);
+
+            if (!parentName || !childName) {
+                console.warn(`SDF joint "${jointEntry.name}" has unresolved parent/child, skipped`);
+                continue;
+            }
+
+            if (parentName === 'world' && !model.links.has('world')) {
+                const worldLink = new Link('world');
+                worldLink.userData.isWorldbody = true;
+                worldLink.userData.frameMatrix = new THREE.Matrix4();
+                model.addLink(worldLink);
+            }
+
+            const jointMatrix = this.resolveFrame(jointEntry.name, ctx);
+            const parentFrame = model.links.get(parentName).userData.frameMatrix;
+            const origin = this.relativeOrigin(parentFrame, jointMatrix);
+
+            // DOF list: [{ axisEl, type }]
+            let dofs;
+            switch (sdfType) {
+                case 'revolute':
+                case 'continuous':
+                case 'prismatic':
+                case 'screw':
+                case 'gearbox':
+                    dofs = [{ axisEl: this.children(el, 'axis')[0], type: sdfType === 'prismatic' ? 'prismatic' : sdfType }];
+                    break;
+                case 'universal':
+                case 'revolute2':
+                    dofs = [
+                        { axisEl: this.children(el, 'axis')[0], type: 'revolute' },
+                        { axisEl: this.children(el, 'axis2')[0], type: 'revolute', defaultAxis: [0, 1, 0] }
+                    ];
+                    break;
+                case 'ball':
+                    dofs = [
+                        { axisEl: null, type: 'continuous', defaultAxis: [1, 0, 0] },
+                        { axisEl: null, type: 'continuous', defaultAxis: [0, 1, 0] },
+                        { axisEl: null, type: 'continuous', defaultAxis: [0, 0, 1] }
+                    ];
+                    break;
+                case 'fixed':
+                    dofs = [{ axisEl: null, type: 'fixed' }];
+                    break;
+                default:
+                    console.warn(`SDF joint type "${sdfType}" not supported, treated as fixed`);
+                    dofs = [{ axisEl: null, type: 'fixed' }];
+            }
+
+            let currentParent = parentName;
+            dofs.forEach((dof, index) => {
+                const isLast = index === dofs.length - 1;
+                const name = index === 0 ? jointEntry.name : `${jointEntry.name}_axis${index + 1}`;
+                const joint = new Joint(name, dof.type);
+                joint.userData.sdfType = sdfType;
+                joint.userData.sdfJoint = jointEntry.name;
+                joint.parent = currentParent;
+                // Extra DOFs sit at the same place as the first one
+                joint.origin = index === 0 ? origin : { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+
+                if (dof.type !== 'fixed') {
+                    joint.axis = { xyz: this.parseAxisDirection(dof.axisEl, jointMatrix, jointEntry, ctx, dof.defaultAxis) };
+                    joint.limits = this.parseLimits(dof.axisEl);
+                    if (joint.type === 'revolute' && joint.limits?.lower === undefined) {
+                        joint.type = 'continuous';
+                    }
+                    if (dof.axisEl) {
+                        const dynamicsEl = this.children(dof.axisEl, 'dynamics')[0];
+                        if (dynamicsEl) {
+                            joint.userData.damping = parseFloat(this.childText(dynamicsEl, 'damping') || '0');
+                            joint.userData.friction = parseFloat(this.childText(dynamicsEl, 'friction') || '0');
+                        }
+                    }
+                }
+                if (sdfType === 'screw' || sdfType === 'gearbox') {
+                    joint.type = joint.limits?.lower !== undefined ? 'revolute' : 'continuous';
+                }
+
+                if (isLast) {
+                    joint.child = childName;
+                } else {
+                    // Virtual link between chained DOFs (coincides with joint frame)
+                    const virtualLink = new Link(`${jointEntry.name}::dof${index + 1}`);
+                    virtualLink.userData.isVirtual = true;
+                    virtualLink.userData.frameMatrix = jointMatrix;
+                    model.addLink(virtualLink);
+                    joint.child = virtualLink.name;
+                    currentParent = virtualLink.name;
+                }
+
+                model.addJoint(joint);
+            });
+        }
+    }
+
+    /**
+     * Parse axis direction expressed in joint frame
+     * Handles expressed_in (1.7+) and use_parent_model_frame (1.6)
+     */
+    static parseAxisDirection(axisEl, jointMatrix, jointEntry, ctx, defaultAxis = [0, 0, 1]) {
+        if (!axisEl) return defaultAxis;
+
+        const xyzEl = this.children(axisEl, 'xyz')[0];
+        if (!xyzEl) return defaultAxis;
+
+        const values = xyzEl.textContent.trim().split(/\s+/).map(parseFloat);
+        const axis = new THREE.Vector3(values[0] || 0, values[1] || 0, values[2] || 0);
+        if (axis.lengthSq() === 0) return defaultAxis;
+
+        let expressedIn = xyzEl.getAttribute('expressed_in');
+        if (!expressedIn && this.childText(axisEl, 'use_parent_model_frame') === 'true') {
+            expressedIn = '__model__';
+        }
+
+        if (expressedIn) {
+            const frameName = expressedIn === 'world' ? null : this.lookupFrame(expressedIn, jointEntry.prefix, ctx);
+            const frameRotation = new THREE.Quaternion();
+            this.resolveFrame(frameName, ctx).decompose(new THREE.Vector3(), frameRotation, new THREE.Vector3());
+            const jointRotation = new THREE.Quaternion();
+            jointMatrix.decompose(new THREE.Vector3(), jointRotation, new THREE.Vector3());
+            axis.applyQuaternion(frameRotation).applyQuaternion(jointRotation.invert());
+        }
+
+        axis.normalize();
+        const clean = v => (Math.abs(v) < 1e-12 ? 0 : v);
+        return [axis.x, axis.y, axis.z].map(clean);
+    }
+
+    /**
+     * Parse <limit> of an axis element
+     * @returns {JointLimits|null} null when unlimited (lower/upper undefined when only effort/velocity given)
+     */
+    static parseLimits(axisEl) {
+        const limitEl = axisEl ? this.children(axisEl, 'limit')[0] : null;
+        if (!limitEl) return null;
+
+        const lower = this.childText(limitEl, 'lower');
+        const upper = this.childText(limitEl, 'upper');
+        const effort = this.childText(limitEl, 'effort');
+        const velocity = this.childText(limitEl, 'velocity');
+
+        const limits = new JointLimits();
+        if (effort !== null && parseFloat(effort) >= 0) limits.effort = parseFloat(effort);
+        if (velocity !== null && parseFloat(velocity) >= 0) limits.velocity = parseFloat(velocity);
+
+        if (lower === null || upper === null ||
+            Math.abs(parseFloat(lower)) >= SDF_UNLIMITED || Math.abs(parseFloat(upper)) >= SDF_UNLIMITED) {
+            // No position limits; keep effort/velocity if present
+            if (limits.effort === null && limits.velocity === null) return null;
+            limits.lower = undefined;
+            limits.upper = undefined;
+            return limits;
+        }
+
+        limits.lower = parseFloat(lower);
+        limits.upper = parseFloat(upper);
+        return limits;
+    }
+
+    /**
+     * Pick root link; free links and several top-level models hang off the world link
+     */
+    static assignRootLinks(model) {
+        const childNames = new Set(Array.from(model.joints.values()).map(j => j.child));
+        const roots = Array.from(model.links.keys()).filter(name => !childNames.has(name));
+
+        if (roots.length > 1 && !model.links.has('world')) {
+            const worldLink = new Link('world');
+            worldLink.userData.isWorldbody = true;
+            worldLink.userData.frameMatrix = new THREE.Matrix4();
+            model.addLink(worldLink);
+        }
+
+        if (model.links.has('world')) {
+            roots.forEach(name => {
+                if (name !== 'world') {
+                    // Fixed connection without joint (same as MJCF bodies without joints)
+                    model.links.get(name).userData.parentName = 'world';
+                }
+            });
+            model.rootLink = 'world';
+        } else {
+            model.rootLink = roots[0] || Array.from(model.links.keys())[0] || null;
+        }
+    }
+
+    // ==================== Three.js ====================
+
+    /**
+     * Create Three.js objects: link groups nested under joint groups (URDF-like)
+     * @param {UnifiedRobotModel} model
+     * @param {Map} fileMap - File map for loading mesh files
+     */
+    static async createThreeObject(model, fileMap = null) {
+        // Preload loaders
+        await getLoaders();
+
+        const rootGroup = new THREE.Group();
+        rootGroup.name = model.name;
+
+        // Load all unique mesh files in parallel
+        const uniqueMeshFiles = new Set();
+        for (const link of model.links.values()) {
+            [...link.visuals, ...link.collisions].forEach(item => {
+                if (item.geometry.type === 'mesh' && item.geometry.filename) {
+                    uniqueMeshFiles.add(item.geometry.filename);
+                }
+            });
+        }
+
+        const meshCache = new Map();
+        if (fileMap) {
+            const files = Array.from(uniqueMeshFiles);
+            const results = await Promise.all(files.map(filename =>
+                loadMeshFile(filename, fileMap).catch(err => {
+                    console.error(`Failed to load mesh: ${filename}`, err);
+                    return null;
+                })
+            ));
+            files.forEach((filename, index) => meshCache.set(filename, results[index]));
+        }
+
+        // Create link groups
+        const linkObjects = new Map();
+        for (const [name, link] of model.links) {
+            const linkGroup = new THREE.Group();
+            linkGroup.name = name;
+            linkGroup.isURDFLink = true;
+            linkGroup.type = 'URDFLink';
+
+            for (const visual of link.visuals) {
+                const mesh = await this.createGeometryMesh(visual.geometry, fileMap, meshCache);
+                if (!mesh) continue;
+
+                this.applyOrigin(mesh, visual.origin);
+                mesh.name = visual.name || 'visual';
+                if (visual.userData.rgba) {
+                    this.applyColor(mesh, visual.userData.rgba);
+                }
+                linkGroup.add(mesh);
+                visual.threeObject = mesh;
+            }
+
+            for (let i = 0; i < link.collisions.length; i++) {
+                const collision = link.collisions[i];
+                const mesh = await this.createGeometryMesh(collision.geometry, fileMap, meshCache);
+                if (!mesh) continue;
+
+                this.applyOrigin(mesh, collision.origin);
+                mesh.name = collision.name || 'collision';
+
+                const colliderGroup = new THREE.Group();
+                colliderGroup.name = `${name}_collider_${i}`;
+                colliderGroup.isURDFCollider = true;
+                colliderGroup.add(mesh);
+
+                linkGroup.add(colliderGroup);
+                collision.threeObject = colliderGroup;
+            }
+
+            link.threeObject = linkGroup;
+            linkObjects.set(name, linkGroup);
+        }
+
+        const buildHierarchy = (linkName, parentGroup) => {
+            const linkGroup = linkObjects.get(linkName);
+            if (!linkGroup) return;
+            parentGroup.add(linkGroup);
+
+            for (const joint of model.joints.values()) {
+                if (joint.parent !== linkName || !joint.child) continue;
+
+                const jointGroup = new THREE.Group();
+                jointGroup.name = joint.name;
+                jointGroup.isURDFJoint = true;
+                jointGroup.type = 'URDFJoint';
+                jointGroup.jointType = joint.type;
+                jointGroup.axis = new THREE.Vector3(...joint.axis.xyz).normalize();
+                this.applyOrigin(jointGroup, joint.origin);
+
+                buildHierarchy(joint.child, jointGroup);
+
+                linkGroup.add(jointGroup);
+                joint.threeObject = jointGroup;
+            }
+
+            // Fixed connections without joint (roots under world link)
+            for (const [childName, childLink] of model.links) {
+                if (childLink.userData.parentName !== linkName) continue;
+
+                const fixedGroup = new THREE.Group();
+                this.applyOrigin(fixedGroup, childLink.userData.worldOrigin);
+                childLink.userData.isFixedConnection = true;
+                buildHierarchy(childName, fixedGroup);
+                linkGroup.add(fixedGroup);
+            }
+        };
+
+        const rootLink = model.links.get(model.rootLink);
+        if (rootLink) {
+            if (!rootLink.userData.isWorldbody) {
+                this.applyOrigin(linkObjects.get(model.rootLink), rootLink.userData.worldOrigin);
+            }
+            buildHierarchy(model.rootLink, rootGroup);
+        }
+
+        model.threeObject = rootGroup;
+        rootGroup.userData.type = 'sdf';
+    }
+
+    /**
+     * Apply xyz/rpy origin to object (rpy is fixed-axis roll-pitch-yaw)
+     */
+    static applyOrigin(object, origin) {
+        if (!origin) return;
+        object.position.set(...origin.xyz);
+        object.rotation.set(origin.rpy[0], origin.rpy[1], origin.rpy[2], 'ZYX');
+    }
+
+    /**
+     * Create Three.js mesh for geometry (shared with MJCF), applying SDF mesh scale
+     */
+    static async createGeometryMesh(geometry, fileMap, meshCache) {
+        const mesh = await MJCFAdapter.createGeometryMesh(geometry, fileMap, meshCache);
+        if (mesh && geometry.scale) {
+            mesh.scale.set(...geometry.scale);
+        }
+        return mesh;
+    }
+
+    /**
+     * Apply SDF material color to all meshes in object
+     */
+    static applyColor(object, rgba) {
+        object.traverse(child => {
+            if (!child.isMesh || !child.material) return;
+
+            const recolor = (material) => {
+                const cloned = material.clone();
+                cloned.color = new THREE.Color(rgba.r, rgba.g, rgba.b);
+                if (rgba.a < 1.0) {
+                    cloned.transparent = true;
+                    cloned.opacity = rgba.a;
+                }
+                return cloned;
+            };
+
+            child.material = Array.isArray(child.material)
+                ? child.material.map(recolor)
+                : recolor(child.material);
+        });
+    }
+
+    /**
+     * Set joint angle (joint groups carry axis in joint frame, same as MJCF)
+     */
+    static setJointAngle(joint, angle) {
+        MJCFAdapter.setJointAngle(joint, angle);
+    }
+}
@@ -3,7 +3,7 @@
  * Converts urdf-loaders result to unified model
  */
 import * as THREE from 'three';
-import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, InertialProperties } from '../models/UnifiedRobotModel.js';
+import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, GeometryType, InertialProperties, Material } from '../models/UnifiedRobotModel.js';
 
 export class URDFAdapter {
     /**
@@ -20,6 +20,7 @@ export class URDFAdapter {
         // Mark model type as URDF
         if (!robot.userData) robot.userData = {};
         robot.userData.type = 'urdf';
+        model.userData = { type: 'urdf' };
 
         if (!robot.links || !robot.joints) {
             console.warn('URDF model missing links or joints information');
@@ -53,6 +54,7 @@ export class URDFAdapter {
         // If XML provided, supplement effort and velocity from XML (urdf-loaders may not have parsed)
         if (urdfXML) {
             this.supplementJointLimitsFromXML(model, urdfXML);
+            this.supplementGeometryFromXML(model, urdfXML);
         }
 
         // Find root link (link that is not a child of any joint)
@@ -309,6 +311,153 @@ export class URDFAdapter {
         }
     }
 
+    /**
+     * Supplement link visuals/collisions and joint origin/axis/dynamics/mimic from URDF XML
+     * (urdf-loaders only builds Three.js objects, exporters need the description)
+     */
+    static supplementGeometryFromXML(model, urdfXML) {
+        try {
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(urdfXML, 'text/xml');
+            const robotEl = doc.documentElement;
+            const topLevel = (tag) => Array.from(robotEl.children).filter(el => el.tagName === tag);
+
+            // Global materials
+            const materials = new Map();
+            topLevel('material').forEach(materialEl => {
+                const material = this.parseMaterialElement(materialEl, null);
+                if (material) {
+                    materials.set(material.name, material);
+                    model.materials.set(material.name, material);
+                }
+            });
+
+            topLevel('link').forEach(linkEl => {
+                const link = model.links.get(linkEl.getAttribute('name'));
+                if (!link) return;
+
+                link.visuals = [];
+                link.collisions = [];
+
+                Array.from(linkEl.children).forEach(child => {
+                    if (child.tagName !== 'visual' && child.tagName !== 'collision') return;
+
+                    const geometry = this.parseGeometryElement(child.querySelector('geometry'));
+                    if (!geometry) return;
+
+                    const item = child.tagName === 'visual' ? new VisualGeometry() : new CollisionGeometry();
+                    item.name = child.getAttribute('name') || '';
+                    item.origin = this.parseOriginElement(child.querySelector('origin'));
+                    item.geometry = geometry;
+
+                    if (child.tagName === 'visual') {
+                        const materialEl = child.querySelector('material');
+                        if (materialEl) {
+                            item.material = this.parseMaterialElement(materialEl, materials);
+                        }
+                        link.visuals.push(item);
+                    } else {
+                        link.collisions.push(item);
+                    }
+                });
+            });
+
+            topLevel('joint').forEach(jointEl => {
+                const joint = model.joints.get(jointEl.getAttribute('name'));
+                if (!joint) return;
+
+                joint.origin = this.parseOriginElement(jointEl.querySelector('origin'));
+
+                const axisEl = jointEl.querySelector('axis');
+                joint.axis = { xyz: axisEl ? this.parseNumbers(axisEl.getAttribute('xyz'), [1, 0, 0]) : [1, 0, 0] };
+
+                const dynamicsEl = jointEl.querySelector('dynamics');
+                if (dynamicsEl) {
+                    joint.userData.damping = parseFloat(dynamicsEl.getAttribute('damping')) || 0;
+                    joint.userData.friction = parseFloat(dynamicsEl.getAttribute('friction')) || 0;
+                }
+
+                const mimicEl = jointEl.querySelector('mimic');
+                if (mimicEl) {
+                    const multiplier = parseFloat(mimicEl.getAttribute('multiplier'));
+                    joint.userData.mimic = {
+                        joint: mimicEl.getAttribute('joint'),
+                        multiplier: isNaN(multiplier) ? 1 : multiplier,
+                        offset: parseFloat(mimicEl.getAttribute('offset')) || 0
+                    };
+                }
+            });
+        } catch (error) {
+            console.error('Failed to supplement geometry information from XML:', error);
+        }
+    }
+
+    static parseNumbers(text, fallback) {
+        if (!text) return fallback;
+        const values = text.trim().split(/\s+/).map(parseFloat);
+        return values.length === fallback.length && values.every(v => !isNaN(v)) ? values : fallback;
+    }
+
+    static parseOriginElement(originEl) {
+        return {
+            xyz: this.parseNumbers(originEl?.getAttribute('xyz'), [0, 0, 0]),
+            rpy: this.parseNumbers(originEl?.getAttribute('rpy'), [0, 0, 0])
+        };
+    }
+
+    /**
+     * Parse <geometry> element into GeometryType
+     */
+    static parseGeometryElement(geometryEl) {
+        const shapeEl = geometryEl ? Array.from(geometryEl.children)[0] : null;
+        if (!shapeEl) return null;
+
+        const geometry = new GeometryType(shapeEl.tagName);
+        switch (shapeEl.tagName) {
+            case 'box': {
+                const [x, y, z] = this.parseNumbers(shapeEl.getAttribute('size'), [0, 0, 0]);
+                geometry.size = { x, y, z };
+                break;
+            }
+            case 'sphere':
+                geometry.size = { radius: parseFloat(shapeEl.getAttribute('radius')) || 0 };
+                break;
+            case 'cylinder':
+            case 'capsule':
+                geometry.size = {
+                    radius: parseFloat(shapeEl.getAttribute('radius')) || 0,
+                    height: parseFloat(shapeEl.getAttribute('length')) || 0
+                };
+                break;
+            case 'mesh':
+                geometry.filename = shapeEl.getAttribute('filename');
+                if (shapeEl.hasAttribute('scale')) {
+                    geometry.scale = this.parseNumbers(shapeEl.getAttribute('scale'), [1, 1, 1]);
+                }
+                break;
+            default:
+                return null;
+        }
+        return geometry;
+    }
+
+    /**
+     * Parse <material> element; name-only references resolve against global materials
+     */
+    static parseMaterialElement(materialEl, materials) {
+        const name = materialEl.getAttribute('name') || '';
+        const colorEl = materialEl.querySelector('color');
+
+        if (!colorEl) {
+            return materials?.get(name) || null;
+        }
+
+        const [r, g, b, a] = this.parseNumbers(colorEl.getAttribute('rgba'), [0.8, 0.8, 0.8, 1]);
+        const material = new Material(name);
+        material.color = { r, g, b, a };
+        return material;
+    }
+
     static convertInertial(inertial) {
         const props = new InertialProperties();
         if (inertial.mass !== undefined) props.mass = inertial.mass;
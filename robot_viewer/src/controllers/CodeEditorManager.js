@@ -3,7 +3,14 @@
  * Responsible for complete code editor functionality: open, close, save, reload, etc.
  */
 import { CodeEditor } from '../editor/CodeEditor.js';
-import { readFileContent } from '../utils/FileUtils.js';
+import { readFileContent, getFileDisplayType, normalizePath, downloadBlob } from '../utils/FileUtils.js';
+import { detectSchemaType } from '../editor/RobotSchemas.js';
+import { lintReferences, scanElements, elementsAt } from '../editor/ModelReferences.js';
+import { XMLUpdater } from '../utils/XMLUpdater.js';
+
+const LINT_DELAY = 300;
+const CURSOR_SYNC_DELAY = 150;
+const LIVE_RELOAD_DELAY = 600;
 
 export class CodeEditorManager {
     constructor() {
@@ -16,7 +23,29 @@ export class CodeEditorManager {
             defaultFileType: 'urdf' // urdf, mjcf, usd
         };
         this.onReload = null; // Reload callback
+        this.onContentChange = null; // Called with (file, content) when editor content changes
+        this.onLiveReload = null; // Live reload callback (file) => Promise, rejects when the model can't be loaded
+        this.onCursorTarget = null; // Called with {type: 'link'|'joint', name} when the cursor moves into its element
+        this.onHoverTarget = null; // Called with {type, name} of the hovered tag, null when leaving it
         this.fileMap = null; // File map reference
+
+        // Diagnostics: XML errors / schema lint of the content, errors of the last live reload
+        this.lintTimer = null;
+        this.parseErrors = [];
+        this.lintDiagnostics = [];
+        this.loadDiagnostics = [];
+
+        // Editor -> scene selection
+        this.scannedElements = null; // Elements of current content, scanned on demand
+        this.cursorTimer = null;
+        this.hoverTarget = null;
+
+        // Live reload: re-parse edited model after typing pauses
+        this.liveReload = localStorage.getItem('editorLiveReload') === 'true';
+        this.liveReloadTimer = null;
+        this.liveReloadRunning = false;
+        this.liveReloadQueued = false;
+        this.lastLiveContent = null; // Content of last loaded model, unchanged content isn't reloaded
     }
 
     /**
@@ -31,14 +60,28 @@ export class CodeEditorManager {
         }
 
         this.codeEditorInstance = new CodeEditor(editorWrapper);
+        this.codeEditorInstance.setAssetSource(() => this.getAssets());
 
         // Listen for content changes
         this.codeEditorInstance.onChange((content) => {
             this.editorState.currentContent = content;
             this.updateEditorSaveStatus();
+            if (this.editorState.currentFile) {
+                this.onContentChange?.(this.editorState.currentFile, content);
+            }
+            this.scannedElements = null;
+            this.scheduleValidation();
+            this.scheduleLiveReload();
         });
 
+        this.codeEditorInstance.onCursorChange((pos) => {
+            clearTimeout(this.cursorTimer);
+            this.cursorTimer = setTimeout(() => this.updateCursorTarget(pos), CURSOR_SYNC_DELAY);
+        });
+        this.codeEditorInstance.onHover((pos) => this.updateHoverTarget(pos));
+
         this.setupEditorControls();
+        this.setupLiveReload();
 
         // Update save status on initialization (show "unsaved")
         this.updateEditorSaveStatus();
@@ -92,6 +135,9 @@ export class CodeEditorManager {
         const extensionMap = {
             'xml': 'urdf',  // Default XML files treated as URDF (may also be MJCF, but loader will auto-detect)
             'urdf': 'urdf',
+            'xacro': 'xacro',
+            'sdf': 'sdf',
+            'world': 'sdf',
             'mjcf': 'mjcf',
             'usd': 'usd',
             'usda': 'usd',
@@ -260,6 +306,258 @@ export class CodeEditorManager {
 
     }
 
+    /**
+     * Setup live reload toggle (choice is kept in localStorage)
+     */
+    setupLiveReload() {
+        const checkbox = document.getElementById('editor-live-reload');
+        if (!checkbox) return;
+
+        checkbox.checked = this.liveReload;
+        checkbox.addEventListener('change', () => {
+            this.liveReload = checkbox.checked;
+            localStorage.setItem('editorLiveReload', String(this.liveReload));
+            if (this.liveReload) {
+                this.scheduleLiveReload();
+            } else {
+                clearTimeout(this.liveReloadTimer);
+                this.loadDiagnostics = [];
+                this.refreshDiagnostics();
+                this.setLiveStatus('');
+            }
+        });
+    }
+
+    /**
+     * Debounce live reload after an edit
+     */
+    scheduleLiveReload() {
+        if (!this.liveReload || !this.onLiveReload || !this.editorState.currentFile) return;
+
+        clearTimeout(this.liveReloadTimer);
+        this.liveReloadTimer = setTimeout(() => this.performLiveReload(), LIVE_RELOAD_DELAY);
+    }
+
+    /**
+     * Re-parse editor content and hot-swap the model
+     * XML errors are shown in the editor and the current model stays loaded
+     */
+    async performLiveReload() {
+        // One reload at a time, edits made meanwhile are loaded afterwards
+        if (this.liveReloadRunning) {
+            this.liveReloadQueued = true;
+            return;
+        }
+
+        const file = this.editorState.currentFile;
+        const content = this.codeEditorInstance.getValue();
+        if (!file || !content.trim() || content === this.lastLiveContent) return;
+        if (this.detectFileTypeFromName(file.name) === 'usd') return;
+
+        this.loadDiagnostics = [];
+        this.validate();
+        if (this.parseErrors.length > 0) {
+            this.setLiveStatus(`${window.i18n.t('liveReloadParseError')}: ${this.parseErrors[0].message}`, 'error');
+            return;
+        }
+
+        const newFile = new File([content], file.name, { type: file.type });
+        this.replaceInFileMap(newFile, file.name);
+
+        this.liveReloadRunning = true;
+        this._reloadingInProgress = true;
+        try {
+            await this.onLiveReload(newFile);
+            this.lastLiveContent = content;
+            this.setLiveStatus(window.i18n.t('liveReloadApplied'), 'success');
+        } catch (error) {
+            const line = this.findErrorLine(error.message);
+            if (line) {
+                this.loadDiagnostics = [{ line, severity: 'error', message: error.message }];
+                this.refreshDiagnostics();
+            }
+            this.setLiveStatus(`${window.i18n.t('liveReloadFailed')}: ${error.message}`, 'error');
+        } finally {
+            this._reloadingInProgress = false;
+            this.liveReloadRunning = false;
+        }
+
+        if (this.liveReloadQueued) {
+            this.liveReloadQueued = false;
+            this.performLiveReload();
+        }
+    }
+
+    scheduleValidation() {
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => this.validate(), LINT_DELAY);
+    }
+
+    /**
+     * Check editor content: XML errors first, then URDF/MJCF references
+     * (also selects the completion schema from the root element)
+     */
+    validate() {
+        clearTimeout(this.lintTimer);
+        const content = this.codeEditorInstance.getValue();
+        const fileName = this.editorState.currentFile?.name || this.editorState.defaultFileName;
+
+        this.parseErrors = [];
+        this.lintDiagnostics = [];
+        if (!content.trim() || this.detectFileTypeFromName(fileName) === 'usd') {
+            this.codeEditorInstance.setSchema(null);
+        } else {
+            const schemaType = detectSchemaType(content);
+            this.codeEditorInstance.setSchema(schemaType);
+            this.parseErrors = this.findXMLErrors(content);
+            this.lintDiagnostics = this.parseErrors.length > 0 || !schemaType
+                ? this.parseErrors
+                : lintReferences(content, schemaType, this.getAssets());
+        }
+        this.refreshDiagnostics();
+    }
+
+    /**
+     * Loaded files for mesh file lint and completion
+     * @returns {{paths: string[], packageDirs: string[], documentPath: string}} Mesh file paths,
+     *   directories holding a package.xml and the path of the edited file
+     */
+    getAssets() {
+        const assets = { paths: [], packageDirs: [], documentPath: '' };
+        this.fileMap?.forEach((file, key) => {
+            const path = normalizePath(key);
+            const name = path.split('/').pop();
+            if (file === this.editorState.currentFile) {
+                assets.documentPath = path;
+            }
+            if (name === 'package.xml' && path !== name) {
+                assets.packageDirs.push(path.slice(0, -name.length));
+            } else if (getFileDisplayType(name.split('.').pop().toLowerCase()) === 'mesh') {
+                assets.paths.push(path);
+            }
+        });
+        return assets;
+    }
+
+    refreshDiagnostics() {
+        this.codeEditorInstance.setDiagnostics([...this.lintDiagnostics, ...this.loadDiagnostics]);
+    }
+
+    /**
+     * XML well-formedness errors as editor diagnostics
+     * @returns {Array<{line: number, column?: number, severity: string, message: string}>}
+     */
+    findXMLErrors(content) {
+        const doc = new DOMParser().parseFromString(content, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (!parserError) return [];
+
+        // Chrome: "error on line 5 at column 3: ...", Firefox: "... Line Number 5, Column 3:"
+        const text = parserError.textContent;
+        const match = text.match(/line(?: number)?\s*(\d+)(?:,|\s+at)\s*column\s*(\d+):?\s*([^\n]*)/i);
+        const message = (match?.[3] || text.split('\n').find(l => l.trim()) || text).trim();
+        return [{
+            line: match ? parseInt(match[1]) : 1,
+            column: match ? parseInt(match[2]) : undefined,
+            severity: 'error',
+            message
+        }];
+    }
+
+    /**
+     * Line number mentioned in a loader error message
+     */
+    findErrorLine(message) {
+        const match = (message || '').match(/line(?: number)?\s*(\d+)/i);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    setLiveStatus(text, type = 'info') {
+        const status = document.getElementById('editor-live-status');
+        if (!status) return;
+
+        status.textContent = text;
+        status.title = text;
+        status.className = `code-editor-live-status ${type}`;
+        status.style.display = text ? '' : 'none';
+    }
+
+    /**
+     * Replace all fileMap entries of the edited file (only existing keys)
+     */
+    replaceInFileMap(newFile, fileName) {
+        for (const [key, value] of this.fileMap.entries()) {
+            if (value === this.editorState.currentFile ||
+                key === fileName ||
+                key.endsWith('/' + fileName)) {
+                this.fileMap.set(key, newFile);
+            }
+        }
+    }
+
+    /**
+     * Scanned elements of the editor content (cached until the next edit)
+     */
+    getElements() {
+        if (!this.scannedElements) {
+            this.scannedElements = scanElements(this.codeEditorInstance.getValue()).elements;
+        }
+        return this.scannedElements;
+    }
+
+    /**
+     * Link, joint or MJCF geom whose element contains a position
+     * @returns {{type: 'link'|'joint'|'geom', name: string, geomIndex?: number}|null} Geoms are given
+     *   by body name and their index among the body's geoms (as MJCFAdapter numbers them)
+     */
+    getModelTargetAt(pos) {
+        const chain = elementsAt(this.getElements(), pos);
+        for (let i = chain.length - 1; i >= 0; i--) {
+            const parent = chain[i].parent;
+            const bodyName = parent?.attributes.get('name')?.value;
+            if (chain[i].name === 'geom' && parent.name === 'body' && bodyName) {
+                const geomIndex = parent.children.filter(child => child.name === 'geom').indexOf(chain[i]);
+                return { type: 'geom', name: bodyName, geomIndex };
+            }
+
+            const name = chain[i].attributes.get('name')?.value;
+            if (!name) continue;
+            if (chain[i].name === 'link' || chain[i].name === 'body') {
+                return { type: 'link', name };
+            }
+            if (chain[i].name === 'joint' || chain[i].name === 'freejoint') {
+                return { type: 'joint', name };
+            }
+        }
+        return null;
+    }
+
+    isSameTarget(a, b) {
+        return a?.type === b?.type && a?.name === b?.name && a?.geomIndex === b?.geomIndex;
+    }
+
+    /**
+     * Select element at cursor (moving out of all elements keeps the selection)
+     */
+    updateCursorTarget(pos) {
+        const target = this.getModelTargetAt(pos);
+        if (target) {
+            this.onCursorTarget?.(target);
+        }
+    }
+
+    /**
+     * Preview element whose start tag is under the mouse
+     */
+    updateHoverTarget(pos) {
+        const onTag = pos !== null && this.getElements().some(element => element.from <= pos && pos <= element.to);
+        const target = onTag ? this.getModelTargetAt(pos) : null;
+        if (this.isSameTarget(target, this.hoverTarget)) return;
+
+        this.hoverTarget = target;
+        this.onHoverTarget?.(target);
+    }
+
     /**
      * Load file into editor
      */
@@ -278,9 +576,13 @@ export class CodeEditorManager {
             this.editorState.currentFile = file;
             this.editorState.originalContent = content;
             this.editorState.currentContent = content;
+            this.lastLiveContent = content;
 
             // Display file content
             this.codeEditorInstance.setValue(content);
+            this.loadDiagnostics = [];
+            this.validate();
+            this.setLiveStatus('');
             const filenameEl = document.getElementById('editor-filename');
             if (filenameEl) {
                 filenameEl.textContent = file.name;
@@ -358,13 +660,7 @@ export class CodeEditorManager {
             });
 
             // 3. Update all related fileMap entries (don't add new, only replace)
-            for (const [key, value] of this.fileMap.entries()) {
-                if (value === this.editorState.currentFile ||
-                    key === fileName ||
-                    key.endsWith('/' + fileName)) {
-                    this.fileMap.set(key, newFile);
-                }
-            }
+            this.replaceInFileMap(newFile, fileName);
 
             // 4. Update editor state
             this.editorState.currentFile = newFile;
@@ -384,16 +680,7 @@ export class CodeEditorManager {
      */
     downloadFile(content, fileName) {
         try {
-            const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = fileName;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            downloadBlob(new Blob([content], { type: 'text/plain;charset=utf-8' }), fileName);
         } catch (error) {
             console.error('Failed to download file:', error);
             throw error;
@@ -460,6 +747,15 @@ export class CodeEditorManager {
         this.editorState.currentFile = null;
         this.editorState.originalContent = '';
         this.editorState.currentContent = '';
+        this.lastLiveContent = null;
+        clearTimeout(this.liveReloadTimer);
+        clearTimeout(this.lintTimer);
+        this.parseErrors = [];
+        this.lintDiagnostics = [];
+        this.loadDiagnostics = [];
+        this.codeEditorInstance.setSchema(null);
+        this.refreshDiagnostics();
+        this.setLiveStatus('');
 
         // Update filename display
         const filenameEl = document.getElementById('editor-filename');
@@ -483,6 +779,53 @@ export class CodeEditorManager {
         return this.codeEditorInstance;
     }
 
+    /**
+     * Write a model edit back into the open URDF / MJCF document
+     * @param {Object} edit - See XMLUpdater.applyEdit
+     * @returns {boolean} Whether the document changed
+     */
+    applyModelEdit(edit) {
+        return this.updateContent(content => XMLUpdater.applyEdit(content, edit));
+    }
+
+    /**
+     * Load the document into the viewer now, also when live reload is off
+     * (after GUI edits were written to it)
+     */
+    async reloadModel() {
+        if (!this.onLiveReload || !this.editorState.currentFile) return;
+
+        clearTimeout(this.liveReloadTimer);
+        await this.performLiveReload();
+    }
+
+    /**
+     * Transform the open document, replacing only the changed text
+     * @param {Function} transform - (content) => new content
+     * @returns {boolean} Whether the document changed
+     */
+    updateContent(transform) {
+        const editor = this.codeEditorInstance;
+        const content = editor ? editor.getValue() : '';
+        // Xacro sources are not written back (see XMLUpdater.detectFormat)
+        if (this.editorState.currentFile?.name.toLowerCase().endsWith('.xacro')) {
+            return false;
+        }
+        if (!content.trim() || !XMLUpdater.detectFormat(content)) {
+            return false;
+        }
+
+        try {
+            const updated = transform(content);
+            if (!updated || updated === content) return false;
+            editor.replaceContent(updated);
+            return true;
+        } catch (error) {
+            console.error('Failed to update editor content:', error);
+            return false;
+        }
+    }
+
     /**
      * Scroll to link definition in code
      * @param {string} linkName - Link name
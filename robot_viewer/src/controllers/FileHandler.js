@@ -4,15 +4,25 @@
  */
 import * as THREE from 'three';
 import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
-import { readFileContent, getFileFromEntry, getFileTypeFromExtension, getFileDisplayType } from '../utils/FileUtils.js';
+import { readFileContent, getFileFromEntry, getFileTypeFromExtension, getFileDisplayType, normalizePath } from '../utils/FileUtils.js';
+import { unzip } from 'three/examples/jsm/libs/fflate.module.js';
+
+// Manifest files fetched up front (models and descriptions); meshes and textures load on demand
+const MANIFEST_EAGER_EXTENSIONS = ['urdf', 'xacro', 'sdf', 'world', 'xml', 'srdf', 'usda'];
 
 export class FileHandler {
     constructor() {
         this.fileMap = new Map();
         this.availableModels = [];
         this.currentModelFile = null;
+        this.currentModelPath = null; // Path override used for current model (e.g. URL)
+        this.currentModelEdited = false; // Current model is editor content, not what its URL serves
+        this.xacroArgs = null; // Values for xacro $(arg ...) of current model
         this.onModelLoaded = null; // Callback function
+        this.onFileMapReplaced = null; // Called with {type: 'drop' | 'url', name} when fileMap gets new content
         this.usdViewerManager = null; // USD viewer manager (lazy loaded)
+        this.remoteUrls = new WeakMap(); // File -> URL it was fetched from (remote packages)
+        this.remotePackages = null; // Package name -> URL from remote manifest
     }
 
     /**
@@ -30,9 +40,17 @@ export class FileHandler {
     }
 
     /**
-     * Load model from URL
+     * Load model from URL (single model file, .zip archive or .json package manifest)
      */
     async loadFromUrl(url) {
+        const urlPath = new URL(url, window.location.href).pathname.toLowerCase();
+        if (urlPath.endsWith('.zip')) {
+            return this.loadZipFromUrl(url);
+        }
+        if (urlPath.endsWith('.json')) {
+            return this.loadManifestFromUrl(url);
+        }
+
         try {
             const response = await fetch(url);
             if (!response.ok) {
@@ -53,8 +71,11 @@ export class FileHandler {
             const file = new File([content], fileName);
             
             // Clear fileMap and populate with this file
+            // (meshes are fetched relative to the URL, package:// paths relative to the package directory)
             this.fileMap.clear();
             this.fileMap.set(url, file);
+            this.remotePackages = null;
+            this.onFileMapReplaced?.({ type: 'url', name: url });
             
             // Call loadFile with path override (the full URL)
             await this.loadFile(file, url);
@@ -64,6 +85,124 @@ export class FileHandler {
         }
     }
 
+    /**
+     * Load zip archive from URL (unpacked into fileMap)
+     */
+    async loadZipFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+            }
+
+            this.fileMap.clear();
+            this.remotePackages = null;
+            const files = await this.extractZip(new Uint8Array(await response.arrayBuffer()));
+            this.onFileMapReplaced?.({ type: 'url', name: url });
+            await this.loadFileList(files);
+        } catch (error) {
+            console.error('Failed to load zip from URL:', error);
+        }
+    }
+
+    /**
+     * Load remote robot package described by a JSON manifest:
+     * {"model": "urdf/robot.urdf", "packages": {"robot_description": "."}, "files": ["urdf/robot.urdf", "config/robot.srdf"]}
+     * Paths are relative to the manifest. Model and description files are fetched up front,
+     * meshes are fetched lazily when the model references them.
+     */
+    async loadManifestFromUrl(url) {
+        try {
+            const manifestUrl = new URL(url, window.location.href);
+            const response = await fetch(manifestUrl.href);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
+            }
+            const manifest = await response.json();
+            const resolve = (path) => new URL(path, manifestUrl).href;
+
+            this.fileMap.clear();
+            this.remotePackages = {};
+            Object.entries(manifest.packages || {}).forEach(([pkg, path]) => {
+                this.remotePackages[pkg] = resolve(path.endsWith('/') ? path : path + '/').replace(/\/$/, '');
+            });
+
+            const paths = new Set(manifest.files || []);
+            if (manifest.model) {
+                paths.add(manifest.model);
+            }
+
+            const files = [];
+            await Promise.all(Array.from(paths).map(async (path) => {
+                const ext = path.toLowerCase().split('.').pop();
+                if (!MANIFEST_EAGER_EXTENSIONS.includes(ext)) return;
+
+                const fileResponse = await fetch(resolve(path));
+                if (!fileResponse.ok) {
+                    console.warn(`Manifest file not found: ${path}`);
+                    return;
+                }
+                const file = new File([await fileResponse.blob()], path.split('/').pop());
+                this.fileMap.set(path, file);
+                this.remoteUrls.set(file, resolve(path));
+                files.push(file);
+            }));
+
+            this.onFileMapReplaced?.({ type: 'url', name: url });
+            const mainFile = manifest.model ? files.find(file => this.remoteUrls.get(file) === resolve(manifest.model)) : null;
+            await this.loadFileList(files, mainFile);
+        } catch (error) {
+            console.error('Failed to load manifest from URL:', error);
+        }
+    }
+
+    /**
+     * Unpack zip archive into fileMap
+     * Keys are relative paths plus bare file names, like dropped files
+     * @param {Uint8Array} data - Zip file content
+     * @param {string} prefix - Directory the archive was in
+     * @returns {Promise<File[]>}
+     */
+    async extractZip(data, prefix = '') {
+        const entries = await new Promise((resolve, reject) => {
+            unzip(data, (error, result) => error ? reject(error) : resolve(result));
+        });
+
+        const files = [];
+        Object.entries(entries).forEach(([path, content]) => {
+            // Skip directories and macOS resource forks
+            if (path.endsWith('/') || path.startsWith('__MACOSX/')) return;
+
+            const file = new File([content], path.split('/').pop());
+            this.fileMap.set(normalizePath(prefix ? `${prefix}/${path}` : path), file);
+            this.fileMap.set(file.name, file);
+            files.push(file);
+        });
+        return files;
+    }
+
+    /**
+     * Show loadable files in file tree and load the main (or first) one
+     * @param {File[]} files - Files already added to fileMap
+     * @param {File} [mainFile] - File to load first
+     */
+    async loadFileList(files, mainFile = null) {
+        if (files.length === 0) return;
+
+        const loadableFiles = await this.findAllLoadableFiles(files);
+
+        if (loadableFiles.length === 0) {
+            this.onFilesLoaded?.([]);
+            return;
+        }
+
+        this.availableModels = loadableFiles;
+        this.onFilesLoaded?.(loadableFiles);
+
+        const fileInfo = loadableFiles.find(info => info.file === mainFile) || loadableFiles[0];
+        await this.loadFileOrMesh(fileInfo);
+    }
+
     /**
      * Setup file drag-drop
      */
@@ -111,6 +250,7 @@ export class FileHandler {
         if (!items || items.length === 0) return;
 
         this.fileMap.clear();
+        this.remotePackages = null;
 
         const entries = [];
         for (let i = 0; i < items.length; i++) {
@@ -123,30 +263,49 @@ export class FileHandler {
             }
         }
 
+        let droppedFiles = [];
+        let name = '';
         if (entries.length > 0) {
-            await this.processEntries(entries);
+            droppedFiles = await this.processEntries(entries);
+            name = entries[0].name;
         } else {
             const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                for (const file of files) {
-                    const path = file.webkitRelativePath || file.name;
-                    this.fileMap.set(path, file);
-                    this.fileMap.set(file.name, file);
-                }
-
-                const loadableFiles = await this.findAllLoadableFiles(Array.from(files));
-
-                if (loadableFiles.length > 0) {
-                    this.availableModels = loadableFiles;
-                    this.onFilesLoaded?.(loadableFiles);
-                    await this.loadFileOrMesh(loadableFiles[0]);
+            for (const file of files) {
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    droppedFiles.push(...await this.extractZip(new Uint8Array(await file.arrayBuffer())));
+                    continue;
                 }
+                const path = file.webkitRelativePath || file.name;
+                this.fileMap.set(path, file);
+                this.fileMap.set(file.name, file);
+                droppedFiles.push(file);
             }
+            name = files[0]?.name || '';
         }
+
+        if (droppedFiles.length === 0) return;
+
+        this.onFileMapReplaced?.({ type: 'drop', name: name.replace(/\.zip$/i, '') });
+        await this.loadFileList(droppedFiles);
     }
 
     /**
-     * Process file system entries
+     * Restore files of a stored workspace and load its model
+     * @param {Array<[string, File]>} entries - fileMap entries
+     * @param {string|null} modelPath - fileMap key of model to open
+     */
+    async loadStoredFiles(entries, modelPath = null) {
+        this.fileMap.clear();
+        this.remotePackages = null;
+        entries.forEach(([path, file]) => this.fileMap.set(path, file));
+
+        const files = Array.from(new Set(this.fileMap.values()));
+        await this.loadFileList(files, modelPath ? this.fileMap.get(modelPath) : null);
+    }
+
+    /**
+     * Add dropped file system entries to fileMap
+     * @returns {Promise<File[]>}
      */
     async processEntries(entries) {
         const files = [];
@@ -155,6 +314,12 @@ export class FileHandler {
             if (entry.isFile) {
                 const file = await getFileFromEntry(entry);
                 const path = entry.fullPath || entry.name;
+                if (file.name.toLowerCase().endsWith('.zip')) {
+                    // Dropped archive: unpack next to where it was
+                    const prefix = path.substring(0, path.lastIndexOf('/'));
+                    files.push(...await this.extractZip(new Uint8Array(await file.arrayBuffer()), prefix));
+                    continue;
+                }
                 this.fileMap.set(path, file);
                 files.push(file);
             } else if (entry.isDirectory) {
@@ -163,21 +328,7 @@ export class FileHandler {
             }
         }
 
-        if (files.length === 0) return;
-
-        const loadableFiles = await this.findAllLoadableFiles(files);
-
-        if (loadableFiles.length === 0) {
-            this.onFilesLoaded?.([]);
-            return;
-        }
-
-        this.availableModels = loadableFiles;
-        this.onFilesLoaded?.(loadableFiles);
-
-        if (loadableFiles.length > 0) {
-            await this.loadFileOrMesh(loadableFiles[0]);
-        }
+        return files;
     }
 
     /**
@@ -221,7 +372,7 @@ export class FileHandler {
      */
     async findAllLoadableFiles(files) {
         const supportedExtensions = {
-            model: ['urdf', 'xml', 'usd', 'usda', 'usdc', 'usdz'],
+            model: ['urdf', 'xacro', 'sdf', 'world', 'xml', 'usd', 'usda', 'usdc', 'usdz'],
             mesh: ['dae', 'stl', 'obj', 'collada']
         };
         const loadableFiles = [];
@@ -304,9 +455,23 @@ export class FileHandler {
 
     /**
      * Load model file
+     * @param {File} file
+     * @param {string|null} pathOverride - Path or URL the file is resolved against
+     * @param {Object} options - rethrow: pass load errors to the caller (the current model stays in the scene),
+     *   edited: file holds editor content (kept for reloads of the same file)
      */
-    async loadFile(file, pathOverride = null) {
+    async loadFile(file, pathOverride = null, options = {}) {
+        // Files of a remote package keep their URL so meshes resolve against it
+        pathOverride = pathOverride || this.remoteUrls.get(file) || null;
+
+        this.currentModelEdited = options.edited ?? (file === this.currentModelFile && this.currentModelEdited);
+
+        // Xacro args only apply to the file they were set for
+        if (file !== this.currentModelFile) {
+            this.xacroArgs = null;
+        }
         this.currentModelFile = file;
+        this.currentModelPath = pathOverride;
 
         try {
             const fileName = (pathOverride || file.name).toLowerCase();
@@ -358,6 +523,9 @@ export class FileHandler {
             const fileType = ModelLoaderFactory.detectFileType(originalFileName, content);
 
             if (!fileType) {
+                if (options.rethrow) {
+                    throw new Error(`${window.i18n.t('unsupportedFormat')}: ${originalFileName}`);
+                }
                 console.error(`${window.i18n.t('unsupportedFormat')}: ${originalFileName}`);
                 return;
             }
@@ -372,7 +540,11 @@ export class FileHandler {
                 originalFileName,
                 this.fileMap,
                 file,
-                { usdViewerManager: this.usdViewerManager }
+                {
+                    usdViewerManager: this.usdViewerManager,
+                    xacroArgs: this.xacroArgs,
+                    remote: this.currentModelPath ? { modelUrl: this.currentModelPath, packages: this.remotePackages } : null
+                }
             );
 
             // Notify model loaded (pass null as snapshot, let main.js create it)
@@ -396,7 +568,46 @@ export class FileHandler {
             if (snapshot?.parentNode) {
                 snapshot.parentNode.removeChild(snapshot);
             }
+
+            if (options.rethrow) {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Reload current xacro model with new $(arg ...) values
+     * @param {Object} args - Map of arg name -> value
+     */
+    async applyXacroArgs(args) {
+        if (!this.currentModelFile) {
+            return;
+        }
+        this.xacroArgs = { ...args };
+        await this.loadFile(this.currentModelFile, this.currentModelPath);
+    }
+
+    /**
+     * Parse a model file of the file tree without showing it (e.g. as comparison base)
+     * @param {File} file
+     * @returns {Promise<UnifiedRobotModel>}
+     */
+    async parseModel(file) {
+        const url = this.remoteUrls.get(file) || null;
+        const fileName = url || file.name;
+        if (/\.usd[acz]?$/i.test(fileName)) {
+            throw new Error(`${window.i18n.t('unsupportedFormat')}: ${fileName}`);
+        }
+
+        const content = await readFileContent(file);
+        const fileType = ModelLoaderFactory.detectFileType(fileName, content);
+        if (!fileType || fileType === 'usd') {
+            throw new Error(`${window.i18n.t('unsupportedFormat')}: ${fileName}`);
         }
+
+        return await ModelLoaderFactory.loadModel(fileType, content, fileName, this.fileMap, file, {
+            remote: url ? { modelUrl: url, packages: this.remotePackages } : null
+        });
     }
 
     /**
@@ -574,5 +785,12 @@ export class FileHandler {
     getCurrentModelFile() {
         return this.currentModelFile;
     }
+
+    /**
+     * Get URL current model was fetched from (null for local files and edited models)
+     */
+    getCurrentModelUrl() {
+        return this.currentModelEdited ? null : this.currentModelPath;
+    }
 }
 
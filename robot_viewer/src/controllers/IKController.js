@@ -0,0 +1,225 @@
+/**
+ * IKController - Interactive inverse kinematics
+ * Attaches a TransformControls gizmo to the selected link and drives the joint chain
+ * from the root with the damped least squares solver while the gizmo is dragged
+ */
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { Kinematics } from '../kinematics/Kinematics.js';
+import { InverseKinematics } from '../kinematics/InverseKinematics.js';
+
+export class IKController {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.model = null;
+        this.active = false;
+        this.targetLink = null;
+        this.positionOnly = false;
+        this.dragging = false;
+
+        // Model root frame relative to world, taken from target link pose when dragging starts
+        this.rootFromWorld = new THREE.Matrix4();
+
+        // Called with Map<jointName, value> after every solve
+        this.onJointValuesChanged = null;
+
+        this.toggleBtn = document.getElementById('ik-mode-btn');
+        this.bar = document.getElementById('ik-bar');
+        this.targetLabel = document.getElementById('ik-target-label');
+        this.modeSelect = document.getElementById('ik-mode-select');
+        this.positionOnlyCheckbox = document.getElementById('ik-position-only');
+        this.status = document.getElementById('ik-status');
+
+        // Gizmo is attached to a proxy object placed at the link frame
+        this.anchor = new THREE.Object3D();
+        this.anchor.name = 'ikTarget';
+        this.sceneManager.scene.add(this.anchor);
+
+        this.transformControls = new TransformControls(sceneManager.camera, sceneManager.canvas);
+        this.transformControls.name = 'ikGizmo';
+        this.transformControls.setSize(0.8);
+        this.transformControls.enabled = false;
+        this.sceneManager.scene.add(this.transformControls);
+
+        this.transformControls.addEventListener('change', () => this.sceneManager.redraw());
+        this.transformControls.addEventListener('objectChange', () => this.solve());
+        this.transformControls.addEventListener('dragging-changed', (event) => {
+            this.dragging = event.value;
+            this.sceneManager.controls.enabled = !event.value;
+            if (event.value) {
+                this.updateRootFrame();
+            } else {
+                // Snap gizmo back to reached pose
+                this.syncAnchor();
+                this.sceneManager.updateEnvironment();
+            }
+        });
+
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.setActive(!this.active));
+        }
+        this.sceneManager.on('jointsChanged', () => this.refresh());
+        if (this.modeSelect) {
+            this.modeSelect.addEventListener('change', () => {
+                this.transformControls.setMode(this.modeSelect.value);
+            });
+        }
+        if (this.positionOnlyCheckbox) {
+            this.positionOnlyCheckbox.addEventListener('change', () => {
+                this.positionOnly = this.positionOnlyCheckbox.checked;
+            });
+        }
+    }
+
+    /**
+     * Use newly loaded model (IK mode is turned off)
+     * @param {UnifiedRobotModel|null} model
+     */
+    setModel(model) {
+        this.setActive(false);
+        const hasJoints = model && !model.userData?.isUSDWASM &&
+            Array.from(model.joints?.values() || []).some(joint => joint.type !== 'fixed');
+        this.model = hasJoints ? model : null;
+
+        if (this.toggleBtn) {
+            this.toggleBtn.disabled = !this.model;
+        }
+    }
+
+    setActive(active) {
+        this.active = active && !!this.model;
+
+        if (this.toggleBtn) {
+            this.toggleBtn.classList.toggle('active', this.active);
+        }
+        if (this.bar) {
+            this.bar.style.display = this.active ? 'flex' : 'none';
+        }
+
+        // Single joint dragging would fight with the gizmo
+        if (this.sceneManager.dragControls) {
+            this.sceneManager.dragControls.enabled = !this.active;
+        }
+
+        if (!this.active) {
+            this.targetLink = null;
+            this.transformControls.detach();
+            this.transformControls.enabled = false;
+            this.sceneManager.redraw();
+        }
+        this.updateLabels();
+    }
+
+    /**
+     * Pick IK target link from 3D view intersections
+     * @param {Array} intersections - Raycaster intersections, closest first
+     * @returns {boolean} Whether a link was picked
+     */
+    pickFromIntersections(intersections) {
+        if (!this.active || this.transformControls.axis !== null) return false;
+
+        const linkByObject = new Map();
+        this.model.links.forEach((link, name) => {
+            if (link.threeObject) linkByObject.set(link.threeObject, name);
+        });
+
+        for (const intersection of intersections) {
+            for (let current = intersection.object; current; current = current.parent) {
+                if (linkByObject.has(current)) {
+                    this.setTarget(linkByObject.get(current));
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Attach gizmo to link
+     */
+    setTarget(linkName) {
+        if (!this.active || !this.model.links.has(linkName)) return;
+
+        const link = this.model.links.get(linkName);
+        const chain = InverseKinematics.getChain(this.model, linkName);
+        if (chain.length === 0 || !link.threeObject) {
+            this.targetLink = null;
+            this.transformControls.detach();
+            this.updateLabels(window.i18n.t('ikNoChain'));
+            this.sceneManager.redraw();
+            return;
+        }
+
+        this.targetLink = linkName;
+        this.syncAnchor();
+        this.transformControls.enabled = true;
+        this.transformControls.attach(this.anchor);
+
+        this.sceneManager.highlightManager.clearHighlight();
+        this.sceneManager.highlightManager.highlightLink(link, this.model);
+
+        this.updateLabels(window.i18n.t('ikChainJoints').replace('{count}', chain.length));
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Follow joint changes made elsewhere (sliders, keyframes)
+     */
+    refresh() {
+        if (this.active && this.targetLink && !this.dragging) {
+            this.syncAnchor();
+        }
+    }
+
+    syncAnchor() {
+        const linkObject = this.model?.links.get(this.targetLink)?.threeObject;
+        if (!linkObject) return;
+
+        linkObject.updateWorldMatrix(true, false);
+        linkObject.matrixWorld.decompose(this.anchor.position, this.anchor.quaternion, new THREE.Vector3());
+        this.anchor.updateMatrixWorld(true);
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Model root frame from the target link's scene pose (the gizmo has not moved yet)
+     */
+    updateRootFrame() {
+        const worldFromRoot = Kinematics.getWorldFromRoot(this.model, this.targetLink);
+        if (worldFromRoot) {
+            this.rootFromWorld.copy(worldFromRoot).invert();
+        }
+    }
+
+    solve() {
+        if (!this.dragging || !this.targetLink) return;
+
+        this.anchor.updateMatrixWorld(true);
+        const target = this.rootFromWorld.clone().multiply(this.anchor.matrixWorld);
+        const result = InverseKinematics.solve(this.model, this.targetLink, target, {
+            ignoreLimits: this.sceneManager.ignoreLimits,
+            positionOnly: this.positionOnly
+        });
+
+        if (this.onJointValuesChanged) {
+            this.onJointValuesChanged(result.values);
+        }
+
+        this.updateLabels(result.converged
+            ? window.i18n.t('ikConverged')
+            : `${window.i18n.t('ikError')}: ${result.error.toFixed(4)}`);
+    }
+
+    /**
+     * Target link name and solver status
+     * @param {string} [statusText]
+     */
+    updateLabels(statusText = '') {
+        if (this.targetLabel) {
+            this.targetLabel.textContent = this.targetLink || window.i18n.t('ikPickLink');
+        }
+        if (this.status) {
+            this.status.textContent = statusText;
+        }
+    }
+}
@@ -2,18 +2,112 @@
  * CodeMirror 6 code editor wrapper
  */
 import { EditorView, basicSetup } from 'codemirror';
-import { EditorState } from '@codemirror/state';
-import { xml } from '@codemirror/lang-xml';
+import { EditorState, StateField, StateEffect, RangeSet, Compartment } from '@codemirror/state';
+import { Decoration, GutterMarker, gutter } from '@codemirror/view';
+import { xml, xmlLanguage } from '@codemirror/lang-xml';
 import { vscodeDark } from '@uiw/codemirror-theme-vscode';
 import { githubLight, githubDark } from '@uiw/codemirror-theme-github';
 import { dracula } from '@uiw/codemirror-theme-dracula';
+import { ROBOT_SCHEMAS } from './RobotSchemas.js';
+import { completeReferences } from './ModelReferences.js';
+
+// Diagnostics: { from, to, severity: 'error' | 'warning' | 'info', message }
+const setDiagnosticsEffect = StateEffect.define();
+
+const diagnosticsField = StateField.define({
+    create() {
+        return [];
+    },
+    update(diagnostics, transaction) {
+        for (const effect of transaction.effects) {
+            if (effect.is(setDiagnosticsEffect)) {
+                return effect.value;
+            }
+        }
+        if (!transaction.docChanged) {
+            return diagnostics;
+        }
+        // Keep markers on the edited text until new diagnostics arrive
+        return diagnostics.map(diagnostic => ({
+            ...diagnostic,
+            from: transaction.changes.mapPos(diagnostic.from),
+            to: transaction.changes.mapPos(diagnostic.to, 1)
+        }));
+    }
+});
+
+const SEVERITY_ORDER = { info: 0, warning: 1, error: 2 };
+
+class DiagnosticGutterMarker extends GutterMarker {
+    constructor(severity, message) {
+        super();
+        this.severity = severity;
+        this.message = message;
+    }
+
+    eq(other) {
+        return other.severity === this.severity && other.message === this.message;
+    }
+
+    toDOM() {
+        const marker = document.createElement('span');
+        marker.className = `cm-diagnostic-marker cm-diagnostic-marker-${this.severity}`;
+        marker.textContent = '●';
+        marker.title = this.message;
+        return marker;
+    }
+}
+
+const diagnosticDecorations = EditorView.decorations.compute([diagnosticsField], state => {
+    const ranges = [];
+    state.field(diagnosticsField).forEach(({ from, to, severity, message }) => {
+        const line = state.doc.lineAt(from);
+        ranges.push(Decoration.line({ class: `cm-diagnostic-line-${severity}` }).range(line.from));
+        if (to > from) {
+            ranges.push(Decoration.mark({
+                class: `cm-diagnostic-range-${severity}`,
+                attributes: { title: message }
+            }).range(from, to));
+        }
+    });
+    return Decoration.set(ranges, true);
+});
+
+const diagnosticGutter = gutter({
+    class: 'cm-diagnostic-gutter',
+    markers: view => {
+        // One marker per line with the most severe diagnostic, all messages in the title
+        const lines = new Map();
+        view.state.field(diagnosticsField).forEach(({ from, severity, message }) => {
+            const lineStart = view.state.doc.lineAt(from).from;
+            const entry = lines.get(lineStart);
+            if (!entry) {
+                lines.set(lineStart, { severity, messages: [message] });
+            } else {
+                entry.messages.push(message);
+                if (SEVERITY_ORDER[severity] > SEVERITY_ORDER[entry.severity]) {
+                    entry.severity = severity;
+                }
+            }
+        });
+        const markers = Array.from(lines, ([lineStart, { severity, messages }]) =>
+            new DiagnosticGutterMarker(severity, messages.join('\n')).range(lineStart));
+        return RangeSet.of(markers, true);
+    },
+    initialSpacer: () => new DiagnosticGutterMarker('info', '')
+});
 
 export class CodeEditor {
     constructor(parentElement, theme = 'vscode-dark') {
         this.parentElement = parentElement;
         this.view = null;
         this.onChangeCallback = null;
+        this.onCursorChangeCallback = null;
+        this.onHoverCallback = null;
         this.currentTheme = theme;
+        this.schemaType = null; // 'urdf' | 'mjcf' | null (plain XML)
+        this.assetSource = null; // () => loaded files offered in mesh file attributes (see ModelReferences)
+        this.languageCompartment = new Compartment();
 
         this.setupEditor();
     }
@@ -33,6 +127,42 @@ export class CodeEditor {
         }
     }
 
+    /**
+     * XML language with completion from the current schema and of names defined in the document
+     */
+    getLanguageExtension() {
+        const schema = ROBOT_SCHEMAS[this.schemaType];
+        if (!schema) {
+            return xml();
+        }
+
+        const schemaType = this.schemaType;
+        return [
+            xml({ elements: schema.elements }),
+            xmlLanguage.data.of({ autocomplete: context => completeReferences(context, schemaType, this.assetSource?.()) })
+        ];
+    }
+
+    /**
+     * Set the provider of loaded files for mesh file completion
+     * @param {Function|null} source - () => {paths, packageDirs, documentPath}
+     */
+    setAssetSource(source) {
+        this.assetSource = source;
+    }
+
+    /**
+     * Switch completion schema
+     * @param {'urdf'|'mjcf'|null} type
+     */
+    setSchema(type) {
+        if (type === this.schemaType) return;
+        this.schemaType = type;
+        if (this.view) {
+            this.view.dispatch({ effects: this.languageCompartment.reconfigure(this.getLanguageExtension()) });
+        }
+    }
+
     setupEditor() {
         // Clear container
         this.parentElement.innerHTML = '';
@@ -42,7 +172,10 @@ export class CodeEditor {
             doc: '',
             extensions: [
                 basicSetup,
-                xml(),
+                this.languageCompartment.of(this.getLanguageExtension()),
+                diagnosticsField,
+                diagnosticDecorations,
+                diagnosticGutter,
                 this.getThemeExtension(), // Use theme
                 EditorView.theme({
                     "&": {
@@ -89,12 +222,46 @@ export class CodeEditor {
                     ".cm-scroller::-webkit-scrollbar-corner": {
                         background: "transparent",
                     },
+                    // Diagnostics (parse errors, lint)
+                    '.cm-diagnostic-gutter .cm-gutterElement': {
+                        padding: '0 2px',
+                        fontSize: '9px',
+                        cursor: 'default',
+                    },
+                    '.cm-diagnostic-marker-error': { color: '#ff453a' },
+                    '.cm-diagnostic-marker-warning': { color: '#ff9f0a' },
+                    '.cm-diagnostic-marker-info': { color: '#0a84ff' },
+                    '.cm-diagnostic-line-error': {
+                        backgroundColor: 'rgba(255, 69, 58, 0.08) !important',
+                    },
+                    '.cm-diagnostic-range-error': {
+                        textDecoration: 'underline wavy #ff453a',
+                    },
+                    '.cm-diagnostic-range-warning': {
+                        textDecoration: 'underline wavy #ff9f0a',
+                    },
+                    '.cm-diagnostic-range-info': {
+                        textDecoration: 'underline dotted #0a84ff',
+                    },
                 }),
                 // Don't enable word wrap, allow horizontal scrolling
                 EditorView.updateListener.of((update) => {
                     if (update.docChanged && this.onChangeCallback) {
                         this.onChangeCallback(this.getValue());
                     }
+                    // Only cursor moves by the user (not scrollToLine / searchAndScroll)
+                    if (update.selectionSet && this.onCursorChangeCallback &&
+                        update.transactions.some(tr => tr.isUserEvent('select'))) {
+                        this.onCursorChangeCallback(update.state.selection.main.head);
+                    }
+                }),
+                EditorView.domEventHandlers({
+                    mousemove: (event, view) => {
+                        this.onHoverCallback?.(view.posAtCoords({ x: event.clientX, y: event.clientY }));
+                    },
+                    mouseleave: () => {
+                        this.onHoverCallback?.(null);
+                    }
                 }),
             ],
         });
@@ -123,6 +290,32 @@ export class CodeEditor {
         this.view.dispatch(transaction);
     }
 
+    /**
+     * Replace content with a single change spanning only the differing region,
+     * so the selection and scroll position outside it are kept
+     * @param {string} content - New content
+     */
+    replaceContent(content) {
+        if (!this.view) return;
+
+        const current = this.view.state.doc.toString();
+        const next = content || '';
+        if (current === next) return;
+
+        let from = 0;
+        while (from < current.length && from < next.length && current[from] === next[from]) from++;
+        let currentEnd = current.length;
+        let nextEnd = next.length;
+        while (currentEnd > from && nextEnd > from && current[currentEnd - 1] === next[nextEnd - 1]) {
+            currentEnd--;
+            nextEnd--;
+        }
+
+        this.view.dispatch({
+            changes: { from, to: currentEnd, insert: next.slice(from, nextEnd) }
+        });
+    }
+
     /**
      * Get editor content
      * @returns {string}
@@ -140,6 +333,22 @@ export class CodeEditor {
         this.onChangeCallback = callback;
     }
 
+    /**
+     * Set cursor move callback, called with the cursor position
+     * @param {Function} callback - Callback function
+     */
+    onCursorChange(callback) {
+        this.onCursorChangeCallback = callback;
+    }
+
+    /**
+     * Set hover callback, called with the document position under the mouse (null when outside)
+     * @param {Function} callback - Callback function
+     */
+    onHover(callback) {
+        this.onHoverCallback = callback;
+    }
+
     /**
      * Focus editor
      */
@@ -169,6 +378,7 @@ export class CodeEditor {
         // Reconfigure editor to apply new theme
         const currentContent = this.getValue();
         const cursorPos = this.view.state.selection.main.head;
+        const diagnostics = this.view.state.field(diagnosticsField);
 
         // Destroy old editor
         this.view.destroy();
@@ -176,11 +386,36 @@ export class CodeEditor {
         // Create new editor (will apply new theme)
         this.setupEditor();
 
-        // Restore content and cursor position
+        // Restore content, cursor position and diagnostics
         this.setValue(currentContent);
         this.view.dispatch({
             selection: { anchor: cursorPos, head: cursorPos }
         });
+        this.setDiagnostics(diagnostics);
+    }
+
+    /**
+     * Show diagnostics as underlines and gutter markers (replaces previous ones)
+     * @param {Array<{from?: number, to?: number, line?: number, column?: number, severity: string, message: string}>} diagnostics
+     *   Position either as document offsets or as 1-based line (and column)
+     */
+    setDiagnostics(diagnostics) {
+        if (!this.view) return;
+
+        const doc = this.view.state.doc;
+        const resolved = (diagnostics || []).map(diagnostic => {
+            let { from, to } = diagnostic;
+            if (from === undefined && diagnostic.line !== undefined) {
+                const line = doc.line(Math.min(Math.max(1, diagnostic.line), doc.lines));
+                from = diagnostic.column ? Math.min(line.from + diagnostic.column - 1, line.to) : line.from;
+                to = diagnostic.column ? from : line.to;
+            }
+            from = Math.min(Math.max(0, from || 0), doc.length);
+            to = Math.min(Math.max(from, to ?? from), doc.length);
+            return { from, to, severity: diagnostic.severity || 'error', message: diagnostic.message };
+        });
+
+        this.view.dispatch({ effects: setDiagnosticsEffect.of(resolved) });
     }
 
     /**
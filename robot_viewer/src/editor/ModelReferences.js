@@ -0,0 +1,400 @@
+/**
+ * ModelReferences - Names defined and referenced in URDF / MJCF documents
+ * A small tag scanner keeps source positions, which the editor uses for
+ * name completion and for linting dangling references
+ */
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function rule(kind, element, attributes, parent = null, test = null) {
+    return { kind, element, attributes: [].concat(attributes), parent, test };
+}
+
+function attr(element, name) {
+    return element.attributes.get(name)?.value;
+}
+
+function fileStem(path) {
+    return (path || '').split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+}
+
+function fileName(path) {
+    return (path || '').split(/[\\/]/).pop();
+}
+
+function dirName(path) {
+    return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+/**
+ * Path of a file relative to a directory ('a/b/' + '../c' style), both relative to the same root
+ */
+function relativePath(fromDir, path) {
+    const from = fromDir.split('/').filter(Boolean);
+    const to = path.split('/');
+    let common = 0;
+    while (common < from.length && common < to.length - 1 && from[common] === to[common]) common++;
+    return [...from.slice(common).map(() => '..'), ...to.slice(common)].join('/');
+}
+
+/**
+ * Join a directory and a relative path, resolving '.' and '..'
+ */
+function joinPath(dir, path) {
+    const parts = [];
+    `${dir}/${path}`.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part && part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+const MJCF_BODY_PARENTS = ['body', 'frame', 'worldbody'];
+const inBody = element => MJCF_BODY_PARENTS.includes(element.parent?.name);
+
+/**
+ * Per format: where names are defined, which attributes refer to them
+ * and extra structural checks
+ */
+const REFERENCE_RULES = {
+    urdf: {
+        definitions: [
+            rule('link', 'link', 'name'),
+            rule('joint', 'joint', 'name', null, element => element.parent?.name !== 'transmission'),
+            // Material in a visual defines a new one only with color/texture
+            rule('material', 'material', 'name', null, element => element.parent?.name !== 'visual' || element.children.length > 0)
+        ],
+        references: [
+            rule('link', 'parent', 'link'),
+            rule('link', 'child', 'link'),
+            rule('joint', 'mimic', 'joint'),
+            rule('joint', 'joint', 'name', 'transmission'),
+            rule('material', 'material', 'name', 'visual', element => element.children.length === 0),
+            { ...rule('link', 'gazebo', 'reference'), lint: false }
+        ],
+        // Attributes naming a mesh file, checked against the loaded files
+        files: [rule('mesh', 'mesh', 'filename')],
+        checks: [checkURDFInertials]
+    },
+    mjcf: {
+        implicit: { body: ['world'], class: ['main'] },
+        definitions: [
+            rule('body', 'body', 'name'),
+            rule('joint', 'joint', 'name', null, inBody),
+            rule('joint', 'freejoint', 'name'),
+            rule('geom', 'geom', 'name', null, inBody),
+            rule('site', 'site', 'name', null, inBody),
+            // Mesh name defaults to the file name without extension
+            { ...rule('mesh', 'mesh', 'name', 'asset'), getName: element => attr(element, 'name') || fileStem(attr(element, 'file')) },
+            rule('material', 'material', 'name', 'asset'),
+            rule('texture', 'texture', 'name', 'asset'),
+            rule('hfield', 'hfield', 'name', 'asset'),
+            rule('tendon', 'spatial', 'name'),
+            rule('tendon', 'fixed', 'name'),
+            rule('actuator', '*', 'name', 'actuator'),
+            rule('class', 'default', 'class')
+        ],
+        references: [
+            rule('mesh', 'geom', 'mesh'),
+            rule('hfield', 'geom', 'hfield'),
+            rule('material', 'geom', 'material'),
+            rule('material', 'site', 'material'),
+            rule('texture', 'material', 'texture'),
+            rule('class', '*', ['class', 'childclass'], null, element => element.name !== 'default'),
+            rule('body', 'camera', 'target'),
+            rule('body', 'light', 'target'),
+            rule('joint', '*', ['joint', 'jointinparent'], 'actuator'),
+            rule('tendon', '*', 'tendon', 'actuator'),
+            rule('site', '*', ['site', 'refsite'], 'actuator'),
+            rule('body', '*', 'body', 'actuator'),
+            rule('joint', '*', 'joint', 'sensor'),
+            rule('actuator', '*', 'actuator', 'sensor'),
+            rule('site', '*', 'site', 'sensor'),
+            rule('body', '*', 'body', 'sensor'),
+            rule('tendon', '*', 'tendon', 'sensor'),
+            rule('geom', 'pair', ['geom1', 'geom2']),
+            rule('body', 'exclude', ['body1', 'body2']),
+            rule('body', 'connect', ['body1', 'body2']),
+            rule('site', 'connect', ['site1', 'site2']),
+            rule('body', 'weld', ['body1', 'body2']),
+            rule('site', 'weld', ['site1', 'site2']),
+            rule('joint', 'joint', ['joint1', 'joint2'], 'equality'),
+            rule('tendon', 'tendon', ['tendon1', 'tendon2'], 'equality'),
+            rule('joint', 'joint', 'joint', 'fixed'),
+            rule('site', 'site', 'site', 'spatial'),
+            rule('geom', 'geom', 'geom', 'spatial'),
+            rule('site', 'geom', 'sidesite', 'spatial')
+        ],
+        files: [rule('mesh', 'mesh', 'file', 'asset')],
+        checks: [checkMJCFMasses]
+    }
+};
+
+/**
+ * Scan start tags of an XML document (comments, CDATA and declarations are skipped)
+ * @returns {{elements: Array<Object>, open: Array<Object>}} Elements in document order
+ *   ({name, from, to, end, attributes: Map<name, {value, from, to}>, parent, children}; from/to is the
+ *   start tag, end the end of the closing tag) and elements still open at the end of the text
+ */
+export function scanElements(content) {
+    const elements = [];
+    const open = [];
+
+    for (const match of content.matchAll(TOKEN_PATTERN)) {
+        const [token, closingName, name, attributeText, selfClosing] = match;
+        if (closingName) {
+            const index = open.map(element => element.name).lastIndexOf(closingName);
+            if (index >= 0) {
+                open.slice(index).forEach(element => {
+                    element.end = match.index + token.length;
+                });
+                open.length = index;
+            }
+            continue;
+        }
+        if (!name) continue;
+
+        const parent = open[open.length - 1] || null;
+        const element = {
+            name,
+            from: match.index,
+            to: match.index + token.length,
+            end: match.index + token.length,
+            attributes: new Map(),
+            parent,
+            children: []
+        };
+
+        const attributesStart = match.index + 1 + name.length;
+        for (const attribute of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+            const value = attribute[2] ?? attribute[3];
+            // Value ends right before the closing quote
+            const from = attributesStart + attribute.index + attribute[0].length - 1 - value.length;
+            element.attributes.set(attribute[1], { value, from, to: from + value.length });
+        }
+
+        parent?.children.push(element);
+        elements.push(element);
+        if (!selfClosing) open.push(element);
+    }
+
+    // Unclosed elements extend to the end of the document
+    open.forEach(element => {
+        element.end = content.length;
+    });
+
+    return { elements, open };
+}
+
+/**
+ * Elements containing a document position, outermost first
+ * @param {Array<Object>} elements - From scanElements
+ */
+export function elementsAt(elements, pos) {
+    return elements.filter(element => element.from <= pos && pos <= element.end);
+}
+
+function matchesRule(rule, element) {
+    return (rule.element === '*' || rule.element === element.name) &&
+        (!rule.parent || element.parent?.name === rule.parent) &&
+        (!rule.test || rule.test(element));
+}
+
+/**
+ * Names defined in the document
+ * @returns {Map<string, Set<string>>} kind -> names
+ */
+export function collectDefinitions(elements, type) {
+    const rules = REFERENCE_RULES[type];
+    const definitions = new Map();
+    if (!rules) return definitions;
+
+    Object.entries(rules.implicit || {}).forEach(([kind, names]) => definitions.set(kind, new Set(names)));
+    elements.forEach(element => {
+        rules.definitions.forEach(definition => {
+            if (!matchesRule(definition, element)) return;
+            const name = definition.getName ? definition.getName(element) : attr(element, definition.attributes[0]);
+            if (!name) return;
+            if (!definitions.has(definition.kind)) definitions.set(definition.kind, new Set());
+            definitions.get(definition.kind).add(name);
+        });
+    });
+    return definitions;
+}
+
+/**
+ * Dangling references, unknown mesh files and missing mass properties as editor diagnostics
+ * @param {string} content
+ * @param {'urdf'|'mjcf'} type
+ * @param {Object} [assets] - Loaded files ({paths, packageDirs, documentPath}, see CodeEditorManager.getAssets);
+ *   mesh files are only checked when meshes were loaded with the document
+ * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+ */
+export function lintReferences(content, type, assets = null) {
+    const rules = REFERENCE_RULES[type];
+    if (!rules) return [];
+
+    const { elements } = scanElements(content);
+    const definitions = collectDefinitions(elements, type);
+    const diagnostics = [];
+
+    // Names (and inertials) may come from included files or be generated by xacro macros
+    const partial = elements.some(element => element.name === 'include' || element.name.startsWith('xacro:'));
+    if (!partial) {
+        elements.forEach(element => {
+            rules.references.forEach(reference => {
+                if (reference.lint === false || !matchesRule(reference, element)) return;
+                reference.attributes.forEach(name => {
+                    const attribute = element.attributes.get(name);
+                    if (!attribute?.value || definitions.get(reference.kind)?.has(attribute.value)) return;
+                    diagnostics.push({
+                        from: attribute.from,
+                        to: attribute.to,
+                        severity: 'error',
+                        message: `${window.i18n.t('lintUnknownReference')} (${reference.kind}): ${attribute.value}`
+                    });
+                });
+            });
+        });
+    }
+
+    if (assets?.paths.length > 0) {
+        diagnostics.push(...lintFiles(elements, rules, assets));
+    }
+
+    if (!partial) {
+        rules.checks.forEach(check => diagnostics.push(...check(elements)));
+    }
+    return diagnostics.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Mesh file attributes that no loaded file matches. Like the loaders' last fallback
+ * the file name decides, so only references the viewer cannot load are reported
+ */
+function lintFiles(elements, rules, assets) {
+    const names = new Set(assets.paths.map(fileName));
+    const diagnostics = [];
+
+    elements.forEach(element => {
+        rules.files.forEach(reference => {
+            if (!matchesRule(reference, element)) return;
+            reference.attributes.forEach(name => {
+                const attribute = element.attributes.get(name);
+                const value = attribute?.value;
+                // Remote files and xacro substitutions are not resolved here
+                if (!value || value.includes('$') || /^(?!package:)[a-z]+:\/\//i.test(value)) return;
+                if (names.has(fileName(value))) return;
+                diagnostics.push({
+                    from: attribute.from,
+                    to: attribute.to,
+                    severity: 'error',
+                    message: `${window.i18n.t('lintUnknownMeshFile')}: ${value}`
+                });
+            });
+        });
+    });
+    return diagnostics;
+}
+
+function elementDiagnostic(element, severity, message) {
+    const name = element.attributes.get('name');
+    return {
+        from: name ? name.from : element.from,
+        to: name ? name.to : element.to,
+        severity,
+        message
+    };
+}
+
+/**
+ * URDF links with geometry need an inertial (massless links are only fine as frames)
+ */
+function checkURDFInertials(elements) {
+    return elements
+        .filter(element => element.name === 'link' &&
+            element.children.some(child => child.name === 'visual' || child.name === 'collision') &&
+            !element.children.some(child => child.name === 'inertial'))
+        .map(element => elementDiagnostic(element, 'warning',
+            `${window.i18n.t('lintMissingInertial')}: ${attr(element, 'name') || ''}`));
+}
+
+/**
+ * MJCF bodies with joints need mass from an inertial or (unless disabled in compiler) from geoms
+ */
+function checkMJCFMasses(elements) {
+    const compiler = elements.find(element => element.name === 'compiler');
+    const geomsGiveMass = !compiler || attr(compiler, 'inertiafromgeom') !== 'false';
+
+    return elements
+        .filter(element => element.name === 'body' &&
+            element.children.some(child => child.name === 'joint' || child.name === 'freejoint') &&
+            !element.children.some(child => child.name === 'inertial' || (geomsGiveMass && child.name === 'geom')))
+        .map(element => elementDiagnostic(element, 'warning',
+            `${window.i18n.t('lintBodyWithoutMass')}: ${attr(element, 'name') || ''}`));
+}
+
+/**
+ * Completion of names defined in the document inside reference attribute values
+ * and of loaded mesh files inside mesh file attributes
+ * (CodeMirror completion source, context from @codemirror/autocomplete)
+ * @param {Object} [assets] - Loaded files, see lintReferences
+ */
+export function completeReferences(context, type, assets = null) {
+    const rules = REFERENCE_RULES[type];
+    if (!rules) return null;
+
+    const content = context.state.doc.toString();
+    const before = content.slice(0, context.pos);
+    const tagStart = before.lastIndexOf('<');
+    if (tagStart < 0) return null;
+
+    // Cursor in an attribute value of the tag being typed
+    const match = before.slice(tagStart).match(/^<([\w:.-]+)(?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s+([\w:.-]+)\s*=\s*["']([^"'<>]*)$/);
+    if (!match) return null;
+    const [, elementName, attributeName, value] = match;
+
+    const { open } = scanElements(before.slice(0, tagStart));
+    const element = { name: elementName, attributes: new Map(), parent: open[open.length - 1] || null, children: [] };
+    if (rules.files.some(r => r.attributes.includes(attributeName) && matchesRule(r, element))) {
+        const options = assets ? meshFileOptions(content, type, assets) : [];
+        return options.length > 0 ? { from: context.pos - value.length, options, validFor: /^[^"'<>]*$/ } : null;
+    }
+
+    const reference = rules.references.find(r => r.attributes.includes(attributeName) && matchesRule(r, element));
+    if (!reference) return null;
+
+    const names = collectDefinitions(scanElements(content).elements, type).get(reference.kind);
+    if (!names?.size) return null;
+
+    return {
+        from: context.pos - value.length,
+        options: Array.from(names, name => ({ label: name, type: 'variable', detail: reference.kind })),
+        validFor: /^[^"'<>]*$/
+    };
+}
+
+/**
+ * Loaded mesh files as the document would reference them: URDF as package:// path when the
+ * mesh is in a package (directory with package.xml), otherwise relative to the document;
+ * MJCF relative to the compiler meshdir
+ */
+function meshFileOptions(content, type, assets) {
+    let baseDir = dirName(assets.documentPath || '');
+    if (type === 'mjcf') {
+        const compiler = scanElements(content).elements.find(element => element.name === 'compiler');
+        const meshDir = compiler && (attr(compiler, 'meshdir') || attr(compiler, 'assetdir'));
+        if (meshDir) baseDir = `${joinPath(baseDir, meshDir)}/`;
+    }
+
+    // Package directories end with '/', innermost first
+    const packageDirs = type === 'urdf' ? [...(assets.packageDirs || [])].sort((a, b) => b.length - a.length) : [];
+    return assets.paths.map(path => {
+        const packageDir = packageDirs.find(dir => path.startsWith(dir));
+        const label = packageDir
+            ? `package://${fileName(packageDir.slice(0, -1))}/${path.slice(packageDir.length)}`
+            : relativePath(baseDir, path);
+        return { label, type: 'text', detail: fileName(path) };
+    });
+}
@@ -0,0 +1,164 @@
+/**
+ * RobotSchemas - URDF and MJCF element schemas for editor completion
+ * Format of @codemirror/lang-xml: elements with allowed children and attributes,
+ * attributes with predefined values
+ */
+
+// children: allowed child elements (none by default), null allows all
+function element(name, attributes = [], children = [], top = false) {
+    const spec = { name, attributes };
+    if (children) spec.children = children;
+    if (top) spec.top = true;
+    return spec;
+}
+
+function values(name, list) {
+    return { name, values: list };
+}
+
+const BOOLEAN = ['true', 'false'];
+const AUTO_BOOLEAN = ['true', 'false', 'auto'];
+
+// URDF (ROS), including xacro statements
+const URDF_ELEMENTS = [
+    element('robot', ['name', 'xmlns:xacro'], ['link', 'joint', 'material', 'transmission', 'gazebo',
+        'xacro:include', 'xacro:macro', 'xacro:property', 'xacro:arg', 'xacro:if', 'xacro:unless'], true),
+    element('link', ['name'], ['inertial', 'visual', 'collision']),
+    element('inertial', [], ['origin', 'mass', 'inertia']),
+    element('origin', ['xyz', 'rpy']),
+    element('mass', ['value']),
+    element('inertia', ['ixx', 'ixy', 'ixz', 'iyy', 'iyz', 'izz']),
+    element('visual', ['name'], ['origin', 'geometry', 'material']),
+    element('collision', ['name'], ['origin', 'geometry']),
+    element('geometry', [], ['box', 'cylinder', 'sphere', 'mesh']),
+    element('box', ['size']),
+    element('cylinder', ['radius', 'length']),
+    element('sphere', ['radius']),
+    element('mesh', ['filename', 'scale']),
+    element('material', ['name'], ['color', 'texture']),
+    element('color', ['rgba']),
+    element('texture', ['filename']),
+    element('joint', [values('type', ['revolute', 'continuous', 'prismatic', 'fixed', 'floating', 'planar']), 'name'],
+        ['origin', 'parent', 'child', 'axis', 'calibration', 'dynamics', 'limit', 'mimic', 'safety_controller', 'hardwareInterface']),
+    element('parent', ['link']),
+    element('child', ['link']),
+    element('axis', ['xyz']),
+    element('calibration', ['rising', 'falling']),
+    element('dynamics', ['damping', 'friction']),
+    element('limit', ['lower', 'upper', 'effort', 'velocity']),
+    element('mimic', ['joint', 'multiplier', 'offset']),
+    element('safety_controller', ['soft_lower_limit', 'soft_upper_limit', 'k_position', 'k_velocity']),
+    element('transmission', ['name'], ['type', 'joint', 'actuator']),
+    element('type'),
+    element('actuator', ['name'], ['hardwareInterface', 'mechanicalReduction']),
+    element('hardwareInterface'),
+    element('mechanicalReduction'),
+    element('gazebo', ['reference']),
+    element('xacro:include', ['filename']),
+    element('xacro:macro', ['name', 'params'], null),
+    element('xacro:property', ['name', 'value']),
+    element('xacro:arg', ['name', 'default']),
+    element('xacro:if', ['value'], null),
+    element('xacro:unless', ['value'], null)
+];
+
+// MJCF (MuJoCo)
+const ORIENTATION = ['quat', 'axisangle', 'euler', 'xyaxes', 'zaxis'];
+const ACTUATOR_ATTRIBUTES = ['name', 'class', 'joint', 'jointinparent', 'tendon', 'site', 'refsite', 'body',
+    values('ctrllimited', AUTO_BOOLEAN), 'ctrlrange', values('forcelimited', AUTO_BOOLEAN), 'forcerange',
+    'gear', 'kp', 'kv', 'dampratio', 'gainprm', 'biasprm', 'dynprm',
+    values('dyntype', ['none', 'integrator', 'filter', 'filterexact', 'muscle']),
+    values('gaintype', ['fixed', 'affine', 'muscle']), values('biastype', ['none', 'affine', 'muscle'])];
+const ACTUATORS = ['general', 'motor', 'position', 'velocity', 'intvelocity', 'damper', 'cylinder', 'muscle', 'adhesion'];
+const SENSOR_ATTRIBUTES = ['name', 'joint', 'actuator', 'site', 'body', 'tendon', 'objtype', 'objname', 'noise', 'cutoff'];
+const SENSORS = ['jointpos', 'jointvel', 'actuatorpos', 'actuatorvel', 'actuatorfrc', 'framepos', 'framequat',
+    'framelinvel', 'frameangvel', 'touch', 'accelerometer', 'gyro', 'velocimeter', 'force', 'torque',
+    'subtreecom', 'rangefinder', 'tendonpos', 'tendonvel'];
+const BODY_CHILDREN = ['inertial', 'joint', 'freejoint', 'geom', 'site', 'camera', 'light', 'body', 'frame'];
+
+const MJCF_ELEMENTS = [
+    element('mujoco', ['model'], ['compiler', 'option', 'size', 'visual', 'statistic', 'default', 'asset',
+        'worldbody', 'contact', 'equality', 'tendon', 'actuator', 'sensor', 'keyframe', 'include'], true),
+    element('include', ['file']),
+    element('compiler', [values('angle', ['radian', 'degree']), 'meshdir', 'texturedir', 'assetdir',
+        values('autolimits', BOOLEAN), values('inertiafromgeom', AUTO_BOOLEAN), values('balanceinertia', BOOLEAN),
+        'eulerseq', values('discardvisual', BOOLEAN), values('fusestatic', BOOLEAN), 'boundmass', 'boundinertia']),
+    element('option', ['timestep', 'gravity', 'wind', 'density', 'viscosity', 'iterations', 'tolerance',
+        values('integrator', ['Euler', 'RK4', 'implicit', 'implicitfast']), values('cone', ['pyramidal', 'elliptic']),
+        values('jacobian', ['dense', 'sparse', 'auto']), values('solver', ['PGS', 'CG', 'Newton'])], ['flag']),
+    element('flag', ['contact', 'gravity', 'limit', 'equality', 'actuation', 'warmstart', 'energy']
+        .map(name => values(name, ['enable', 'disable']))),
+    element('size', ['memory', 'njmax', 'nconmax', 'nstack', 'nuserdata', 'nkey']),
+    element('visual', [], ['global', 'quality', 'headlight', 'map', 'scale', 'rgba']),
+    element('global', ['offwidth', 'offheight', 'fovy', 'azimuth', 'elevation']),
+    element('quality', ['shadowsize', 'offsamples']),
+    element('headlight', ['ambient', 'diffuse', 'specular', 'active']),
+    element('map', ['znear', 'zfar', 'force', 'torque']),
+    element('scale', ['forcewidth', 'contactwidth', 'contactheight', 'framelength', 'framewidth', 'jointlength', 'jointwidth']),
+    element('rgba', ['haze', 'fog', 'contactpoint', 'contactforce']),
+    element('statistic', ['extent', 'center', 'meansize']),
+    element('default', ['class'], ['default', 'mesh', 'material', 'joint', 'geom', 'site', 'camera', 'light',
+        'pair', 'equality', 'tendon', ...ACTUATORS]),
+    element('asset', [], ['mesh', 'texture', 'material', 'hfield']),
+    element('mesh', ['name', 'class', 'file', 'vertex', 'face', 'scale', 'refpos', 'refquat', 'content_type']),
+    element('texture', ['name', values('type', ['2d', 'cube', 'skybox']),
+        values('builtin', ['none', 'gradient', 'checker', 'flat']), 'rgb1', 'rgb2', 'width', 'height', 'file',
+        'gridsize', 'gridlayout', 'mark', 'markrgb', 'random']),
+    element('material', ['name', 'class', 'texture', 'texrepeat', values('texuniform', BOOLEAN), 'emission',
+        'specular', 'shininess', 'reflectance', 'rgba']),
+    element('hfield', ['name', 'file', 'size', 'nrow', 'ncol']),
+    element('worldbody', [], ['body', 'geom', 'site', 'camera', 'light', 'frame']),
+    element('body', ['name', 'childclass', 'pos', ...ORIENTATION, values('mocap', BOOLEAN), 'gravcomp'], BODY_CHILDREN),
+    element('frame', ['name', 'childclass', 'pos', ...ORIENTATION], BODY_CHILDREN),
+    element('inertial', ['pos', 'quat', 'euler', 'axisangle', 'mass', 'diaginertia', 'fullinertia']),
+    // Also a fixed tendon / equality element
+    element('joint', ['name', 'class', values('type', ['hinge', 'slide', 'ball', 'free']), 'pos', 'axis', 'range',
+        values('limited', AUTO_BOOLEAN), 'damping', 'stiffness', 'armature', 'frictionloss', 'springref', 'ref',
+        'actuatorfrcrange', 'joint', 'coef', 'joint1', 'joint2', 'polycoef']),
+    element('freejoint', ['name']),
+    element('geom', ['name', 'class', values('type', ['plane', 'hfield', 'sphere', 'capsule', 'ellipsoid',
+        'cylinder', 'box', 'mesh', 'sdf']), 'size', 'fromto', 'pos', ...ORIENTATION, 'rgba', 'mass', 'density',
+        'friction', 'condim', 'contype', 'conaffinity', 'group', 'priority', 'material', 'mesh', 'hfield',
+        'solref', 'solimp', 'margin', 'gap', 'geom', 'sidesite']),
+    element('site', ['name', 'class', values('type', ['sphere', 'capsule', 'ellipsoid', 'cylinder', 'box']),
+        'size', 'fromto', 'pos', ...ORIENTATION, 'rgba', 'group', 'material', 'site']),
+    element('camera', ['name', 'class', values('mode', ['fixed', 'track', 'trackcom', 'targetbody', 'targetbodycom']),
+        'target', 'pos', ...ORIENTATION, 'fovy']),
+    element('light', ['name', 'class', values('directional', BOOLEAN), values('castshadow', BOOLEAN), 'pos', 'dir',
+        'diffuse', 'specular', 'ambient', values('mode', ['fixed', 'track', 'trackcom', 'targetbody', 'targetbodycom']), 'target']),
+    element('contact', [], ['pair', 'exclude']),
+    element('pair', ['name', 'class', 'geom1', 'geom2', 'condim', 'friction', 'solref', 'solimp', 'margin', 'gap']),
+    element('exclude', ['name', 'body1', 'body2']),
+    element('equality', [], ['connect', 'weld', 'joint', 'tendon']),
+    element('connect', ['name', 'class', 'body1', 'body2', 'site1', 'site2', 'anchor', values('active', BOOLEAN)]),
+    element('weld', ['name', 'class', 'body1', 'body2', 'site1', 'site2', 'anchor', 'relpose', 'torquescale',
+        values('active', BOOLEAN)]),
+    // Tendon section and equality constraint between tendons
+    element('tendon', ['name', 'tendon1', 'tendon2', 'polycoef'], ['spatial', 'fixed']),
+    element('spatial', ['name', 'class', values('limited', AUTO_BOOLEAN), 'range', 'width', 'rgba', 'stiffness',
+        'damping'], ['site', 'geom', 'pulley']),
+    element('fixed', ['name', 'class', values('limited', AUTO_BOOLEAN), 'range', 'stiffness', 'damping'], ['joint']),
+    element('pulley', ['divisor']),
+    element('actuator', [], ACTUATORS),
+    ...ACTUATORS.map(name => element(name, ACTUATOR_ATTRIBUTES)),
+    element('sensor', [], SENSORS),
+    ...SENSORS.map(name => element(name, SENSOR_ATTRIBUTES)),
+    element('keyframe', [], ['key']),
+    element('key', ['name', 'time', 'qpos', 'qvel', 'act', 'ctrl', 'mpos', 'mquat'])
+];
+
+export const ROBOT_SCHEMAS = {
+    urdf: { elements: URDF_ELEMENTS },
+    mjcf: { elements: MJCF_ELEMENTS }
+};
+
+/**
+ * Schema type of an XML document from its root element
+ * @returns {'urdf'|'mjcf'|null}
+ */
+export function detectSchemaType(content) {
+    const root = (content || '').replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '').match(/<([\w:.-]+)/);
+    if (root?.[1] === 'robot') return 'urdf';
+    if (root?.[1] === 'mujoco') return 'mjcf';
+    return null;
+}
@@ -0,0 +1,35 @@
+/**
+ * Conversion warnings of the exporters
+ * A warning is an i18n key with values for its {placeholders}, translated when it is shown
+ */
+
+/**
+ * @param {string} key - i18n key (exportWarn...)
+ * @param {Object} [values] - Placeholder name -> value
+ * @returns {{key: string, values: Object}}
+ */
+export function exportWarning(key, values = {}) {
+    return { key, values };
+}
+
+/**
+ * Drop repeated warnings, keeping the first occurrence
+ */
+export function uniqueWarnings(warnings) {
+    const unique = new Map();
+    warnings.forEach(warning => {
+        const id = JSON.stringify(warning);
+        if (!unique.has(id)) unique.set(id, warning);
+    });
+    return Array.from(unique.values());
+}
+
+/**
+ * Warning text in the current language
+ */
+export function formatExportWarning(warning) {
+    return Object.entries(warning.values).reduce(
+        (text, [name, value]) => text.replaceAll(`{${name}}`, value),
+        window.i18n.t(warning.key)
+    );
+}
@@ -0,0 +1,414 @@
+/**
+ * MJCF Exporter
+ * Serializes URDF-convention UnifiedRobotModel (from URDF, xacro or SDF) to MuJoCo XML
+ *
+ * A URDF link frame coincides with its parent joint frame, so each link maps to one
+ * <body> placed at the joint origin with the joint at the body origin. Visuals and
+ * collisions become geoms in the "visual" (group 2) and "collision" (group 3) classes.
+ */
+import * as THREE from 'three';
+import { URDFExporter } from './URDFExporter.js';
+import { exportWarning, uniqueWarnings } from './ExportWarnings.js';
+
+// Mesh formats MuJoCo can compile
+const SUPPORTED_MESH_FORMATS = ['stl', 'obj', 'msh'];
+
+export class MJCFExporter {
+    /**
+     * Whether model can be exported (URDF-convention models; MJCF models keep their original XML)
+     */
+    static supports(model) {
+        return !!model && ['urdf', 'sdf'].includes(model.userData?.type) && model.links?.size > 0;
+    }
+
+    /**
+     * Export model to MJCF
+     * @param {UnifiedRobotModel} model
+     * @param {Object} options
+     * @param {string} options.meshDir - Directory for mesh files in exported package (default 'meshes')
+     * @param {boolean} options.floatingBase - Add a free joint to root bodies (default false, base welded to world)
+     * @returns {{xml: string, meshes: Array<{source: string, path: string}>, warnings: Array<{key: string, values: Object}>}}
+     *          warnings are i18n keys with values, see ExportWarnings
+     *          meshes maps original mesh references to paths relative to the MJCF file
+     */
+    static export(model, options = {}) {
+        const meshDir = options.meshDir ?? 'meshes';
+        const ctx = {
+            meshDir: '',
+            meshes: new Map(), // source -> file name inside mesh directory
+            usedMeshNames: new Set(),
+            meshAssets: new Map(), // source|scale -> {name, file, scale}
+            materials: new Map(), // name -> rgba
+            warnings: [],
+            floatingBase: !!options.floatingBase
+        };
+
+        const { roots, children } = this.buildTree(model);
+
+        const bodyLines = [];
+        roots.forEach(rootName => {
+            const root = model.links.get(rootName);
+            if (this.isWorldLink(root)) {
+                // World link is the worldbody itself
+                bodyLines.push(...this.exportGeoms(root, '    ', ctx));
+                (children.get(rootName) || []).forEach(({ link, joint }) => {
+                    bodyLines.push(...this.exportBody(model, link, joint, children, '    ', true, ctx));
+                });
+            } else {
+                bodyLines.push(...this.exportBody(model, root, null, children, '    ', true, ctx));
+            }
+        });
+
+        const actuatorLines = [];
+        const equalityLines = [];
+        model.joints.forEach(joint => {
+            const type = this.jointType(joint);
+            if (type !== 'hinge' && type !== 'slide') return;
+
+            const effort = joint.limits?.effort;
+            const ctrlRange = effort > 0
+                ? ` ctrlrange="${this.formatVector([-effort, effort])}" ctrllimited="true"`
+                : '';
+            actuatorLines.push(`    <motor name="${this.escape(joint.name)}" joint="${this.escape(joint.name)}" gear="1"${ctrlRange}/>`);
+
+            const mimic = joint.userData?.mimic;
+            if (mimic && model.joints.has(mimic.joint)) {
+                const polycoef = [mimic.offset || 0, mimic.multiplier ?? 1, 0, 0, 0];
+                equalityLines.push(`    <joint joint1="${this.escape(joint.name)}" joint2="${this.escape(mimic.joint)}" polycoef="${this.formatVector(polycoef)}"/>`);
+            }
+        });
+
+        const lines = [];
+        lines.push(`<mujoco model="${this.escape(model.name || 'robot')}">`);
+        lines.push(`  <compiler angle="radian" meshdir="${this.escape(meshDir || '.')}" balanceinertia="true"/>`);
+        lines.push('');
+        lines.push('  <default>');
+        lines.push('    <default class="visual">');
+        lines.push('      <geom group="2" contype="0" conaffinity="0" density="0"/>');
+        lines.push('    </default>');
+        lines.push('    <default class="collision">');
+        lines.push('      <geom group="3"/>');
+        lines.push('    </default>');
+        lines.push('  </default>');
+
+        if (ctx.meshAssets.size > 0 || ctx.materials.size > 0) {
+            lines.push('');
+            lines.push('  <asset>');
+            ctx.materials.forEach((rgba, name) => {
+                lines.push(`    <material name="${this.escape(name)}" rgba="${this.formatVector([rgba.r, rgba.g, rgba.b, rgba.a ?? 1])}"/>`);
+            });
+            ctx.meshAssets.forEach(asset => {
+                const scale = asset.scale ? ` scale="${this.formatVector(asset.scale)}"` : '';
+                lines.push(`    <mesh name="${this.escape(asset.name)}" file="${this.escape(asset.file)}"${scale}/>`);
+            });
+            lines.push('  </asset>');
+        }
+
+        lines.push('');
+        lines.push('  <worldbody>');
+        lines.push(...bodyLines);
+        lines.push('  </worldbody>');
+
+        if (actuatorLines.length > 0) {
+            lines.push('');
+            lines.push('  <actuator>');
+            lines.push(...actuatorLines);
+            lines.push('  </actuator>');
+        }
+
+        if (equalityLines.length > 0) {
+            lines.push('');
+            lines.push('  <equality>');
+            lines.push(...equalityLines);
+            lines.push('  </equality>');
+        }
+
+        lines.push('</mujoco>');
+
+        const prefix = meshDir ? `${meshDir}/` : '';
+        return {
+            xml: lines.join('\n') + '\n',
+            meshes: Array.from(ctx.meshes.entries()).map(([source, file]) => ({ source, path: prefix + file })),
+            warnings: uniqueWarnings(ctx.warnings)
+        };
+    }
+
+    // ==================== Tree ====================
+
+    /**
+     * Group links under their parent joint
+     * @returns {{roots: string[], children: Map<string, Array<{link: Link, joint: Joint}>>}}
+     */
+    static buildTree(model) {
+        const children = new Map();
+        const hasParent = new Set();
+
+        model.joints.forEach(joint => {
+            if (!joint.child || !model.links.has(joint.child) || !model.links.has(joint.parent)) return;
+            if (hasParent.has(joint.child)) return;
+
+            hasParent.add(joint.child);
+            if (!children.has(joint.parent)) children.set(joint.parent, []);
+            children.get(joint.parent).push({ link: model.links.get(joint.child), joint });
+        });
+
+        const roots = Array.from(model.links.keys()).filter(name => !hasParent.has(name));
+        return { roots, children };
+    }
+
+    /**
+     * URDF/SDF "world" link maps to MJCF worldbody
+     */
+    static isWorldLink(link) {
+        return !!link && (link.userData?.isWorldbody || link.name === 'world');
+    }
+
+    // ==================== Elements ====================
+
+    /**
+     * Export <body> subtree
+     * @param {Joint|null} joint - Joint connecting body to its parent (null for root)
+     */
+    static exportBody(model, link, joint, children, indent, isTopLevel, ctx) {
+        const inner = indent + '  ';
+        const pose = joint
+            ? URDFExporter.originToMatrix(joint.origin, 'urdf')
+            : URDFExporter.originToMatrix(link.userData?.worldOrigin, 'urdf');
+
+        const lines = [`${indent}<body name="${this.escape(link.name)}"${this.poseAttributes(pose)}>`];
+
+        const jointLines = [];
+        if (!joint) {
+            if (ctx.floatingBase) {
+                jointLines.push(`${inner}<freejoint name="${this.escape(link.name)}_root"/>`);
+            }
+        } else {
+            jointLines.push(...this.exportJoint(joint, inner, isTopLevel, ctx));
+        }
+
+        const hasDof = jointLines.length > 0;
+        lines.push(...this.exportInertial(link, inner, hasDof, ctx));
+        lines.push(...jointLines);
+        lines.push(...this.exportGeoms(link, inner, ctx));
+
+        (children.get(link.name) || []).forEach(child => {
+            lines.push(...this.exportBody(model, child.link, child.joint, children, inner, false, ctx));
+        });
+
+        lines.push(`${indent}</body>`);
+        return lines;
+    }
+
+    /**
+     * Map unified joint type to MJCF joint type (null for fixed)
+     */
+    static jointType(joint) {
+        switch (joint.type) {
+            case 'revolute':
+            case 'continuous':
+                return 'hinge';
+            case 'prismatic':
+                return 'slide';
+            case 'floating':
+                return 'free';
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Export <joint> inside body frame
+     */
+    static exportJoint(joint, indent, isTopLevel, ctx) {
+        const type = this.jointType(joint);
+
+        if (type === 'free') {
+            if (!isTopLevel) {
+                ctx.warnings.push(exportWarning('exportWarnFloatingJoint', { joint: joint.name }));
+                return [];
+            }
+            return [`${indent}<freejoint name="${this.escape(joint.name)}"/>`];
+        }
+
+        if (!type) {
+            if (joint.type !== 'fixed') {
+                ctx.warnings.push(exportWarning('exportWarnJointFixed', { joint: joint.name, type: joint.type }));
+            }
+            return [];
+        }
+
+        const attrs = [
+            `name="${this.escape(joint.name)}"`,
+            `type="${type}"`,
+            `axis="${this.formatVector(joint.axis?.xyz || [0, 0, 1])}"`
+        ];
+
+        const limits = joint.limits;
+        if (joint.type !== 'continuous' && limits && limits.lower !== undefined && limits.upper !== undefined && limits.lower < limits.upper) {
+            attrs.push(`range="${this.formatVector([limits.lower, limits.upper])}"`, 'limited="true"');
+        }
+
+        const damping = joint.userData?.damping;
+        const friction = joint.userData?.friction;
+        if (damping) attrs.push(`damping="${this.formatNumber(damping)}"`);
+        if (friction) attrs.push(`frictionloss="${this.formatNumber(friction)}"`);
+
+        return [`${indent}<joint ${attrs.join(' ')}/>`];
+    }
+
+    /**
+     * Export <inertial> (fullinertia in inertial frame)
+     * Massless moving bodies get a tiny inertia so MuJoCo accepts them
+     */
+    static exportInertial(link, indent, hasDof, ctx) {
+        const inertial = link.inertial;
+
+        if (!inertial || !(inertial.mass > 0)) {
+            if (!hasDof) return [];
+
+            // MuJoCo derives inertia from collision geoms (density 1000) when present
+            const hasCollision = link.collisions.some(c => this.isExportableGeometry(c.geometry));
+            if (hasCollision) {
+                ctx.warnings.push(exportWarning('exportWarnMassFromCollision', { link: link.name }));
+                return [];
+            }
+            if (!link.userData?.isVirtual) {
+                ctx.warnings.push(exportWarning('exportWarnPlaceholderInertia', { link: link.name }));
+            }
+            return [`${indent}<inertial pos="0 0 0" mass="0.001" diaginertia="1e-6 1e-6 1e-6"/>`];
+        }
+
+        // fullinertia cannot be combined with an orientation, rotate tensor into body frame
+        const f = v => v || 0;
+        const tensor = new THREE.Matrix3().set(
+            f(inertial.ixx), f(inertial.ixy), f(inertial.ixz),
+            f(inertial.ixy), f(inertial.iyy), f(inertial.iyz),
+            f(inertial.ixz), f(inertial.iyz), f(inertial.izz)
+        );
+        const rotation = new THREE.Matrix3().setFromMatrix4(URDFExporter.originToMatrix({ rpy: inertial.origin?.rpy }, 'urdf'));
+        tensor.premultiply(rotation).multiply(rotation.clone().transpose());
+
+        const e = tensor.elements; // column-major
+        const fullinertia = [e[0], e[4], e[8], e[3], e[6], e[7]];
+        const xyz = inertial.origin?.xyz || [0, 0, 0];
+
+        return [`${indent}<inertial pos="${this.formatVector(xyz)}" mass="${this.formatNumber(inertial.mass)}" fullinertia="${this.formatVector(fullinertia)}"/>`];
+    }
+
+    /**
+     * Export visual and collision geoms of link
+     */
+    static exportGeoms(link, indent, ctx) {
+        const lines = [];
+
+        link.visuals.forEach(visual => {
+            const geometry = this.exportGeometry(visual.geometry, `${link.name}/${visual.name}`, ctx);
+            if (!geometry) return;
+
+            const pose = URDFExporter.originToMatrix(visual.origin, 'urdf');
+            const materialName = URDFExporter.registerMaterial(visual, ctx.materials);
+            const material = materialName ? ` material="${this.escape(materialName)}"` : '';
+            lines.push(`${indent}<geom class="visual" ${geometry}${this.poseAttributes(pose)}${material}/>`);
+        });
+
+        link.collisions.forEach(collision => {
+            const geometry = this.exportGeometry(collision.geometry, `${link.name}/${collision.name}`, ctx);
+            if (!geometry) return;
+
+            const pose = URDFExporter.originToMatrix(collision.origin, 'urdf');
+            lines.push(`${indent}<geom class="collision" ${geometry}${this.poseAttributes(pose)}/>`);
+        });
+
+        return lines;
+    }
+
+    static isExportableGeometry(geometry) {
+        if (!geometry) return false;
+        if (geometry.type === 'mesh') {
+            return !!geometry.filename && SUPPORTED_MESH_FORMATS.includes(this.meshFormat(geometry.filename));
+        }
+        return ['box', 'sphere', 'cylinder', 'capsule'].includes(geometry.type) && !!geometry.size;
+    }
+
+    static meshFormat(filename) {
+        return filename.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    }
+
+    /**
+     * Geometry attributes of <geom>; returns null (and records a warning) for unsupported types
+     * MJCF sizes are half-extents/half-lengths
+     */
+    static exportGeometry(geometry, label, ctx) {
+        if (!this.isExportableGeometry(geometry)) {
+            ctx.warnings.push(geometry?.type === 'mesh' && geometry.filename
+                ? exportWarning('exportWarnMeshFormat', { name: label, format: this.meshFormat(geometry.filename) })
+                : exportWarning('exportWarnGeometryMJCF', { name: label, type: geometry?.type || 'unknown' }));
+            return null;
+        }
+
+        const size = geometry.size;
+        switch (geometry.type) {
+            case 'box':
+                return `type="box" size="${this.formatVector([size.x / 2, size.y / 2, size.z / 2])}"`;
+            case 'sphere':
+                return `type="sphere" size="${this.formatNumber(size.radius)}"`;
+            case 'cylinder':
+            case 'capsule':
+                return `type="${geometry.type}" size="${this.formatVector([size.radius, size.height / 2])}"`;
+            case 'mesh':
+                return `type="mesh" mesh="${this.escape(this.registerMeshAsset(geometry, ctx))}"`;
+        }
+        return null;
+    }
+
+    /**
+     * Register mesh asset; the same file with different scales becomes separate assets
+     * @returns {string} Mesh asset name
+     */
+    static registerMeshAsset(geometry, ctx) {
+        const scale = geometry.scale && geometry.scale.some(s => s !== 1) ? geometry.scale : null;
+        const key = `${geometry.filename}|${scale ? scale.join(' ') : ''}`;
+        if (ctx.meshAssets.has(key)) return ctx.meshAssets.get(key).name;
+
+        const file = URDFExporter.registerMesh(geometry.filename, ctx);
+        const base = file.replace(/\.[^.]+$/, '');
+        const usedNames = new Set(Array.from(ctx.meshAssets.values()).map(asset => asset.name));
+        let name = base;
+        for (let i = 1; usedNames.has(name); i++) name = `${base}_${i}`;
+
+        ctx.meshAssets.set(key, { name, file, scale });
+        return name;
+    }
+
+    // ==================== Formatting ====================
+
+    /**
+     * pos/quat attributes of a transform (omitted when identity)
+     */
+    static poseAttributes(matrix) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+
+        let attrs = '';
+        if (position.lengthSq() > 0) {
+            attrs += ` pos="${this.formatVector([position.x, position.y, position.z])}"`;
+        }
+        if (Math.abs(quaternion.w) < 1 - 1e-12) {
+            attrs += ` quat="${this.formatVector([quaternion.w, quaternion.x, quaternion.y, quaternion.z])}"`;
+        }
+        return attrs;
+    }
+
+    static formatNumber(value) {
+        return URDFExporter.formatNumber(value);
+    }
+
+    static formatVector(values) {
+        return URDFExporter.formatVector(values);
+    }
+
+    static escape(text) {
+        return URDFExporter.escape(text);
+    }
+}
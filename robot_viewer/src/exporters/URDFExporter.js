@@ -0,0 +1,545 @@
+/**
+ * URDF Exporter
+ * Serializes UnifiedRobotModel (from URDF, MJCF or SDF) to URDF XML
+ *
+ * URDF requires a link frame to coincide with its parent joint frame. MJCF bodies
+ * carry the joint position inside the body and may have several joints per body, so
+ * frames are re-based here: every exported link frame is its last joint's frame, and
+ * visual/collision/inertial origins are expressed relative to that frame.
+ */
+import * as THREE from 'three';
+import { Kinematics } from '../kinematics/Kinematics.js';
+import { MJCFAdapter } from '../adapters/MJCFAdapter.js';
+import { exportWarning, uniqueWarnings } from './ExportWarnings.js';
+
+export class URDFExporter {
+    /**
+     * Export model to URDF
+     * @param {UnifiedRobotModel} model
+     * @param {Object} options
+     * @param {string} options.meshDir - Directory for mesh files in exported package (default 'meshes')
+     * @returns {{xml: string, meshes: Array<{source: string, path: string}>, warnings: Array<{key: string, values: Object}>}}
+     *          warnings are i18n keys with values, see ExportWarnings
+     *          meshes maps original mesh references to paths relative to the URDF file
+     */
+    static export(model, options = {}) {
+        const meshDir = options.meshDir ?? 'meshes';
+        const warnings = [];
+        const isMJCF = model.userData?.type === 'mjcf';
+        const convention = isMJCF ? 'mjcf' : 'urdf';
+
+        const tree = this.buildTree(model, convention, warnings);
+
+        // Lossy items that have no URDF counterpart
+        model.constraints?.forEach((constraint, name) => {
+            warnings.push(exportWarning('exportWarnEquality', { name, type: constraint.type }));
+        });
+        (model.userData?.tendons || []).forEach(tendon => {
+            warnings.push(exportWarning('exportWarnTendon', { name: tendon.name, type: tendon.type }));
+        });
+
+        const meshes = new Map(); // source -> path
+        const usedMeshNames = new Set();
+        const materials = new Map(); // name -> rgba
+        const lines = [];
+
+        lines.push('<?xml version="1.0"?>');
+        lines.push(`<robot name="${this.escape(model.name || 'robot')}">`);
+
+        const linkBlocks = [];
+        for (const exportLink of tree.links) {
+            linkBlocks.push(this.exportLink(exportLink, convention, tree.offsets.get(exportLink.name), {
+                meshDir, meshes, usedMeshNames, materials, warnings
+            }));
+        }
+
+        // Named materials first so visuals can reference them
+        materials.forEach((rgba, name) => {
+            lines.push(`  <material name="${this.escape(name)}">`);
+            lines.push(`    <color rgba="${this.formatVector([rgba.r, rgba.g, rgba.b, rgba.a ?? 1])}"/>`);
+            lines.push('  </material>');
+        });
+        if (materials.size > 0) lines.push('');
+
+        linkBlocks.forEach(block => lines.push(...block, ''));
+        tree.joints.forEach(joint => lines.push(...this.exportJoint(joint, warnings), ''));
+
+        if (lines[lines.length - 1] === '') lines.pop();
+        lines.push('</robot>');
+
+        return {
+            xml: lines.join('\n') + '\n',
+            meshes: Array.from(meshes.entries()).map(([source, path]) => ({ source, path })),
+            warnings: uniqueWarnings(warnings)
+        };
+    }
+
+    // ==================== Tree ====================
+
+    /**
+     * Build exported link/joint lists with re-based frames
+     * @returns {{links: Array, joints: Array, offsets: Map<string, THREE.Matrix4>}}
+     *          offsets: transform from original link frame to exported link frame
+     */
+    static buildTree(model, convention, warnings) {
+        const links = [];
+        const joints = [];
+        const offsets = new Map();
+        const usedNames = new Set(model.links.keys());
+        model.joints.forEach((_, name) => usedNames.add(name));
+
+        const uniqueName = (base) => {
+            let name = base;
+            for (let i = 1; usedNames.has(name); i++) name = `${base}_${i}`;
+            usedNames.add(name);
+            return name;
+        };
+
+        // Joints grouped by child link (MJCF bodies may hold several joints)
+        const jointsByChild = new Map();
+        model.joints.forEach(joint => {
+            if (!joint.child || !model.links.has(joint.child)) return;
+            if (joint.userData?.mjcfType === 'free') {
+                warnings.push(exportWarning('exportWarnFreeJointDropped', { joint: joint.name, link: joint.child }));
+                return;
+            }
+            if (!jointsByChild.has(joint.child)) jointsByChild.set(joint.child, []);
+            jointsByChild.get(joint.child).push(joint);
+        });
+
+        // Parent of each link: first joint's parent, else fixed body connection
+        const parentOf = (linkName) => {
+            const linkJoints = jointsByChild.get(linkName);
+            if (linkJoints) return linkJoints[0].parent;
+            const link = model.links.get(linkName);
+            if (link.userData?.parentName) return link.userData.parentName;
+            // MJCF bodies directly under worldbody are welded to the world
+            if (convention === 'mjcf' && !link.userData?.isWorldbody && model.links.has('worldbody') && !this.isFloating(model, linkName)) {
+                return 'worldbody';
+            }
+            return null;
+        };
+
+        // Pose of original link frame relative to original parent frame
+        const parentPose = (link, linkJoints) => {
+            if (convention === 'mjcf') {
+                return this.originToMatrix(link.userData?.bodyOrigin, convention);
+            }
+            if (linkJoints) {
+                return this.originToMatrix(linkJoints[0].origin, convention);
+            }
+            return this.originToMatrix(link.userData?.worldOrigin, convention);
+        };
+
+        // Joint frame relative to original child link frame (MJCF joint pos)
+        const jointFrame = (joint) => {
+            if (convention !== 'mjcf') return new THREE.Matrix4();
+            const xyz = joint.origin?.xyz || [0, 0, 0];
+            return new THREE.Matrix4().makeTranslation(xyz[0], xyz[1], xyz[2]);
+        };
+
+        // Virtual parent links referenced but not in model (e.g. MJCF 'worldbody' without geoms)
+        const children = new Map();
+        model.links.forEach((link, name) => {
+            const parent = parentOf(name);
+            if (parent === null || parent === undefined) return;
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(name);
+        });
+
+        const roots = [];
+        model.links.forEach((link, name) => {
+            const parent = parentOf(name);
+            if (!parent) roots.push(name);
+        });
+        children.forEach((_, parent) => {
+            if (!model.links.has(parent) && !roots.includes(parent)) roots.push(parent);
+        });
+
+        // Drop empty world links (e.g. MJCF worldbody holding only a floor plane)
+        const isEmptyWorld = (name) => {
+            const link = model.links.get(name);
+            const hasGeometry = link && [...link.visuals, ...link.collisions].some(item => this.isExportableGeometry(item.geometry));
+            return (!link || link.userData?.isWorldbody) && !hasGeometry && !children.has(name);
+        };
+        for (let i = roots.length - 1; i >= 0; i--) {
+            if (roots.length > 1 && isEmptyWorld(roots[i])) {
+                const link = model.links.get(roots[i]);
+                if (link && link.visuals.length + link.collisions.length > 0) {
+                    warnings.push(exportWarning('exportWarnWorldLinkDropped', { link: roots[i] }));
+                }
+                roots.splice(i, 1);
+            }
+        }
+
+        const emitLink = (name) => {
+            const link = model.links.get(name) || null;
+            links.push({ name, source: link });
+
+            for (const childName of children.get(name) || []) {
+                const child = model.links.get(childName);
+                const childJoints = jointsByChild.get(childName);
+                const parentOffset = offsets.get(name) || new THREE.Matrix4();
+                const pose = parentPose(child, childJoints);
+
+                if (!childJoints) {
+                    // Fixed connection without joint
+                    joints.push({
+                        name: uniqueName(`${name}_to_${childName}_fixed`),
+                        type: 'fixed',
+                        parent: name,
+                        child: childName,
+                        origin: parentOffset.clone().invert().multiply(pose)
+                    });
+                    offsets.set(childName, new THREE.Matrix4());
+                } else {
+                    // Chain of joints through dummy links (one DOF per URDF joint)
+                    const base = parentOffset.clone().invert().multiply(pose);
+                    let currentParent = name;
+                    let previousFrame = null;
+                    childJoints.forEach((joint, index) => {
+                        const frame = jointFrame(joint);
+                        const isLast = index === childJoints.length - 1;
+                        const jointChild = isLast ? childName : uniqueName(`${joint.name}_link`);
+                        const origin = previousFrame
+                            ? previousFrame.clone().invert().multiply(frame)
+                            : base.clone().multiply(frame);
+
+                        joints.push({ name: joint.name, type: joint.type, parent: currentParent, child: jointChild, origin, source: joint });
+                        if (!isLast) {
+                            links.push({ name: jointChild, source: null });
+                        }
+
+                        currentParent = jointChild;
+                        previousFrame = frame;
+                    });
+                    offsets.set(childName, previousFrame);
+                    if (childJoints.length > 1) {
+                        warnings.push(exportWarning('exportWarnBodySplit', { link: childName, count: childJoints.length }));
+                    }
+                }
+
+                emitLink(childName);
+            }
+        };
+
+        if (roots.length > 1) {
+            // URDF needs a single root: weld all roots to a new world link at their root pose
+            const worldName = uniqueName('world');
+            warnings.push(exportWarning('exportWarnRootsJoined', { count: roots.length, link: worldName }));
+            links.push({ name: worldName, source: null });
+            roots.forEach(rootName => {
+                const root = model.links.get(rootName);
+                offsets.set(rootName, new THREE.Matrix4());
+                joints.push({
+                    name: uniqueName(`${worldName}_to_${rootName}`),
+                    type: 'fixed',
+                    parent: worldName,
+                    child: rootName,
+                    origin: root ? parentPose(root, null) : new THREE.Matrix4()
+                });
+                emitLink(rootName);
+            });
+        } else if (roots.length === 1) {
+            offsets.set(roots[0], new THREE.Matrix4());
+            emitLink(roots[0]);
+        }
+
+        const exported = new Set(links.map(l => l.name));
+        model.links.forEach((_, name) => {
+            if (!exported.has(name) && !isEmptyWorld(name)) {
+                warnings.push(exportWarning('exportWarnKinematicLoop', { link: name }));
+            }
+        });
+
+        return { links, joints, offsets };
+    }
+
+    /**
+     * Whether link is the child of an MJCF free joint
+     */
+    static isFloating(model, linkName) {
+        for (const joint of model.joints.values()) {
+            if (joint.child === linkName && joint.userData?.mjcfType === 'free') return true;
+        }
+        return false;
+    }
+
+    // ==================== Elements ====================
+
+    /**
+     * Export <link> block
+     * @param {THREE.Matrix4} offset - Original link frame -> exported link frame
+     */
+    static exportLink(exportLink, convention, offset = new THREE.Matrix4(), ctx) {
+        const { name, source } = exportLink;
+        if (!source || (!source.inertial && source.visuals.length === 0 && source.collisions.length === 0)) {
+            return [`  <link name="${this.escape(name)}"/>`];
+        }
+
+        const inverseOffset = offset.clone().invert();
+        const lines = [`  <link name="${this.escape(name)}">`];
+
+        if (source.inertial) {
+            lines.push(...this.exportInertial(source.inertial, convention, inverseOffset));
+        }
+
+        // MuJoCo renders every geom; MJCFAdapter files primitives under collisions only
+        const visuals = convention === 'mjcf' && source.visuals.length === 0 ? source.collisions : source.visuals;
+        visuals.forEach(visual => {
+            const geometryLines = this.exportGeometry(visual.geometry, `${name}/${visual.name}`, ctx);
+            if (!geometryLines) return;
+
+            const origin = inverseOffset.clone().multiply(this.originToMatrix(visual.origin, convention));
+            lines.push(visual.name ? `    <visual name="${this.escape(visual.name)}">` : '    <visual>');
+            lines.push(this.exportOrigin(origin, '      '));
+            lines.push(...geometryLines);
+
+            const materialName = this.registerMaterial(visual, ctx.materials);
+            if (materialName) {
+                lines.push(`      <material name="${this.escape(materialName)}"/>`);
+            }
+            lines.push('    </visual>');
+        });
+
+        source.collisions.forEach(collision => {
+            const geometryLines = this.exportGeometry(collision.geometry, `${name}/${collision.name}`, ctx);
+            if (!geometryLines) return;
+
+            const origin = inverseOffset.clone().multiply(this.originToMatrix(collision.origin, convention));
+            lines.push(collision.name ? `    <collision name="${this.escape(collision.name)}">` : '    <collision>');
+            lines.push(this.exportOrigin(origin, '      '));
+            lines.push(...geometryLines);
+            lines.push('    </collision>');
+        });
+
+        if (lines.length === 1) {
+            return [`  <link name="${this.escape(name)}"/>`];
+        }
+        lines.push('  </link>');
+        return lines;
+    }
+
+    /**
+     * Export <inertial>
+     * MJCF tensors are stored in the body frame (see MJCFAdapter.convertStoredInertia),
+     * so the inertial frame keeps only its translation
+     */
+    static exportInertial(inertial, convention, inverseOffset) {
+        let tensor = inertial;
+        let originMatrix;
+
+        if (convention === 'mjcf') {
+            tensor = MJCFAdapter.convertStoredInertia(inertial);
+            const xyz = inertial.origin?.xyz || [0, 0, 0];
+            originMatrix = new THREE.Matrix4().makeTranslation(xyz[0], xyz[1], xyz[2]);
+        } else {
+            originMatrix = this.originToMatrix(inertial.origin, convention);
+        }
+
+        const origin = inverseOffset.clone().multiply(originMatrix);
+        const f = v => this.formatNumber(v || 0);
+
+        return [
+            '    <inertial>',
+            this.exportOrigin(origin, '      '),
+            `      <mass value="${f(inertial.mass)}"/>`,
+            `      <inertia ixx="${f(tensor.ixx)}" ixy="${f(tensor.ixy)}" ixz="${f(tensor.ixz)}" iyy="${f(tensor.iyy)}" iyz="${f(tensor.iyz)}" izz="${f(tensor.izz)}"/>`,
+            '    </inertial>'
+        ];
+    }
+
+    static isExportableGeometry(geometry) {
+        if (!geometry) return false;
+        if (geometry.type === 'mesh') return !!geometry.filename;
+        return ['box', 'sphere', 'cylinder', 'capsule'].includes(geometry.type) && !!geometry.size;
+    }
+
+    /**
+     * Export <geometry>; returns null (and records a warning) for unsupported types
+     */
+    static exportGeometry(geometry, label, ctx) {
+        if (!this.isExportableGeometry(geometry)) {
+            ctx.warnings.push(geometry?.inlineVertices
+                ? exportWarning('exportWarnInlineMesh', { name: label })
+                : exportWarning('exportWarnGeometryURDF', { name: label, type: geometry?.type || 'unknown' }));
+            return null;
+        }
+
+        const size = geometry.size;
+        let shape;
+        switch (geometry.type) {
+            case 'box':
+                shape = `<box size="${this.formatVector([size.x, size.y, size.z])}"/>`;
+                break;
+            case 'sphere':
+                shape = `<sphere radius="${this.formatNumber(size.radius)}"/>`;
+                break;
+            case 'cylinder':
+                shape = `<cylinder radius="${this.formatNumber(size.radius)}" length="${this.formatNumber(size.height)}"/>`;
+                break;
+            case 'capsule':
+                ctx.warnings.push(exportWarning('exportWarnCapsule', { name: label }));
+                shape = `<cylinder radius="${this.formatNumber(size.radius)}" length="${this.formatNumber(size.height + 2 * size.radius)}"/>`;
+                break;
+            case 'mesh': {
+                const path = this.registerMesh(geometry.filename, ctx);
+                const scale = geometry.scale && geometry.scale.some(s => s !== 1)
+                    ? ` scale="${this.formatVector(geometry.scale)}"`
+                    : '';
+                shape = `<mesh filename="${this.escape(path)}"${scale}/>`;
+                break;
+            }
+        }
+
+        return ['      <geometry>', `        ${shape}`, '      </geometry>'];
+    }
+
+    /**
+     * Map original mesh reference to unique path in mesh directory
+     */
+    static registerMesh(source, ctx) {
+        if (ctx.meshes.has(source)) return ctx.meshes.get(source);
+
+        const fileName = source.replace(/\\/g, '/').split('/').pop();
+        const dot = fileName.lastIndexOf('.');
+        const base = dot > 0 ? fileName.substring(0, dot) : fileName;
+        const ext = dot > 0 ? fileName.substring(dot) : '';
+
+        let candidate = fileName;
+        for (let i = 1; ctx.usedMeshNames.has(candidate.toLowerCase()); i++) {
+            candidate = `${base}_${i}${ext}`;
+        }
+        ctx.usedMeshNames.add(candidate.toLowerCase());
+
+        const path = ctx.meshDir ? `${ctx.meshDir}/${candidate}` : candidate;
+        ctx.meshes.set(source, path);
+        return path;
+    }
+
+    /**
+     * Register visual color as named material
+     * @returns {string|null} Material name
+     */
+    static registerMaterial(visual, materials) {
+        const rgba = visual.userData?.rgba || (visual.material?.color ? { a: 1, ...visual.material.color } : null);
+        if (!rgba) return null;
+
+        const color = [rgba.r, rgba.g, rgba.b, rgba.a ?? 1];
+        let name = visual.userData?.materialName || visual.material?.name;
+        if (!name) {
+            // Anonymous colors are shared by their 8-bit value
+            name = 'color_' + color.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('');
+            if (!materials.has(name)) {
+                materials.set(name, { r: color[0], g: color[1], b: color[2], a: color[3] });
+            }
+            return name;
+        }
+
+        // Same name with different color gets a suffix
+        let candidate = name;
+        for (let i = 1; materials.has(candidate); i++) {
+            const existing = materials.get(candidate);
+            if ([existing.r, existing.g, existing.b, existing.a ?? 1].every((c, k) => Math.abs(c - color[k]) < 1e-6)) {
+                return candidate;
+            }
+            candidate = `${name}_${i}`;
+        }
+        materials.set(candidate, { r: color[0], g: color[1], b: color[2], a: color[3] });
+        return candidate;
+    }
+
+    /**
+     * Export <joint> block
+     */
+    static exportJoint(joint, warnings) {
+        const source = joint.source;
+        let type = joint.type;
+        const limits = source?.limits || null;
+        const hasRange = limits && limits.lower !== undefined && limits.upper !== undefined;
+
+        if (source?.userData?.mjcfType === 'ball') {
+            warnings.push(exportWarning('exportWarnBallJoint', { joint: joint.name }));
+        }
+        if (type === 'revolute' && !hasRange) {
+            type = 'continuous';
+        }
+        if (!['revolute', 'continuous', 'prismatic', 'fixed', 'floating', 'planar'].includes(type)) {
+            warnings.push(exportWarning('exportWarnJointFixed', { joint: joint.name, type }));
+            type = 'fixed';
+        }
+
+        const lines = [
+            `  <joint name="${this.escape(joint.name)}" type="${type}">`,
+            this.exportOrigin(joint.origin, '    '),
+            `    <parent link="${this.escape(joint.parent)}"/>`,
+            `    <child link="${this.escape(joint.child)}"/>`
+        ];
+
+        if (type !== 'fixed' && source) {
+            lines.push(`    <axis xyz="${this.formatVector(source.axis?.xyz || [0, 0, 1])}"/>`);
+
+            if (type === 'revolute' || type === 'prismatic' || limits) {
+                const attrs = [];
+                if (type !== 'continuous') {
+                    if (hasRange) {
+                        attrs.push(`lower="${this.formatNumber(limits.lower)}"`, `upper="${this.formatNumber(limits.upper)}"`);
+                    } else {
+                        warnings.push(exportWarning('exportWarnPrismaticNoRange', { joint: joint.name }));
+                    }
+                }
+                attrs.push(`effort="${this.formatNumber(limits?.effort ?? 0)}"`, `velocity="${this.formatNumber(limits?.velocity ?? 0)}"`);
+                lines.push(`    <limit ${attrs.join(' ')}/>`);
+            }
+
+            const damping = source.userData?.damping;
+            const friction = source.userData?.friction;
+            if (damping || friction) {
+                lines.push(`    <dynamics damping="${this.formatNumber(damping || 0)}" friction="${this.formatNumber(friction || 0)}"/>`);
+            }
+        }
+
+        lines.push('  </joint>');
+        return lines;
+    }
+
+    // ==================== Frames and formatting ====================
+
+    /**
+     * Convert unified origin to matrix
+     * URDF/SDF rpy is fixed-axis roll-pitch-yaw; MJCF keeps the original quat,
+     * otherwise rpy holds the MJCF euler attribute (intrinsic xyz by default)
+     */
+    static originToMatrix(origin, convention) {
+        return Kinematics.originToMatrix(origin, convention);
+    }
+
+    /**
+     * Export <origin> element from a transform matrix
+     */
+    static exportOrigin(matrix, indent) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+
+        return `${indent}<origin xyz="${this.formatVector([position.x, position.y, position.z])}" rpy="${this.formatVector([euler.x, euler.y, euler.z])}"/>`;
+    }
+
+    static formatNumber(value) {
+        if (!Number.isFinite(value) || Math.abs(value) < 1e-12) return '0';
+        return String(parseFloat(value.toPrecision(10)));
+    }
+
+    static formatVector(values) {
+        return values.map(v => this.formatNumber(v)).join(' ');
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { Kinematics } from './Kinematics.js';
+
+const SCALAR_JOINT_TYPES = new Set(['revolute', 'continuous', 'prismatic', 'hinge', 'slide']);
+
+/**
+ * InverseKinematics - Damped least squares solver on UnifiedRobotModel data
+ * Uses Kinematics for FK; Jacobian columns are estimated by finite differences,
+ * so URDF, SDF and MJCF joint conventions are handled the same way
+ */
+export class InverseKinematics {
+    /**
+     * Scalar joints moving a link, ordered from root to link (mimic joints follow their source)
+     * @returns {Joint[]}
+     */
+    static getChain(model, linkName, tree = null) {
+        tree = tree || Kinematics.buildTree(model);
+        const isMJCF = model.userData?.type === 'mjcf';
+        const chain = [];
+        const visited = new Set();
+
+        let current = linkName;
+        while (current && tree.has(current) && !visited.has(current)) {
+            visited.add(current);
+            const node = tree.get(current);
+            const joints = node.joints.filter(joint => {
+                const type = isMJCF ? joint.userData?.mjcfType || 'hinge' : joint.type;
+                return SCALAR_JOINT_TYPES.has(type) && !joint.userData?.mimic;
+            });
+            chain.unshift(...joints);
+            current = node.parent;
+        }
+        return chain;
+    }
+
+    /**
+     * Solve joint values so that link reaches target pose
+     * @param {UnifiedRobotModel} model
+     * @param {string} linkName - End-effector link
+     * @param {THREE.Matrix4} targetPose - Target pose in model root frame
+     * @param {Object} [options]
+     * @param {number} [options.maxIterations=30]
+     * @param {number} [options.damping=0.05] - DLS damping factor (lambda)
+     * @param {number} [options.tolerance=1e-4] - Stop when error norm is below this value
+     * @param {number} [options.maxStep=0.2] - Largest joint change per iteration
+     * @param {boolean} [options.ignoreLimits=false] - Skip clamping to joint limits
+     * @param {boolean} [options.positionOnly=false] - Ignore target orientation
+     * @returns {{values: Map<string, number>, error: number, iterations: number, converged: boolean}}
+     */
+    static solve(model, linkName, targetPose, options = {}) {
+        const {
+            maxIterations = 30,
+            damping = 0.05,
+            tolerance = 1e-4,
+            maxStep = 0.2,
+            ignoreLimits = false,
+            positionOnly = false
+        } = options;
+
+        const tree = Kinematics.buildTree(model);
+        const chain = this.getChain(model, linkName, tree);
+        const values = new Map(chain.map(joint => [joint.name, Kinematics.getJointValue(model, joint, null)]));
+        const rows = positionOnly ? 3 : 6;
+
+        const result = { values, error: Infinity, iterations: 0, converged: false };
+        if (chain.length === 0) return result;
+
+        for (let iteration = 0; iteration <= maxIterations; iteration++) {
+            const pose = Kinematics.computeLinkPose(model, linkName, values, tree);
+            const error = this.poseError(pose, targetPose, rows);
+            result.error = Math.hypot(...error);
+            result.iterations = iteration;
+
+            if (result.error < tolerance) {
+                result.converged = true;
+                break;
+            }
+            if (iteration === maxIterations) break;
+
+            const jacobian = this.computeJacobian(model, linkName, chain, values, tree, rows, pose);
+
+            // dq = J^T (J J^T + lambda^2 I)^-1 e
+            const jjt = [];
+            for (let r = 0; r < rows; r++) {
+                jjt.push(new Array(rows).fill(0));
+                for (let c = 0; c < rows; c++) {
+                    let sum = r === c ? damping * damping : 0;
+                    for (let i = 0; i < chain.length; i++) {
+                        sum += jacobian[i][r] * jacobian[i][c];
+                    }
+                    jjt[r][c] = sum;
+                }
+            }
+            const y = solveLinearSystem(jjt, error);
+            if (!y) break;
+
+            const steps = chain.map((joint, i) => jacobian[i].reduce((sum, value, r) => sum + value * y[r], 0));
+            const largest = Math.max(...steps.map(Math.abs));
+            const scale = largest > maxStep ? maxStep / largest : 1;
+
+            chain.forEach((joint, i) => {
+                let value = values.get(joint.name) + steps[i] * scale;
+                const { lower, upper } = joint.limits || {};
+                // Limits may only carry effort / velocity (SDF), then there is nothing to clamp to
+                if (!ignoreLimits && joint.type !== 'continuous' && Number.isFinite(lower) && Number.isFinite(upper) && upper > lower) {
+                    value = Math.max(lower, Math.min(upper, value));
+                }
+                values.set(joint.name, value);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Jacobian by finite differences: one column (3 or 6 values) per chain joint
+     * @param {THREE.Matrix4} [pose] - Link pose at values (computed when omitted)
+     * @returns {number[][]} Columns indexed like chain
+     */
+    static computeJacobian(model, linkName, chain, values, tree, rows = 6, pose = null) {
+        const h = 1e-6;
+        pose = pose || Kinematics.computeLinkPose(model, linkName, values, tree);
+
+        return chain.map(joint => {
+            const value = values.get(joint.name);
+            values.set(joint.name, value + h);
+            const perturbed = Kinematics.computeLinkPose(model, linkName, values, tree);
+            values.set(joint.name, value);
+            return this.poseError(pose, perturbed, rows).map(delta => delta / h);
+        });
+    }
+
+    /**
+     * Error twist from current to target pose: position difference and rotation vector
+     * (both in root frame)
+     * @returns {number[]} 3 or 6 values
+     */
+    static poseError(current, target, rows = 6) {
+        const e = current.elements;
+        const t = target.elements;
+        const error = [t[12] - e[12], t[13] - e[13], t[14] - e[14]];
+        if (rows === 3) return error;
+
+        const currentRotation = new THREE.Quaternion().setFromRotationMatrix(current);
+        const targetRotation = new THREE.Quaternion().setFromRotationMatrix(target);
+        const delta = targetRotation.multiply(currentRotation.invert());
+        if (delta.w < 0) {
+            // Shortest rotation
+            delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+        }
+
+        const sinHalf = Math.hypot(delta.x, delta.y, delta.z);
+        const angle = 2 * Math.atan2(sinHalf, delta.w);
+        const scale = sinHalf > 1e-12 ? angle / sinHalf : 2;
+        error.push(delta.x * scale, delta.y * scale, delta.z * scale);
+        return error;
+    }
+}
+
+/**
+ * Solve A x = b with Gaussian elimination (partial pivoting)
+ * @returns {number[]|null} Null for singular matrix
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) {
+                m[row][k] -= factor * m[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= m[row][k] * x[k];
+        }
+        x[row] = sum / m[row][row];
+    }
+    return x;
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+
+/**
+ * Kinematics - Forward kinematics on UnifiedRobotModel data (independent of the Three.js scene)
+ *
+ * Frames follow the source format: URDF/SDF child link frame = joint frame,
+ * MJCF body frame = parent frame * body pos/quat, joints (several per body) act inside the body frame.
+ */
+export class Kinematics {
+    /**
+     * Build parent relations of all links
+     * @returns {Map<string, {parent: string|null, joints: Joint[]}>} Joints moving the link, in order
+     */
+    static buildTree(model) {
+        const isMJCF = model.userData?.type === 'mjcf';
+        const tree = new Map();
+
+        model.links.forEach((link, name) => {
+            tree.set(name, { parent: null, joints: [] });
+        });
+
+        model.joints.forEach(joint => {
+            const node = tree.get(joint.child);
+            if (!node) return;
+            node.joints.push(joint);
+            if (joint.parent && joint.parent !== joint.child) {
+                node.parent = joint.parent;
+            }
+        });
+
+        tree.forEach((node, name) => {
+            if (node.parent) return;
+            const link = model.links.get(name);
+            if (link.userData?.parentName) {
+                node.parent = link.userData.parentName;
+            } else if (isMJCF && !link.userData?.isWorldbody && model.links.has('worldbody')) {
+                // Top level MJCF bodies are children of worldbody
+                node.parent = 'worldbody';
+            }
+        });
+
+        return tree;
+    }
+
+    /**
+     * Pose of link relative to its parent link for given joint values
+     * @param {Map<string, number>} [jointValues] - Overrides joint.currentValue
+     */
+    static localTransform(model, linkName, node, jointValues = null) {
+        const link = model.links.get(linkName);
+        const matrix = new THREE.Matrix4();
+
+        if (model.userData?.type === 'mjcf') {
+            matrix.copy(this.originToMatrix(link.userData?.bodyOrigin, 'mjcf'));
+            node.joints.forEach(joint => {
+                matrix.multiply(this.jointMotion(model, joint, jointValues, true));
+            });
+            return matrix;
+        }
+
+        if (node.joints.length === 0) {
+            // Links without joint (e.g. SDF models) keep their world pose
+            return matrix.copy(this.originToMatrix(link.userData?.worldOrigin, 'urdf'));
+        }
+
+        // Chained joints (e.g. split SDF ball joints) each start at their own origin
+        node.joints.forEach(joint => {
+            matrix.multiply(this.originToMatrix(joint.origin, 'urdf'));
+            matrix.multiply(this.jointMotion(model, joint, jointValues, false));
+        });
+        return matrix;
+    }
+
+    /**
+     * Motion of a single joint; MJCF joints rotate about their anchor (joint pos) in the body frame
+     */
+    static jointMotion(model, joint, jointValues, isMJCF) {
+        const matrix = new THREE.Matrix4();
+        const type = isMJCF ? joint.userData?.mjcfType || 'hinge' : joint.type;
+        const value = this.getJointValue(model, joint, jointValues);
+        const axis = new THREE.Vector3(...(joint.axis?.xyz || [0, 0, 1]));
+        if (axis.lengthSq() === 0) return matrix;
+        axis.normalize();
+
+        if (type === 'revolute' || type === 'continuous' || type === 'hinge') {
+            matrix.makeRotationAxis(axis, value);
+            if (isMJCF) {
+                const anchor = new THREE.Vector3(...(joint.origin?.xyz || [0, 0, 0]));
+                const toAnchor = new THREE.Matrix4().makeTranslation(anchor.x, anchor.y, anchor.z);
+                const fromAnchor = new THREE.Matrix4().makeTranslation(-anchor.x, -anchor.y, -anchor.z);
+                matrix.premultiply(toAnchor).multiply(fromAnchor);
+            }
+        } else if (type === 'prismatic' || type === 'slide') {
+            axis.multiplyScalar(value);
+            matrix.makeTranslation(axis.x, axis.y, axis.z);
+        }
+        // Fixed, ball and free joints have no scalar coordinate
+        return matrix;
+    }
+
+    /**
+     * Joint value from overrides, mimic relation or joint.currentValue
+     */
+    static getJointValue(model, joint, jointValues) {
+        if (jointValues && jointValues.has(joint.name)) {
+            return jointValues.get(joint.name);
+        }
+
+        const mimic = joint.userData?.mimic;
+        if (mimic && model.joints.has(mimic.joint) && mimic.joint !== joint.name) {
+            const source = model.joints.get(mimic.joint);
+            return (mimic.multiplier ?? 1) * this.getJointValue(model, source, jointValues) + (mimic.offset ?? 0);
+        }
+
+        return joint.currentValue || 0;
+    }
+
+    /**
+     * World pose of the model root in the scene: link world pose * (link pose in root frame)^-1
+     * @param {string} [linkName] - Link measured in the scene (default: first link with an object)
+     * @returns {THREE.Matrix4|null} null when the link has no scene object
+     */
+    static getWorldFromRoot(model, linkName = null) {
+        const name = linkName ?? Array.from(model.links.keys()).find(key => model.links.get(key).threeObject);
+        const linkObject = model.links.get(name)?.threeObject;
+        if (!linkObject) return null;
+
+        linkObject.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        linkObject.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+
+        const worldFromRoot = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+        return worldFromRoot.multiply(this.computeLinkPose(model, name).invert());
+    }
+
+    /**
+     * Pose of link in the model root frame
+     * @param {Map} [tree] - Result of buildTree (rebuilt when omitted)
+     * @returns {THREE.Matrix4|null}
+     */
+    static computeLinkPose(model, linkName, jointValues = null, tree = null) {
+        if (!model.links.has(linkName)) return null;
+        tree = tree || this.buildTree(model);
+
+        const pose = new THREE.Matrix4();
+        const visited = new Set();
+        let current = linkName;
+        while (current && tree.has(current) && !visited.has(current)) {
+            visited.add(current);
+            pose.premultiply(this.localTransform(model, current, tree.get(current), jointValues));
+            current = tree.get(current).parent;
+        }
+        return pose;
+    }
+
+    /**
+     * Pose of target link expressed in base link frame
+     * @returns {THREE.Matrix4|null}
+     */
+    static computeRelativePose(model, baseLink, targetLink, jointValues = null) {
+        const tree = this.buildTree(model);
+        const basePose = this.computeLinkPose(model, baseLink, jointValues, tree);
+        const targetPose = this.computeLinkPose(model, targetLink, jointValues, tree);
+        if (!basePose || !targetPose) return null;
+        return basePose.invert().multiply(targetPose);
+    }
+
+    /**
+     * Position, fixed-axis roll-pitch-yaw (URDF convention), quaternion and row-major matrix
+     * @returns {{xyz: number[], rpy: number[], quat: {x: number, y: number, z: number, w: number}, matrix: number[][]}}
+     */
+    static describePose(matrix) {
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        matrix.decompose(position, quaternion, scale);
+
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+        const e = matrix.elements;
+        return {
+            xyz: [position.x, position.y, position.z],
+            rpy: [euler.x, euler.y, euler.z],
+            quat: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+            matrix: [0, 1, 2, 3].map(row => [e[row], e[row + 4], e[row + 8], e[row + 12]])
+        };
+    }
+
+    /**
+     * Kinematic data of model as structured-clone friendly object (for Web Workers)
+     */
+    static toPlainModel(model) {
+        const pick = (userData, keys) => Object.fromEntries(keys.filter(key => userData?.[key] !== undefined).map(key => [key, userData[key]]));
+
+        return {
+            userData: { type: model.userData?.type },
+            links: Array.from(model.links, ([name, link]) => ({
+                name,
+                userData: pick(link.userData, ['bodyOrigin', 'worldOrigin', 'parentName', 'isWorldbody'])
+            })),
+            joints: Array.from(model.joints.values(), joint => ({
+                name: joint.name,
+                type: joint.type,
+                parent: joint.parent,
+                child: joint.child,
+                origin: joint.origin,
+                axis: joint.axis,
+                limits: joint.limits ? { lower: joint.limits.lower, upper: joint.limits.upper } : null,
+                currentValue: joint.currentValue,
+                userData: pick(joint.userData, ['mjcfType', 'mimic'])
+            }))
+        };
+    }
+
+    /**
+     * Model-like object from toPlainModel data, usable with all Kinematics methods
+     */
+    static fromPlainModel(data) {
+        return {
+            userData: data.userData,
+            links: new Map(data.links.map(link => [link.name, link])),
+            joints: new Map(data.joints.map(joint => [joint.name, joint]))
+        };
+    }
+
+    /**
+     * Convert unified origin to matrix
+     * URDF/SDF rpy is fixed-axis roll-pitch-yaw; MJCF keeps the original quat,
+     * otherwise rpy holds the MJCF euler attribute (intrinsic xyz by default)
+     */
+    static originToMatrix(origin, convention) {
+        const matrix = new THREE.Matrix4();
+        if (!origin) return matrix;
+
+        const xyz = origin.xyz || [0, 0, 0];
+        const rpy = origin.rpy || [0, 0, 0];
+        const quaternion = new THREE.Quaternion();
+
+        if (convention === 'mjcf' && origin.quat) {
+            quaternion.set(origin.quat.x, origin.quat.y, origin.quat.z, origin.quat.w).normalize();
+        } else {
+            quaternion.setFromEuler(new THREE.Euler(rpy[0], rpy[1], rpy[2], convention === 'mjcf' ? 'XYZ' : 'ZYX'));
+        }
+
+        return matrix.compose(new THREE.Vector3(xyz[0], xyz[1], xyz[2]), quaternion, new THREE.Vector3(1, 1, 1));
+    }
+}
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import { Kinematics } from './Kinematics.js';
+import { MJCFAdapter } from '../adapters/MJCFAdapter.js';
+
+/**
+ * MassProperties - Whole-robot mass, centre of mass and composite inertia
+ *
+ * Everything is expressed in the model root frame (URDF: base link frame, MJCF: worldbody frame)
+ * for the current joint values (or given overrides), so the result depends on the pose.
+ */
+export class MassProperties {
+    /**
+     * @param {UnifiedRobotModel} model
+     * @param {Map<string, number>} [jointValues] - Overrides joint.currentValue
+     * @returns {{totalMass: number, com: number[], inertiaAboutBase: number[][], inertiaAboutCOM: number[][],
+     *   baseLink: string|null, links: Array<{name: string, mass: number, fraction: number, com: number[]}>}}
+     */
+    static compute(model, jointValues = null) {
+        const tree = Kinematics.buildTree(model);
+        const links = [];
+        const inertiaAboutBase = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        const weightedCOM = new THREE.Vector3();
+        let totalMass = 0;
+
+        model.links.forEach((link, name) => {
+            const mass = link.inertial?.mass > 0 ? link.inertial.mass : 0;
+            const pose = Kinematics.computeLinkPose(model, name, jointValues, tree);
+            const com = new THREE.Vector3(...(link.inertial?.origin?.xyz || [0, 0, 0])).applyMatrix4(pose);
+            links.push({ name, mass, fraction: 0, com: com.toArray() });
+            if (mass === 0) return;
+
+            // Link inertia rotated into the root frame, shifted to the root origin
+            const rotation = new THREE.Matrix3().setFromMatrix4(pose).multiply(this.inertialRotation(model, link));
+            const tensor = rotation.clone().multiply(this.localTensor(model, link)).multiply(rotation.clone().transpose());
+            this.addMatrix(inertiaAboutBase, tensor);
+            this.addMatrix(inertiaAboutBase, this.pointMassTensor(mass, com));
+
+            weightedCOM.addScaledVector(com, mass);
+            totalMass += mass;
+        });
+
+        const com = totalMass > 0 ? weightedCOM.divideScalar(totalMass) : new THREE.Vector3();
+        links.forEach(entry => {
+            entry.fraction = totalMass > 0 ? entry.mass / totalMass : 0;
+        });
+
+        // Parallel axis theorem back to the system COM
+        const inertiaAboutCOM = inertiaAboutBase.clone();
+        this.addMatrix(inertiaAboutCOM, this.pointMassTensor(-totalMass, com));
+
+        const baseLink = Array.from(tree.entries()).find(([, node]) => !node.parent)?.[0] ?? null;
+
+        return {
+            totalMass,
+            com: com.toArray(),
+            inertiaAboutBase: this.toRows(inertiaAboutBase),
+            inertiaAboutCOM: this.toRows(inertiaAboutCOM),
+            baseLink,
+            links
+        };
+    }
+
+    /**
+     * Inertia tensor of a link about its COM in the inertial frame
+     */
+    static localTensor(model, link) {
+        const inertia = model.userData?.type === 'mjcf' ? MJCFAdapter.convertStoredInertia(link.inertial) : link.inertial;
+        const { ixx = 0, iyy = 0, izz = 0, ixy = 0, ixz = 0, iyz = 0 } = inertia;
+        return new THREE.Matrix3().set(
+            ixx, ixy, ixz,
+            ixy, iyy, iyz,
+            ixz, iyz, izz
+        );
+    }
+
+    /**
+     * Orientation of the inertial frame in the link frame
+     * (MJCF tensors are already rotated by the inertial quat while parsing)
+     */
+    static inertialRotation(model, link) {
+        if (model.userData?.type === 'mjcf') {
+            return new THREE.Matrix3();
+        }
+        const rpy = link.inertial.origin?.rpy || [0, 0, 0];
+        const rotation = new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(rpy[0], rpy[1], rpy[2], 'ZYX'));
+        return new THREE.Matrix3().setFromMatrix4(rotation);
+    }
+
+    /**
+     * Inertia of a point mass at position p about the origin: m (|p|² E - p pᵀ)
+     */
+    static pointMassTensor(mass, p) {
+        const d = p.lengthSq();
+        return new THREE.Matrix3().set(
+            mass * (d - p.x * p.x), -mass * p.x * p.y, -mass * p.x * p.z,
+            -mass * p.y * p.x, mass * (d - p.y * p.y), -mass * p.y * p.z,
+            -mass * p.z * p.x, -mass * p.z * p.y, mass * (d - p.z * p.z)
+        );
+    }
+
+    static addMatrix(target, matrix) {
+        for (let i = 0; i < 9; i++) {
+            target.elements[i] += matrix.elements[i];
+        }
+        return target;
+    }
+
+    static toRows(matrix) {
+        const e = matrix.elements;
+        return [0, 1, 2].map(row => [e[row], e[row + 3], e[row + 6]]);
+    }
+
+    /**
+     * Per-link breakdown and totals as CSV
+     */
+    static toCSV(result) {
+        const format = value => (Math.abs(value) < 1e-12 ? 0 : parseFloat(value.toPrecision(8))).toString();
+        const quote = text => /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+        const lines = ['link,mass,mass_fraction,com_x,com_y,com_z'];
+        result.links.forEach(({ name, mass, fraction, com }) => {
+            lines.push([quote(name), format(mass), format(fraction), ...com.map(format)].join(','));
+        });
+        lines.push(['total', format(result.totalMass), result.totalMass > 0 ? '1' : '0', ...result.com.map(format)].join(','));
+        return lines.join('\n') + '\n';
+    }
+}
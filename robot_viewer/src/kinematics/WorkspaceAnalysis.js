@@ -0,0 +1,127 @@
+import { Kinematics } from './Kinematics.js';
+import { InverseKinematics } from './InverseKinematics.js';
+
+/**
+ * WorkspaceAnalysis - Reachable positions of a link by random joint sampling
+ * Pure computation, runs inside WorkspaceWorker
+ */
+export class WorkspaceAnalysis {
+    /**
+     * Sampling range of a chain joint (unlimited revolute joints cover a full turn,
+     * unlimited prismatic joints stay at their current value)
+     */
+    static getJointRange(model, joint) {
+        const isMJCF = model.userData?.type === 'mjcf';
+        const type = isMJCF ? joint.userData?.mjcfType || 'hinge' : joint.type;
+        if (joint.limits && joint.type !== 'continuous' && joint.limits.upper > joint.limits.lower) {
+            return [joint.limits.lower, joint.limits.upper];
+        }
+        if (type === 'prismatic' || type === 'slide') {
+            const value = Kinematics.getJointValue(model, joint, null);
+            return [value, value];
+        }
+        return [-Math.PI, Math.PI];
+    }
+
+    /**
+     * Sample joint configurations of the chain from root to link
+     * @param {Object} model - UnifiedRobotModel or Kinematics.fromPlainModel result
+     * @param {string} linkName
+     * @param {Object} [options]
+     * @param {number} [options.samples=5000]
+     * @param {boolean} [options.manipulability=false] - Also compute Yoshikawa manipulability of link position
+     * @param {Function} [onProgress] - Called with (done, total)
+     * @returns {{positions: Float32Array, manipulability: Float32Array|null, count: number}} Positions in model root frame
+     */
+    static sample(model, linkName, options = {}, onProgress = null) {
+        const { samples = 5000, manipulability = false } = options;
+
+        const tree = Kinematics.buildTree(model);
+        const chain = InverseKinematics.getChain(model, linkName, tree);
+        const ranges = chain.map(joint => this.getJointRange(model, joint));
+        const values = new Map();
+
+        const positions = new Float32Array(samples * 3);
+        const measures = manipulability ? new Float32Array(samples) : null;
+
+        for (let i = 0; i < samples; i++) {
+            chain.forEach((joint, j) => {
+                const [lower, upper] = ranges[j];
+                values.set(joint.name, lower + Math.random() * (upper - lower));
+            });
+
+            const pose = Kinematics.computeLinkPose(model, linkName, values, tree);
+            positions[i * 3] = pose.elements[12];
+            positions[i * 3 + 1] = pose.elements[13];
+            positions[i * 3 + 2] = pose.elements[14];
+
+            if (measures) {
+                const jacobian = InverseKinematics.computeJacobian(model, linkName, chain, values, tree, 3, pose);
+                measures[i] = this.manipulability(jacobian);
+            }
+
+            if (onProgress && (i + 1) % 500 === 0) {
+                onProgress(i + 1, samples);
+            }
+        }
+
+        return { positions, manipulability: measures, count: samples };
+    }
+
+    /**
+     * sqrt(det(J J^T)) of a 3-row Jacobian given as columns
+     */
+    static manipulability(columns) {
+        const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        columns.forEach(column => {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) {
+                    m[r][c] += column[r] * column[c];
+                }
+            }
+        });
+
+        const det = m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+            m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+            m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+        return Math.sqrt(Math.max(det, 0));
+    }
+
+    /**
+     * ASCII PLY point cloud (positions in model root frame)
+     * @param {{positions: Float32Array, manipulability: Float32Array|null, count: number}} result
+     * @param {Float32Array} [colors] - RGB in [0, 1] per point
+     */
+    static toPLY(result, colors = null) {
+        const { positions, manipulability, count } = result;
+        const header = [
+            'ply',
+            'format ascii 1.0',
+            'comment Robot Viewer workspace samples',
+            `element vertex ${count}`,
+            'property float x',
+            'property float y',
+            'property float z'
+        ];
+        if (colors) {
+            header.push('property uchar red', 'property uchar green', 'property uchar blue');
+        }
+        if (manipulability) {
+            header.push('property float manipulability');
+        }
+        header.push('end_header');
+
+        const lines = header;
+        for (let i = 0; i < count; i++) {
+            const row = [positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]].map(value => value.toFixed(6));
+            if (colors) {
+                row.push(...[0, 1, 2].map(c => Math.round(colors[i * 3 + c] * 255)));
+            }
+            if (manipulability) {
+                row.push(manipulability[i].toExponential(6));
+            }
+            lines.push(row.join(' '));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
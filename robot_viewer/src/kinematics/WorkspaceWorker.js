@@ -0,0 +1,25 @@
+/**
+ * Web Worker for workspace sampling
+ * Message in: {id, model: Kinematics.toPlainModel(...), linkName, options}
+ * Messages out: {id, type: 'progress', done, total} and {id, type: 'result', result} or {id, type: 'error', message}
+ */
+import { Kinematics } from './Kinematics.js';
+import { WorkspaceAnalysis } from './WorkspaceAnalysis.js';
+
+self.onmessage = (event) => {
+    const { id, model, linkName, options } = event.data;
+
+    try {
+        const result = WorkspaceAnalysis.sample(Kinematics.fromPlainModel(model), linkName, options, (done, total) => {
+            self.postMessage({ id, type: 'progress', done, total });
+        });
+
+        const transfer = [result.positions.buffer];
+        if (result.manipulability) {
+            transfer.push(result.manipulability.buffer);
+        }
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
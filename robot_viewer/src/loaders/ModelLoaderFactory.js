@@ -6,6 +6,9 @@ import * as THREE from 'three';
 import { URDFAdapter } from '../adapters/URDFAdapter.js';
 import { MJCFAdapter } from '../adapters/MJCFAdapter.js';
 import { USDAdapter } from '../adapters/USDAdapter.js';
+import { SDFAdapter } from '../adapters/SDFAdapter.js';
+import { XacroProcessor } from './XacroProcessor.js';
+import { SRDFParser } from './SRDFParser.js';
 
 export class ModelLoaderFactory {
     /**
@@ -17,6 +20,12 @@ export class ModelLoaderFactory {
         switch (ext) {
             case 'urdf':
                 return 'urdf';
+            case 'xacro':
+                // Both .xacro and .urdf.xacro
+                return 'xacro';
+            case 'sdf':
+            case 'world':
+                return 'sdf';
             case 'xml':
                 // XML files are MJCF format, verify if it's a robot file by content
                 if (content) {
@@ -96,12 +105,16 @@ export class ModelLoaderFactory {
      * @param {string} fileName - File name (key in fileMap)
      * @param {Map} fileMap - File map (path -> File object), for loading mesh files
      * @param {File} file - Original file object (optional)
-     * @param {Object} options - Additional options (e.g., usdViewerManager)
+     * @param {Object} options - Additional options (e.g., usdViewerManager; remote: {modelUrl, packages} for models fetched from URL)
      */
     static async loadModel(fileType, content, fileName, fileMap = null, file = null, options = {}) {
         switch (fileType) {
             case 'urdf':
-                return await this.loadURDF(content, fileName, fileMap, file);
+                return await this.attachSRDF(await this.loadURDF(content, fileName, fileMap, file, options), fileName, fileMap);
+            case 'xacro':
+                return await this.attachSRDF(await this.loadXacro(content, fileName, fileMap, file, options), fileName, fileMap);
+            case 'sdf':
+                return await this.loadSDF(content, fileName, fileMap, file);
             case 'mjcf':
                 return await this.loadMJCF(content, fileMap);
             case 'usd':
@@ -117,8 +130,9 @@ export class ModelLoaderFactory {
      * @param {string} fileName - URDF file key in fileMap (includes path)
      * @param {Map} fileMap - File map
      * @param {File} file - Original file object (optional)
+     * @param {Object} options - remote: {modelUrl, packages} resolves package:// meshes to URLs
      */
-    static async loadURDF(content, fileName, fileMap = null, file = null) {
+    static async loadURDF(content, fileName, fileMap = null, file = null, options = {}) {
         // Dynamically import urdf-loader
         let URDFLoader;
         try {
@@ -152,7 +166,8 @@ export class ModelLoaderFactory {
                     // Example: if URDF has package://go2w_description/meshes/file.stl
                     // resolvePath returns: packages['go2w_description'] + '/' + 'meshes/file.stl'
                     // We return a virtual path, actual loading handled in loadMeshCb
-                    packageMap[pkg] = pkg; // Return package name itself
+                    // Remote models use the package URL instead, meshes are then fetched on demand
+                    packageMap[pkg] = options.remote ? this.resolveRemotePackage(pkg, options.remote) : pkg;
                 });
 
                 // Add default empty package mapping
@@ -405,6 +420,151 @@ export class ModelLoaderFactory {
         });
     }
 
+    /**
+     * Load Xacro (expand to URDF, then load as URDF)
+     * @param {string} content - Xacro content
+     * @param {string} fileName - Xacro file key in fileMap (includes path)
+     * @param {Map} fileMap - File map
+     * @param {File} file - Original file object (optional)
+     * @param {Object} options - Additional options (xacroArgs: values for $(arg ...))
+     */
+    static async loadXacro(content, fileName, fileMap = null, file = null, options = {}) {
+        let result;
+        try {
+            result = await XacroProcessor.process(content, fileName, {
+                args: options.xacroArgs || {},
+                readFile: (path, baseFile) => this.readXacroInclude(path, baseFile, fileMap, options.remote)
+            });
+        } catch (error) {
+            console.error('Xacro expansion error:', error);
+            throw new Error('Xacro expansion failed: ' + error.message);
+        }
+
+        const model = await this.loadURDF(result.urdf, fileName, fileMap, file, options);
+
+        // Keep declared args and expanded URDF for args UI and exporters
+        if (!model.userData) model.userData = {};
+        model.userData.xacro = {
+            args: result.args,
+            expandedURDF: result.urdf
+        };
+
+        return model;
+    }
+
+    /**
+     * Attach SRDF (MoveIt semantic description) found in fileMap to model.userData.srdf
+     * Prefers SRDF whose robot name matches the model, then one with the same base name as the URDF
+     * @param {UnifiedRobotModel} model
+     * @param {string} fileName - URDF/Xacro file key in fileMap
+     * @param {Map} fileMap - File map
+     */
+    static async attachSRDF(model, fileName, fileMap) {
+        if (!fileMap || fileMap.size === 0) return model;
+
+        // fileMap holds files under full path and plain name, keep each file once
+        const srdfFiles = new Map();
+        fileMap.forEach((file, path) => {
+            if (/\.srdf$/i.test(path) && !srdfFiles.has(file)) {
+                srdfFiles.set(file, path);
+            }
+        });
+        if (srdfFiles.size === 0) return model;
+
+        const baseName = (path) => path.split('/').pop().replace(/\.(srdf|urdf|xacro|urdf\.xacro)$/i, '').toLowerCase();
+        const urdfBaseName = baseName(fileName);
+
+        let best = null;
+        for (const [file, path] of srdfFiles) {
+            let srdf;
+            try {
+                srdf = SRDFParser.parse(await file.text());
+            } catch (error) {
+                console.warn(`Skipping SRDF ${path}:`, error.message);
+                continue;
+            }
+
+            const score = (srdf.name && srdf.name === model.name ? 2 : 0) + (baseName(path) === urdfBaseName ? 1 : 0);
+            if (!best || score > best.score) {
+                best = { srdf, path, score };
+            }
+        }
+
+        // Unrelated SRDFs are only used when the folder holds a single one
+        if (best && (best.score > 0 || srdfFiles.size === 1)) {
+            if (!model.userData) model.userData = {};
+            model.userData.srdf = { ...best.srdf, fileName: best.path };
+        }
+        return model;
+    }
+
+    /**
+     * Read file included by <xacro:include> (fileMap first, then fetch relative to base file)
+     * @param {string} path - Include path (relative, absolute or package://)
+     * @param {string} baseFile - Path of the including file
+     * @param {Map} fileMap - File map
+     * @param {Object} remote - {modelUrl, packages} of models fetched from URL
+     * @returns {Promise<string|null>}
+     */
+    static async readXacroInclude(path, baseFile, fileMap, remote = null) {
+        if (fileMap && fileMap.size > 0) {
+            // package://pkg/rest (from $(find pkg)/rest)
+            const packageMatch = path.match(/^package:\/\/([^/]+)\/(.+)$/);
+            if (packageMatch) {
+                const buffer = await this.resolveURDFPath(packageMatch[2], packageMatch[1], fileMap, baseFile);
+                if (buffer.byteLength > 0) {
+                    return new TextDecoder('utf-8').decode(buffer);
+                }
+            } else {
+                const resolved = XacroProcessor.resolveRelativePath(baseFile, path);
+                const file = fileMap.get(resolved) ||
+                    fileMap.get('/' + resolved) ||
+                    await this.findFileInMap(resolved, fileMap, baseFile);
+                if (file) {
+                    return await file.text();
+                }
+            }
+        }
+
+        // Fallback: fetch relative to base file or package URL (models loaded from URL)
+        const packageMatch = path.match(/^package:\/\/([^/]+)\/(.+)$/);
+        if (!packageMatch || remote) {
+            try {
+                const url = packageMatch
+                    ? `${this.resolveRemotePackage(packageMatch[1], remote)}/${packageMatch[2]}`
+                    : new URL(path, new URL(baseFile, window.location.href)).href;
+                const response = await fetch(url);
+                if (response.ok) {
+                    return await response.text();
+                }
+            } catch {
+                // Ignore fetch errors, caller reports missing include
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * URL of a ROS package for a model fetched from URL
+     * Uses the manifest package map, else the directory named like the package in the model URL,
+     * else the parent of the model directory (pkg/urdf/robot.urdf layout)
+     * @param {string} pkg - Package name
+     * @param {{modelUrl: string, packages: Object|null}} remote
+     * @returns {string} URL without trailing slash
+     */
+    static resolveRemotePackage(pkg, remote) {
+        if (remote.packages?.[pkg]) {
+            return remote.packages[pkg];
+        }
+
+        const modelUrl = new URL(remote.modelUrl, window.location.href);
+        const segments = modelUrl.pathname.split('/');
+        const index = segments.lastIndexOf(pkg, segments.length - 2);
+        const packagePath = index > 0 ? segments.slice(0, index + 1).join('/') + '/' : '../';
+        return new URL(packagePath, modelUrl).href.replace(/\/$/, '');
+    }
+
     /**
      * Extract all used package names from URDF content
      * @param {string} urdfContent - URDF file content
@@ -530,6 +690,27 @@ export class ModelLoaderFactory {
             .join('/');
     }
 
+    /**
+     * Resolve exporter mesh references to loaded files
+     * @param {Array<{source: string, path: string}>} meshes - Mesh list returned by exporters
+     * @param {Map} fileMap - File map
+     * @returns {Promise<Map<string, File>>} Map from exported path to file (missing meshes are skipped)
+     */
+    static async resolveExportedMeshes(meshes, fileMap) {
+        const files = new Map();
+        if (!fileMap) return files;
+
+        for (const mesh of meshes) {
+            const file = await this.findFileInMapByPath(mesh.source, fileMap, '');
+            if (file) {
+                files.set(mesh.path, file);
+            } else {
+                console.warn(`Mesh not found for export: ${mesh.source}`);
+            }
+        }
+        return files;
+    }
+
     /**
      * Find file in fileMap based on URDF directory
      * @param {string} path - File path (path passed by urdf-loader)
@@ -875,6 +1056,31 @@ export class ModelLoaderFactory {
         }
     }
 
+    /**
+     * Load SDF (.sdf / .world)
+     * @param {string} content - SDF content
+     * @param {string} fileName - SDF file key in fileMap (base for relative and model:// URIs)
+     * @param {Map} fileMap - File map
+     * @param {File} file - Original file object (optional), used to find its full path in fileMap
+     */
+    static async loadSDF(content, fileName, fileMap = null, file = null) {
+        try {
+            // Prefer the fileMap key (full folder path) so relative URIs resolve against the file's directory
+            if (file && fileMap) {
+                for (const [key, value] of fileMap.entries()) {
+                    if (value === file) {
+                        fileName = key;
+                        break;
+                    }
+                }
+            }
+            return await SDFAdapter.parse(content, fileMap, fileName);
+        } catch (error) {
+            console.error('SDF parsing error:', error);
+            throw new Error('SDF parsing failed: ' + error.message);
+        }
+    }
+
     /**
      * Load USD
      * @param {string|ArrayBuffer} content - USD content
@@ -911,7 +1117,7 @@ export class ModelLoaderFactory {
         if (joint.threeObject && (typeof joint.threeObject.setJointValue === 'function' || typeof joint.threeObject.setAngle === 'function')) {
             URDFAdapter.setJointAngle(joint, angle, ignoreLimits);
         } else {
-            // MJCF or USD format
+            // MJCF, SDF or USD format
             MJCFAdapter.setJointAngle(joint, angle);
         }
 
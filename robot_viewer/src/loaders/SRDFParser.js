@@ -0,0 +1,157 @@
+import { Kinematics } from '../kinematics/Kinematics.js';
+
+/**
+ * SRDF Parser
+ * Reads the Semantic Robot Description Format (MoveIt) companion file of a URDF
+ */
+export class SRDFParser {
+    /**
+     * Parse SRDF content
+     * @param {string} content - SRDF XML
+     * @returns {{
+     *   name: string,
+     *   groups: Array<{name: string, links: string[], joints: string[], chains: Array<{baseLink: string, tipLink: string}>, subgroups: string[]}>,
+     *   groupStates: Array<{name: string, group: string, values: Map<string, number[]>}>,
+     *   endEffectors: Array<{name: string, parentLink: string, group: string, parentGroup: string}>,
+     *   virtualJoints: Array<{name: string, type: string, parentFrame: string, childLink: string}>,
+     *   passiveJoints: string[],
+     *   disabledCollisions: Array<{link1: string, link2: string, reason: string}>
+     * }}
+     */
+    static parse(content) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(content, 'text/xml');
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('SRDF XML parsing failed: ' + parseError.textContent);
+        }
+
+        const robot = doc.documentElement;
+        if (!robot || robot.tagName !== 'robot') {
+            throw new Error('SRDF root element must be <robot>');
+        }
+
+        return {
+            name: robot.getAttribute('name') || '',
+            groups: this.parseGroups(robot),
+            groupStates: this.parseGroupStates(robot),
+            endEffectors: this.parseEndEffectors(robot),
+            virtualJoints: this.parseVirtualJoints(robot),
+            passiveJoints: this.children(robot, 'passive_joint')
+                .map(element => element.getAttribute('name'))
+                .filter(Boolean),
+            disabledCollisions: this.parseDisabledCollisions(robot)
+        };
+    }
+
+    static children(element, tagName) {
+        return Array.from(element.children).filter(child => child.tagName === tagName);
+    }
+
+    static parseGroups(robot) {
+        return this.children(robot, 'group').map(element => {
+            const names = (tagName) => this.children(element, tagName)
+                .map(child => child.getAttribute('name'))
+                .filter(Boolean);
+
+            return {
+                name: element.getAttribute('name') || '',
+                links: names('link'),
+                joints: names('joint'),
+                chains: this.children(element, 'chain')
+                    .map(chain => ({
+                        baseLink: chain.getAttribute('base_link'),
+                        tipLink: chain.getAttribute('tip_link')
+                    }))
+                    .filter(chain => chain.baseLink && chain.tipLink),
+                subgroups: names('group')
+            };
+        }).filter(group => group.name);
+    }
+
+    static parseGroupStates(robot) {
+        return this.children(robot, 'group_state').map(element => {
+            // Multi-DOF joints list several space separated values
+            const values = new Map();
+            this.children(element, 'joint').forEach(joint => {
+                const name = joint.getAttribute('name');
+                const value = (joint.getAttribute('value') || '').trim().split(/\s+/).map(parseFloat);
+                if (name && value.length > 0 && value.every(v => !isNaN(v))) {
+                    values.set(name, value);
+                }
+            });
+
+            return {
+                name: element.getAttribute('name') || '',
+                group: element.getAttribute('group') || '',
+                values
+            };
+        }).filter(state => state.name);
+    }
+
+    static parseEndEffectors(robot) {
+        return this.children(robot, 'end_effector').map(element => ({
+            name: element.getAttribute('name') || '',
+            parentLink: element.getAttribute('parent_link') || '',
+            group: element.getAttribute('group') || '',
+            parentGroup: element.getAttribute('parent_group') || ''
+        })).filter(endEffector => endEffector.name);
+    }
+
+    static parseVirtualJoints(robot) {
+        return this.children(robot, 'virtual_joint').map(element => ({
+            name: element.getAttribute('name') || '',
+            type: element.getAttribute('type') || 'fixed',
+            parentFrame: element.getAttribute('parent_frame') || '',
+            childLink: element.getAttribute('child_link') || ''
+        })).filter(joint => joint.name);
+    }
+
+    /**
+     * Joints of a planning group in the model, resolved like MoveIt does:
+     * listed joints, parent joints of listed links, joints along chains and joints of subgroups
+     * @param {Object} srdf - parse() result
+     * @param {string} groupName
+     * @param {UnifiedRobotModel} model
+     * @returns {Set<string>}
+     */
+    static getGroupJoints(srdf, groupName, model, tree = Kinematics.buildTree(model), visited = new Set()) {
+        const jointNames = new Set();
+        const group = srdf.groups.find(g => g.name === groupName);
+        if (!group || visited.has(groupName)) return jointNames;
+        visited.add(groupName);
+
+        group.joints.forEach(name => jointNames.add(name));
+        group.links.forEach(linkName => {
+            tree.get(linkName)?.joints.forEach(joint => jointNames.add(joint.name));
+        });
+        group.chains.forEach(({ baseLink, tipLink }) => {
+            const chainJoints = [];
+            let current = tipLink;
+            while (current && current !== baseLink && tree.has(current)) {
+                const node = tree.get(current);
+                chainJoints.push(...node.joints);
+                current = node.parent;
+            }
+            // Base link is not an ancestor of tip link: invalid chain
+            if (current === baseLink) {
+                chainJoints.forEach(joint => jointNames.add(joint.name));
+            }
+        });
+        group.subgroups.forEach(subgroup => {
+            this.getGroupJoints(srdf, subgroup, model, tree, visited).forEach(name => jointNames.add(name));
+        });
+
+        return new Set(Array.from(jointNames).filter(name => model.joints.has(name)));
+    }
+
+    static parseDisabledCollisions(robot) {
+        return this.children(robot, 'disable_collisions')
+            .map(element => ({
+                link1: element.getAttribute('link1'),
+                link2: element.getAttribute('link2'),
+                reason: element.getAttribute('reason') || ''
+            }))
+            .filter(pair => pair.link1 && pair.link2);
+    }
+}
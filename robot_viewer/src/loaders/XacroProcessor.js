@@ -0,0 +1,1022 @@
+/**
+ * Xacro Processor
+ * Expands xacro documents (properties, macros, includes, conditionals, args) into plain URDF
+ * Runs entirely in the browser on top of DOMParser
+ */
+
+const XACRO_NS = 'http://www.ros.org/wiki/xacro';
+const MAX_DEPTH = 100;
+
+// Functions and constants available inside ${} expressions (subset of Python math module)
+const BUILTINS = {
+    pi: Math.PI,
+    e: Math.E,
+    inf: Infinity,
+    nan: NaN,
+    True: true,
+    False: false,
+    true: true,
+    false: false,
+    None: null,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    atan2: Math.atan2,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    sqrt: Math.sqrt,
+    exp: Math.exp,
+    log: (x, base) => base === undefined ? Math.log(x) : Math.log(x) / Math.log(base),
+    log10: Math.log10,
+    pow: Math.pow,
+    fabs: Math.abs,
+    abs: Math.abs,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: (x, n = 0) => Math.round(x * Math.pow(10, n)) / Math.pow(10, n),
+    min: Math.min,
+    max: Math.max,
+    radians: (x) => x * Math.PI / 180,
+    degrees: (x) => x * 180 / Math.PI,
+    int: (x) => Math.trunc(Number(x)),
+    float: (x) => Number(x),
+    str: (x) => XacroProcessor.formatValue(x),
+    bool: (x) => XacroProcessor.toBoolean(x),
+    len: (x) => (x && x.length !== undefined) ? x.length : 0
+};
+
+/**
+ * Lexical scope for properties and macros
+ * Lookups fall through to the parent scope
+ */
+class XacroScope {
+    constructor(parent = null) {
+        this.parent = parent;
+        this.properties = new Map();
+        this.macros = new Map();
+    }
+
+    findProperty(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.properties.has(name)) {
+                return scope.properties.get(name);
+            }
+        }
+        return null;
+    }
+
+    findMacro(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.macros.has(name)) {
+                return scope.macros.get(name);
+            }
+        }
+        return null;
+    }
+
+    root() {
+        let scope = this;
+        while (scope.parent) {
+            scope = scope.parent;
+        }
+        return scope;
+    }
+}
+
+export class XacroProcessor {
+    /**
+     * Check if content is a xacro document
+     * @param {string} content - XML content
+     * @returns {boolean}
+     */
+    static isXacro(content) {
+        if (!content || typeof content !== 'string') {
+            return false;
+        }
+        return content.includes('xacro:') || content.includes(XACRO_NS);
+    }
+
+    /**
+     * Collect <xacro:arg> declarations of the top-level document
+     * (args declared in included files are reported after expansion via process())
+     * @param {string} content - Xacro content
+     * @returns {Array<{name: string, default: string|null}>}
+     */
+    static extractArgs(content) {
+        const doc = this.parseXML(content);
+        const args = [];
+        doc.querySelectorAll('*').forEach(el => {
+            if (this.getXacroTag(el) === 'arg') {
+                args.push({
+                    name: el.getAttribute('name'),
+                    default: el.hasAttribute('default') ? el.getAttribute('default') : null
+                });
+            }
+        });
+        return args;
+    }
+
+    /**
+     * Expand xacro document into URDF
+     * @param {string} content - Xacro content
+     * @param {string} fileName - File name (key in fileMap), used to resolve relative includes
+     * @param {Object} options - Options
+     * @param {Object} options.args - Values for $(arg ...) overriding <xacro:arg> defaults
+     * @param {Function} options.readFile - async (path, baseFile) => string|null, resolves includes
+     * @returns {Promise<{urdf: string, args: Array<{name: string, default: string|null, value: string}>}>}
+     */
+    static async process(content, fileName, options = {}) {
+        const doc = this.parseXML(content);
+
+        const ctx = {
+            doc: doc,
+            args: new Map(Object.entries(options.args || {})),
+            declaredArgs: new Map(),
+            readFile: options.readFile || null,
+            fileStack: [fileName || '']
+        };
+
+        const scope = new XacroScope();
+        await this.expandChildren(doc.documentElement, scope, ctx, 0);
+
+        // Remove xacro namespace declaration from output
+        const root = doc.documentElement;
+        Array.from(root.attributes).forEach(attr => {
+            if (attr.name.startsWith('xmlns:') && attr.value === XACRO_NS) {
+                root.removeAttribute(attr.name);
+            }
+        });
+
+        const serializer = new XMLSerializer();
+        let urdf = serializer.serializeToString(doc);
+        // Serializer may re-emit the namespace on root
+        urdf = urdf.replace(/\s+xmlns:xacro="[^"]*"/g, '');
+
+        const args = Array.from(ctx.declaredArgs.values()).map(arg => ({
+            name: arg.name,
+            default: arg.default,
+            value: ctx.args.has(arg.name) ? String(ctx.args.get(arg.name)) : (arg.default ?? '')
+        }));
+
+        return { urdf, args };
+    }
+
+    /**
+     * Parse XML, declaring xacro namespace if file uses prefix without declaring it
+     */
+    static parseXML(content) {
+        let source = content;
+        if (source.includes('xacro:') && !/xmlns:xacro\s*=/.test(source)) {
+            source = source.replace(/<([A-Za-z_][\w.-]*)(\s|>|\/>)/, (match, tag, tail) => {
+                return `<${tag} xmlns:xacro="${XACRO_NS}"${tail}`;
+            });
+        }
+
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(source, 'text/xml');
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('XML parsing error: ' + parseError.textContent);
+        }
+        return doc;
+    }
+
+    /**
+     * Get xacro tag local name (e.g. 'macro' for <xacro:macro>), null for regular elements
+     */
+    static getXacroTag(el) {
+        if (el.nodeType !== 1) {
+            return null;
+        }
+        if (el.namespaceURI === XACRO_NS || (el.prefix === 'xacro')) {
+            return el.localName;
+        }
+        if (el.tagName.startsWith('xacro:')) {
+            return el.tagName.substring(6);
+        }
+        return null;
+    }
+
+    /**
+     * Expand all child nodes of a parent node in place
+     */
+    static async expandChildren(parent, scope, ctx, depth) {
+        if (depth > MAX_DEPTH) {
+            throw new Error('Xacro recursion too deep (possible recursive macro or include)');
+        }
+
+        // Snapshot child list, nodes get replaced while iterating
+        const children = Array.from(parent.childNodes);
+
+        for (const node of children) {
+            if (node.nodeType === 3) {
+                // Text node
+                if (node.nodeValue.includes('$')) {
+                    node.nodeValue = this.evalText(node.nodeValue, scope, ctx);
+                }
+                continue;
+            }
+
+            if (node.nodeType !== 1) {
+                continue;
+            }
+
+            const tag = this.getXacroTag(node);
+            if (tag === null) {
+                // Regular element: substitute attributes and recurse
+                Array.from(node.attributes).forEach(attr => {
+                    if (attr.value.includes('$')) {
+                        attr.value = this.evalText(attr.value, scope, ctx);
+                    }
+                });
+                await this.expandChildren(node, scope, ctx, depth + 1);
+                this.applyAttributeChildren(node);
+                continue;
+            }
+
+            const replacement = await this.expandXacroElement(node, tag, scope, ctx, depth);
+            this.replaceNode(node, replacement);
+        }
+    }
+
+    /**
+     * Expand a single xacro element
+     * @returns {Promise<Node[]>} Nodes replacing the element
+     */
+    static async expandXacroElement(el, tag, scope, ctx, depth) {
+        switch (tag) {
+            case 'property':
+                this.defineProperty(el, scope, ctx);
+                return [];
+
+            case 'arg': {
+                const name = el.getAttribute('name');
+                const def = el.hasAttribute('default') ? this.evalText(el.getAttribute('default'), scope, ctx) : null;
+                if (!ctx.declaredArgs.has(name)) {
+                    ctx.declaredArgs.set(name, { name, default: def });
+                }
+                if (!ctx.args.has(name) && def !== null) {
+                    ctx.args.set(name, def);
+                }
+                return [];
+            }
+
+            case 'macro': {
+                const name = el.getAttribute('name');
+                if (!name) {
+                    throw new Error('<xacro:macro> missing name attribute');
+                }
+                scope.macros.set(name, {
+                    name: name,
+                    params: this.parseMacroParams(el.getAttribute('params') || ''),
+                    body: el
+                });
+                return [];
+            }
+
+            case 'include':
+                return await this.expandInclude(el, scope, ctx, depth);
+
+            case 'if':
+            case 'unless': {
+                const value = this.evalText(el.getAttribute('value') || '', scope, ctx);
+                let condition = this.toBoolean(value);
+                if (tag === 'unless') {
+                    condition = !condition;
+                }
+                if (!condition) {
+                    return [];
+                }
+                return await this.expandBody(el, scope, ctx, depth);
+            }
+
+            case 'insert_block': {
+                const name = this.evalText(el.getAttribute('name') || '', scope, ctx);
+                const prop = scope.findProperty(name);
+                if (!prop || !prop.block) {
+                    throw new Error(`Undefined block "${name}"`);
+                }
+                const fragment = ctx.doc.createDocumentFragment();
+                prop.block.forEach(node => fragment.appendChild(ctx.doc.importNode(node, true)));
+                await this.expandChildren(fragment, scope, ctx, depth + 1);
+                return Array.from(fragment.childNodes);
+            }
+
+            case 'element': {
+                const name = this.evalText(el.getAttribute('xacro:name') || el.getAttribute('name') || '', scope, ctx);
+                const created = ctx.doc.createElement(name);
+                Array.from(el.attributes).forEach(attr => {
+                    if (attr.name !== 'xacro:name' && attr.name !== 'name') {
+                        created.setAttribute(attr.name, this.evalText(attr.value, scope, ctx));
+                    }
+                });
+                Array.from(el.childNodes).forEach(child => created.appendChild(child.cloneNode(true)));
+                await this.expandChildren(created, scope, ctx, depth + 1);
+                this.applyAttributeChildren(created);
+                return [created];
+            }
+
+            case 'attribute':
+                // Handled by parent after expansion (see applyAttributeChildren)
+                return [el];
+
+            case 'call': {
+                const macroName = this.evalText(el.getAttribute('macro') || '', scope, ctx);
+                return await this.expandMacroCall(el, macroName, scope, ctx, depth);
+            }
+
+            default:
+                return await this.expandMacroCall(el, tag, scope, ctx, depth);
+        }
+    }
+
+    /**
+     * Define <xacro:property>, either value property or block property
+     */
+    static defineProperty(el, scope, ctx) {
+        const name = el.getAttribute('name');
+        if (!name) {
+            throw new Error('<xacro:property> missing name attribute');
+        }
+
+        // scope="parent" / scope="global" write to outer scopes
+        let target = scope;
+        const scopeAttr = el.getAttribute('scope');
+        if (scopeAttr === 'parent' && scope.parent) {
+            target = scope.parent;
+        } else if (scopeAttr === 'global') {
+            target = scope.root();
+        }
+
+        if (el.hasAttribute('value')) {
+            const raw = el.getAttribute('value');
+            // lazy_eval="false" forces immediate evaluation
+            if (el.getAttribute('lazy_eval') === 'false') {
+                target.properties.set(name, { evaluated: true, value: this.evalValue(raw, scope, ctx) });
+            } else {
+                target.properties.set(name, { evaluated: false, raw: raw, scope: scope });
+            }
+        } else if (el.hasAttribute('default')) {
+            if (!scope.findProperty(name)) {
+                target.properties.set(name, { evaluated: false, raw: el.getAttribute('default'), scope: scope });
+            }
+        } else {
+            // Block property: child elements
+            const block = Array.from(el.childNodes).filter(node => node.nodeType === 1);
+            target.properties.set(name, { block: block });
+        }
+    }
+
+    /**
+     * Parse macro params string, e.g. "name parent *origin **content x:=0 y:=^ z:=^|1"
+     */
+    static parseMacroParams(paramsStr) {
+        return paramsStr.trim().split(/\s+/).filter(p => p).map(param => {
+            let kind = 'value';
+            let name = param;
+            if (name.startsWith('**')) {
+                kind = 'content';
+                name = name.substring(2);
+            } else if (name.startsWith('*')) {
+                kind = 'block';
+                name = name.substring(1);
+            }
+
+            let defaultValue;
+            let inherit = false;
+            const defIndex = name.indexOf(':=');
+            if (defIndex >= 0) {
+                defaultValue = name.substring(defIndex + 2);
+                name = name.substring(0, defIndex);
+                if (defaultValue.startsWith('^')) {
+                    inherit = true;
+                    defaultValue = defaultValue.startsWith('^|') ? defaultValue.substring(2) : undefined;
+                }
+            }
+
+            return { name, kind, defaultValue, inherit };
+        });
+    }
+
+    /**
+     * Expand macro call
+     */
+    static async expandMacroCall(el, macroName, scope, ctx, depth) {
+        const macro = scope.findMacro(macroName);
+        if (!macro) {
+            throw new Error(`Unknown xacro macro or tag "xacro:${macroName}"`);
+        }
+
+        // Like xacro, the body is expanded in a child of the caller scope
+        const macroScope = new XacroScope(scope);
+        const blockChildren = Array.from(el.childNodes).filter(node => node.nodeType === 1);
+        let blockIndex = 0;
+
+        for (const param of macro.params) {
+            if (param.kind === 'block' || param.kind === 'content') {
+                const blockEl = blockChildren[blockIndex++];
+                if (!blockEl) {
+                    throw new Error(`Macro "${macroName}" missing block parameter "${param.name}"`);
+                }
+                // Block parameters are evaluated in caller scope
+                const holder = ctx.doc.createDocumentFragment();
+                holder.appendChild(blockEl.cloneNode(true));
+                await this.expandChildren(holder, scope, ctx, depth + 1);
+                const nodes = param.kind === 'content' ?
+                    Array.from(holder.firstChild ? holder.firstChild.childNodes : []) :
+                    Array.from(holder.childNodes);
+                macroScope.properties.set(param.name, { block: nodes });
+                continue;
+            }
+
+            if (el.hasAttribute(param.name)) {
+                macroScope.properties.set(param.name, {
+                    evaluated: true,
+                    value: this.evalValue(el.getAttribute(param.name), scope, ctx)
+                });
+            } else if (param.inherit && scope.findProperty(param.name)) {
+                macroScope.properties.set(param.name, {
+                    evaluated: true,
+                    value: this.lookupProperty(param.name, scope, ctx)
+                });
+            } else if (param.defaultValue !== undefined) {
+                macroScope.properties.set(param.name, {
+                    evaluated: true,
+                    value: this.evalValue(param.defaultValue, scope, ctx)
+                });
+            } else {
+                throw new Error(`Macro "${macroName}" missing parameter "${param.name}"`);
+            }
+        }
+
+        return await this.expandBody(macro.body, macroScope, ctx, depth);
+    }
+
+    /**
+     * Clone children of a template element and expand them in given scope
+     */
+    static async expandBody(templateEl, scope, ctx, depth) {
+        const fragment = ctx.doc.createDocumentFragment();
+        Array.from(templateEl.childNodes).forEach(node => {
+            fragment.appendChild(ctx.doc.importNode(node, true));
+        });
+        await this.expandChildren(fragment, scope, ctx, depth + 1);
+        return Array.from(fragment.childNodes);
+    }
+
+    /**
+     * Expand <xacro:include filename="..." [ns="..."]/>
+     */
+    static async expandInclude(el, scope, ctx, depth) {
+        const filename = this.evalText(el.getAttribute('filename') || '', scope, ctx);
+        if (!filename) {
+            return [];
+        }
+
+        if (!ctx.readFile) {
+            console.warn(`Xacro include skipped (no file resolver): ${filename}`);
+            return [];
+        }
+
+        const baseFile = ctx.fileStack[ctx.fileStack.length - 1];
+        const text = await ctx.readFile(filename, baseFile);
+        if (text === null || text === undefined) {
+            console.warn(`Cannot find xacro include: ${filename}`);
+            return [];
+        }
+
+        const includedDoc = this.parseXML(text);
+
+        // Included macros/properties go into a namespace when ns attribute is present
+        const ns = el.getAttribute('ns');
+        const targetScope = ns ? new XacroScope(scope) : scope;
+
+        ctx.fileStack.push(this.resolveRelativePath(baseFile, filename));
+        try {
+            const nodes = await this.expandBody(includedDoc.documentElement, targetScope, ctx, depth);
+            if (ns) {
+                targetScope.macros.forEach((macro, name) => scope.macros.set(`${ns}.${name}`, macro));
+                targetScope.properties.forEach((prop, name) => scope.properties.set(`${ns}.${name}`, prop));
+            }
+            return nodes;
+        } finally {
+            ctx.fileStack.pop();
+        }
+    }
+
+    /**
+     * Resolve include path relative to the including file
+     */
+    static resolveRelativePath(baseFile, path) {
+        if (path.startsWith('package://') || path.startsWith('/') || /^https?:\/\//.test(path)) {
+            return path;
+        }
+        const dir = baseFile.includes('/') ? baseFile.substring(0, baseFile.lastIndexOf('/') + 1) : '';
+        const parts = (dir + path).split('/');
+        const resolved = [];
+        for (const part of parts) {
+            if (part === '..') {
+                resolved.pop();
+            } else if (part !== '.') {
+                resolved.push(part);
+            }
+        }
+        return resolved.join('/');
+    }
+
+    /**
+     * Move <xacro:attribute> children onto their parent element
+     */
+    static applyAttributeChildren(el) {
+        Array.from(el.childNodes).forEach(child => {
+            if (child.nodeType === 1 && this.getXacroTag(child) === 'attribute') {
+                el.setAttribute(child.getAttribute('name'), child.getAttribute('value') || child.textContent);
+                el.removeChild(child);
+            }
+        });
+    }
+
+    /**
+     * Replace node by list of nodes
+     */
+    static replaceNode(node, replacement) {
+        const parent = node.parentNode;
+        if (!parent) {
+            return;
+        }
+        if (replacement.length === 1 && replacement[0] === node) {
+            return;
+        }
+        replacement.forEach(newNode => parent.insertBefore(newNode, node));
+        parent.removeChild(node);
+    }
+
+    /**
+     * Evaluate text containing ${expr} and $(command) substitutions
+     * @returns {string} Substituted text
+     */
+    static evalText(text, scope, ctx) {
+        const parts = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            // $${ and $$( escape to literal ${ / $(
+            if (ch === '$' && text[i + 1] === '$' && (text[i + 2] === '{' || text[i + 2] === '(')) {
+                parts.push('$');
+                i += 2;
+                continue;
+            }
+
+            if (ch === '$' && (text[i + 1] === '{' || text[i + 1] === '(')) {
+                const open = text[i + 1];
+                const close = open === '{' ? '}' : ')';
+                const end = this.findClosing(text, i + 1, open, close);
+                if (end < 0) {
+                    throw new Error(`Unterminated substitution in "${text}"`);
+                }
+                const inner = text.substring(i + 2, end);
+                parts.push(open === '{' ?
+                    this.evalExpression(inner, scope, ctx) :
+                    this.evalCommand(inner, scope, ctx));
+                i = end + 1;
+                continue;
+            }
+
+            const next = text.indexOf('$', i + 1);
+            const stop = next < 0 ? text.length : next;
+            parts.push(text.substring(i, stop));
+            i = stop;
+        }
+
+        if (parts.length === 1 && typeof parts[0] !== 'string') {
+            return this.formatValue(parts[0]);
+        }
+        return parts.map(part => typeof part === 'string' ? part : this.formatValue(part)).join('');
+    }
+
+    /**
+     * Evaluate a property or parameter value: a lone ${expr} keeps its value (list, dict, number),
+     * anything else is substituted text. Values are formatted when substituted into text
+     */
+    static evalValue(text, scope, ctx) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('${') && this.findClosing(trimmed, 1, '{', '}') === trimmed.length - 1) {
+            return this.evalExpression(trimmed.substring(2, trimmed.length - 1), scope, ctx);
+        }
+        return this.evalText(text, scope, ctx);
+    }
+
+    /**
+     * Find matching closing bracket, honoring nesting and quotes
+     */
+    static findClosing(text, openIndex, open, close) {
+        let level = 0;
+        let quote = null;
+        for (let i = openIndex; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote) quote = null;
+                continue;
+            }
+            if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === open) {
+                level++;
+            } else if (ch === close) {
+                level--;
+                if (level === 0) {
+                    return i;
+                }
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Evaluate $(command args): arg, find, env, optenv, eval, dirname, cwd
+     */
+    static evalCommand(inner, scope, ctx) {
+        // Nested substitutions inside command are allowed (e.g. $(find $(arg pkg)))
+        const expanded = inner.includes('$') ? this.evalText(inner, scope, ctx) : inner;
+        const trimmed = expanded.trim();
+        const spaceIndex = trimmed.search(/\s/);
+        const command = spaceIndex < 0 ? trimmed : trimmed.substring(0, spaceIndex);
+        const rest = spaceIndex < 0 ? '' : trimmed.substring(spaceIndex + 1).trim();
+
+        switch (command) {
+            case 'arg': {
+                if (!ctx.args.has(rest)) {
+                    throw new Error(`Undefined substitution argument "${rest}"`);
+                }
+                return String(ctx.args.get(rest));
+            }
+            case 'find':
+                // Resolved later by package:// lookup in fileMap (see ModelLoaderFactory.loadURDF)
+                return `package://${rest}`;
+            case 'env':
+                return '';
+            case 'optenv': {
+                const tokens = rest.split(/\s+/);
+                return tokens.slice(1).join(' ');
+            }
+            case 'eval':
+                return this.formatValue(this.evalExpression(rest, scope, ctx));
+            case 'dirname': {
+                const current = ctx.fileStack[ctx.fileStack.length - 1];
+                return current.includes('/') ? current.substring(0, current.lastIndexOf('/')) : '.';
+            }
+            case 'cwd':
+                return '.';
+            default:
+                throw new Error(`Unsupported substitution command "$(${command})"`);
+        }
+    }
+
+    /**
+     * Get evaluated property value
+     */
+    static lookupProperty(name, scope, ctx) {
+        const prop = scope.findProperty(name);
+        if (!prop) {
+            return undefined;
+        }
+        if (prop.block) {
+            throw new Error(`Block property "${name}" used in expression`);
+        }
+        if (!prop.evaluated) {
+            if (prop.evaluating) {
+                throw new Error(`Circular property definition "${name}"`);
+            }
+            prop.evaluating = true;
+            try {
+                prop.value = this.evalValue(prop.raw, prop.scope, ctx);
+            } finally {
+                prop.evaluating = false;
+            }
+            prop.evaluated = true;
+        }
+        return this.coerceValue(prop.value);
+    }
+
+    /**
+     * Convert numeric strings to numbers so arithmetic works
+     */
+    static coerceValue(value) {
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            if (trimmed !== '' && !isNaN(Number(trimmed))) {
+                return Number(trimmed);
+            }
+            if (trimmed === 'true' || trimmed === 'True') return true;
+            if (trimmed === 'false' || trimmed === 'False') return false;
+        }
+        return value;
+    }
+
+    /**
+     * Format value for output text (Python-like)
+     */
+    static formatValue(value) {
+        if (typeof value === 'number') {
+            if (Number.isInteger(value)) {
+                return String(value);
+            }
+            // Avoid long binary-float artifacts while keeping precision
+            return String(parseFloat(value.toPrecision(15)));
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'True' : 'False';
+        }
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(v => this.formatValue(v)).join(' ');
+        }
+        return String(value);
+    }
+
+    /**
+     * Python-like truthiness for xacro:if / xacro:unless
+     */
+    static toBoolean(value) {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        const str = String(value).trim();
+        if (str === 'true' || str === 'True' || str === '1') return true;
+        if (str === 'false' || str === 'False' || str === '0' || str === '') return false;
+        const num = Number(str);
+        if (!isNaN(num)) return num !== 0;
+        throw new Error(`Xacro conditional value "${str}" is not a boolean expression`);
+    }
+
+    /**
+     * Evaluate a Python-like expression
+     */
+    static evalExpression(source, scope, ctx) {
+        const tokens = this.tokenize(source);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (value) => tokens[pos] && tokens[pos].type === 'op' && tokens[pos].value === value;
+        const isWord = (value) => tokens[pos] && tokens[pos].type === 'name' && tokens[pos].value === value;
+        const expect = (value) => {
+            if (!isOp(value)) {
+                throw new Error(`Expected "${value}" in expression "${source}"`);
+            }
+            pos++;
+        };
+
+        const lookupName = (name) => {
+            const value = this.lookupProperty(name, scope, ctx);
+            if (value !== undefined) {
+                return value;
+            }
+            const builtinName = name.startsWith('math.') ? name.substring(5) : name;
+            if (builtinName in BUILTINS) {
+                return BUILTINS[builtinName];
+            }
+            throw new Error(`Property "${name}" is not defined`);
+        };
+
+        const add = (a, b) => {
+            if (typeof a === 'string' || typeof b === 'string') {
+                return this.formatValue(a) + this.formatValue(b);
+            }
+            return a + b;
+        };
+
+        let parseTernary;
+
+        const parsePrimary = () => {
+            const token = peek();
+            if (!token) {
+                throw new Error(`Unexpected end of expression "${source}"`);
+            }
+            if (token.type === 'number' || token.type === 'string') {
+                pos++;
+                return token.value;
+            }
+            if (token.type === 'name') {
+                pos++;
+                return lookupName(token.value);
+            }
+            if (isOp('(')) {
+                pos++;
+                const value = parseTernary();
+                expect(')');
+                return value;
+            }
+            if (isOp('[')) {
+                pos++;
+                const items = [];
+                while (!isOp(']')) {
+                    items.push(parseTernary());
+                    if (isOp(',')) pos++;
+                    else break;
+                }
+                expect(']');
+                return items;
+            }
+            throw new Error(`Unexpected token "${token.value}" in expression "${source}"`);
+        };
+
+        const parseCall = () => {
+            let value = parsePrimary();
+            while (isOp('(') || isOp('[')) {
+                if (isOp('(')) {
+                    pos++;
+                    const args = [];
+                    while (!isOp(')')) {
+                        args.push(parseTernary());
+                        if (isOp(',')) pos++;
+                        else break;
+                    }
+                    expect(')');
+                    if (typeof value !== 'function') {
+                        throw new Error(`Value is not callable in expression "${source}"`);
+                    }
+                    value = value(...args);
+                } else {
+                    pos++;
+                    const index = parseTernary();
+                    expect(']');
+                    value = value[index < 0 ? value.length + index : index];
+                }
+            }
+            return value;
+        };
+
+        let parseUnary;
+
+        const parsePower = () => {
+            const base = parseCall();
+            if (isOp('**')) {
+                pos++;
+                return Math.pow(base, parseUnary());
+            }
+            return base;
+        };
+
+        parseUnary = () => {
+            if (isOp('-')) {
+                pos++;
+                return -parseUnary();
+            }
+            if (isOp('+')) {
+                pos++;
+                return +parseUnary();
+            }
+            return parsePower();
+        };
+
+        const parseTerm = () => {
+            let value = parseUnary();
+            while (isOp('*') || isOp('/') || isOp('//') || isOp('%')) {
+                const op = tokens[pos++].value;
+                const rhs = parseUnary();
+                if (op === '*') value = value * rhs;
+                else if (op === '/') value = value / rhs;
+                else if (op === '//') value = Math.floor(value / rhs);
+                else value = ((value % rhs) + rhs) % rhs;
+            }
+            return value;
+        };
+
+        const parseAdditive = () => {
+            let value = parseTerm();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[pos++].value;
+                const rhs = parseTerm();
+                value = op === '+' ? add(value, rhs) : value - rhs;
+            }
+            return value;
+        };
+
+        const parseComparison = () => {
+            let value = parseAdditive();
+            while (isOp('==') || isOp('!=') || isOp('<') || isOp('<=') || isOp('>') || isOp('>=') || isWord('in')) {
+                const op = tokens[pos++].value;
+                const rhs = parseAdditive();
+                switch (op) {
+                    case '==': value = value === rhs || String(value) === String(rhs); break;
+                    case '!=': value = !(value === rhs || String(value) === String(rhs)); break;
+                    case '<': value = value < rhs; break;
+                    case '<=': value = value <= rhs; break;
+                    case '>': value = value > rhs; break;
+                    case '>=': value = value >= rhs; break;
+                    default: value = rhs.includes(value); break;
+                }
+            }
+            return value;
+        };
+
+        const parseNot = () => {
+            if (isWord('not')) {
+                pos++;
+                return !this.toBoolean(parseNot());
+            }
+            return parseComparison();
+        };
+
+        const parseAnd = () => {
+            let value = parseNot();
+            while (isWord('and')) {
+                pos++;
+                const rhs = parseNot();
+                value = this.toBoolean(value) ? rhs : value;
+            }
+            return value;
+        };
+
+        const parseOr = () => {
+            let value = parseAnd();
+            while (isWord('or')) {
+                pos++;
+                const rhs = parseAnd();
+                value = this.toBoolean(value) ? value : rhs;
+            }
+            return value;
+        };
+
+        parseTernary = () => {
+            const value = parseOr();
+            if (isWord('if')) {
+                pos++;
+                const condition = parseOr();
+                if (!isWord('else')) {
+                    throw new Error(`Expected "else" in expression "${source}"`);
+                }
+                pos++;
+                const otherwise = parseTernary();
+                return this.toBoolean(condition) ? value : otherwise;
+            }
+            return value;
+        };
+
+        const result = parseTernary();
+        if (pos < tokens.length) {
+            throw new Error(`Unexpected token "${tokens[pos].value}" in expression "${source}"`);
+        }
+        return result;
+    }
+
+    /**
+     * Tokenize expression
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const operators = ['**', '//', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '<', '>', '(', ')', '[', ']', ','];
+        let i = 0;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.substring(i));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+                i += numberMatch[0].length;
+                continue;
+            }
+
+            if (ch === '"' || ch === '\'') {
+                const end = source.indexOf(ch, i + 1);
+                if (end < 0) {
+                    throw new Error(`Unterminated string in expression "${source}"`);
+                }
+                tokens.push({ type: 'string', value: source.substring(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+
+            const nameMatch = /^[A-Za-z_][\w.]*/.exec(source.substring(i));
+            if (nameMatch) {
+                tokens.push({ type: 'name', value: nameMatch[0] });
+                i += nameMatch[0].length;
+                continue;
+            }
+
+            const op = operators.find(candidate => source.startsWith(candidate, i));
+            if (op) {
+                tokens.push({ type: 'op', value: op });
+                i += op.length;
+                continue;
+            }
+
+            throw new Error(`Unexpected character "${ch}" in expression "${source}"`);
+        }
+
+        return tokens;
+    }
+}
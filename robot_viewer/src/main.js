@@ -8,13 +8,34 @@ import { SceneManager } from './renderer/SceneManager.js';
 import { UIController } from './ui/UIController.js';
 import { FileHandler } from './controllers/FileHandler.js';
 import { JointControlsUI } from './ui/JointControlsUI.js';
+import { XacroArgsUI } from './ui/XacroArgsUI.js';
+import { ExportUI } from './ui/ExportUI.js';
+import { ActuatorControlsUI } from './ui/ActuatorControlsUI.js';
+import { KeyframeUI } from './ui/KeyframeUI.js';
+import { SimulationTimelineUI } from './ui/SimulationTimelineUI.js';
+import { SignalPlotUI } from './ui/SignalPlotUI.js';
+import { KinematicsUI } from './ui/KinematicsUI.js';
+import { WorkspaceUI } from './ui/WorkspaceUI.js';
+import { CollisionUI } from './ui/CollisionUI.js';
+import { ModelCompareUI } from './ui/ModelCompareUI.js';
+import { MassPropertiesUI } from './ui/MassPropertiesUI.js';
+import { InertiaCheckUI } from './ui/InertiaCheckUI.js';
+import { PropertyEditUI } from './ui/PropertyEditUI.js';
+import { PlanningGroupUI } from './ui/PlanningGroupUI.js';
+import { ViewState } from './utils/ViewState.js';
+import { RecentWorkspacesUI } from './ui/RecentWorkspacesUI.js';
 import { PanelManager } from './ui/PanelManager.js';
 import { ModelGraphView } from './views/ModelGraphView.js';
 import { FileTreeView } from './views/FileTreeView.js';
 import { CodeEditorManager } from './controllers/CodeEditorManager.js';
 import { MeasurementController } from './controllers/MeasurementController.js';
+import { IKController } from './controllers/IKController.js';
 import { USDViewerManager } from './renderer/USDViewerManager.js';
 import { MujocoSimulationManager } from './renderer/MujocoSimulationManager.js';
+import { MJCFExporter } from './exporters/MJCFExporter.js';
+import { formatExportWarning } from './exporters/ExportWarnings.js';
+import { ModelLoaderFactory } from './loaders/ModelLoaderFactory.js';
+import { XMLUpdater } from './utils/XMLUpdater.js';
 import { i18n } from './utils/i18n.js';
 
 // Expose d3 globally for PanelManager
@@ -30,6 +51,24 @@ class App {
         this.uiController = null;
         this.fileHandler = null;
         this.jointControlsUI = null;
+        this.xacroArgsUI = null;
+        this.exportUI = null;
+        this.actuatorControlsUI = null;
+        this.keyframeUI = null;
+        this.planningGroupUI = null;
+        this.pendingViewState = null; // View from URL, applied once the next model is ready
+        this.selectedGeom = null; // MJCF geom selected with the editor cursor (highlighted instead of its body)
+        this.simulationTimelineUI = null;
+        this.signalPlotUI = null;
+        this.kinematicsUI = null;
+        this.ikController = null;
+        this.workspaceUI = null;
+        this.collisionUI = null;
+        this.modelCompareUI = null;
+        this.massPropertiesUI = null;
+        this.inertiaCheckUI = null;
+        this.propertyEditUI = null;
+        this.recentWorkspacesUI = null;
         this.panelManager = null;
         this.modelGraphView = null;
         this.fileTreeView = null;
@@ -79,6 +118,17 @@ class App {
                 }
             };
 
+            // Dropped workspaces are stored in IndexedDB, URL sources are not
+            this.recentWorkspacesUI = new RecentWorkspacesUI();
+            this.recentWorkspacesUI.onOpen = (workspaceId) => this.openStoredWorkspace(workspaceId);
+            this.fileHandler.onFileMapReplaced = (source) => {
+                if (source.type === 'drop') {
+                    this.recentWorkspacesUI.saveDropped(source.name, this.fileHandler.getFileMap());
+                } else {
+                    this.recentWorkspacesUI.clearActive();
+                }
+            };
+
             this.fileHandler.onModelLoaded = (model, file, isMesh = false, snapshot = null) => {
                 this.handleModelLoaded(model, file, isMesh, snapshot);
             };
@@ -86,6 +136,62 @@ class App {
             // Initialize joint controls UI
             this.jointControlsUI = new JointControlsUI(this.sceneManager);
 
+            // Initialize xacro args panel (re-expand current xacro model with new args)
+            this.xacroArgsUI = new XacroArgsUI();
+            this.xacroArgsUI.onApply = (args) => {
+                this.fileHandler.applyXacroArgs(args);
+            };
+
+            // Initialize export panel (convert current model to other formats)
+            this.exportUI = new ExportUI();
+
+            // Initialize actuator control panel (drives data.ctrl during simulation)
+            this.actuatorControlsUI = new ActuatorControlsUI();
+
+            // Initialize MJCF keyframe bar (apply/capture poses)
+            this.keyframeUI = new KeyframeUI();
+            this.keyframeUI.onApply = (keyframe) => this.handleApplyKeyframe(keyframe);
+            this.keyframeUI.onCapture = (model) => this.handleCaptureKeyframe(model);
+
+            // Initialize SRDF planning group bar (slider filter and named states)
+            this.planningGroupUI = new PlanningGroupUI();
+            this.planningGroupUI.onGroupChange = (jointNames) => this.jointControlsUI.setJointFilter(jointNames);
+            this.planningGroupUI.onApplyState = (values) => {
+                this.jointControlsUI.applyJointValues(this.currentModel, values);
+            };
+
+            // Initialize simulation timeline (recorded trajectory playback)
+            this.simulationTimelineUI = new SimulationTimelineUI();
+
+            // Initialize live signal plots
+            this.signalPlotUI = new SignalPlotUI();
+            this.signalPlotUI.update(null);
+
+            // Initialize forward kinematics readout
+            this.kinematicsUI = new KinematicsUI(this.sceneManager);
+            this.kinematicsUI.update(null);
+
+            // Initialize workspace analysis (sampled in a Web Worker)
+            this.workspaceUI = new WorkspaceUI(this.sceneManager);
+
+            // Initialize self-collision checking
+            this.collisionUI = new CollisionUI(this.sceneManager);
+
+            // Initialize model comparison (diff table and ghost overlay)
+            this.modelCompareUI = new ModelCompareUI(this.sceneManager, this.fileHandler);
+            this.modelCompareUI.onSelect = (target) => this.selectEditorTarget(target);
+
+            // Initialize whole-robot mass properties
+            this.massPropertiesUI = new MassPropertiesUI(this.sceneManager);
+
+            // Initialize inertia sanity check (fixes update the mass properties)
+            this.inertiaCheckUI = new InertiaCheckUI(this.sceneManager);
+            this.inertiaCheckUI.onSelect = (target) => this.selectEditorTarget(target);
+            this.inertiaCheckUI.onInertialChanged = () => this.massPropertiesUI?.refresh();
+
+            // Initialize joint / geometry property editing (written to the editor document)
+            this.propertyEditUI = new PropertyEditUI(this.sceneManager);
+
             // Initialize model graph view
             this.modelGraphView = new ModelGraphView(this.sceneManager);
 
@@ -124,6 +230,9 @@ class App {
                 }
             };
 
+            // Keep joint values of the stored workspace
+            this.sceneManager.on('jointsChanged', () => this.saveWorkspaceJointValues());
+
             // Setup canvas click handler
             this.setupCanvasClickHandler(canvas);
 
@@ -141,6 +250,19 @@ class App {
                 this.modelGraphView.setCodeEditorManager(this.codeEditorManager);
             }
 
+            // Inertia fixes are written back to the editor
+            if (this.inertiaCheckUI) {
+                this.inertiaCheckUI.setCodeEditorManager(this.codeEditorManager);
+            }
+            if (this.propertyEditUI) {
+                this.propertyEditUI.setCodeEditorManager(this.codeEditorManager);
+            }
+
+            // Keep editor edits of stored workspaces
+            this.codeEditorManager.onContentChange = (file, content) => {
+                this.recentWorkspacesUI.saveEdit(file, content, this.fileHandler.getFileMap());
+            };
+
             this.codeEditorManager.onReload = async (file, skipTreeUpdate = false) => {
                 // Set flag when saving/reloading to avoid updating file tree
                 if (skipTreeUpdate) {
@@ -155,6 +277,27 @@ class App {
                 this._isReloading = false;
             };
 
+            // Live reload: swap in the edited model, keeping camera, joint values and toggles
+            this.codeEditorManager.onLiveReload = async (file) => {
+                const viewState = this.getViewState();
+                // Selecting the link would move the editor cursor while typing
+                viewState.link = null;
+
+                this._isReloading = true;
+                this.fileHandler.currentModelFile = file;
+                try {
+                    // The URL stays the base for relative mesh paths, but is no longer shared as the model
+                    await this.loadWithViewState(viewState, () =>
+                        this.fileHandler.loadFile(file, this.fileHandler.currentModelPath, { rethrow: true, edited: true }));
+                } finally {
+                    this._isReloading = false;
+                }
+            };
+
+            // Editor cursor selects the link / joint it is in, hovering a tag previews it
+            this.codeEditorManager.onCursorTarget = (target) => this.selectEditorTarget(target);
+            this.codeEditorManager.onHoverTarget = (target) => this.previewEditorTarget(target);
+
             // Save as callback: update file tree and mark new file
             this.codeEditorManager.onSaveAs = (newFile) => {
                 // Update availableModels list
@@ -194,6 +337,20 @@ class App {
                 this.modelGraphView.setMeasurementController(this.measurementController);
             }
 
+            // Initialize IK gizmo (drives joint chain of the selected link)
+            this.ikController = new IKController(this.sceneManager);
+            this.ikController.setModel(null);
+            this.ikController.onJointValuesChanged = (values) => {
+                this.jointControlsUI.applyJointValues(this.currentModel, values);
+            };
+
+            // Graph selection picks the IK target while IK mode is on
+            if (this.modelGraphView) {
+                this.modelGraphView.onLinkSelect = (linkName) => {
+                    this.ikController.setTarget(linkName);
+                };
+            }
+
             // Initialize MuJoCo simulation manager
             this.mujocoSimulationManager = new MujocoSimulationManager(this.sceneManager);
 
@@ -203,13 +360,32 @@ class App {
             // Update editor button visibility
             this.updateEditorButtonVisibility();
 
-            // Load default model (Steam robot)
+            // Copy link to current view
+            const copyViewLinkBtn = document.getElementById('copy-view-link-btn');
+            if (copyViewLinkBtn) {
+                copyViewLinkBtn.addEventListener('click', () => this.copyViewLink(copyViewLinkBtn));
+            }
+
+            // Shared view link: model URL, pose, camera and toggles
+            let viewState = null;
+            try {
+                viewState = ViewState.parse(window.location);
+            } catch (error) {
+                console.warn('Ignoring malformed view link:', error);
+            }
+
+            // Offer stored workspaces
+            this.recentWorkspacesUI.init();
+
+            // Load linked model or default model (Steam robot)
             // Use setTimeout to ensure UI is ready and not block animation start
             setTimeout(() => {
                 // Use absolute path relative to site root
                 // Note: when built to /robot_viewer/dist, we need to go to /assets/...
                 // Assuming site root is served at /
-                this.fileHandler.loadFromUrl('/assets/robot_model/steam/urdf/steam.urdf');
+                const url = viewState?.model || '/assets/robot_model/steam/urdf/steam.urdf';
+                this.loadWithViewState(viewState, () => this.fileHandler.loadFromUrl(url))
+                    .catch(error => console.error('Failed to load model:', error));
             }, 100);
 
             // Start render loop
@@ -220,6 +396,216 @@ class App {
         }
     }
 
+    /**
+     * Open workspace stored in IndexedDB (files with saved edits, last model and joint values)
+     */
+    async openStoredWorkspace(workspaceId) {
+        let stored;
+        try {
+            stored = await this.recentWorkspacesUI.store.load(workspaceId);
+        } catch (error) {
+            console.error('Failed to open stored workspace:', error);
+            return;
+        }
+        if (!stored) return;
+
+        const { workspace, entries } = stored;
+        this.recentWorkspacesUI.setActive(workspace, entries);
+        this.recentWorkspacesUI.saveState({});
+
+        const viewState = workspace.jointValues ? { joints: new Map(workspace.jointValues) } : null;
+        await this.loadWithViewState(viewState, () => this.fileHandler.loadStoredFiles(
+            this.recentWorkspacesUI.applyEdits(entries, workspace.edits),
+            workspace.modelPath
+        ));
+    }
+
+    /**
+     * Load a model with a view state to apply once it is ready
+     * The state is dropped when no model was loaded, so it does not end up on the next one
+     * @param {Object|null} viewState - See ViewState.parse
+     * @param {Function} load - Async load call
+     */
+    async loadWithViewState(viewState, load) {
+        this.pendingViewState = viewState;
+        try {
+            await load();
+        } finally {
+            if (this.pendingViewState === viewState) {
+                this.pendingViewState = null;
+            }
+        }
+    }
+
+    /**
+     * Save joint values of current model to the active stored workspace
+     */
+    saveWorkspaceJointValues() {
+        if (!this.recentWorkspacesUI || !this.currentModel?.joints) return;
+
+        const jointValues = [];
+        this.currentModel.joints.forEach((joint, name) => {
+            if (joint.type !== 'fixed' && typeof joint.currentValue === 'number') {
+                jointValues.push([name, joint.currentValue]);
+            }
+        });
+        this.recentWorkspacesUI.saveState({ jointValues });
+    }
+
+    /**
+     * Current view as ViewState (model URL only for models loaded from URL)
+     */
+    getViewState() {
+        const model = this.currentModel;
+        const joints = new Map();
+        model?.joints?.forEach((joint, name) => {
+            if (joint.type !== 'fixed' && typeof joint.currentValue === 'number') {
+                joints.set(name, joint.currentValue);
+            }
+        });
+
+        const toggles = {};
+        Object.entries(ViewState.TOGGLE_BUTTONS).forEach(([key, id]) => {
+            toggles[key] = !!document.getElementById(id)?.classList.contains('active');
+        });
+
+        return {
+            model: this.fileHandler.getCurrentModelUrl(),
+            joints,
+            camera: {
+                position: this.sceneManager.camera.position.toArray(),
+                target: this.sceneManager.controls.target.toArray()
+            },
+            toggles,
+            link: this.modelGraphView?.selectedLinkName || null
+        };
+    }
+
+    /**
+     * Apply view parsed from URL to the loaded model
+     */
+    applyViewState(state) {
+        const model = this.currentModel;
+        if (!model) return;
+
+        if (state.joints && this.jointControlsUI) {
+            const values = new Map(Array.from(state.joints).filter(([name]) => model.joints.has(name)));
+            this.jointControlsUI.applyJointValues(model, values);
+        }
+
+        if (state.toggles) {
+            // Click buttons so each toggle runs its usual handler
+            Object.entries(ViewState.TOGGLE_BUTTONS).forEach(([key, id]) => {
+                const button = document.getElementById(id);
+                if (button && button.classList.contains('active') !== state.toggles[key]) {
+                    button.click();
+                }
+            });
+        }
+
+        if (state.camera) {
+            this.sceneManager.camera.position.fromArray(state.camera.position);
+            this.sceneManager.controls.target.fromArray(state.camera.target);
+            this.sceneManager.controls.update();
+        }
+
+        if (state.link && this.modelGraphView && !this.modelGraphView.selectLink(state.link)) {
+            console.warn(`Link from view link not found: ${state.link}`);
+        }
+
+        this.sceneManager.redraw();
+        this.sceneManager.render();
+    }
+
+    /**
+     * Select link, joint or geom (editor cursor, compare table) in graph and scene without jumping to the code
+     * A geom selects its body in the graph and highlights only its own mesh
+     * @param {{type: 'link'|'joint'|'geom', name: string, geomIndex?: number}} target
+     */
+    selectEditorTarget(target) {
+        const model = this.currentModel;
+        if (!model?.links || !this.modelGraphView) return;
+
+        if (target.type === 'joint') {
+            this.selectedGeom = null;
+            if (this.modelGraphView.selectedJointName !== target.name) {
+                this.modelGraphView.selectJoint(target.name, false);
+            }
+            return;
+        }
+
+        const link = model.links.get(target.name);
+        if (this.modelGraphView.selectedLinkName !== target.name &&
+            !this.modelGraphView.selectLink(target.name, false) && link) {
+            // Link without graph node
+            this.sceneManager.highlightManager.highlightLink(link, model);
+        }
+
+        this.selectedGeom = target.type === 'geom' ? target : null;
+        if (!this.highlightGeom(target) && link) {
+            // Back from a geom (or a geom without visual): whole link
+            this.sceneManager.highlightManager.highlightLink(link, model);
+        }
+    }
+
+    /**
+     * Highlight the visual of an MJCF geom target
+     * @returns {boolean} Whether the geom has a visual to highlight
+     */
+    highlightGeom(target) {
+        if (target?.type !== 'geom') return false;
+
+        const link = this.currentModel?.links.get(target.name);
+        const visual = link?.visuals.find(item => item.userData?.geomIndex === target.geomIndex);
+        if (!visual?.threeObject) return false;
+
+        this.sceneManager.highlightManager.highlightVisual(link, visual.threeObject, this.currentModel);
+        return true;
+    }
+
+    /**
+     * Highlight link (joint: its child link, geom: its mesh) of the hovered editor tag, null restores the selection
+     * @param {{type: 'link'|'joint'|'geom', name: string, geomIndex?: number}|null} target
+     */
+    previewEditorTarget(target) {
+        const model = this.currentModel;
+        if (!model?.links) return;
+
+        const highlightManager = this.sceneManager.highlightManager;
+        const linkName = target?.type === 'joint' ? model.joints.get(target.name)?.child : target?.name;
+        const link = linkName ? model.links.get(linkName) : null;
+        if (this.highlightGeom(target)) return;
+        if (link) {
+            highlightManager.highlightLink(link, model);
+            return;
+        }
+
+        const selectedLink = model.links.get(this.modelGraphView?.selectedLinkName);
+        if (selectedLink && this.selectedGeom?.name === selectedLink.name && this.highlightGeom(this.selectedGeom)) return;
+        if (selectedLink) {
+            highlightManager.highlightLink(selectedLink, model);
+        } else {
+            highlightManager.clearHighlight();
+        }
+    }
+
+    async copyViewLink(button) {
+        const state = this.getViewState();
+        const url = `${window.location.origin}${window.location.pathname}#${ViewState.toHash(state)}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            const span = button.querySelector('span');
+            // Models from local files or edited in the editor can't be linked, only the view is shared
+            span.textContent = window.i18n.t(state.model ? 'copied' : 'viewLinkCopiedNoModel');
+            setTimeout(() => {
+                span.textContent = window.i18n.t('copyViewLink');
+            }, 1500);
+        } catch (error) {
+            console.error('Failed to copy view link:', error);
+        }
+    }
+
     /**
      * Update editor button visibility
      */
@@ -237,16 +623,27 @@ class App {
         // Check if MJCF file (show simulation controls, don't auto-start simulation)
         const fileExt = file.name.split('.').pop().toLowerCase();
         const isMJCF = fileExt === 'xml' && model?.userData?.type === 'mjcf';
+        // URDF/SDF models are converted to MJCF when simulation starts
+        const canSimulate = isMJCF || (!isMesh && MJCFExporter.supports(model));
 
         // Clear MuJoCo simulation state when switching files
         if (this.mujocoSimulationManager && this.mujocoSimulationManager.hasScene()) {
             // Always clear simulation when switching files (MJCF or non-MJCF)
             this.mujocoSimulationManager.clearScene();
         }
+        if (this.actuatorControlsUI) {
+            this.actuatorControlsUI.update(null);
+        }
+        if (this.simulationTimelineUI) {
+            this.simulationTimelineUI.update(null);
+        }
+        if (this.signalPlotUI) {
+            this.signalPlotUI.update(null);
+        }
 
-        if (isMJCF && model.joints && model.joints.size > 0) {
-            // Save model info for simulation
-            this.currentMJCFFile = file;
+        if (canSimulate && model.joints && model.joints.size > 0) {
+            // Save model info for simulation (no MJCF file for converted models)
+            this.currentMJCFFile = isMJCF ? file : null;
             this.currentMJCFModel = model;
 
             // Show simulation control bar
@@ -283,7 +680,7 @@ class App {
                 }
             }
         } else {
-            // Hide simulation control bar (non-MJCF files)
+            // Hide simulation control bar (models that cannot be simulated)
             const simulationBar = document.getElementById('mujoco-simulation-bar');
             if (simulationBar) simulationBar.style.display = 'none';
 
@@ -351,6 +748,14 @@ class App {
 
         this.currentModel = model;
 
+        // Remember opened model of stored workspace (joint values belong to the previous model)
+        if (this.recentWorkspacesUI) {
+            const modelPath = Array.from(this.fileHandler.getFileMap()).find(([, value]) => value === file)?.[0];
+            if (modelPath) {
+                this.recentWorkspacesUI.saveState({ modelPath, jointValues: null });
+            }
+        }
+
         // Force render current state first (important!)
         this.sceneManager.redraw();
         this.sceneManager.render();
@@ -425,6 +830,17 @@ class App {
         };
         this.sceneManager.on('modelReady', onModelReady);
 
+        // Apply shared view after camera auto-fit of the first model
+        if (this.pendingViewState && !isMesh) {
+            const viewState = this.pendingViewState;
+            this.pendingViewState = null;
+            const onViewReady = () => {
+                this.sceneManager.off('modelReady', onViewReady);
+                this.applyViewState(viewState);
+            };
+            this.sceneManager.on('modelReady', onViewReady);
+        }
+
         // Add to scene (render in background under snapshot)
         this.sceneManager.addModel(model);
 
@@ -435,6 +851,56 @@ class App {
             dropZone.classList.remove('drag-over');
         }
 
+        // Show xacro args panel for xacro models
+        if (this.xacroArgsUI) {
+            this.xacroArgsUI.update(isMesh ? null : model);
+        }
+
+        if (this.exportUI) {
+            this.exportUI.update(isMesh ? null : model, this.fileHandler.getFileMap());
+        }
+
+        if (this.keyframeUI) {
+            this.keyframeUI.update(isMesh ? null : model);
+        }
+
+        if (this.planningGroupUI) {
+            this.planningGroupUI.update(isMesh ? null : model);
+            this.jointControlsUI.setJointFilter(null);
+        }
+
+        if (this.kinematicsUI) {
+            this.kinematicsUI.update(isMesh ? null : model);
+        }
+
+        if (this.ikController) {
+            this.ikController.setModel(isMesh ? null : model);
+        }
+
+        if (this.workspaceUI) {
+            this.workspaceUI.update(isMesh ? null : model);
+        }
+
+        if (this.collisionUI) {
+            this.collisionUI.update(isMesh ? null : model);
+        }
+
+        if (this.modelCompareUI) {
+            this.modelCompareUI.update(isMesh ? null : model);
+        }
+
+        if (this.massPropertiesUI) {
+            this.massPropertiesUI.update(isMesh ? null : model);
+        }
+
+        if (this.inertiaCheckUI) {
+            this.inertiaCheckUI.update(isMesh ? null : model);
+        }
+
+        if (this.propertyEditUI) {
+            this.propertyEditUI.update(isMesh ? null : model);
+        }
+
         if (!isMesh) {
             // Normal model
             this.sceneManager.setGroundVisible(true);
@@ -573,6 +1039,12 @@ class App {
                     return obj.isMesh && obj.visible;
                 });
 
+                // IK mode: clicked link becomes gizmo target
+                if (this.ikController && this.ikController.pickFromIntersections(modelIntersects)) {
+                    mouseDownPos = null;
+                    return;
+                }
+
                 if (modelIntersects.length === 0) {
                     this.sceneManager.highlightManager.clearHighlight();
 
@@ -691,7 +1163,7 @@ class App {
      */
     handleFileClick(fileInfo) {
         const ext = fileInfo.ext;
-        const modelExts = ['urdf', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
+        const modelExts = ['urdf', 'xacro', 'sdf', 'world', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
         const meshExts = ['dae', 'stl', 'obj', 'collada'];
 
         if (modelExts.includes(ext)) {
@@ -809,6 +1281,78 @@ class App {
         }
     }
 
+    /**
+     * Apply MJCF keyframe: resets running simulation to it, otherwise sets the kinematic pose
+     */
+    handleApplyKeyframe(keyframe) {
+        if (this.mujocoSimulationManager && this.mujocoSimulationManager.hasScene()) {
+            this.mujocoSimulationManager.resetToKeyframe(keyframe);
+            if (keyframe.ctrl && this.actuatorControlsUI) {
+                this.actuatorControlsUI.update(this.mujocoSimulationManager);
+            }
+            return;
+        }
+
+        const model = this.currentModel;
+        if (!model || !this.jointControlsUI) return;
+
+        const qpos0 = model.userData.qpos0 || [];
+        const values = new Map();
+        model.joints.forEach((joint, name) => {
+            const adr = joint.userData?.qposAdr;
+            const mjcfType = joint.userData?.mjcfType;
+            if (adr === undefined || (mjcfType !== 'hinge' && mjcfType !== 'slide')) return;
+
+            const value = keyframe.qpos?.[adr] ?? qpos0[adr];
+            if (value !== undefined) {
+                values.set(name, value);
+            }
+        });
+
+        this.jointControlsUI.applyJointValues(model, values);
+    }
+
+    /**
+     * Capture current pose (simulation state if loaded) as new <key> in the editor XML
+     */
+    handleCaptureKeyframe(model) {
+        const keyframes = model.userData.keyframes || [];
+        const names = new Set(keyframes.map(keyframe => keyframe.name));
+        let suffix = keyframes.length;
+        while (names.has(`key_${suffix}`)) suffix++;
+
+        const keyframe = { index: keyframes.length, name: `key_${suffix}`, time: 0, qpos: null, qvel: null, ctrl: null };
+
+        const state = this.mujocoSimulationManager && this.mujocoSimulationManager.hasScene()
+            ? this.mujocoSimulationManager.getState()
+            : null;
+        if (state) {
+            keyframe.time = state.time;
+            keyframe.qpos = state.qpos;
+            keyframe.ctrl = state.ctrl.length > 0 ? state.ctrl : null;
+        } else {
+            // Kinematic pose: qpos0 with current hinge/slide joint values
+            keyframe.qpos = [...(model.userData.qpos0 || [])];
+            model.joints.forEach(joint => {
+                const adr = joint.userData?.qposAdr;
+                const mjcfType = joint.userData?.mjcfType;
+                if (adr !== undefined && (mjcfType === 'hinge' || mjcfType === 'slide') && joint.currentValue !== undefined) {
+                    keyframe.qpos[adr] = joint.currentValue;
+                }
+            });
+        }
+
+        this.keyframeUI.addKeyframe(keyframe);
+
+        const content = this.codeEditorManager?.getEditor()?.getValue() || '';
+        if (XMLUpdater.detectFormat(content) !== 'mjcf') {
+            console.warn('Keyframe captured but not written: MJCF file is not open in the editor');
+            return;
+        }
+
+        this.codeEditorManager.updateContent(current => XMLUpdater.addMJCFKeyframe(current, keyframe));
+    }
+
     /**
      * Handle ignore limits toggle
      */
@@ -839,6 +1383,48 @@ class App {
             this.modelGraphView.drawModelGraph(this.currentModel);
         }
 
+        // Update keyframe placeholder and timeline tooltips
+        if (this.keyframeUI) {
+            this.keyframeUI.update(this.currentModel);
+        }
+        if (this.planningGroupUI) {
+            this.planningGroupUI.update(this.currentModel);
+        }
+        if (this.simulationTimelineUI) {
+            this.simulationTimelineUI.updateTitles();
+        }
+        if (this.signalPlotUI) {
+            this.signalPlotUI.renderSignalList();
+        }
+        if (this.kinematicsUI) {
+            this.kinematicsUI.refresh();
+        }
+        if (this.ikController) {
+            this.ikController.updateLabels();
+        }
+        if (this.workspaceUI) {
+            this.workspaceUI.updateButtons();
+        }
+        if (this.collisionUI) {
+            this.collisionUI.render();
+        }
+        if (this.modelCompareUI) {
+            this.modelCompareUI.render();
+        }
+        if (this.massPropertiesUI) {
+            this.massPropertiesUI.render();
+        }
+
+        if (this.inertiaCheckUI) {
+            this.inertiaCheckUI.render();
+        }
+        if (this.propertyEditUI) {
+            this.propertyEditUI.render();
+        }
+        if (this.recentWorkspacesUI) {
+            this.recentWorkspacesUI.refresh();
+        }
+
         // Update simulation button text
         const simulateBtn = document.getElementById('mujoco-simulate-btn-bar');
         if (simulateBtn) {
@@ -880,6 +1466,9 @@ class App {
         const ext = fileName.toLowerCase().split('.').pop();
         const typeMap = {
             'urdf': 'urdf',
+            'xacro': 'xacro',
+            'sdf': 'sdf',
+            'world': 'sdf',
             'xml': 'mjcf',
             'usd': 'usd',
             'usda': 'usd',
@@ -899,20 +1488,43 @@ class App {
         }
     }
 
+    /**
+     * Get MJCF XML and asset files for simulation
+     * MJCF models use the loaded file, URDF/SDF models are exported to MJCF with their meshes
+     */
+    async getSimulationSource() {
+        if (this.currentMJCFFile) {
+            return {
+                xmlContent: await this.currentMJCFFile.text(),
+                fileName: this.currentMJCFFile.name,
+                fileMap: this.fileHandler.getFileMap()
+            };
+        }
+
+        const result = MJCFExporter.export(this.currentMJCFModel);
+        result.warnings.forEach(warning => console.warn(`MJCF export: ${formatExportWarning(warning)}`));
+
+        return {
+            xmlContent: result.xml,
+            fileName: `${(this.currentMJCFModel.name || 'robot').replace(/[^\w.-]+/g, '_')}.xml`,
+            fileMap: await ModelLoaderFactory.resolveExportedMeshes(result.meshes, this.fileHandler.getFileMap())
+        };
+    }
+
     /**
      * Handle MuJoCo simulation toggle
      */
     async handleMujocoToggleSimulate() {
         // If simulation not loaded, load first
-        if (!this.mujocoSimulationManager.hasScene() && this.currentMJCFFile && this.currentMJCFModel) {
+        if (!this.mujocoSimulationManager.hasScene() && this.currentMJCFModel) {
             try {
-                const xmlContent = await this.currentMJCFFile.text();
+                const { xmlContent, fileName, fileMap } = await this.getSimulationSource();
 
                 // Load MuJoCo physics engine (pass original model for material info)
                 await this.mujocoSimulationManager.loadScene(
                     xmlContent,
-                    this.currentMJCFFile.name,
-                    this.fileHandler.getFileMap(),
+                    fileName,
+                    fileMap,
                     this.currentMJCFModel  // Pass original model (for material info)
                 );
 
@@ -921,8 +1533,26 @@ class App {
                     this.currentModel.threeObject.visible = false;
                 }
 
+                // Start from the selected keyframe
+                const keyframe = this.keyframeUI ? this.keyframeUI.getSelectedKeyframe() : null;
+                if (keyframe) {
+                    this.mujocoSimulationManager.resetToKeyframe(keyframe);
+                }
+
+                if (this.actuatorControlsUI) {
+                    this.actuatorControlsUI.update(this.mujocoSimulationManager);
+                }
+
                 // Start simulation immediately
                 this.mujocoSimulationManager.startSimulation();
+
+                if (this.simulationTimelineUI) {
+                    this.simulationTimelineUI.update(this.mujocoSimulationManager);
+                }
+
+                if (this.signalPlotUI) {
+                    this.signalPlotUI.update(this.mujocoSimulationManager);
+                }
                 return true;
             } catch (error) {
                 console.error('MuJoCo scene loading failed:', error);
@@ -935,6 +1565,11 @@ class App {
         if (this.mujocoSimulationManager) {
             const isSimulating = this.mujocoSimulationManager.toggleSimulation();
 
+            // Timeline is only shown while the simulated model is visible
+            if (this.simulationTimelineUI) {
+                this.simulationTimelineUI.update(isSimulating ? this.mujocoSimulationManager : null);
+            }
+
             // Toggle original model visibility
             if (this.currentModel && this.currentModel.threeObject) {
                 this.currentModel.threeObject.visible = !isSimulating;
@@ -956,6 +1591,14 @@ class App {
             // Update MuJoCo simulation
             if (this.mujocoSimulationManager && this.mujocoSimulationManager.hasScene()) {
                 this.mujocoSimulationManager.update(performance.now());
+
+                if (this.simulationTimelineUI) {
+                    this.simulationTimelineUI.refresh();
+                }
+
+                if (this.signalPlotUI) {
+                    this.signalPlotUI.sample();
+                }
             }
 
             this.sceneManager.render();
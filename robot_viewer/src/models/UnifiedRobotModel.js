@@ -125,6 +125,7 @@ export class Joint {
         this.limits = null; // JointLimits
         this.currentValue = 0; // Current joint value
         this.threeObject = null; // Three.js object (if available)
+        this.userData = {}; // User-defined data (for adapters to store additional information)
     }
 }
 
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import { ConvexShape, TriangleBVH, gjkIntersect } from '../utils/CollisionUtils.js';
+import { Kinematics } from '../kinematics/Kinematics.js';
+
+/**
+ * CollisionChecker - Self-collision checking of the current pose
+ * Uses collision bodies of the scene (colliders of all formats): primitive geometries are tested
+ * as convex shapes with GJK, other meshes through a triangle BVH.
+ * Link pairs in the allowed-collision matrix (ACM) are skipped.
+ */
+export class CollisionChecker {
+    constructor() {
+        this.model = null;
+        // BVH per geometry (meshes load asynchronously, so shapes are collected on every check)
+        this.bvhCache = new WeakMap();
+        // Allowed-collision matrix: pair key -> reason ('adjacent' | 'srdf' | 'user')
+        this.allowed = new Map();
+    }
+
+    static pairKey(link1, link2) {
+        return link1 < link2 ? `${link1}\u0000${link2}` : `${link2}\u0000${link1}`;
+    }
+
+    static splitKey(key) {
+        return key.split('\u0000');
+    }
+
+    /**
+     * Use model; adjacent links (connected by a joint) are allowed to collide
+     */
+    setModel(model) {
+        this.model = model;
+        this.allowed.clear();
+        if (!model) return;
+
+        const tree = Kinematics.buildTree(model);
+        tree.forEach((node, linkName) => {
+            if (node.parent && model.links.has(node.parent)) {
+                this.allowed.set(CollisionChecker.pairKey(linkName, node.parent), 'adjacent');
+            }
+        });
+    }
+
+    isAllowed(link1, link2) {
+        return this.allowed.has(CollisionChecker.pairKey(link1, link2));
+    }
+
+    /**
+     * Enable or disable collision checking of a link pair
+     */
+    setAllowed(link1, link2, allowed, reason = 'user') {
+        const key = CollisionChecker.pairKey(link1, link2);
+        if (allowed) {
+            this.allowed.set(key, reason);
+        } else {
+            this.allowed.delete(key);
+        }
+    }
+
+    /**
+     * @returns {Array<{link1: string, link2: string, reason: string}>}
+     */
+    getAllowedPairs() {
+        return Array.from(this.allowed, ([key, reason]) => {
+            const [link1, link2] = CollisionChecker.splitKey(key);
+            return { link1, link2, reason };
+        }).sort((a, b) => a.link1.localeCompare(b.link1) || a.link2.localeCompare(b.link2));
+    }
+
+    /**
+     * Add SRDF <disable_collisions> pairs to the ACM
+     * @param {Array<{link1: string, link2: string}>} pairs
+     * @returns {number} Number of pairs referencing links of the model
+     */
+    importDisabledPairs(pairs) {
+        let count = 0;
+        pairs.forEach(({ link1, link2 }) => {
+            if (this.model?.links.has(link1) && this.model.links.has(link2) && link1 !== link2) {
+                this.setAllowed(link1, link2, true, 'srdf');
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Collision shapes per link in world space
+     * @returns {Map<string, Array<{convex: ConvexShape|null, bvh: TriangleBVH|null, matrix: THREE.Matrix4, box: THREE.Box3}>>}
+     */
+    collectShapes() {
+        const shapes = new Map();
+        if (!this.model?.threeObject) return shapes;
+
+        const linkByObject = new Map();
+        this.model.links.forEach((link, name) => {
+            // World body is environment, not part of the robot
+            if (link.threeObject && !link.userData?.isWorldbody) {
+                linkByObject.set(link.threeObject, name);
+            }
+        });
+
+        this.model.threeObject.updateMatrixWorld(true);
+        this.model.threeObject.traverse(object => {
+            if (!object.isURDFCollider) return;
+
+            let linkName = null;
+            for (let current = object.parent; current && !linkName; current = current.parent) {
+                linkName = linkByObject.get(current) || null;
+            }
+            if (!linkName) return;
+
+            object.traverse(child => {
+                if (!child.isMesh || !child.geometry?.getAttribute('position')) return;
+
+                const shape = this.createShape(child);
+                if (!shapes.has(linkName)) shapes.set(linkName, []);
+                shapes.get(linkName).push(shape);
+            });
+        });
+        return shapes;
+    }
+
+    createShape(mesh) {
+        const convex = ConvexShape.fromMesh(mesh);
+        if (convex) {
+            return { convex, bvh: null, matrix: mesh.matrixWorld, box: convex.getBox() };
+        }
+
+        let bvh = this.bvhCache.get(mesh.geometry);
+        if (!bvh) {
+            bvh = new TriangleBVH(mesh.geometry);
+            this.bvhCache.set(mesh.geometry, bvh);
+        }
+        const box = bvh.root ? bvh.root.box.clone().applyMatrix4(mesh.matrixWorld) : new THREE.Box3();
+        return { convex: null, bvh, matrix: mesh.matrixWorld, box };
+    }
+
+    static shapesIntersect(a, b) {
+        if (!a.box.intersectsBox(b.box)) return false;
+        if (a.convex && b.convex) return gjkIntersect(a.convex, b.convex);
+        if (a.convex) return b.bvh.intersectsConvex(b.matrix, a.convex);
+        if (b.convex) return a.bvh.intersectsConvex(a.matrix, b.convex);
+        return a.bvh.intersectsBVH(a.matrix, b.bvh, b.matrix);
+    }
+
+    /**
+     * Colliding link pairs of the current pose (ACM pairs excluded)
+     * @returns {Array<{link1: string, link2: string}>}
+     */
+    check() {
+        const shapes = this.collectShapes();
+        const linkNames = Array.from(shapes.keys());
+        const linkBoxes = linkNames.map(name => {
+            const box = new THREE.Box3();
+            shapes.get(name).forEach(shape => box.union(shape.box));
+            return box;
+        });
+
+        const collisions = [];
+        for (let i = 0; i < linkNames.length; i++) {
+            for (let j = i + 1; j < linkNames.length; j++) {
+                if (this.isAllowed(linkNames[i], linkNames[j]) || !linkBoxes[i].intersectsBox(linkBoxes[j])) continue;
+
+                const colliding = shapes.get(linkNames[i]).some(a =>
+                    shapes.get(linkNames[j]).some(b => CollisionChecker.shapesIntersect(a, b)));
+                if (colliding) {
+                    collisions.push({ link1: linkNames[i], link2: linkNames[j] });
+                }
+            }
+        }
+        return collisions;
+    }
+}
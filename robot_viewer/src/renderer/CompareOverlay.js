@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
+
+const GHOST_STYLES = {
+    unchanged: { color: 0x9e9e9e, opacity: 0.12 },
+    changed: { color: 0xff9500, opacity: 0.45 },
+    moved: { color: 0xff9500, opacity: 0.3 },
+    removed: { color: 0xff3b30, opacity: 0.45 }
+};
+
+/**
+ * CompareOverlay - Base model of a comparison drawn as ghost over the current model
+ * Links are colored by diff status (changed, moved by a changed joint, removed); the ghost follows
+ * the joint values of the current model and is ignored by picking
+ */
+export class CompareOverlay {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.baseModel = null;
+        this.root = null;
+        this.linkStatus = new Map();
+        // Meshes of the base model load asynchronously: objects added to its tree get ghosted too
+        this.watched = new Set();
+        this.applyQueued = false;
+        this.originalMaterials = new Set(); // Replaced by ghost materials, disposed with the base model
+        this.onChildAdded = (event) => {
+            this.watch(event.child);
+            this.queueApplyMaterials();
+        };
+
+        this.materials = {};
+        Object.entries(GHOST_STYLES).forEach(([status, style]) => {
+            this.materials[status] = new THREE.MeshPhongMaterial({
+                color: style.color,
+                emissive: style.color,
+                emissiveIntensity: 0.2,
+                transparent: true,
+                opacity: style.opacity,
+                depthWrite: false
+            });
+        });
+    }
+
+    /**
+     * @param {UnifiedRobotModel} baseModel - Parsed base model (not shown in the scene yet)
+     * @param {UnifiedRobotModel} currentModel - Model in the scene
+     * @param {Map<string, string>} linkStatus - Link name -> diff status in the base model
+     */
+    show(baseModel, currentModel, linkStatus) {
+        if (baseModel !== this.baseModel) {
+            this.clear();
+        } else {
+            this.hide();
+        }
+
+        const parent = currentModel?.threeObject?.parent;
+        if (!baseModel?.threeObject || !parent) return;
+
+        this.baseModel = baseModel;
+        this.linkStatus = linkStatus;
+
+        // Name keeps the ghost out of canvas picking
+        this.root = new THREE.Group();
+        this.root.name = 'compareHelper';
+        this.root.add(baseModel.threeObject);
+        baseModel.threeObject.position.copy(currentModel.threeObject.position);
+        baseModel.threeObject.quaternion.copy(currentModel.threeObject.quaternion);
+        baseModel.threeObject.scale.copy(currentModel.threeObject.scale);
+        parent.add(this.root);
+
+        this.syncJoints(currentModel);
+        this.watch(baseModel.threeObject);
+        this.applyMaterials();
+    }
+
+    /**
+     * Listen for objects added anywhere below object
+     */
+    watch(object) {
+        object.traverse(obj => {
+            if (this.watched.has(obj)) return;
+            obj.addEventListener('childadded', this.onChildAdded);
+            this.watched.add(obj);
+        });
+    }
+
+    /**
+     * Apply materials once per batch of added meshes, before the next frame is drawn
+     */
+    queueApplyMaterials() {
+        if (this.applyQueued) return;
+        this.applyQueued = true;
+        queueMicrotask(() => {
+            this.applyQueued = false;
+            this.applyMaterials();
+        });
+    }
+
+    applyMaterials() {
+        if (!this.baseModel) return;
+
+        this.baseModel.links.forEach((link, name) => {
+            if (!link.threeObject) return;
+            const material = this.materials[this.linkStatus.get(name) || 'unchanged'];
+            this.forEachLinkObject(link.threeObject, obj => {
+                if (obj.isURDFCollider || obj.userData?.isCollision) {
+                    obj.visible = false;
+                    return false;
+                }
+                if (obj.isMesh && obj.material !== material) {
+                    [].concat(obj.material).forEach(original => this.originalMaterials.add(original));
+                    obj.material = material;
+                    obj.castShadow = false;
+                    obj.receiveShadow = false;
+                    obj.raycast = () => {};
+                }
+                return true;
+            });
+        });
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Objects belonging to a link, without child links; callback returns false to skip the subtree
+     */
+    forEachLinkObject(linkObject, callback) {
+        const visit = (obj, isRoot) => {
+            if (!isRoot && (obj.type === 'URDFLink' || obj.isURDFLink)) return;
+            if (callback(obj) === false) return;
+            obj.children.forEach(child => visit(child, false));
+        };
+        visit(linkObject, true);
+    }
+
+    /**
+     * Give the ghost the joint values of the current model
+     */
+    syncJoints(currentModel) {
+        if (!this.baseModel || !currentModel?.joints) return;
+
+        currentModel.joints.forEach((joint, name) => {
+            if (joint.type === 'fixed' || !this.baseModel.joints.has(name)) return;
+            ModelLoaderFactory.setJointAngle(this.baseModel, name, joint.currentValue || 0, true);
+        });
+        this.sceneManager.redraw();
+    }
+
+    isActive() {
+        return this.root !== null;
+    }
+
+    /**
+     * Remove the ghost from the scene, keeping the base model to show it again
+     */
+    hide() {
+        this.watched.forEach(obj => obj.removeEventListener('childadded', this.onChildAdded));
+        this.watched.clear();
+
+        if (this.root) {
+            this.root.parent?.remove(this.root);
+            this.root = null;
+            this.sceneManager.redraw();
+        }
+    }
+
+    /**
+     * Remove the ghost and release the base model
+     */
+    clear() {
+        this.hide();
+        if (this.baseModel?.threeObject) {
+            this.dispose(this.baseModel.threeObject);
+        }
+        this.baseModel = null;
+        this.linkStatus = new Map();
+    }
+
+    /**
+     * Free geometries, textures and original materials of the base model (ghost materials are shared)
+     */
+    dispose(object) {
+        const ghostMaterials = new Set(Object.values(this.materials));
+        const materials = new Set(this.originalMaterials);
+        object.traverse(obj => {
+            obj.geometry?.dispose();
+            [].concat(obj.material || []).forEach(material => materials.add(material));
+        });
+        materials.forEach(material => {
+            if (ghostMaterials.has(material)) return;
+            Object.values(material).forEach(value => {
+                if (value?.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+        this.originalMaterials.clear();
+    }
+}
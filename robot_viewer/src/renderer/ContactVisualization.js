@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+
+/**
+ * ContactVisualization - Active MuJoCo contacts as points, normals and force arrows
+ * Objects are pooled and reused between frames; contacts are in Three.js coordinates
+ */
+export class ContactVisualization {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.name = 'MuJoCo Contacts';
+        this.group.userData.isVisualization = true;
+        this.group.userData.type = 'contacts';
+        this.group.visible = false;
+
+        this.pointRadius = 0.01;
+        this.normalLength = 0.05;
+        // Force arrow length per Newton
+        this.forceScale = 0.001;
+
+        this.pointGeometry = new THREE.SphereGeometry(1, 12, 8);
+        this.pointMaterial = new THREE.MeshBasicMaterial({ color: 0xff3b30, depthTest: false, transparent: true });
+
+        this.items = [];
+        this.contacts = [];
+    }
+
+    /**
+     * Pooled point/normal/force objects for contact index
+     */
+    getItem(index) {
+        if (!this.items[index]) {
+            const point = new THREE.Mesh(this.pointGeometry, this.pointMaterial);
+            point.scale.setScalar(this.pointRadius);
+            point.renderOrder = 999;
+
+            const normal = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), this.normalLength, 0x34c759);
+            const force = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, 0xffcc00);
+
+            // Overlay only: keep raycasts (hover, dragging) on bodies
+            [point, normal, force].forEach(object => {
+                object.traverse(child => {
+                    child.raycast = () => {};
+                });
+                this.group.add(object);
+            });
+
+            this.items[index] = { point, normal, force };
+        }
+        return this.items[index];
+    }
+
+    /**
+     * Show contacts
+     * @param {Array<{pos: THREE.Vector3, normal: THREE.Vector3, force: THREE.Vector3}>} contacts
+     */
+    update(contacts) {
+        this.contacts = contacts;
+
+        const direction = new THREE.Vector3();
+        contacts.forEach((contact, i) => {
+            const item = this.getItem(i);
+
+            item.point.position.copy(contact.pos);
+            item.point.visible = true;
+
+            item.normal.position.copy(contact.pos);
+            item.normal.setDirection(contact.normal);
+            item.normal.visible = true;
+
+            const length = contact.force.length() * this.forceScale;
+            item.force.visible = length > 1e-6;
+            if (item.force.visible) {
+                direction.copy(contact.force).normalize();
+                item.force.position.copy(contact.pos);
+                item.force.setDirection(direction);
+                item.force.setLength(length, Math.min(0.2 * length, 0.03), Math.min(0.1 * length, 0.015));
+            }
+        });
+
+        for (let i = contacts.length; i < this.items.length; i++) {
+            const item = this.items[i];
+            item.point.visible = false;
+            item.normal.visible = false;
+            item.force.visible = false;
+        }
+    }
+
+    /**
+     * Closest contact point to ray (within a few point radii)
+     * @param {THREE.Ray} ray - World space ray
+     * @returns {Object|null} Contact
+     */
+    pick(ray) {
+        if (!this.group.visible) return null;
+
+        const worldPos = new THREE.Vector3();
+        const threshold = this.pointRadius * 3;
+        let closest = null;
+        let closestDistance = Infinity;
+
+        this.contacts.forEach((contact, i) => {
+            this.items[i].point.getWorldPosition(worldPos);
+            const distance = ray.distanceToPoint(worldPos);
+            if (distance < threshold && distance < closestDistance) {
+                closest = contact;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    dispose() {
+        this.items.forEach(item => {
+            item.normal.dispose();
+            item.force.dispose();
+        });
+        this.items = [];
+        this.contacts = [];
+        this.pointGeometry.dispose();
+        this.pointMaterial.dispose();
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+    }
+}
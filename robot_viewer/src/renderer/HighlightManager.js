@@ -7,6 +7,7 @@ export class HighlightManager {
     constructor(sceneManager) {
         this.sceneManager = sceneManager;
         this.currentHighlightedLink = null;
+        this.highlightedVisual = null; // Object of a single highlighted visual (MJCF geom) of the link
 
         // Highlight material
         this.highlightMaterial = new THREE.MeshPhongMaterial({
@@ -15,6 +16,15 @@ export class HighlightManager {
             emissive: 0xffffff,
             emissiveIntensity: 0.25
         });
+
+        // Links in collision (kept independent from hover highlight)
+        this.collisionLinkNames = new Set();
+        this.collisionMaterial = new THREE.MeshPhongMaterial({
+            shininess: 10,
+            color: 0xff3b30,
+            emissive: 0xff3b30,
+            emissiveIntensity: 0.35
+        });
     }
 
     /**
@@ -24,7 +34,7 @@ export class HighlightManager {
         if (!link) return;
 
         // If already highlighted the same link, return directly (use name comparison)
-        if (this.currentHighlightedLink && this.currentHighlightedLink.name === link.name) {
+        if (this.currentHighlightedLink && this.currentHighlightedLink.name === link.name && !this.highlightedVisual) {
             return;
         }
 
@@ -48,6 +58,33 @@ export class HighlightManager {
         this.sceneManager.redraw();
     }
 
+    /**
+     * Highlight a single visual of a link (e.g. one MJCF geom) instead of all its meshes
+     * @param {Object} link - Link the visual belongs to (hover info, unhighlighting)
+     * @param {THREE.Object3D} object - Visual's object
+     */
+    highlightVisual(link, object, currentModel) {
+        if (!link || !object) return;
+        if (this.highlightedVisual === object) return;
+
+        if (this.currentHighlightedLink) {
+            this.unhighlightLink(this.currentHighlightedLink, currentModel);
+        }
+        this.currentHighlightedLink = link;
+        this.highlightedVisual = object;
+
+        object.traverse(obj => {
+            if (!obj.isMesh || this.isAuxiliaryVisualization(obj)) return;
+            if (!obj.__origMaterial) {
+                obj.__origMaterial = obj.material;
+            }
+            obj.material = this.highlightMaterial;
+        });
+
+        this.showHoverInfo(link, currentModel);
+        this.sceneManager.redraw();
+    }
+
     /**
      * Unhighlight link
      */
@@ -57,6 +94,7 @@ export class HighlightManager {
         // Clear current highlighted link record (use name comparison)
         if (this.currentHighlightedLink && this.currentHighlightedLink.name === link.name) {
             this.currentHighlightedLink = null;
+            this.highlightedVisual = null;
         }
 
         // Only restore materials for current link (including child links connected via fixed joints)
@@ -329,6 +367,69 @@ export class HighlightManager {
         }
     }
 
+    /**
+     * Mark colliding links (replaces previous collision highlight)
+     * @param {Iterable<string>} linkNames
+     */
+    setCollisionHighlight(linkNames, currentModel) {
+        this.clearCollisionHighlight(currentModel);
+        if (!currentModel?.links) return;
+
+        for (const linkName of linkNames) {
+            const link = currentModel.links.get(linkName);
+            if (!link?.threeObject) continue;
+
+            this.collisionLinkNames.add(linkName);
+            this.forEachLinkVisualMesh(link.threeObject, (mesh) => {
+                if (mesh.__collisionOrigMaterial) return;
+                if (mesh.__origMaterial) {
+                    // Hovered: collision color shows once hover ends
+                    mesh.__collisionOrigMaterial = mesh.__origMaterial;
+                    mesh.__origMaterial = this.collisionMaterial;
+                } else {
+                    mesh.__collisionOrigMaterial = mesh.material;
+                    mesh.material = this.collisionMaterial;
+                }
+            });
+        }
+        this.sceneManager.redraw();
+    }
+
+    clearCollisionHighlight(currentModel = this.sceneManager.currentModel) {
+        this.collisionLinkNames.forEach(linkName => {
+            const link = currentModel?.links?.get(linkName);
+            if (!link?.threeObject) return;
+
+            this.forEachLinkVisualMesh(link.threeObject, (mesh) => {
+                if (!mesh.__collisionOrigMaterial) return;
+                if (mesh.material === this.collisionMaterial) {
+                    mesh.material = mesh.__collisionOrigMaterial;
+                } else if (mesh.__origMaterial === this.collisionMaterial) {
+                    mesh.__origMaterial = mesh.__collisionOrigMaterial;
+                }
+                delete mesh.__collisionOrigMaterial;
+            });
+        });
+        this.collisionLinkNames.clear();
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Visual meshes belonging to a link (stops at child links, skips colliders and auxiliary objects)
+     */
+    forEachLinkVisualMesh(linkObject, callback) {
+        const visit = (obj, isRoot) => {
+            if (!isRoot && (obj.type === 'URDFLink' || obj.isURDFLink)) return;
+            if (obj.isURDFCollider || obj.userData?.isCollision || this.isAuxiliaryVisualization(obj)) return;
+
+            if (obj.isMesh) {
+                callback(obj);
+            }
+            obj.children.forEach(child => visit(child, false));
+        };
+        visit(linkObject, true);
+    }
+
     /**
      * Clear all highlights
      */
@@ -11,6 +11,7 @@ export class InertialVisualization {
         this.inertiaEllipsoids = [];
         this.showCOM = false;
         this.showInertia = false;
+        this.preview = null; // Proposed inertial of one link, see showPreview
     }
 
     /**
@@ -342,6 +343,69 @@ export class InertialVisualization {
         this.inertiaEllipsoids.push(inertiaBox); // Although called ellipsoids, they're boxes now
     }
 
+    /**
+     * Preview a proposed inertial (e.g. computed from geometry) as orange inertia box with COM marker,
+     * independent of the COM / inertia toggles
+     * @param {Object} inertial - mass, origin.xyz at COM and tensor in link frame axes
+     */
+    showPreview(model, link, inertial) {
+        this.clearPreview();
+
+        const linkObject = link.threeObject || this.findLinkObject(model.threeObject, link.name);
+        if (!linkObject) {
+            return;
+        }
+
+        // 'Helper' in the name keeps the preview out of picking
+        const group = new THREE.Group();
+        group.name = 'inertiaPreviewHelper';
+        group.userData.isInertiaBox = true;
+        group.position.copy(MathUtils.xyzToVector3(inertial.origin?.xyz));
+
+        const marker = InertialVisualization.createCOMGeometry(0.015);
+        marker.userData.isCenterOfMass = true;
+        group.add(marker);
+
+        const boxData = MathUtils.computeInertiaBox(inertial);
+        if (boxData) {
+            const box = new THREE.Mesh(
+                MathUtils.createInertiaBoxGeometry(boxData.width, boxData.height, boxData.depth),
+                new THREE.MeshPhongMaterial({
+                    transparent: true,
+                    opacity: 0.35,
+                    color: 0xff9500,
+                    depthWrite: false
+                })
+            );
+            box.quaternion.copy(boxData.rotation);
+            box.add(new THREE.LineSegments(
+                new THREE.EdgesGeometry(box.geometry),
+                new THREE.LineBasicMaterial({ color: 0xff9500 })
+            ));
+            box.traverse(object => {
+                object.raycast = () => {};
+                object.castShadow = false;
+            });
+            group.add(box);
+        }
+
+        linkObject.add(group);
+        this.preview = group;
+        this.sceneManager.redraw();
+    }
+
+    clearPreview() {
+        if (!this.preview) return;
+
+        this.preview.parent?.remove(this.preview);
+        this.preview.traverse(object => {
+            object.geometry?.dispose();
+            [].concat(object.material || []).forEach(material => material.dispose());
+        });
+        this.preview = null;
+        this.sceneManager.redraw();
+    }
+
     /**
      * Find link object in scene graph
      */
@@ -401,6 +465,7 @@ export class InertialVisualization {
         });
         this.comMarkers = [];
         this.inertiaEllipsoids = [];
+        this.clearPreview();
     }
 }
 
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+import { InertialVisualization } from './InertialVisualization.js';
+
+/**
+ * MassPropertiesVisualization - System centre of mass marker with its projection on the ground
+ * Objects live directly in the scene (world coordinates) and are ignored by picking
+ */
+export class MassPropertiesVisualization {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.group = null;
+        this.marker = null;
+        this.line = null;
+        this.footprint = null;
+    }
+
+    create() {
+        this.group = new THREE.Group();
+        this.group.name = 'systemCOMHelper';
+
+        this.marker = InertialVisualization.createCOMGeometry(0.035);
+        this.marker.userData.isCenterOfMass = true;
+
+        const lineMaterial = new THREE.LineDashedMaterial({
+            color: 0xff9500,
+            dashSize: 0.02,
+            gapSize: 0.015,
+            depthTest: false,
+            transparent: true
+        });
+        this.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]), lineMaterial);
+        this.line.renderOrder = 999;
+
+        const footprintMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff9500,
+            side: THREE.DoubleSide,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+        this.footprint = new THREE.Mesh(new THREE.RingGeometry(0.025, 0.04, 32), footprintMaterial);
+        this.footprint.rotation.x = -Math.PI / 2;
+
+        [this.line, this.footprint].forEach(object => {
+            object.raycast = () => {};
+            object.castShadow = false;
+        });
+
+        this.group.add(this.marker, this.line, this.footprint);
+        this.sceneManager.scene.add(this.group);
+    }
+
+    /**
+     * @param {THREE.Vector3} position - System COM in world coordinates
+     */
+    update(position) {
+        if (!this.group) {
+            this.create();
+        }
+
+        // Small offset keeps the footprint above the ground plane
+        const groundY = (this.sceneManager.groundPlane?.position.y ?? 0) + 0.001;
+        const ground = new THREE.Vector3(position.x, groundY, position.z);
+
+        this.marker.position.copy(position);
+        this.footprint.position.copy(ground);
+        this.line.geometry.setFromPoints([position, ground]);
+        this.line.computeLineDistances();
+
+        this.sceneManager.redraw();
+    }
+
+    clear() {
+        if (!this.group) return;
+
+        this.group.parent?.remove(this.group);
+        this.group.traverse(object => {
+            object.geometry?.dispose();
+            [].concat(object.material || []).forEach(material => material.dispose());
+        });
+        this.group = null;
+        this.marker = null;
+        this.line = null;
+        this.footprint = null;
+        this.sceneManager.redraw();
+    }
+}
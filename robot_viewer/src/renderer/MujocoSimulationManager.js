@@ -9,6 +9,8 @@ import { MathUtils } from '../utils/MathUtils.js';
 import { CoordinateAxesManager } from './CoordinateAxesManager.js';
 import { InertialVisualization } from './InertialVisualization.js';
 import { VisualizationManager } from './VisualizationManager.js';
+import { SimulationRecorder } from './SimulationRecorder.js';
+import { ContactVisualization } from './ContactVisualization.js';
 
 export class MujocoSimulationManager {
     constructor(sceneManager) {
@@ -32,6 +34,22 @@ export class MujocoSimulationManager {
             ctrlnoisestd: 0.0
         };
 
+        // Actuator controls (slider targets, noise is added on top when stepping)
+        this.actuators = [];  // {index, name, type, target, ctrlrange, limited}
+        this.ctrlTargets = new Float64Array(0);
+        this.ctrlNoise = new Float64Array(0);
+
+        // Keyframe used by reset() (null resets to qpos0)
+        this.resetKeyframe = null;
+
+        // Recorded trajectory and timeline playback state (physics is not stepped during playback)
+        this.recorder = null;
+        this.contactForceBuffer = null;
+        this.contactVisualization = null;
+        this.onContactHover = null;
+        this.nameReader = null;
+        this.playback = { active: false, playing: false, index: 0, speed: 1, time: 0, lastTimeMS: null };
+
         this.mujoco_time = 0.0;
         this.tmpVec = new THREE.Vector3();
         this.tmpQuat = new THREE.Quaternion();
@@ -140,6 +158,12 @@ export class MujocoSimulationManager {
             // Create MuJoCo visualization model (created directly from physics engine)
             await this.createThreeScene();
 
+            // Collect actuators for control panel
+            this.actuators = this.parseActuators(xmlContent);
+            this.ctrlTargets = new Float64Array(this.model.nu);
+            this.ctrlNoise = new Float64Array(this.model.nu);
+            this.recorder = new SimulationRecorder(this.model.nq, this.model.nv);
+
             // Reset simulation (compatible with old and new API)
             if (this.isOldAPI) {
                 this.mujoco.mj_resetData(this.model, this.data);
@@ -164,6 +188,12 @@ export class MujocoSimulationManager {
                 );
             }
 
+            // Contact tooltip on hover
+            if (!this.onContactHover) {
+                this.onContactHover = (event) => this.updateContactTooltip(event);
+                this.sceneManager.renderer.domElement.addEventListener('pointermove', this.onContactHover);
+            }
+
             return null;
         } catch (error) {
             console.error('Failed to load MJCF scene:', error);
@@ -171,6 +201,98 @@ export class MujocoSimulationManager {
         }
     }
 
+    /**
+     * Parse <actuator> elements and combine with compiled ranges (defaults already applied)
+     * Element order matches MuJoCo actuator ids; falls back to compiled names when they differ
+     * (e.g. actuators coming from included files)
+     * @returns {Array<{index: number, name: string, type: string, target: string, ctrlrange: number[], limited: boolean}>}
+     */
+    parseActuators(xmlContent) {
+        const model = this.model;
+        const nu = model.nu;
+        if (!nu) return [];
+
+        const doc = new DOMParser().parseFromString(xmlContent, 'application/xml');
+        let elements = Array.from(doc.querySelectorAll('actuator > *'));
+        if (elements.length !== nu) {
+            elements = [];
+        }
+
+        const readName = this.createNameReader();
+
+        const actuators = [];
+        for (let i = 0; i < nu; i++) {
+            const el = elements[i];
+            const type = el ? el.tagName : 'general';
+            if (!['motor', 'position', 'velocity', 'general'].includes(type)) continue;
+
+            const target = el
+                ? (el.getAttribute('joint') || el.getAttribute('tendon') || el.getAttribute('site') || el.getAttribute('body') || '')
+                : '';
+            const limited = !!model.actuator_ctrllimited[i];
+            let ctrlrange = [model.actuator_ctrlrange[i * 2], model.actuator_ctrlrange[i * 2 + 1]];
+
+            if (!limited) {
+                // Unlimited position actuators follow their joint range, others get a unit range
+                const jointId = model.actuator_trnid[i * 2];
+                const isJoint = model.actuator_trntype[i] === 0 && jointId >= 0;
+                ctrlrange = type === 'position' && isJoint && model.jnt_limited[jointId]
+                    ? [model.jnt_range[jointId * 2], model.jnt_range[jointId * 2 + 1]]
+                    : [-1, 1];
+            }
+
+            actuators.push({
+                index: i,
+                name: readName(model.name_actuatoradr[i]) || `${type} ${i}`,
+                type,
+                target,
+                ctrlrange,
+                limited
+            });
+        }
+        return actuators;
+    }
+
+    /**
+     * Set control target of actuator (applied on next step)
+     */
+    setControl(index, value) {
+        if (index >= 0 && index < this.ctrlTargets.length) {
+            this.ctrlTargets[index] = value;
+        }
+    }
+
+    /**
+     * Write control targets plus Ornstein-Uhlenbeck noise (params.ctrlnoisestd/ctrlnoiserate) to data.ctrl
+     */
+    applyControls(timestep) {
+        const ctrl = this.isOldAPI ? this.data.ctrl : this.simulation.ctrl;
+        if (!ctrl || ctrl.length === 0) return;
+
+        const std = this.params.ctrlnoisestd;
+        const rate = Math.exp(-timestep / Math.max(this.params.ctrlnoiserate, 1e-10));
+        const scale = std * Math.sqrt(1 - rate * rate);
+
+        for (let i = 0; i < ctrl.length; i++) {
+            this.ctrlNoise[i] = std > 0 ? rate * this.ctrlNoise[i] + scale * this.standardNormal() : 0;
+
+            let value = this.ctrlTargets[i] + this.ctrlNoise[i];
+            if (this.model.actuator_ctrllimited[i]) {
+                value = Math.min(Math.max(value, this.model.actuator_ctrlrange[i * 2]), this.model.actuator_ctrlrange[i * 2 + 1]);
+            }
+            ctrl[i] = value;
+        }
+    }
+
+    /**
+     * Standard normal sample (Box-Muller)
+     */
+    standardNormal() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
     /**
      * Add ground plane to MJCF scene
      */
@@ -925,6 +1047,19 @@ export class MujocoSimulationManager {
         // Create visualization elements (coordinate axes, COM, inertia, joint axes)
         this.createVisualizationElements(model);
 
+        // Contact overlay: total weight maps to a 0.5 m force arrow
+        this.contactVisualization = new ContactVisualization();
+        this.contactVisualization.group.visible = !!document.getElementById('show-contacts')?.classList.contains('active');
+        let totalMass = 0;
+        for (let b = 0; b < model.nbody; b++) {
+            totalMass += model.body_mass[b];
+        }
+        const gravity = model.opt?.gravity ? Math.hypot(model.opt.gravity[0], model.opt.gravity[1], model.opt.gravity[2]) : 9.81;
+        if (totalMass * gravity > 0) {
+            this.contactVisualization.forceScale = 0.5 / (totalMass * gravity);
+        }
+        this.mujocoRoot.add(this.contactVisualization.group);
+
         return this.mujocoRoot;
     }
 
@@ -1133,7 +1268,9 @@ export class MujocoSimulationManager {
             return;
         }
 
-        if (!this.params.paused) {
+        if (this.playback.active) {
+            this.updatePlayback(timeMS);
+        } else if (!this.params.paused) {
             // Get timestep (compatible with old and new API)
             const timestep = this.isOldAPI ? this.model.opt.timestep : this.model.getOptions().timestep;
 
@@ -1193,12 +1330,17 @@ export class MujocoSimulationManager {
                     }
                 }
 
+                this.applyControls(timestep);
+
                 if (this.isOldAPI) {
                     this.mujoco.mj_step(this.model, this.data);
                 } else {
                     this.simulation.step();
                 }
                 this.mujoco_time += timestep * 1000.0;
+
+                const state = this.isOldAPI ? this.data : this.simulation;
+                this.recorder.record(state.time, state.qpos, state.qvel);
             }
         }
 
@@ -1214,6 +1356,10 @@ export class MujocoSimulationManager {
                 bodyGroup.updateMatrixWorld(true);
             }
         }
+
+        if (this.contactVisualization && this.contactVisualization.group.visible) {
+            this.contactVisualization.update(this.getContacts());
+        }
     }
 
     /**
@@ -1224,7 +1370,7 @@ export class MujocoSimulationManager {
     }
 
     /**
-     * Reset simulation
+     * Reset simulation (to selected keyframe if any)
      */
     reset() {
         if (this.model) {
@@ -1232,15 +1378,387 @@ export class MujocoSimulationManager {
             const wasSimulating = this.isSimulating;
 
             // Reset physics state
-            if (this.isOldAPI) {
+            if (this.resetKeyframe) {
+                this.applyKeyframe(this.resetKeyframe);
+            } else if (this.isOldAPI) {
                 this.mujoco.mj_resetData(this.model, this.data);
                 this.mujoco.mj_forward(this.model, this.data);
             } else {
                 this.simulation.resetData();
                 this.simulation.forward();
             }
+            this.ctrlNoise.fill(0);
             this.mujoco_time = 0;
+
+            // Recording restarts with the new trajectory
+            this.playback.active = false;
+            this.playback.playing = false;
+            if (this.recorder) {
+                this.recorder.clear();
+            }
+        }
+    }
+
+    /**
+     * Freeze physics and show recorded frame (defaults to latest)
+     */
+    enterPlayback(index) {
+        if (!this.recorder || this.recorder.length === 0) return false;
+
+        this.playback.active = true;
+        this.playback.playing = false;
+        this.seekFrame(index ?? this.recorder.length - 1);
+        return true;
+    }
+
+    /**
+     * Leave playback and continue physics from the shown frame (later frames are discarded)
+     */
+    exitPlayback() {
+        if (!this.playback.active) return;
+
+        this.playback.active = false;
+        this.playback.playing = false;
+        this.recorder.truncate(this.playback.index + 1);
+        // update() resynchronizes mujoco_time with the wall clock
+        this.mujoco_time = 0;
+    }
+
+    /**
+     * Play/pause recorded frames at playback.speed
+     */
+    setPlaybackPlaying(playing) {
+        if (!this.playback.active) return;
+
+        // Restart from the beginning when playing at the end of the recording
+        if (playing && this.playback.index >= this.recorder.length - 1) {
+            this.seekFrame(0);
+        }
+        this.playback.playing = playing;
+        this.playback.lastTimeMS = null;
+    }
+
+    /**
+     * Show recorded frame: writes qpos/qvel into data and recomputes kinematics only
+     */
+    seekFrame(index) {
+        const frame = this.recorder.getFrame(Math.max(0, Math.min(index, this.recorder.length - 1)));
+        if (!frame) return;
+
+        this.playback.index = Math.max(0, Math.min(index, this.recorder.length - 1));
+        this.playback.time = frame.time;
+
+        const state = this.isOldAPI ? this.data : this.simulation;
+        this.copyValues(frame.qpos, state.qpos);
+        this.copyValues(frame.qvel, state.qvel);
+        state.time = frame.time;
+
+        if (this.isOldAPI) {
+            this.mujoco.mj_forward(this.model, this.data);
+        } else {
+            this.simulation.forward();
+        }
+    }
+
+    stepFrame(delta) {
+        if (!this.playback.active && !this.enterPlayback()) return;
+        this.playback.playing = false;
+        this.seekFrame(this.playback.index + delta);
+    }
+
+    /**
+     * Advance playback by wall clock time scaled with playback.speed
+     */
+    updatePlayback(timeMS) {
+        if (!this.playback.playing) return;
+
+        if (this.playback.lastTimeMS !== null) {
+            const targetTime = this.playback.time + (timeMS - this.playback.lastTimeMS) / 1000 * this.playback.speed;
+            const index = this.recorder.findFrame(targetTime);
+            if (index !== this.playback.index) {
+                this.seekFrame(index);
+            }
+            this.playback.time = targetTime;
+
+            if (index >= this.recorder.length - 1) {
+                this.playback.playing = false;
+            }
+        }
+        this.playback.lastTimeMS = timeMS;
+    }
+
+    /**
+     * Replace recording with imported trajectory and show its first frame
+     * @param {SimulationRecorder} recorder
+     */
+    loadRecording(recorder) {
+        if (!this.model) return;
+        if (recorder.nq !== this.model.nq || recorder.nv !== this.model.nv) {
+            throw new Error(`Trajectory size (nq=${recorder.nq}, nv=${recorder.nv}) does not match model (nq=${this.model.nq}, nv=${this.model.nv})`);
+        }
+
+        this.recorder = recorder;
+        this.enterPlayback(0);
+    }
+
+    /**
+     * Reset simulation to keyframe and use it for later resets
+     * @param {Object|null} keyframe - Keyframe from model.userData.keyframes (null for qpos0)
+     */
+    resetToKeyframe(keyframe) {
+        this.resetKeyframe = keyframe;
+        this.reset();
+    }
+
+    /**
+     * Apply keyframe state; keys not compiled into the model (e.g. just captured) are copied manually
+     */
+    applyKeyframe(keyframe) {
+        const compiled = keyframe.index !== undefined && keyframe.index < this.model.nkey;
+
+        if (this.isOldAPI) {
+            if (compiled) {
+                this.mujoco.mj_resetDataKeyframe(this.model, this.data, keyframe.index);
+            } else {
+                this.mujoco.mj_resetData(this.model, this.data);
+                this.copyValues(keyframe.qpos, this.data.qpos);
+                this.copyValues(keyframe.qvel, this.data.qvel);
+                this.copyValues(keyframe.ctrl, this.data.ctrl);
+                this.data.time = keyframe.time || 0;
+            }
+            this.mujoco.mj_forward(this.model, this.data);
+        } else {
+            if (compiled) {
+                this.simulation.resetDataKeyframe(keyframe.index);
+            } else {
+                this.simulation.resetData();
+                this.copyValues(keyframe.qpos, this.simulation.qpos);
+                this.copyValues(keyframe.qvel, this.simulation.qvel);
+                this.copyValues(keyframe.ctrl, this.simulation.ctrl);
+            }
+            this.simulation.forward();
+        }
+
+        // Keyframe controls become slider targets
+        if (keyframe.ctrl) {
+            this.copyValues(keyframe.ctrl, this.ctrlTargets);
+        }
+    }
+
+    copyValues(source, target) {
+        if (!source || !target) return;
+        const count = Math.min(source.length, target.length);
+        for (let i = 0; i < count; i++) {
+            target[i] = source[i];
+        }
+    }
+
+    /**
+     * Current simulation state for keyframe capture
+     * @returns {{time: number, qpos: number[], ctrl: number[]}|null}
+     */
+    getState() {
+        if (!this.isLoaded) return null;
+        const source = this.isOldAPI ? this.data : this.simulation;
+        return {
+            time: source.time || 0,
+            qpos: Array.from(source.qpos),
+            ctrl: Array.from(this.ctrlTargets)
+        };
+    }
+
+    /**
+     * Current simulation time in seconds
+     */
+    getSimulationTime() {
+        if (!this.isLoaded) return 0;
+        return (this.isOldAPI ? this.data.time : this.simulation.time) || 0;
+    }
+
+    /**
+     * Create reader for null-terminated names in model.names (mj_id2name is unreliable for unnamed objects)
+     * @returns {function(number): string} Name at address
+     */
+    createNameReader() {
+        const textDecoder = new TextDecoder('utf-8');
+        const names_array = new Uint8Array(this.model.names);
+        return (adr) => {
+            let end = adr;
+            while (end < names_array.length && names_array[end] !== 0) end++;
+            return textDecoder.decode(names_array.subarray(adr, end));
+        };
+    }
+
+    /**
+     * Scalar signals that can be plotted: hinge/slide joint qpos/qvel/qfrc_actuator,
+     * sensordata components and total contact force
+     * @returns {Array<{key: string, label: string, group: string, read: function(): number}>}
+     */
+    getSignals() {
+        if (!this.isLoaded) return [];
+
+        const model = this.model;
+        const source = () => (this.isOldAPI ? this.data : this.simulation);
+        const readName = this.createNameReader();
+        const signals = [];
+
+        for (let j = 0; j < model.njnt; j++) {
+            // mjJNT_SLIDE = 2, mjJNT_HINGE = 3 (free/ball joints have no scalar coordinate)
+            const type = model.jnt_type[j];
+            if (type !== 2 && type !== 3) continue;
+
+            const name = readName(model.name_jntadr[j]) || `joint ${j}`;
+            const qposAdr = model.jnt_qposadr[j];
+            const dofAdr = model.jnt_dofadr[j];
+            signals.push(
+                { key: `qpos:${j}`, label: `${name} qpos`, group: 'qpos', read: () => source().qpos[qposAdr] },
+                { key: `qvel:${j}`, label: `${name} qvel`, group: 'qvel', read: () => source().qvel[dofAdr] },
+                { key: `qfrc_actuator:${j}`, label: `${name} qfrc_actuator`, group: 'qfrc_actuator', read: () => source().qfrc_actuator[dofAdr] }
+            );
+        }
+
+        for (let i = 0; i < model.nsensor; i++) {
+            const name = readName(model.name_sensoradr[i]) || `sensor ${i}`;
+            const adr = model.sensor_adr[i];
+            const dim = model.sensor_dim[i];
+            for (let k = 0; k < dim; k++) {
+                signals.push({
+                    key: `sensordata:${adr + k}`,
+                    label: dim > 1 ? `${name}[${k}]` : name,
+                    group: 'sensordata',
+                    read: () => source().sensordata[adr + k]
+                });
+            }
         }
+
+        signals.push({ key: 'contact:total', label: 'contact force', group: 'contact', read: () => this.getTotalContactForce() });
+        return signals;
+    }
+
+    /**
+     * Contact force of contact i in its contact frame (normal first)
+     * @returns {Float64Array|null} 6 values (force, torque), view valid until next call
+     */
+    getContactForce(i) {
+        if (!this.isOldAPI || !this.data) return null;
+
+        if (!this.contactForceBuffer) {
+            this.contactForceBuffer = new this.mujoco.DoubleBuffer(6);
+        }
+        this.mujoco.mj_contactForce(this.model, this.data, i, this.contactForceBuffer);
+        return this.contactForceBuffer.GetView();
+    }
+
+    /**
+     * Active contacts in Three.js coordinates with world space force
+     * @returns {Array<{index: number, geom1: number, geom2: number, dist: number, pos: THREE.Vector3,
+     *   normal: THREE.Vector3, force: THREE.Vector3, normalForce: number, frictionForce: number}>}
+     */
+    getContacts() {
+        if (!this.isOldAPI || !this.data) return [];
+
+        const contacts = [];
+        const contactVec = this.data.contact;
+        for (let i = 0; i < this.data.ncon; i++) {
+            const contact = contactVec.get(i);
+            if (!contact) continue;
+
+            // Excluded contacts do not generate forces
+            if (!contact.exclude) {
+                const frame = contact.frame;
+                const f = this.getContactForce(i);
+
+                // Contact frame rows: normal, tangent 1, tangent 2
+                const force = [0, 0, 0];
+                for (let k = 0; k < 3; k++) {
+                    force[k] = f[0] * frame[k] + f[1] * frame[3 + k] + f[2] * frame[6 + k];
+                }
+
+                contacts.push({
+                    index: i,
+                    geom1: contact.geom1,
+                    geom2: contact.geom2,
+                    dist: contact.dist,
+                    pos: this.getPosition(contact.pos, 0, new THREE.Vector3()),
+                    normal: this.getPosition(frame, 0, new THREE.Vector3()),
+                    force: this.getPosition(force, 0, new THREE.Vector3()),
+                    normalForce: f[0],
+                    frictionForce: Math.hypot(f[1], f[2])
+                });
+            }
+            contact.delete();
+        }
+        contactVec.delete();
+        return contacts;
+    }
+
+    /**
+     * Geom name with its body, for display
+     */
+    getGeomLabel(geomId) {
+        if (!this.nameReader) {
+            this.nameReader = this.createNameReader();
+        }
+        const geomName = this.nameReader(this.model.name_geomadr[geomId]) || `geom ${geomId}`;
+        const bodyId = this.model.geom_bodyid[geomId];
+        const bodyName = this.nameReader(this.model.name_bodyadr[bodyId]) || `body ${bodyId}`;
+        return `${geomName} (${bodyName})`;
+    }
+
+    /**
+     * Show contact details when hovering a contact point
+     */
+    updateContactTooltip(event) {
+        const tooltip = document.getElementById('contact-tooltip');
+        if (!tooltip) return;
+
+        let contact = null;
+        if (this.isLoaded && this.mujocoRoot?.visible && this.contactVisualization) {
+            const canvas = this.sceneManager.renderer.domElement;
+            const rect = canvas.getBoundingClientRect();
+            const pointer = new THREE.Vector2(
+                ((event.clientX - rect.left) / rect.width) * 2 - 1,
+                -((event.clientY - rect.top) / rect.height) * 2 + 1
+            );
+            const raycaster = new THREE.Raycaster();
+            raycaster.setFromCamera(pointer, this.sceneManager.camera);
+            contact = this.contactVisualization.pick(raycaster.ray);
+        }
+
+        if (!contact) {
+            tooltip.style.display = 'none';
+            return;
+        }
+
+        const lines = [
+            `${this.getGeomLabel(contact.geom1)} ↔ ${this.getGeomLabel(contact.geom2)}`,
+            `${window.i18n.t('contactNormalForce')}: ${contact.normalForce.toFixed(3)} N`,
+            `${window.i18n.t('contactFrictionForce')}: ${contact.frictionForce.toFixed(3)} N`,
+            `${window.i18n.t('contactDistance')}: ${contact.dist.toExponential(2)} m`
+        ];
+        tooltip.innerHTML = '';
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            tooltip.appendChild(line);
+        });
+        tooltip.style.left = `${event.clientX + 14}px`;
+        tooltip.style.top = `${event.clientY + 14}px`;
+        tooltip.style.display = 'block';
+    }
+
+    /**
+     * Sum of contact force magnitudes over all active contacts
+     */
+    getTotalContactForce() {
+        if (!this.isOldAPI || !this.data) return 0;
+
+        let total = 0;
+        for (let i = 0; i < this.data.ncon; i++) {
+            const force = this.getContactForce(i);
+            total += Math.hypot(force[0], force[1], force[2]);
+        }
+        return total;
     }
 
     /**
@@ -1397,6 +1915,30 @@ export class MujocoSimulationManager {
         this.originalModel = null;
         this.bodies = {};
         this.lights = [];
+        this.actuators = [];
+        this.ctrlTargets = new Float64Array(0);
+        this.ctrlNoise = new Float64Array(0);
+        this.resetKeyframe = null;
+        this.recorder = null;
+        this.playback.active = false;
+        this.playback.playing = false;
+        if (this.contactForceBuffer) {
+            this.contactForceBuffer.delete();
+            this.contactForceBuffer = null;
+        }
+        if (this.contactVisualization) {
+            this.contactVisualization.dispose();
+            this.contactVisualization = null;
+        }
+        if (this.onContactHover) {
+            this.sceneManager.renderer.domElement.removeEventListener('pointermove', this.onContactHover);
+            this.onContactHover = null;
+        }
+        const contactTooltip = document.getElementById('contact-tooltip');
+        if (contactTooltip) {
+            contactTooltip.style.display = 'none';
+        }
+        this.nameReader = null;
         this.isLoaded = false;
         this.isSimulating = false;
         this.params.paused = true;
@@ -1522,6 +2064,22 @@ export class MujocoSimulationManager {
         this.sceneManager.redraw();
     }
 
+    /**
+     * Toggle contact point/force display
+     */
+    toggleContactDisplay(showContacts) {
+        if (!this.contactVisualization) return;
+
+        this.contactVisualization.group.visible = showContacts;
+        if (showContacts) {
+            this.contactVisualization.update(this.getContacts());
+        } else {
+            const tooltip = document.getElementById('contact-tooltip');
+            if (tooltip) tooltip.style.display = 'none';
+        }
+        this.sceneManager.redraw();
+    }
+
     /**
      * Toggle inertia display
      */
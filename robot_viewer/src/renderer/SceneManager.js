@@ -605,10 +605,7 @@ export class SceneManager {
             // Only render during drag, no complex calculations
             this.redraw();
 
-            // Trigger measurement update
-            if (this.onMeasurementUpdate) {
-                this.onMeasurementUpdate();
-            }
+            this.notifyJointsChanged();
         };
 
         // Hover highlight callback (handle immediately, like urdf-loaders)
@@ -989,6 +986,16 @@ export class SceneManager {
         this._eventListeners[eventName].forEach(callback => callback(...args));
     }
 
+    /**
+     * Joint values changed (sliders, dragging): update measurements and emit 'jointsChanged'
+     */
+    notifyJointsChanged() {
+        if (this.onMeasurementUpdate) {
+            this.onMeasurementUpdate();
+        }
+        this.emit('jointsChanged', this.currentModel);
+    }
+
     update() {
         this.controls.update();
     }
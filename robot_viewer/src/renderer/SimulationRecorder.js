@@ -0,0 +1,169 @@
+const DEFAULT_CAPACITY = 10000;
+
+/**
+ * SimulationRecorder - Fixed-size ring buffer of MuJoCo states (time, qpos, qvel)
+ * Oldest frames are overwritten once capacity is reached
+ */
+export class SimulationRecorder {
+    /**
+     * @param {number} nq - Number of position coordinates
+     * @param {number} nv - Number of degrees of freedom
+     * @param {number} capacity - Maximum number of stored frames
+     */
+    constructor(nq, nv, capacity = DEFAULT_CAPACITY) {
+        this.nq = nq;
+        this.nv = nv;
+        this.capacity = capacity;
+        this.stride = 1 + nq + nv;
+        this.buffer = new Float64Array(this.stride * capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    clear() {
+        this.start = 0;
+        this.length = 0;
+    }
+
+    /**
+     * Append state (copies values)
+     */
+    record(time, qpos, qvel) {
+        const slot = (this.start + this.length) % this.capacity;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+
+        const offset = slot * this.stride;
+        this.buffer[offset] = time;
+        for (let i = 0; i < this.nq; i++) {
+            this.buffer[offset + 1 + i] = qpos[i];
+        }
+        for (let i = 0; i < this.nv; i++) {
+            this.buffer[offset + 1 + this.nq + i] = qvel[i];
+        }
+    }
+
+    /**
+     * Get frame by index (0 = oldest); qpos/qvel are views into the buffer
+     * @returns {{time: number, qpos: Float64Array, qvel: Float64Array}|null}
+     */
+    getFrame(index) {
+        if (index < 0 || index >= this.length) return null;
+
+        const offset = ((this.start + index) % this.capacity) * this.stride;
+        return {
+            time: this.buffer[offset],
+            qpos: this.buffer.subarray(offset + 1, offset + 1 + this.nq),
+            qvel: this.buffer.subarray(offset + 1 + this.nq, offset + this.stride)
+        };
+    }
+
+    getTime(index) {
+        return this.buffer[((this.start + index) % this.capacity) * this.stride];
+    }
+
+    /**
+     * Index of last frame with time <= given time (frames are recorded in time order)
+     */
+    findFrame(time) {
+        let low = 0;
+        let high = this.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.getTime(mid) <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Drop frames after index (used when resuming physics from a past frame)
+     */
+    truncate(length) {
+        this.length = Math.max(0, Math.min(length, this.length));
+    }
+
+    /**
+     * Export as CSV: time, qpos_0..qpos_{nq-1}, qvel_0..qvel_{nv-1}
+     */
+    toCSV() {
+        const header = ['time'];
+        for (let i = 0; i < this.nq; i++) header.push(`qpos_${i}`);
+        for (let i = 0; i < this.nv; i++) header.push(`qvel_${i}`);
+
+        const lines = [header.join(',')];
+        for (let f = 0; f < this.length; f++) {
+            const offset = ((this.start + f) % this.capacity) * this.stride;
+            lines.push(Array.from(this.buffer.subarray(offset, offset + this.stride)).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    toJSON() {
+        const frames = [];
+        for (let f = 0; f < this.length; f++) {
+            const frame = this.getFrame(f);
+            frames.push({ time: frame.time, qpos: Array.from(frame.qpos), qvel: Array.from(frame.qvel) });
+        }
+        return { nq: this.nq, nv: this.nv, frames };
+    }
+
+    /**
+     * Create recorder from exported JSON
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!Array.isArray(data.frames)) {
+            throw new Error('Trajectory JSON has no frames array');
+        }
+
+        const nq = data.nq ?? data.frames[0]?.qpos?.length ?? 0;
+        const nv = data.nv ?? data.frames[0]?.qvel?.length ?? 0;
+        const recorder = new SimulationRecorder(nq, nv, Math.max(data.frames.length, DEFAULT_CAPACITY));
+        data.frames.forEach((frame, i) => {
+            if (frame.qpos?.length !== nq || frame.qvel?.length !== nv) {
+                throw new Error(`Trajectory frame ${i} does not match nq=${nq}, nv=${nv}`);
+            }
+            recorder.record(frame.time, frame.qpos, frame.qvel);
+        });
+        return recorder;
+    }
+
+    /**
+     * Create recorder from exported CSV (columns identified by header names)
+     */
+    static fromCSV(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+        if (lines.length === 0) {
+            throw new Error('Trajectory CSV is empty');
+        }
+
+        const header = lines[0].split(',').map(name => name.trim());
+        const timeColumn = header.indexOf('time');
+        const qposColumns = header.map((name, i) => (name.startsWith('qpos_') ? i : -1)).filter(i => i >= 0);
+        const qvelColumns = header.map((name, i) => (name.startsWith('qvel_') ? i : -1)).filter(i => i >= 0);
+        if (timeColumn < 0 || qposColumns.length === 0) {
+            throw new Error('Trajectory CSV needs time and qpos_* columns');
+        }
+
+        const recorder = new SimulationRecorder(qposColumns.length, qvelColumns.length, Math.max(lines.length - 1, DEFAULT_CAPACITY));
+        for (let l = 1; l < lines.length; l++) {
+            const values = lines[l].split(',').map(Number);
+            if (values.length !== header.length || values.some(isNaN)) {
+                throw new Error(`Invalid trajectory CSV row ${l + 1}`);
+            }
+            recorder.record(
+                values[timeColumn],
+                qposColumns.map(i => values[i]),
+                qvelColumns.map(i => values[i])
+            );
+        }
+        return recorder;
+    }
+}
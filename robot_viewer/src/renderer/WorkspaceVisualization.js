@@ -0,0 +1,98 @@
+import * as THREE from 'three';
+
+/**
+ * WorkspaceVisualization - Reachable workspace as colored point cloud
+ * Points are given in model root frame and placed under the world (up axis) object,
+ * so they are not part of model bounds, picking or highlighting
+ */
+export class WorkspaceVisualization {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.points = null;
+        this.colors = null;
+        this.pointSize = 0.01;
+    }
+
+    /**
+     * Show sampled positions
+     * @param {{positions: Float32Array, manipulability: Float32Array|null, count: number}} result
+     * @param {THREE.Matrix4} worldFromRoot - Model root frame in world coordinates
+     * @param {boolean} colorByManipulability
+     */
+    update(result, worldFromRoot, colorByManipulability) {
+        this.clear();
+
+        const parent = this.sceneManager.world || this.sceneManager.scene;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+
+        this.colors = this.computeColors(result, colorByManipulability);
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3));
+
+        const material = new THREE.PointsMaterial({
+            size: this.pointSize,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+
+        this.points = new THREE.Points(geometry, material);
+        this.points.name = 'workspacePoints';
+        this.points.userData.isVisualization = true;
+        this.points.raycast = () => {};
+
+        // Root frame relative to parent (world object carries the up axis rotation)
+        parent.updateMatrixWorld(true);
+        this.points.matrixAutoUpdate = false;
+        this.points.matrix.copy(parent.matrixWorld).invert().multiply(worldFromRoot);
+
+        parent.add(this.points);
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Blue (low) to red (high) manipulability, normalized by the largest sample
+     * @returns {Float32Array} RGB per point
+     */
+    computeColors(result, colorByManipulability) {
+        const colors = new Float32Array(result.count * 3);
+        const color = new THREE.Color(0x4a9eff);
+        const measures = colorByManipulability ? result.manipulability : null;
+        let max = 0;
+        if (measures) {
+            measures.forEach(value => {
+                max = Math.max(max, value);
+            });
+        }
+
+        for (let i = 0; i < result.count; i++) {
+            if (measures && max > 0) {
+                color.setHSL(0.66 * (1 - measures[i] / max), 0.9, 0.5);
+            }
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+        return colors;
+    }
+
+    setPointSize(size) {
+        this.pointSize = size;
+        if (this.points) {
+            this.points.material.size = size;
+            this.sceneManager.redraw();
+        }
+    }
+
+    clear() {
+        if (this.points) {
+            this.points.parent?.remove(this.points);
+            this.points.geometry.dispose();
+            this.points.material.dispose();
+            this.points = null;
+            this.colors = null;
+            this.sceneManager.redraw();
+        }
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * ActuatorControlsUI - MuJoCo actuator control panel
+ * One slider per actuator (within ctrlrange) writing control targets, plus control noise parameters
+ */
+export class ActuatorControlsUI {
+    constructor() {
+        this.panel = document.getElementById('floating-actuator-panel');
+        this.container = document.getElementById('actuator-controls');
+        this.noiseRateInput = document.getElementById('actuator-noise-rate');
+        this.noiseStdInput = document.getElementById('actuator-noise-std');
+        this.zeroBtn = document.getElementById('actuator-zero-btn');
+        this.simulationManager = null;
+
+        const bindParam = (input, key) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!this.simulationManager || isNaN(value) || value < 0) {
+                    input.value = this.simulationManager?.params[key] ?? 0;
+                    return;
+                }
+                this.simulationManager.params[key] = value;
+            });
+        };
+        bindParam(this.noiseRateInput, 'ctrlnoiserate');
+        bindParam(this.noiseStdInput, 'ctrlnoisestd');
+
+        if (this.zeroBtn) {
+            this.zeroBtn.addEventListener('click', () => this.zeroControls());
+        }
+    }
+
+    /**
+     * Update panel for loaded simulation (hidden when no scene or no actuators)
+     * @param {MujocoSimulationManager|null} simulationManager
+     */
+    update(simulationManager) {
+        if (!this.panel || !this.container) return;
+
+        this.simulationManager = simulationManager;
+        this.container.innerHTML = '';
+
+        const actuators = simulationManager?.hasScene() ? simulationManager.actuators : [];
+        if (actuators.length === 0) {
+            this.panel.style.display = 'none';
+            return;
+        }
+
+        if (this.noiseRateInput) this.noiseRateInput.value = simulationManager.params.ctrlnoiserate;
+        if (this.noiseStdInput) this.noiseStdInput.value = simulationManager.params.ctrlnoisestd;
+
+        actuators.forEach(actuator => {
+            this.container.appendChild(this.createActuatorControl(actuator));
+        });
+
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Create slider row for actuator
+     */
+    createActuatorControl(actuator) {
+        const [lower, upper] = actuator.ctrlrange;
+
+        const div = document.createElement('div');
+        div.className = 'joint-control';
+
+        const header = document.createElement('div');
+        header.className = 'joint-header';
+
+        const name = document.createElement('div');
+        name.className = 'joint-name';
+        name.textContent = actuator.name;
+        name.title = actuator.target ? `${actuator.name} → ${actuator.target}` : actuator.name;
+
+        const type = document.createElement('span');
+        type.className = 'actuator-type';
+        type.textContent = actuator.type;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.className = 'joint-value-input';
+        valueInput.step = '0.01';
+
+        header.appendChild(name);
+        header.appendChild(type);
+        header.appendChild(valueInput);
+
+        const sliderRow = document.createElement('div');
+        sliderRow.className = 'joint-slider-row';
+
+        const minLabel = document.createElement('span');
+        minLabel.className = 'actuator-limit';
+        minLabel.textContent = lower.toFixed(2);
+
+        const maxLabel = document.createElement('span');
+        maxLabel.className = 'actuator-limit';
+        maxLabel.textContent = upper.toFixed(2);
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'joint-slider';
+        slider.setAttribute('data-actuator', actuator.index);
+        slider.min = lower;
+        slider.max = upper;
+        slider.step = (upper - lower) / 1000;
+
+        // Start from current control target (zero after load, keyframe ctrl after keyframe reset)
+        const initialValue = Math.min(Math.max(this.simulationManager.ctrlTargets[actuator.index] || 0, lower), upper);
+        slider.value = initialValue;
+        valueInput.value = initialValue.toFixed(2);
+        this.simulationManager.setControl(actuator.index, initialValue);
+
+        slider.addEventListener('input', () => {
+            const value = parseFloat(slider.value);
+            valueInput.value = value.toFixed(2);
+            this.simulationManager?.setControl(actuator.index, value);
+        });
+
+        valueInput.addEventListener('change', () => {
+            let value = parseFloat(valueInput.value);
+            if (isNaN(value)) value = parseFloat(slider.value);
+            value = Math.min(Math.max(value, lower), upper);
+            slider.value = value;
+            valueInput.value = value.toFixed(2);
+            this.simulationManager?.setControl(actuator.index, value);
+        });
+
+        const sliderContainer = document.createElement('div');
+        sliderContainer.className = 'joint-slider-container';
+        sliderContainer.appendChild(slider);
+
+        sliderRow.appendChild(minLabel);
+        sliderRow.appendChild(sliderContainer);
+        sliderRow.appendChild(maxLabel);
+
+        div.appendChild(header);
+        div.appendChild(sliderRow);
+        return div;
+    }
+
+    /**
+     * Set all actuator controls to zero (clamped into range)
+     */
+    zeroControls() {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('input[data-actuator]').forEach(slider => {
+            const value = Math.min(Math.max(0, parseFloat(slider.min)), parseFloat(slider.max));
+            slider.value = value;
+            slider.dispatchEvent(new Event('input'));
+        });
+    }
+}
@@ -0,0 +1,255 @@
+import { CollisionChecker } from '../renderer/CollisionChecker.js';
+import { SRDFParser } from '../loaders/SRDFParser.js';
+
+/**
+ * CollisionUI - Self-collision panel
+ * Checks the current pose on demand or automatically after joint changes,
+ * highlights colliding links and edits the allowed-collision matrix (ACM)
+ */
+export class CollisionUI {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.checker = new CollisionChecker();
+
+        this.panel = document.getElementById('floating-collision-panel');
+        this.autoCheckbox = document.getElementById('collision-auto');
+        this.checkBtn = document.getElementById('collision-check-btn');
+        this.status = document.getElementById('collision-status');
+        this.resultList = document.getElementById('collision-result-list');
+        this.allowedList = document.getElementById('collision-allowed-list');
+        this.link1Select = document.getElementById('collision-link1-select');
+        this.link2Select = document.getElementById('collision-link2-select');
+        this.addBtn = document.getElementById('collision-add-btn');
+        this.importBtn = document.getElementById('collision-import-srdf-btn');
+        this.srdfInput = document.getElementById('collision-srdf-input');
+
+        this.model = null;
+        this.collisions = [];
+        this.lastDuration = null;
+        this.pendingFrame = null;
+
+        this.sceneManager.on('jointsChanged', () => this.onJointsChanged());
+        if (this.checkBtn) {
+            this.checkBtn.addEventListener('click', () => this.check());
+        }
+        if (this.autoCheckbox) {
+            this.autoCheckbox.addEventListener('change', () => {
+                if (this.autoCheckbox.checked) {
+                    this.check();
+                }
+            });
+        }
+        if (this.addBtn) {
+            this.addBtn.addEventListener('click', () => {
+                const link1 = this.link1Select?.value;
+                const link2 = this.link2Select?.value;
+                if (!link1 || !link2 || link1 === link2) return;
+                this.setAllowed(link1, link2, true);
+            });
+        }
+        if (this.importBtn && this.srdfInput) {
+            this.importBtn.addEventListener('click', () => this.srdfInput.click());
+            this.srdfInput.addEventListener('change', async () => {
+                const file = this.srdfInput.files?.[0];
+                this.srdfInput.value = '';
+                if (file) {
+                    this.importSRDF(await file.text());
+                }
+            });
+        }
+
+        this.updateButtons();
+    }
+
+    /**
+     * Use loaded model (ACM is reset to adjacent link pairs)
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.cancelPending();
+        this.sceneManager.highlightManager.clearCollisionHighlight(this.model);
+
+        this.model = model && model.links?.size > 1 && !model.userData?.isUSDWASM ? model : null;
+        this.checker.setModel(this.model);
+        // Disabled collisions of an SRDF found next to the URDF
+        const srdf = this.model?.userData?.srdf;
+        if (srdf) {
+            this.checker.importDisabledPairs(srdf.disabledCollisions);
+        }
+        this.collisions = [];
+        this.lastDuration = null;
+
+        this.updateLinkSelects();
+        this.render();
+
+        if (this.model && this.autoCheckbox?.checked) {
+            this.check();
+        }
+    }
+
+    /**
+     * Called after joint values changed; checks once per frame when auto check is on
+     */
+    onJointsChanged() {
+        if (!this.model || !this.autoCheckbox?.checked || this.pendingFrame !== null) return;
+
+        this.pendingFrame = requestAnimationFrame(() => {
+            this.pendingFrame = null;
+            this.check();
+        });
+    }
+
+    cancelPending() {
+        if (this.pendingFrame !== null) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+    }
+
+    check() {
+        if (!this.model) return;
+
+        const start = performance.now();
+        try {
+            this.collisions = this.checker.check();
+        } catch (error) {
+            console.error('Self-collision check failed:', error);
+            this.collisions = [];
+        }
+        this.lastDuration = performance.now() - start;
+
+        const linkNames = new Set();
+        this.collisions.forEach(({ link1, link2 }) => {
+            linkNames.add(link1);
+            linkNames.add(link2);
+        });
+        this.sceneManager.highlightManager.setCollisionHighlight(linkNames, this.model);
+
+        this.renderStatus();
+        this.renderCollisions();
+    }
+
+    setAllowed(link1, link2, allowed) {
+        this.checker.setAllowed(link1, link2, allowed);
+        this.renderAllowedPairs();
+        if (this.lastDuration !== null) {
+            this.check();
+        }
+    }
+
+    importSRDF(content) {
+        if (!this.model) return;
+
+        try {
+            const srdf = SRDFParser.parse(content);
+            const count = this.checker.importDisabledPairs(srdf.disabledCollisions);
+            this.setStatus(`${window.i18n.t('collisionImported')}: ${count}`);
+        } catch (error) {
+            console.error('SRDF import failed:', error);
+            this.setStatus(`${window.i18n.t('collisionImportFailed')}: ${error.message}`);
+            return;
+        }
+
+        this.renderAllowedPairs();
+        if (this.lastDuration !== null) {
+            this.check();
+        }
+    }
+
+    updateLinkSelects() {
+        [this.link1Select, this.link2Select].forEach(select => {
+            if (!select) return;
+            select.innerHTML = '';
+            this.model?.links.forEach((link, name) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+        if (this.link2Select?.options.length > 1) {
+            this.link2Select.selectedIndex = 1;
+        }
+    }
+
+    updateButtons() {
+        [this.checkBtn, this.addBtn, this.importBtn].forEach(button => {
+            if (button) {
+                button.disabled = !this.model;
+            }
+        });
+    }
+
+    setStatus(text) {
+        if (this.status) {
+            this.status.textContent = text;
+        }
+    }
+
+    renderStatus() {
+        if (!this.model || this.lastDuration === null) {
+            this.setStatus('');
+            return;
+        }
+        const summary = this.collisions.length === 0
+            ? window.i18n.t('collisionNone')
+            : `${this.collisions.length} ${window.i18n.t('collisionPairs')}`;
+        this.setStatus(`${summary} (${this.lastDuration.toFixed(1)} ms)`);
+    }
+
+    render() {
+        this.updateButtons();
+        this.renderStatus();
+        this.renderCollisions();
+        this.renderAllowedPairs();
+    }
+
+    renderCollisions() {
+        if (!this.resultList) return;
+        this.resultList.innerHTML = '';
+
+        this.collisions.forEach(({ link1, link2 }) => {
+            const button = document.createElement('button');
+            button.className = 'collision-pair-btn';
+            button.textContent = window.i18n.t('collisionAllow');
+            button.title = window.i18n.t('collisionAllowTitle');
+            button.addEventListener('click', () => this.setAllowed(link1, link2, true));
+            this.resultList.appendChild(this.createPairRow(link1, link2, null, button));
+        });
+    }
+
+    renderAllowedPairs() {
+        if (!this.allowedList) return;
+        this.allowedList.innerHTML = '';
+
+        this.checker.getAllowedPairs().forEach(({ link1, link2, reason }) => {
+            const button = document.createElement('button');
+            button.className = 'collision-pair-btn';
+            button.textContent = '✕';
+            button.title = window.i18n.t('collisionRemove');
+            button.addEventListener('click', () => this.setAllowed(link1, link2, false));
+            this.allowedList.appendChild(this.createPairRow(link1, link2, reason, button));
+        });
+    }
+
+    createPairRow(link1, link2, reason, button) {
+        const row = document.createElement('div');
+        row.className = 'collision-pair-row';
+
+        const names = document.createElement('span');
+        names.className = 'collision-pair-names';
+        names.textContent = `${link1} ↔ ${link2}`;
+        names.title = names.textContent;
+        row.appendChild(names);
+
+        if (reason) {
+            const tag = document.createElement('span');
+            tag.className = 'collision-pair-reason';
+            tag.textContent = window.i18n.t(`collisionReason${reason.charAt(0).toUpperCase()}${reason.slice(1)}`);
+            row.appendChild(tag);
+        }
+
+        row.appendChild(button);
+        return row;
+    }
+}
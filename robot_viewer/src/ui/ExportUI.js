@@ -0,0 +1,144 @@
+import { zipSync, strToU8 } from 'three/examples/jsm/libs/fflate.module.js';
+import { URDFExporter } from '../exporters/URDFExporter.js';
+import { MJCFExporter } from '../exporters/MJCFExporter.js';
+import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
+import { formatExportWarning } from '../exporters/ExportWarnings.js';
+import { downloadBlob } from '../utils/FileUtils.js';
+
+/**
+ * ExportUI - Model export panel
+ * Converts the loaded model to another format and downloads it together with referenced meshes
+ */
+export class ExportUI {
+    constructor() {
+        this.panel = document.getElementById('floating-export-panel');
+        this.formatSelect = document.getElementById('export-format-select');
+        this.report = document.getElementById('export-report');
+        this.downloadBtn = document.getElementById('export-download-btn');
+
+        this.model = null;
+        this.fileMap = null;
+
+        this.exporters = {
+            urdf: { extension: 'urdf', run: (model) => URDFExporter.export(model), supports: () => true },
+            mjcf: { extension: 'xml', run: (model) => MJCFExporter.export(model), supports: (model) => MJCFExporter.supports(model) }
+        };
+
+        if (this.formatSelect) {
+            this.formatSelect.addEventListener('change', () => this.refreshReport());
+        }
+
+        if (this.downloadBtn) {
+            this.downloadBtn.addEventListener('click', () => this.download());
+        }
+
+        this.refreshReport();
+    }
+
+    /**
+     * Update panel for loaded model
+     * @param {UnifiedRobotModel} model - Current model (null for meshes or no model)
+     * @param {Map} fileMap - Loaded files, used to package referenced meshes
+     */
+    update(model, fileMap) {
+        this.model = this.isExportable(model) ? model : null;
+        this.fileMap = fileMap || null;
+        this.refreshReport();
+    }
+
+    isExportable(model) {
+        return !!model && !model.userData?.isUSDWASM && model.links?.size > 0;
+    }
+
+    /**
+     * Run the selected exporter
+     */
+    getExporter() {
+        return this.exporters[this.formatSelect?.value] || this.exporters.urdf;
+    }
+
+    runExporter() {
+        const exporter = this.getExporter();
+        return { exporter, result: exporter.run(this.model) };
+    }
+
+    /**
+     * List conversion warnings for the selected format
+     */
+    refreshReport() {
+        if (!this.report) return;
+        this.report.innerHTML = '';
+
+        const supported = !!this.model && this.getExporter().supports(this.model);
+        if (this.downloadBtn) {
+            this.downloadBtn.disabled = !supported;
+        }
+
+        if (!supported) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t(this.model ? 'exportSameFormat' : 'exportNoModel');
+            this.report.appendChild(empty);
+            return;
+        }
+
+        let result;
+        try {
+            result = this.runExporter().result;
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.appendReportLine(`${window.i18n.t('exportFailed')}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (result.warnings.length === 0) {
+            this.appendReportLine(window.i18n.t('exportLossless'), 'ok');
+        } else {
+            this.appendReportLine(window.i18n.t('exportLossy'), 'title');
+            result.warnings.forEach(warning => this.appendReportLine(formatExportWarning(warning), 'warning'));
+        }
+
+        if (result.meshes.length > 0) {
+            this.appendReportLine(`${window.i18n.t('exportMeshCount')}: ${result.meshes.length}`, 'info');
+        }
+    }
+
+    appendReportLine(text, type) {
+        const line = document.createElement('div');
+        line.className = `export-report-line ${type}`;
+        line.textContent = text;
+        this.report.appendChild(line);
+    }
+
+    /**
+     * Export model and download it, zipped with meshes when the model references any
+     */
+    async download() {
+        if (!this.model || !this.getExporter().supports(this.model)) return;
+
+        try {
+            const { exporter, result } = this.runExporter();
+            const baseName = (this.model.name || 'robot').replace(/[^\w.-]+/g, '_');
+            const fileName = `${baseName}.${exporter.extension}`;
+
+            if (result.meshes.length === 0) {
+                downloadBlob(new Blob([result.xml], { type: 'text/xml;charset=utf-8' }), fileName);
+                return;
+            }
+
+            const entries = {};
+            entries[`${baseName}/${fileName}`] = strToU8(result.xml);
+
+            const meshFiles = await ModelLoaderFactory.resolveExportedMeshes(result.meshes, this.fileMap);
+            for (const [path, file] of meshFiles) {
+                entries[`${baseName}/${path}`] = new Uint8Array(await file.arrayBuffer());
+            }
+
+            const zipped = zipSync(entries);
+            downloadBlob(new Blob([zipped], { type: 'application/zip' }), `${baseName}.zip`);
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.appendReportLine(`${window.i18n.t('exportFailed')}: ${error.message}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,328 @@
+import { InertiaChecker } from '../utils/InertiaChecker.js';
+import { GeometryInertia } from '../utils/GeometryInertia.js';
+import { InertialProperties } from '../models/UnifiedRobotModel.js';
+import { MJCFAdapter } from '../adapters/MJCFAdapter.js';
+
+/**
+ * InertiaCheckUI - Inertia sanity check panel
+ * Lists implausible link inertials by severity and replaces a link's inertial with one
+ * computed from its geometry at the given density or mass (previewed in the scene,
+ * applied to the model and written to the editor)
+ */
+export class InertiaCheckUI {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+
+        this.densityInput = document.getElementById('inertia-density-input');
+        this.sourceSelect = document.getElementById('inertia-source-select');
+        this.status = document.getElementById('inertia-status');
+        this.findingList = document.getElementById('inertia-finding-list');
+        this.checkBtn = document.getElementById('inertia-check-btn');
+        this.linkSelect = document.getElementById('inertia-link-select');
+        this.massInput = document.getElementById('inertia-mass-input');
+        this.result = document.getElementById('inertia-result');
+        this.previewBtn = document.getElementById('inertia-preview-btn');
+        this.applyBtn = document.getElementById('inertia-apply-btn');
+
+        this.model = null;
+        this.findings = [];
+        this.lastFix = null; // { link, approximate, written } or { link, failed: true }
+        this.computed = null; // { link, result } shown in the result rows, null when no geometry
+        this.codeEditorManager = null;
+
+        this.onSelect = null; // ({type: 'link', name})
+        this.onInertialChanged = null; // (model) after a fix was applied
+
+        if (this.checkBtn) {
+            this.checkBtn.addEventListener('click', () => {
+                this.lastFix = null;
+                this.check();
+            });
+        }
+        if (this.sourceSelect) {
+            this.sourceSelect.addEventListener('change', () => {
+                this.resetComputed();
+                this.check();
+            });
+        }
+        [this.densityInput, this.linkSelect, this.massInput].forEach(input => {
+            input?.addEventListener('change', () => {
+                this.resetComputed();
+                this.render();
+            });
+        });
+        if (this.previewBtn) {
+            this.previewBtn.addEventListener('click', () => this.preview());
+        }
+        if (this.applyBtn) {
+            this.applyBtn.addEventListener('click', () => {
+                const linkName = this.linkSelect?.value;
+                if (linkName) {
+                    this.apply(linkName, this.getMass());
+                }
+            });
+        }
+        // Visual bounds need loaded meshes
+        this.sceneManager.on('modelReady', () => this.check());
+
+        this.render();
+    }
+
+    setCodeEditorManager(codeEditorManager) {
+        this.codeEditorManager = codeEditorManager;
+    }
+
+    /**
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.model = model && model.links?.size > 0 && !model.userData?.isUSDWASM ? model : null;
+        this.lastFix = null;
+        this.resetComputed();
+        this.populateLinks();
+        this.check();
+    }
+
+    /**
+     * Links that have geometry to compute an inertial from
+     */
+    populateLinks() {
+        if (!this.linkSelect) return;
+
+        const previous = this.linkSelect.value;
+        this.linkSelect.innerHTML = '';
+        if (!this.model) return;
+
+        this.model.links.forEach((link, name) => {
+            if (link.visuals.length === 0 && link.collisions.length === 0) return;
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.linkSelect.appendChild(option);
+        });
+        if (this.model.links.get(previous)) {
+            this.linkSelect.value = previous;
+        }
+    }
+
+    getDensity() {
+        const density = parseFloat(this.densityInput?.value);
+        return density > 0 ? density : 1000;
+    }
+
+    getSource() {
+        return this.sourceSelect?.value || 'collision';
+    }
+
+    /**
+     * Target mass, null to use the density
+     */
+    getMass() {
+        const mass = parseFloat(this.massInput?.value);
+        return mass > 0 ? mass : null;
+    }
+
+    /**
+     * Geometry inertial of a link at the current density, or scaled to mass
+     * @returns {Object|null} GeometryInertia result
+     */
+    compute(linkName, mass = null) {
+        const link = this.model?.links.get(linkName);
+        if (!link) return null;
+
+        const convention = this.model.userData?.type === 'mjcf' ? 'mjcf' : 'urdf';
+        const result = GeometryInertia.compute(link, this.getDensity(), this.getSource(), convention);
+        return result && mass ? GeometryInertia.withMass(result, mass) : result;
+    }
+
+    resetComputed() {
+        this.computed = null;
+        this.sceneManager.inertialVisualization?.clearPreview();
+    }
+
+    preview() {
+        const linkName = this.linkSelect?.value;
+        const link = this.model?.links.get(linkName);
+        if (!link) return;
+
+        this.sceneManager.inertialVisualization?.clearPreview();
+        const result = this.compute(linkName, this.getMass());
+        this.computed = { link: linkName, result };
+        if (result) {
+            this.sceneManager.inertialVisualization?.showPreview(this.model, link, GeometryInertia.toInertial(result));
+        }
+        this.render();
+    }
+
+    check() {
+        this.findings = [];
+        if (this.model) {
+            try {
+                this.findings = InertiaChecker.check(this.model, { source: this.getSource() });
+            } catch (error) {
+                console.error('Inertia check failed:', error);
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Replace a link's inertial with the one of its geometry at the given density or mass
+     */
+    apply(linkName, mass = null) {
+        const link = this.model?.links.get(linkName);
+        if (!link) return;
+
+        const isMJCF = this.model.userData?.type === 'mjcf';
+        const result = this.compute(linkName, mass);
+        this.resetComputed();
+        if (!result) {
+            this.lastFix = { link: linkName, failed: true };
+            this.render();
+            return;
+        }
+
+        const computed = GeometryInertia.toInertial(result);
+        const inertial = new InertialProperties();
+        Object.assign(inertial, isMJCF ? MJCFAdapter.convertStoredInertia(computed) : computed, {
+            origin: { xyz: [...computed.origin.xyz], rpy: [0, 0, 0] }
+        });
+        link.inertial = inertial;
+
+        this.sceneManager.inertialVisualization?.extractInertialProperties(this.model);
+        this.sceneManager.redraw();
+
+        this.lastFix = {
+            link: linkName,
+            approximate: result.approximate,
+            written: this.codeEditorManager?.applyModelEdit({ type: 'inertial', link: linkName, inertial: computed }) || false
+        };
+        this.onInertialChanged?.(this.model);
+        this.check();
+    }
+
+    render() {
+        [this.checkBtn, this.previewBtn, this.applyBtn].forEach(button => {
+            if (button) button.disabled = !this.model;
+        });
+        this.renderStatus();
+        this.renderFindings();
+        this.renderResult();
+    }
+
+    renderStatus() {
+        if (!this.status) return;
+
+        const parts = [];
+        if (!this.model) {
+            parts.push(window.i18n.t('inertiaNoModel'));
+        } else if (this.findings.length === 0) {
+            parts.push(window.i18n.t('inertiaAllOk'));
+        } else {
+            const errors = this.findings.filter(finding => finding.severity === 'error').length;
+            parts.push(`${errors} ${window.i18n.t('inertiaErrors')} · ` +
+                `${this.findings.length - errors} ${window.i18n.t('inertiaWarnings')}`);
+        }
+
+        if (this.lastFix?.failed) {
+            parts.push(`${this.lastFix.link}: ${window.i18n.t('inertiaFixNoGeometry')}`);
+        } else if (this.lastFix) {
+            const notes = [window.i18n.t('inertiaFixed')];
+            if (this.lastFix.approximate) notes.push(window.i18n.t('inertiaFixedApproximate'));
+            notes.push(window.i18n.t(this.lastFix.written ? 'inertiaWrittenToEditor' : 'inertiaNotWritten'));
+            parts.push(`${this.lastFix.link}: ${notes.join(', ')}`);
+        }
+        this.status.textContent = parts.join('\n');
+    }
+
+    renderFindings() {
+        if (!this.findingList) return;
+        this.findingList.innerHTML = '';
+
+        this.findings.forEach(({ link, severity, code, details }) => {
+            const row = document.createElement('div');
+            row.className = 'inertia-finding';
+
+            const badge = document.createElement('span');
+            badge.className = `inertia-severity ${severity}`;
+            badge.textContent = window.i18n.t(severity === 'error' ? 'inertiaError' : 'inertiaWarning');
+
+            const text = document.createElement('div');
+            text.className = 'inertia-finding-text';
+
+            const name = document.createElement('span');
+            name.className = 'inertia-finding-link';
+            name.textContent = link;
+            name.addEventListener('click', () => {
+                // Also pick it for computing from geometry (only links with geometry are listed)
+                const listed = [...(this.linkSelect?.options || [])].some(option => option.value === link);
+                if (listed && this.linkSelect.value !== link) {
+                    this.linkSelect.value = link;
+                    this.resetComputed();
+                    this.renderResult();
+                }
+                this.onSelect?.({ type: 'link', name: link });
+            });
+
+            const message = document.createElement('div');
+            message.textContent = window.i18n.t(`inertia${code.charAt(0).toUpperCase()}${code.slice(1)}`);
+
+            text.appendChild(name);
+            text.appendChild(message);
+            if (details) {
+                const detailEl = document.createElement('div');
+                detailEl.className = 'inertia-finding-details';
+                detailEl.textContent = details;
+                text.appendChild(detailEl);
+            }
+
+            const button = document.createElement('button');
+            button.className = 'collision-pair-btn';
+            button.textContent = window.i18n.t('inertiaFix');
+            button.title = window.i18n.t('inertiaFixTitle');
+            button.addEventListener('click', () => this.apply(link));
+
+            row.appendChild(badge);
+            row.appendChild(text);
+            row.appendChild(button);
+            this.findingList.appendChild(row);
+        });
+    }
+
+    renderResult() {
+        if (!this.result) return;
+        this.result.innerHTML = '';
+        if (!this.computed) return;
+
+        const { result } = this.computed;
+        if (!result) {
+            this.appendRow(this.computed.link, window.i18n.t('inertiaFixNoGeometry'));
+            return;
+        }
+
+        const format = value => (Math.abs(value) < 5e-10 ? 0 : value).toPrecision(5);
+        const approximate = result.approximate ? ` (${window.i18n.t('inertiaFixedApproximate')})` : '';
+        this.appendRow(`${window.i18n.t('inertiaVolume')}${approximate}`, format(result.volume));
+        this.appendRow(window.i18n.t('inertiaResultMass'), format(result.mass));
+        this.appendRow(window.i18n.t('inertiaCOM'), result.com.map(format).join(' '));
+        this.appendRow(window.i18n.t('inertiaTensor'),
+            result.tensor.map(row => row.map(value => format(value).padStart(12)).join(' ')).join('\n'));
+    }
+
+    appendRow(label, text) {
+        const row = document.createElement('div');
+        row.className = 'fk-row';
+
+        const header = document.createElement('div');
+        header.className = 'fk-row-header';
+        header.textContent = label;
+
+        const value = document.createElement('pre');
+        value.className = 'fk-value';
+        value.textContent = text;
+
+        row.appendChild(header);
+        row.appendChild(value);
+        this.result.appendChild(row);
+    }
+}
@@ -3,7 +3,6 @@
  * Responsible for creating and managing joint control sliders and input fields
  */
 import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
-import { XMLUpdater } from '../utils/XMLUpdater.js';
 
 export class JointControlsUI {
     constructor(sceneManager) {
@@ -12,6 +11,7 @@ export class JointControlsUI {
         this.initialJointValues = new Map(); // Save initial joint positions when model loads
         this.codeEditorManager = null; // Code editor manager reference
         this.isUpdatingFromEditor = false; // Flag to prevent circular updates
+        this.jointFilter = null; // Set of visible joint names (SRDF planning group), null shows all
     }
 
     /**
@@ -22,7 +22,7 @@ export class JointControlsUI {
     }
 
     /**
-     * Update XML content in editor (URDF format only)
+     * Update joint limits in the editor document (URDF or MJCF)
      */
     updateEditorXML(jointName, limits) {
         // If updating from editor, skip
@@ -34,48 +34,12 @@ export class JointControlsUI {
             return;
         }
 
-        const editor = this.codeEditorManager.getEditor();
-        if (!editor) {
-            return;
-        }
-
-        // Get current editor content
-        const currentContent = editor.getValue();
-        if (!currentContent || currentContent.trim().length === 0) {
-            return;
-        }
-
-        // Check if URDF format (contains <robot> tag)
-        if (!currentContent.includes('<robot')) {
-            return;
-        }
-
         // Set flag to prevent circular updates
         this.isUpdatingFromEditor = true;
 
         try {
-            // Use XMLUpdater to update XML
-            const updatedXML = XMLUpdater.updateURDFJointLimits(currentContent, jointName, limits);
-
-            // If content changed, update editor
-            if (updatedXML !== currentContent) {
-                // Save cursor position
-                const cursorPos = editor.view.state.selection.main.head;
-
-                // Update content
-                editor.setValue(updatedXML);
-
-                // Restore cursor position (if possible)
-                try {
-                    const maxPos = editor.view.state.doc.length;
-                    const newPos = Math.min(cursorPos, maxPos);
-                    editor.view.dispatch({
-                        selection: { anchor: newPos, head: newPos }
-                    });
-                } catch (e) {
-                    // Ignore cursor restoration errors
-                }
-            }
+            // Writes <limit> (URDF) or range / actuatorfrcrange (MJCF), keeping the rest of the document
+            this.codeEditorManager.applyModelEdit({ type: 'jointLimits', joint: jointName, limits });
         } catch (error) {
             console.error('Failed to update editor XML:', error);
         } finally {
@@ -135,6 +99,20 @@ export class JointControlsUI {
             const control = this.createJointControl(joint, model);
             container.appendChild(control);
         });
+
+        this.setJointFilter(this.jointFilter);
+    }
+
+    /**
+     * Only show sliders of given joints
+     * @param {Set<string>|null} jointNames - null shows all joints
+     */
+    setJointFilter(jointNames) {
+        this.jointFilter = jointNames;
+        document.querySelectorAll('#joint-controls .joint-control').forEach(control => {
+            const jointName = control.querySelector('.joint-slider')?.getAttribute('data-joint');
+            control.style.display = !jointNames || jointNames.has(jointName) ? '' : 'none';
+        });
     }
 
     /**
@@ -266,10 +244,7 @@ export class JointControlsUI {
                 this.sceneManager.redraw();
                 this.sceneManager.render();
 
-                // Trigger measurement update
-                if (this.sceneManager.onMeasurementUpdate) {
-                    this.sceneManager.onMeasurementUpdate();
-                }
+                this.sceneManager.notifyJointsChanged();
             }
 
             updateLabels();
@@ -314,10 +289,7 @@ export class JointControlsUI {
                 this.sceneManager.redraw();
                 this.sceneManager.render();
 
-                // Trigger measurement update
-                if (this.sceneManager.onMeasurementUpdate) {
-                    this.sceneManager.onMeasurementUpdate();
-                }
+                this.sceneManager.notifyJointsChanged();
             }
 
             updateLabels();
@@ -487,10 +459,7 @@ export class JointControlsUI {
                     this.sceneManager.redraw();
                     this.sceneManager.render();
 
-                    // Trigger measurement update
-                    if (this.sceneManager.onMeasurementUpdate) {
-                        this.sceneManager.onMeasurementUpdate();
-                    }
+                    this.sceneManager.notifyJointsChanged();
 
                     slider._pendingRender = false;
                 });
@@ -526,10 +495,7 @@ export class JointControlsUI {
             this.sceneManager.redraw();
             this.sceneManager.render();
 
-            // Trigger measurement update
-            if (this.sceneManager.onMeasurementUpdate) {
-                this.sceneManager.onMeasurementUpdate();
-            }
+            this.sceneManager.notifyJointsChanged();
         });
 
         // Save update function
@@ -561,6 +527,7 @@ export class JointControlsUI {
     resetAllJoints(model) {
         if (!model || !model.joints) return;
 
+        const values = new Map();
         model.joints.forEach((joint, name) => {
             if (joint.type !== 'fixed') {
                 // Use saved initial value, if not saved use middle value
@@ -573,28 +540,43 @@ export class JointControlsUI {
                     initialValue = joint.currentValue !== undefined ? joint.currentValue : (lower + upper) / 2;
                 }
 
-                // Set joint angle, ignore limit constraints because initial position may exceed current limits
-                ModelLoaderFactory.setJointAngle(model, name, initialValue, true);
+                values.set(name, initialValue);
+            }
+        });
 
-                joint.currentValue = initialValue;
+        this.applyJointValues(model, values);
+    }
 
-                const slider = document.querySelector(`input[data-joint="${name}"]`);
-                if (slider) {
-                    slider.value = initialValue;
-                    const control = slider.closest('.joint-control');
-                    if (control && control._updateDisplay) {
-                        control._updateDisplay();
-                    }
+    /**
+     * Set several joints at once and sync their sliders
+     * @param {UnifiedRobotModel} model
+     * @param {Map<string, number>} values - Joint name to value
+     */
+    applyJointValues(model, values) {
+        if (!model || !model.joints) return;
+
+        values.forEach((value, name) => {
+            const joint = model.joints.get(name);
+            if (!joint || joint.type === 'fixed') return;
+
+            // Ignore limit constraints because stored poses may exceed current limits
+            ModelLoaderFactory.setJointAngle(model, name, value, true);
+
+            joint.currentValue = value;
+
+            const slider = document.querySelector(`input[data-joint="${name}"]`);
+            if (slider) {
+                slider.value = value;
+                const control = slider.closest('.joint-control');
+                if (control && control._updateDisplay) {
+                    control._updateDisplay();
                 }
             }
         });
 
         this.sceneManager.render();
 
-        // Trigger measurement update
-        if (this.sceneManager.onMeasurementUpdate) {
-            this.sceneManager.onMeasurementUpdate();
-        }
+        this.sceneManager.notifyJointsChanged();
     }
 
     /**
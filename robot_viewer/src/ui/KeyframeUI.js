@@ -0,0 +1,95 @@
+/**
+ * KeyframeUI - MJCF keyframe bar in the joints panel
+ * Lists <keyframe> entries of the loaded model and captures the current pose as a new key
+ */
+export class KeyframeUI {
+    constructor() {
+        this.bar = document.getElementById('keyframe-bar');
+        this.select = document.getElementById('keyframe-select');
+        this.captureBtn = document.getElementById('keyframe-capture-btn');
+        this.model = null;
+
+        // Callbacks set by the app
+        this.onApply = null;
+        this.onCapture = null;
+
+        if (this.select) {
+            this.select.addEventListener('change', () => {
+                const keyframe = this.getSelectedKeyframe();
+                if (keyframe && this.onApply) {
+                    this.onApply(keyframe);
+                }
+            });
+        }
+
+        if (this.captureBtn) {
+            this.captureBtn.addEventListener('click', () => {
+                if (this.model && this.onCapture) {
+                    this.onCapture(this.model);
+                }
+            });
+        }
+    }
+
+    /**
+     * Update bar for loaded model (only shown for MJCF models)
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        if (!this.bar || !this.select) return;
+
+        // Keep selection when refreshing the same model (e.g. language change)
+        const selected = this.model === model && this.select.value !== '' ? parseInt(this.select.value) : -1;
+
+        this.model = model?.userData?.type === 'mjcf' ? model : null;
+        if (!this.model) {
+            this.bar.style.display = 'none';
+            return;
+        }
+
+        this.refreshOptions(selected);
+        this.bar.style.display = 'flex';
+    }
+
+    /**
+     * Rebuild dropdown options from model.userData.keyframes
+     * @param {number} selectedIndex - Option to select afterwards (-1 keeps placeholder)
+     */
+    refreshOptions(selectedIndex = -1) {
+        this.select.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = window.i18n.t('keyframeSelect');
+        this.select.appendChild(placeholder);
+
+        const keyframes = this.model?.userData?.keyframes || [];
+        keyframes.forEach((keyframe, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = keyframe.name;
+            this.select.appendChild(option);
+        });
+
+        this.select.value = selectedIndex >= 0 ? selectedIndex : '';
+        this.select.disabled = keyframes.length === 0;
+    }
+
+    getSelectedKeyframe() {
+        if (!this.model || this.select.value === '') return null;
+        return this.model.userData.keyframes?.[parseInt(this.select.value)] || null;
+    }
+
+    /**
+     * Add captured keyframe to model and select it
+     */
+    addKeyframe(keyframe) {
+        if (!this.model) return;
+
+        if (!this.model.userData.keyframes) {
+            this.model.userData.keyframes = [];
+        }
+        this.model.userData.keyframes.push(keyframe);
+        this.refreshOptions(this.model.userData.keyframes.length - 1);
+    }
+}
@@ -0,0 +1,150 @@
+import { Kinematics } from '../kinematics/Kinematics.js';
+
+/**
+ * KinematicsUI - Forward kinematics readout panel
+ * Shows pose of a target link in a base link frame (xyz, rpy, quaternion, 4x4 matrix)
+ */
+export class KinematicsUI {
+    constructor(sceneManager) {
+        this.panel = document.getElementById('floating-fk-panel');
+        this.baseSelect = document.getElementById('fk-base-select');
+        this.targetSelect = document.getElementById('fk-target-select');
+        this.output = document.getElementById('fk-output');
+
+        this.model = null;
+
+        [this.baseSelect, this.targetSelect].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => this.refresh());
+            }
+        });
+        sceneManager.on('jointsChanged', () => this.refresh());
+    }
+
+    /**
+     * Update link choices for loaded model
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.model = model && model.links?.size > 0 && !model.userData?.isUSDWASM ? model : null;
+        if (!this.baseSelect || !this.targetSelect) return;
+
+        const linkNames = this.model ? Array.from(this.model.links.keys()) : [];
+        const previousBase = this.baseSelect.value;
+        const previousTarget = this.targetSelect.value;
+
+        [this.baseSelect, this.targetSelect].forEach(select => {
+            select.innerHTML = '';
+            linkNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        });
+
+        if (this.model) {
+            // Default: root link to deepest link (typical tool link)
+            this.baseSelect.value = linkNames.includes(previousBase) ? previousBase : this.getDefaultBase(linkNames);
+            this.targetSelect.value = linkNames.includes(previousTarget) ? previousTarget : this.getDeepestLink();
+        }
+
+        this.refresh();
+    }
+
+    getDefaultBase(linkNames) {
+        const root = this.model.rootLink;
+        if (root && linkNames.includes(root) && !this.model.links.get(root).userData?.isWorldbody) {
+            return root;
+        }
+        const tree = Kinematics.buildTree(this.model);
+        return linkNames.find(name => {
+            const parent = tree.get(name).parent;
+            return !this.model.links.get(name).userData?.isWorldbody &&
+                (!parent || this.model.links.get(parent)?.userData?.isWorldbody);
+        }) || linkNames[0];
+    }
+
+    getDeepestLink() {
+        const tree = Kinematics.buildTree(this.model);
+        let deepest = null;
+        let maxDepth = -1;
+        tree.forEach((node, name) => {
+            let depth = 0;
+            for (let parent = node.parent; parent && tree.has(parent) && depth < tree.size; parent = tree.get(parent).parent) {
+                depth++;
+            }
+            if (depth > maxDepth) {
+                maxDepth = depth;
+                deepest = name;
+            }
+        });
+        return deepest;
+    }
+
+    /**
+     * Recompute pose for current joint values (called when joints move)
+     */
+    refresh() {
+        if (!this.output) return;
+        this.output.innerHTML = '';
+
+        if (!this.model) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('noModel');
+            this.output.appendChild(empty);
+            return;
+        }
+
+        const matrix = Kinematics.computeRelativePose(this.model, this.baseSelect.value, this.targetSelect.value);
+        if (!matrix) return;
+
+        const pose = Kinematics.describePose(matrix);
+        const format = (values) => values.map(value => (Math.abs(value) < 5e-7 ? 0 : value).toFixed(6)).join(' ');
+
+        this.appendRow('xyz', format(pose.xyz));
+        this.appendRow('rpy', format(pose.rpy));
+        this.appendRow('quat (x y z w)', format([pose.quat.x, pose.quat.y, pose.quat.z, pose.quat.w]));
+        this.appendRow(window.i18n.t('fkMatrix'), pose.matrix.map(row => format(row)).join('\n'));
+    }
+
+    appendRow(label, text) {
+        const row = document.createElement('div');
+        row.className = 'fk-row';
+
+        const header = document.createElement('div');
+        header.className = 'fk-row-header';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'code-editor-btn fk-copy-btn';
+        copyBtn.textContent = window.i18n.t('copy');
+        copyBtn.addEventListener('click', () => this.copyText(text, copyBtn));
+
+        header.appendChild(name);
+        header.appendChild(copyBtn);
+
+        const value = document.createElement('pre');
+        value.className = 'fk-value';
+        value.textContent = text;
+
+        row.appendChild(header);
+        row.appendChild(value);
+        this.output.appendChild(row);
+    }
+
+    async copyText(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = window.i18n.t('copied');
+            setTimeout(() => {
+                button.textContent = window.i18n.t('copy');
+            }, 1000);
+        } catch (error) {
+            console.error('Failed to copy to clipboard:', error);
+        }
+    }
+}
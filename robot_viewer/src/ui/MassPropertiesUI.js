@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+import { Kinematics } from '../kinematics/Kinematics.js';
+import { MassProperties } from '../kinematics/MassProperties.js';
+import { MassPropertiesVisualization } from '../renderer/MassPropertiesVisualization.js';
+import { downloadBlob } from '../utils/FileUtils.js';
+
+/**
+ * MassPropertiesUI - Whole-robot mass properties panel
+ * Total mass, system COM and composite inertia for the current pose (updated as joints move),
+ * per-link mass breakdown with CSV export and an optional system COM marker in the scene
+ */
+export class MassPropertiesUI {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.visualization = new MassPropertiesVisualization(sceneManager);
+
+        this.summary = document.getElementById('mass-summary');
+        this.output = document.getElementById('mass-output');
+        this.tableContainer = document.getElementById('mass-table-container');
+        this.showCOMCheckbox = document.getElementById('mass-show-com');
+        this.exportBtn = document.getElementById('mass-export-btn');
+
+        this.model = null;
+        this.result = null;
+        this.pendingFrame = null;
+
+        if (this.showCOMCheckbox) {
+            this.showCOMCheckbox.addEventListener('change', () => this.updateMarker());
+        }
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportCSV());
+        }
+        // Ground and model placement are final once the model is ready
+        this.sceneManager.on('modelReady', () => this.updateMarker());
+        this.sceneManager.on('jointsChanged', () => this.onJointsChanged());
+
+        this.render();
+    }
+
+    /**
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.cancelPending();
+        this.model = model && model.links?.size > 0 && !model.userData?.isUSDWASM ? model : null;
+        this.refresh();
+    }
+
+    /**
+     * Called after joint values changed; recomputes once per frame
+     */
+    onJointsChanged() {
+        if (!this.model || this.pendingFrame !== null) return;
+
+        this.pendingFrame = requestAnimationFrame(() => {
+            this.pendingFrame = null;
+            this.refresh();
+        });
+    }
+
+    cancelPending() {
+        if (this.pendingFrame !== null) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+    }
+
+    refresh() {
+        this.result = null;
+        if (this.model) {
+            try {
+                this.result = MassProperties.compute(this.model);
+            } catch (error) {
+                console.error('Mass properties computation failed:', error);
+            }
+        }
+        this.render();
+        this.updateMarker();
+    }
+
+    updateMarker() {
+        const worldFromRoot = this.result?.totalMass > 0 && this.showCOMCheckbox?.checked ? Kinematics.getWorldFromRoot(this.model) : null;
+        if (!worldFromRoot) {
+            this.visualization.clear();
+            return;
+        }
+        this.visualization.update(new THREE.Vector3(...this.result.com).applyMatrix4(worldFromRoot));
+    }
+
+    render() {
+        if (this.exportBtn) {
+            this.exportBtn.disabled = !this.result;
+        }
+        if (this.showCOMCheckbox) {
+            this.showCOMCheckbox.disabled = !this.model;
+        }
+        this.renderSummary();
+        this.renderOutput();
+        this.renderTable();
+    }
+
+    renderSummary() {
+        if (!this.summary) return;
+        if (!this.result) {
+            this.summary.textContent = window.i18n.t('massNoModel');
+        } else if (this.result.totalMass === 0) {
+            this.summary.textContent = window.i18n.t('massNone');
+        } else {
+            const linkCount = this.result.links.filter(link => link.mass > 0).length;
+            this.summary.textContent = `${window.i18n.t('massTotal')}: ${this.formatNumber(this.result.totalMass)} kg · ` +
+                `${linkCount} / ${this.result.links.length} ${window.i18n.t('massLinksWithMass')}`;
+        }
+    }
+
+    renderOutput() {
+        if (!this.output) return;
+        this.output.innerHTML = '';
+        if (!this.result || this.result.totalMass === 0) return;
+
+        const base = this.result.baseLink || '';
+        const matrix = rows => rows.map(row => row.map(value => this.formatNumber(value).padStart(12)).join(' ')).join('\n');
+        this.appendRow(`${window.i18n.t('massCOM')} (${base})`, this.result.com.map(value => this.formatNumber(value)).join(' '));
+        this.appendRow(`${window.i18n.t('massInertiaBase')} (${base})`, matrix(this.result.inertiaAboutBase));
+        this.appendRow(window.i18n.t('massInertiaCOM'), matrix(this.result.inertiaAboutCOM));
+    }
+
+    appendRow(label, text) {
+        const row = document.createElement('div');
+        row.className = 'fk-row';
+
+        const header = document.createElement('div');
+        header.className = 'fk-row-header';
+        header.textContent = label;
+
+        const value = document.createElement('pre');
+        value.className = 'fk-value';
+        value.textContent = text;
+
+        row.appendChild(header);
+        row.appendChild(value);
+        this.output.appendChild(row);
+    }
+
+    renderTable() {
+        if (!this.tableContainer) return;
+        this.tableContainer.innerHTML = '';
+        if (!this.result || this.result.totalMass === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'mass-table';
+
+        const head = document.createElement('tr');
+        ['massLink', 'massValue', 'massFraction'].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = window.i18n.t(key);
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        // Heaviest links first
+        [...this.result.links].sort((a, b) => b.mass - a.mass).forEach(link => {
+            const tr = document.createElement('tr');
+            [link.name, this.formatNumber(link.mass), `${(link.fraction * 100).toFixed(1)} %`].forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+
+        this.tableContainer.appendChild(table);
+    }
+
+    formatNumber(value) {
+        return (Math.abs(value) < 5e-10 ? 0 : value).toPrecision(5);
+    }
+
+    exportCSV() {
+        if (!this.result) return;
+
+        const csv = MassProperties.toCSV(this.result);
+        const baseName = (this.model?.name || 'robot').replace(/[^\w.-]+/g, '_');
+        downloadBlob(new Blob([csv], { type: 'text/csv' }), `${baseName}_mass_properties.csv`);
+    }
+}
@@ -0,0 +1,257 @@
+import { ModelDiff } from '../utils/ModelDiff.js';
+import { CompareOverlay } from '../renderer/CompareOverlay.js';
+
+/**
+ * ModelCompareUI - Compare two robot descriptions of the file tree
+ * The target is shown in the scene, the base is parsed only; differences are listed in a table
+ * and the base is overlaid as ghost with changed links colored
+ */
+export class ModelCompareUI {
+    constructor(sceneManager, fileHandler) {
+        this.sceneManager = sceneManager;
+        this.fileHandler = fileHandler;
+        this.overlay = new CompareOverlay(sceneManager);
+
+        this.baseSelect = document.getElementById('compare-base-select');
+        this.targetSelect = document.getElementById('compare-target-select');
+        this.overlayCheckbox = document.getElementById('compare-overlay');
+        this.runBtn = document.getElementById('compare-run-btn');
+        this.clearBtn = document.getElementById('compare-clear-btn');
+        this.summary = document.getElementById('compare-summary');
+        this.tableContainer = document.getElementById('compare-table-container');
+
+        this.model = null;
+        this.baseModel = null;
+        this.diff = null;
+        this.running = false;
+        this.error = null;
+
+        // Callbacks set by the app
+        this.onSelect = null; // ({type: 'link'|'joint', name})
+
+        if (this.runBtn) {
+            this.runBtn.addEventListener('click', () => this.run());
+        }
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => this.clear());
+        }
+        if (this.overlayCheckbox) {
+            this.overlayCheckbox.addEventListener('change', () => this.updateOverlay());
+        }
+        this.sceneManager.on('jointsChanged', () => this.onJointsChanged());
+
+        this.render();
+    }
+
+    /**
+     * Model in the scene changed; a running comparison continues with it, otherwise it is cleared
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.model = model && model.joints?.size > 0 && !model.userData?.isUSDWASM ? model : null;
+        if (!this.running) {
+            this.clear();
+        }
+        this.updateModelSelects();
+    }
+
+    /**
+     * Called after joint values changed, the ghost follows the current pose
+     */
+    onJointsChanged() {
+        if (this.overlay.isActive()) {
+            this.overlay.syncJoints(this.model);
+        }
+    }
+
+    getModelFiles() {
+        return this.fileHandler.getAvailableModels().filter(entry => entry.category === 'model' &&
+            !['usd', 'usda', 'usdc', 'usdz'].includes(entry.ext));
+    }
+
+    updateModelSelects() {
+        const entries = this.getModelFiles();
+        const currentFile = this.fileHandler.getCurrentModelFile();
+        const currentPath = entries.find(entry => entry.file === currentFile)?.path;
+
+        [this.baseSelect, this.targetSelect].forEach(select => {
+            if (!select) return;
+            const previous = select.value;
+            select.innerHTML = '';
+            entries.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.path;
+                option.textContent = entry.path;
+                select.appendChild(option);
+            });
+            // Target follows the model in the scene, base keeps its choice
+            const preferred = select === this.targetSelect ? currentPath : previous;
+            if (entries.some(entry => entry.path === preferred)) {
+                select.value = preferred;
+            } else if (select === this.baseSelect && entries.length > 1) {
+                select.value = entries.find(entry => entry.path !== currentPath)?.path ?? entries[0].path;
+            }
+        });
+        this.updateButtons();
+    }
+
+    async run() {
+        const entries = this.getModelFiles();
+        const base = entries.find(entry => entry.path === this.baseSelect?.value);
+        const target = entries.find(entry => entry.path === this.targetSelect?.value);
+        if (!base || !target || this.running) return;
+
+        this.running = true;
+        this.error = null;
+        this.clear();
+        this.setSummary('…');
+        this.updateButtons();
+
+        try {
+            // Target becomes the model in the scene
+            if (target.file !== this.fileHandler.getCurrentModelFile() || !this.model) {
+                await this.fileHandler.loadFile(target.file, null, { rethrow: true });
+            }
+            if (!this.model) {
+                throw new Error(window.i18n.t('compareNoModels'));
+            }
+
+            this.baseModel = await this.fileHandler.parseModel(base.file);
+            this.diff = ModelDiff.compare(this.baseModel, this.model);
+            this.updateOverlay();
+        } catch (error) {
+            console.error('Model comparison failed:', error);
+            this.baseModel = null;
+            this.diff = null;
+            this.error = error;
+        } finally {
+            this.running = false;
+            this.render();
+        }
+    }
+
+    clear() {
+        this.overlay.clear();
+        this.baseModel = null;
+        this.diff = null;
+        this.error = null;
+        this.render();
+    }
+
+    updateOverlay() {
+        if (this.baseModel && this.model && this.overlayCheckbox?.checked !== false) {
+            this.overlay.show(this.baseModel, this.model, this.diff.baseLinks);
+        } else {
+            this.overlay.hide();
+        }
+    }
+
+    updateButtons() {
+        const count = this.getModelFiles().length;
+        if (this.runBtn) {
+            this.runBtn.disabled = this.running || count === 0;
+        }
+        if (this.clearBtn) {
+            this.clearBtn.disabled = this.running || !this.diff;
+        }
+    }
+
+    setSummary(text) {
+        if (this.summary) {
+            this.summary.textContent = text;
+        }
+    }
+
+    render() {
+        this.updateButtons();
+        this.renderSummary();
+        this.renderTable();
+    }
+
+    renderSummary() {
+        if (this.running) return;
+        if (this.error) {
+            this.setSummary(`${window.i18n.t('compareFailed')}: ${this.error.message}`);
+            return;
+        }
+        if (!this.diff) {
+            this.setSummary(this.getModelFiles().length === 0 ? window.i18n.t('compareNoModels') : '');
+            return;
+        }
+
+        const { links, joints } = this.diff;
+        if (links.length === 0 && joints.length === 0) {
+            this.setSummary(window.i18n.t('compareIdentical'));
+            return;
+        }
+        const count = (list, status) => list.filter(item => item.status === status).length;
+        const describe = (list, key) => ['added', 'removed', 'changed']
+            .map(status => `${count(list, status)} ${window.i18n.t(`compareStatus${status.charAt(0).toUpperCase()}${status.slice(1)}`)}`)
+            .join(', ') + ` ${window.i18n.t(key)}`;
+        this.setSummary(`${describe(links, 'compareLinks')} · ${describe(joints, 'compareJoints')}`);
+    }
+
+    renderTable() {
+        if (!this.tableContainer) return;
+        this.tableContainer.innerHTML = '';
+        if (!this.diff) return;
+
+        const rows = [
+            ...this.diff.links.map(item => ({ ...item, type: 'link' })),
+            ...this.diff.joints.map(item => ({ ...item, type: 'joint' }))
+        ];
+        if (rows.length === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+
+        const head = document.createElement('tr');
+        ['compareElement', 'compareProperty', 'compareBase', 'compareTarget'].forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = window.i18n.t(key);
+            head.appendChild(th);
+        });
+        table.appendChild(head);
+
+        rows.forEach(item => {
+            const changes = item.changes.length > 0 ? item.changes : [null];
+            changes.forEach((change, index) => {
+                const tr = document.createElement('tr');
+                const cells = change ? [change.property, change.base, change.target] : ['', '', ''];
+                if (index === 0) {
+                    tr.appendChild(this.createElementCell(item, changes.length));
+                }
+                cells.forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                });
+
+                // Removed elements only exist in the base model
+                if (item.status !== 'removed') {
+                    tr.className = 'compare-link-row';
+                    tr.addEventListener('click', () => this.onSelect?.({ type: item.type, name: item.name }));
+                }
+                table.appendChild(tr);
+            });
+        });
+
+        this.tableContainer.appendChild(table);
+    }
+
+    createElementCell(item, rowSpan) {
+        const td = document.createElement('td');
+        td.rowSpan = rowSpan;
+
+        const status = document.createElement('span');
+        status.className = `compare-status ${item.status}`;
+        status.textContent = window.i18n.t(`compareStatus${item.status.charAt(0).toUpperCase()}${item.status.slice(1)}`);
+
+        const name = document.createElement('div');
+        name.textContent = `${window.i18n.t(item.type === 'link' ? 'compareLink' : 'compareJoint')} ${item.name}`;
+
+        td.appendChild(status);
+        td.appendChild(name);
+        return td;
+    }
+}
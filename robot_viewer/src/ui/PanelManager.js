@@ -261,6 +261,19 @@ export class PanelManager {
         this.registerPanel('floating-files-panel');
         this.registerPanel('floating-joints-panel');
         this.registerPanel('floating-model-tree');
+        this.registerPanel('floating-xacro-panel');
+        this.registerPanel('floating-export-panel');
+        this.registerPanel('floating-fk-panel');
+        this.registerPanel('floating-workspace-panel');
+        this.registerPanel('floating-collision-panel');
+        this.registerPanel('floating-compare-panel');
+        this.registerPanel('floating-mass-panel');
+        this.registerPanel('floating-inertia-panel');
+        this.registerPanel('floating-edit-panel');
+        this.registerPanel('floating-recent-panel');
+        this.registerPanel('floating-actuator-panel');
+        this.registerPanel('floating-timeline-panel');
+        this.registerPanel('floating-plot-panel');
         // this.registerPanel('floating-help-panel');
         this.registerPanel('code-editor-panel', '.code-editor-header');
 
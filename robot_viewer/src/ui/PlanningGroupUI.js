@@ -0,0 +1,123 @@
+import { SRDFParser } from '../loaders/SRDFParser.js';
+
+/**
+ * PlanningGroupUI - SRDF planning group bar in the joints panel
+ * Filters joint sliders by group and applies named group states
+ */
+export class PlanningGroupUI {
+    constructor() {
+        this.bar = document.getElementById('planning-group-bar');
+        this.groupSelect = document.getElementById('planning-group-select');
+        this.stateSelect = document.getElementById('group-state-select');
+        this.model = null;
+        this.srdf = null;
+
+        // Callbacks set by the app
+        this.onGroupChange = null; // (jointNames: Set<string>|null)
+        this.onApplyState = null; // (values: Map<string, number>)
+
+        if (this.groupSelect) {
+            this.groupSelect.addEventListener('change', () => {
+                this.refreshStateOptions();
+                this.onGroupChange?.(this.getGroupJoints());
+            });
+        }
+
+        if (this.stateSelect) {
+            this.stateSelect.addEventListener('change', () => {
+                const state = this.srdf?.groupStates[parseInt(this.stateSelect.value)];
+                if (state && this.onApplyState) {
+                    this.onApplyState(this.getStateValues(state));
+                }
+            });
+        }
+    }
+
+    /**
+     * Update bar for loaded model (only shown when an SRDF was found)
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        if (!this.bar || !this.groupSelect || !this.stateSelect) return;
+
+        // Keep selected group when refreshing the same model (e.g. language change)
+        const selectedGroup = this.model === model ? this.groupSelect.value : '';
+
+        this.model = model?.userData?.srdf ? model : null;
+        this.srdf = this.model?.userData.srdf || null;
+        if (!this.srdf) {
+            this.bar.style.display = 'none';
+            return;
+        }
+
+        this.groupSelect.innerHTML = '';
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = window.i18n.t('planningGroupAll');
+        this.groupSelect.appendChild(allOption);
+
+        this.srdf.groups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.name;
+            const endEffector = this.srdf.endEffectors.find(ee => ee.parentGroup === group.name);
+            option.textContent = endEffector ? `${group.name} (${endEffector.name})` : group.name;
+            this.groupSelect.appendChild(option);
+        });
+        this.groupSelect.value = this.srdf.groups.some(g => g.name === selectedGroup) ? selectedGroup : '';
+        this.groupSelect.disabled = this.srdf.groups.length === 0;
+
+        this.refreshStateOptions();
+        this.bar.style.display = 'flex';
+    }
+
+    /**
+     * Named states of the selected group (all groups when none is selected)
+     */
+    refreshStateOptions() {
+        this.stateSelect.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = window.i18n.t('groupStateSelect');
+        this.stateSelect.appendChild(placeholder);
+
+        const groupName = this.groupSelect.value;
+        let count = 0;
+        this.srdf?.groupStates.forEach((state, i) => {
+            if (groupName && state.group !== groupName) return;
+
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = groupName ? state.name : `${state.group} / ${state.name}`;
+            this.stateSelect.appendChild(option);
+            count++;
+        });
+
+        this.stateSelect.value = '';
+        this.stateSelect.disabled = count === 0;
+    }
+
+    /**
+     * Joints of selected group, null shows all joints
+     * @returns {Set<string>|null}
+     */
+    getGroupJoints() {
+        const groupName = this.groupSelect?.value;
+        if (!this.model || !groupName) return null;
+        return SRDFParser.getGroupJoints(this.srdf, groupName, this.model);
+    }
+
+    /**
+     * Scalar joint values of a group state (multi-DOF joints are not in the model)
+     * @returns {Map<string, number>}
+     */
+    getStateValues(state) {
+        const values = new Map();
+        state.values.forEach((value, name) => {
+            if (this.model.joints.has(name) && value.length === 1) {
+                values.set(name, value[0]);
+            }
+        });
+        return values;
+    }
+}
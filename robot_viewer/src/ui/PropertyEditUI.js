@@ -0,0 +1,357 @@
+import * as THREE from 'three';
+
+/**
+ * PropertyEditUI - Joint and geometry property editor panel
+ * Edits joint origin / axis, MJCF body pose and the origin, size and colour of a link's
+ * visuals and collisions. Changed values are written to the editor document through
+ * XMLUpdater and the model is reloaded from it, so the source stays the single truth.
+ */
+export class PropertyEditUI {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+
+        this.jointSelect = document.getElementById('edit-joint-select');
+        this.jointFields = document.getElementById('edit-joint-fields');
+        this.jointApplyBtn = document.getElementById('edit-joint-apply-btn');
+        this.linkSelect = document.getElementById('edit-link-select');
+        this.geometrySelect = document.getElementById('edit-geometry-select');
+        this.linkFields = document.getElementById('edit-link-fields');
+        this.linkApplyBtn = document.getElementById('edit-link-apply-btn');
+        this.status = document.getElementById('edit-status');
+
+        this.model = null;
+        this.codeEditorManager = null;
+        this.fields = { joint: new Map(), link: new Map() }; // name -> { inputs, initial }
+        this.lastResult = null; // 'written' | 'notWritten' | 'noChanges'
+        this.reloading = false; // Model reload after own edits keeps lastResult
+
+        [this.jointSelect, this.linkSelect, this.geometrySelect].forEach(select => {
+            select?.addEventListener('change', () => {
+                this.lastResult = null;
+                this.render();
+            });
+        });
+        this.jointApplyBtn?.addEventListener('click', () => this.apply(this.jointEdits()));
+        this.linkApplyBtn?.addEventListener('click', () => this.apply(this.linkEdits()));
+
+        this.render();
+    }
+
+    setCodeEditorManager(codeEditorManager) {
+        this.codeEditorManager = codeEditorManager;
+    }
+
+    /**
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        const type = model?.userData?.type;
+        this.model = model && (type === 'urdf' || type === 'mjcf') && !model.userData?.isUSDWASM ? model : null;
+        if (!this.reloading) {
+            this.lastResult = null;
+        }
+        this.populateJoints();
+        this.populateLinks();
+        this.render();
+    }
+
+    isMJCF() {
+        return this.model?.userData?.type === 'mjcf';
+    }
+
+    populateJoints() {
+        this.populateSelect(this.jointSelect, this.model ? Array.from(this.model.joints.keys()) : []);
+    }
+
+    populateLinks() {
+        const names = [];
+        this.model?.links.forEach((link, name) => {
+            if (link.visuals.length > 0 || link.collisions.length > 0 || link.userData?.bodyOrigin) {
+                names.push(name);
+            }
+        });
+        this.populateSelect(this.linkSelect, names);
+    }
+
+    /**
+     * Visuals and collisions of the selected link, values are "kind:index"
+     */
+    populateGeometries() {
+        const link = this.model?.links.get(this.linkSelect?.value);
+        const options = [];
+        ['visual', 'collision'].forEach(kind => {
+            (link?.[`${kind}s`] || []).forEach((item, index) => {
+                options.push({ value: `${kind}:${index}`, text: `${window.i18n.t(kind === 'visual' ? 'editVisual' : 'editCollision')} ${index}${item.name ? ` · ${item.name}` : ''}` });
+            });
+        });
+        this.populateSelect(this.geometrySelect, options);
+    }
+
+    /**
+     * Fill a select keeping its value when still present
+     * @param {Array<string|{value, text}>} options
+     */
+    populateSelect(select, options) {
+        if (!select) return;
+
+        const previous = select.value;
+        select.innerHTML = '';
+        options.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = typeof entry === 'string' ? entry : entry.value;
+            option.textContent = typeof entry === 'string' ? entry : entry.text;
+            select.appendChild(option);
+        });
+        if (Array.from(select.options).some(option => option.value === previous)) {
+            select.value = previous;
+        }
+    }
+
+    getSelectedGeometry() {
+        const link = this.model?.links.get(this.linkSelect?.value);
+        const [kind, index] = (this.geometrySelect?.value || '').split(':');
+        const item = link?.[`${kind}s`]?.[parseInt(index)];
+        if (!item) return null;
+        return {
+            item,
+            // URDF: index-th <visual>/<collision>, MJCF: geomIndex-th <geom> of the body
+            target: { kind, index: parseInt(index), geomIndex: item.userData?.geomIndex }
+        };
+    }
+
+    /**
+     * Rotation of an origin as roll / pitch / yaw in the model's convention
+     * (MJCF orientations are kept as quaternion by the adapter)
+     */
+    rotationOf(origin) {
+        if (this.isMJCF() && origin?.quat) {
+            const { w, x, y, z } = origin.quat;
+            const euler = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(x, y, z, w).normalize(), 'XYZ');
+            return [euler.x, euler.y, euler.z];
+        }
+        return origin?.rpy || [0, 0, 0];
+    }
+
+    // ----- Edits -----
+
+    jointEdits() {
+        const joint = this.model?.joints.get(this.jointSelect?.value);
+        if (!joint) return [];
+
+        const edits = [];
+        if (this.changed('joint', 'position') || this.changed('joint', 'rotation')) {
+            const origin = { xyz: this.values('joint', 'position') };
+            if (!this.isMJCF()) {
+                origin.rpy = this.values('joint', 'rotation');
+            }
+            edits.push({ type: 'jointOrigin', joint: joint.name, origin });
+        }
+        if (this.changed('joint', 'axis')) {
+            edits.push({ type: 'jointAxis', joint: joint.name, axis: this.values('joint', 'axis') });
+        }
+        return edits;
+    }
+
+    linkEdits() {
+        const linkName = this.linkSelect?.value;
+        if (!this.model?.links.get(linkName)) return [];
+
+        const edits = [];
+        if (this.changed('link', 'bodyPosition') || this.changed('link', 'bodyRotation')) {
+            edits.push({
+                type: 'bodyOrigin',
+                link: linkName,
+                origin: { xyz: this.values('link', 'bodyPosition'), rpy: this.values('link', 'bodyRotation') }
+            });
+        }
+
+        const selected = this.getSelectedGeometry();
+        if (!selected) return edits;
+        const { item, target } = selected;
+
+        if (this.changed('link', 'position') || this.changed('link', 'rotation')) {
+            edits.push({
+                type: 'geometryOrigin',
+                link: linkName,
+                target,
+                origin: { xyz: this.values('link', 'position'), rpy: this.values('link', 'rotation') }
+            });
+        }
+
+        const geometry = item.geometry;
+        if (['size', 'radius', 'height', 'scale'].some(name => this.changed('link', name))) {
+            const size = { ...geometry.size };
+            if (this.fields.link.has('size')) {
+                [size.x, size.y, size.z] = this.values('link', 'size');
+            }
+            if (this.fields.link.has('radius')) size.radius = this.values('link', 'radius')[0];
+            if (this.fields.link.has('height')) size.height = this.values('link', 'height')[0];
+            const scale = this.fields.link.has('scale') ? this.values('link', 'scale') : geometry.scale;
+            edits.push({ type: 'geometrySize', link: linkName, target, geometry: { type: geometry.type, size, scale } });
+        }
+
+        if (this.changed('link', 'color') || this.changed('link', 'opacity')) {
+            const color = new THREE.Color(this.fields.link.get('color').inputs[0].value);
+            edits.push({
+                type: 'materialColor',
+                link: linkName,
+                target,
+                rgba: [color.r, color.g, color.b, this.values('link', 'opacity')[0]]
+            });
+        }
+        return edits;
+    }
+
+    /**
+     * Write edits to the editor document and reload the model from it
+     */
+    async apply(edits) {
+        if (edits.length === 0) {
+            this.lastResult = 'noChanges';
+            this.renderStatus();
+            return;
+        }
+
+        const written = edits.map(edit => this.codeEditorManager?.applyModelEdit(edit) || false).some(Boolean);
+        this.lastResult = written ? 'written' : 'notWritten';
+        this.renderStatus();
+        if (!written) return;
+
+        this.reloading = true;
+        try {
+            await this.codeEditorManager.reloadModel();
+        } finally {
+            this.reloading = false;
+        }
+    }
+
+    // ----- Rendering -----
+
+    render() {
+        // Geometry labels are translated
+        this.populateGeometries();
+        [this.jointApplyBtn, this.linkApplyBtn].forEach(button => {
+            if (button) button.disabled = !this.model;
+        });
+        this.renderJointFields();
+        this.renderLinkFields();
+        this.renderStatus();
+    }
+
+    renderJointFields() {
+        if (!this.jointFields) return;
+        this.jointFields.innerHTML = '';
+        this.fields.joint.clear();
+
+        const joint = this.model?.joints.get(this.jointSelect?.value);
+        if (!joint) return;
+
+        // MJCF joints only have a position in their body, the body carries the frame
+        this.addField('joint', this.jointFields, 'position', 'editPosition', joint.origin?.xyz || [0, 0, 0]);
+        if (!this.isMJCF()) {
+            this.addField('joint', this.jointFields, 'rotation', 'editRotation', this.rotationOf(joint.origin));
+        }
+        if (joint.type !== 'fixed' && joint.type !== 'floating') {
+            this.addField('joint', this.jointFields, 'axis', 'editAxis', joint.axis?.xyz || [0, 0, 1]);
+        }
+    }
+
+    renderLinkFields() {
+        if (!this.linkFields) return;
+        this.linkFields.innerHTML = '';
+        this.fields.link.clear();
+
+        const link = this.model?.links.get(this.linkSelect?.value);
+        if (!link) return;
+
+        const bodyOrigin = link.userData?.bodyOrigin;
+        if (this.isMJCF() && bodyOrigin) {
+            this.addField('link', this.linkFields, 'bodyPosition', 'editBodyPosition', bodyOrigin.xyz || [0, 0, 0]);
+            this.addField('link', this.linkFields, 'bodyRotation', 'editBodyRotation', this.rotationOf(bodyOrigin));
+        }
+
+        const selected = this.getSelectedGeometry();
+        if (!selected) return;
+        const { item, target } = selected;
+        const geometry = item.geometry || {};
+        const size = geometry.size || {};
+
+        this.addField('link', this.linkFields, 'position', 'editPosition', item.origin?.xyz || [0, 0, 0]);
+        this.addField('link', this.linkFields, 'rotation', 'editRotation', this.rotationOf(item.origin));
+        if (geometry.type === 'box') {
+            this.addField('link', this.linkFields, 'size', 'editSize', [size.x, size.y, size.z]);
+        } else if (geometry.type === 'sphere') {
+            this.addField('link', this.linkFields, 'radius', 'editRadius', [size.radius]);
+        } else if (geometry.type === 'cylinder' || geometry.type === 'capsule') {
+            this.addField('link', this.linkFields, 'radius', 'editRadius', [size.radius]);
+            this.addField('link', this.linkFields, 'height', 'editHeight', [size.height]);
+        } else if (geometry.type === 'mesh' && !this.isMJCF()) {
+            // MJCF mesh scale belongs to the shared <mesh> asset
+            this.addField('link', this.linkFields, 'scale', 'editScale', geometry.scale || [1, 1, 1]);
+        }
+
+        if (target.kind === 'visual') {
+            const rgba = this.isMJCF() ? item.userData?.rgba : item.material?.color;
+            const color = new THREE.Color(rgba?.r ?? 0.8, rgba?.g ?? 0.8, rgba?.b ?? 0.8);
+            this.addField('link', this.linkFields, 'color', 'editColor', [`#${color.getHexString()}`], 'color');
+            this.addField('link', this.linkFields, 'opacity', 'editOpacity', [rgba?.a ?? 1]);
+        }
+    }
+
+    /**
+     * Labelled row of inputs, initial values are kept to send only changed fields
+     */
+    addField(group, container, name, labelKey, values, type = 'number') {
+        const row = document.createElement('div');
+        row.className = 'workspace-row';
+
+        const label = document.createElement('span');
+        label.textContent = window.i18n.t(labelKey);
+        row.appendChild(label);
+
+        const inputs = document.createElement('div');
+        inputs.className = 'edit-field-inputs';
+        const elements = values.map(value => {
+            const input = document.createElement('input');
+            input.type = type;
+            input.className = type === 'number' ? 'joint-value-input' : 'edit-color-input';
+            if (type === 'number') {
+                input.step = 'any';
+                input.value = String(parseFloat((value ?? 0).toPrecision(6)));
+            } else {
+                input.value = value;
+            }
+            inputs.appendChild(input);
+            return input;
+        });
+        row.appendChild(inputs);
+        container.appendChild(row);
+
+        this.fields[group].set(name, { inputs: elements, initial: elements.map(input => input.value) });
+    }
+
+    changed(group, name) {
+        const field = this.fields[group].get(name);
+        return !!field && field.inputs.some((input, i) => input.value !== field.initial[i]);
+    }
+
+    values(group, name) {
+        return this.fields[group].get(name).inputs.map(input => parseFloat(input.value) || 0);
+    }
+
+    renderStatus() {
+        if (!this.status) return;
+
+        if (!this.model) {
+            this.status.textContent = window.i18n.t('editNoModel');
+        } else if (this.lastResult === 'written') {
+            this.status.textContent = window.i18n.t('editWritten');
+        } else if (this.lastResult === 'notWritten') {
+            this.status.textContent = window.i18n.t('editNotWritten');
+        } else if (this.lastResult === 'noChanges') {
+            this.status.textContent = window.i18n.t('editNoChanges');
+        } else {
+            this.status.textContent = '';
+        }
+    }
+}
@@ -0,0 +1,266 @@
+import { WorkspaceStore } from '../utils/WorkspaceStore.js';
+
+const SAVE_DELAY = 800;
+
+/**
+ * RecentWorkspacesUI - Dropped workspaces persisted in IndexedDB
+ * Lists stored workspaces (open / delete, storage size) and saves the state of the active one:
+ * last opened model, joint values and editor edits
+ */
+export class RecentWorkspacesUI {
+    constructor() {
+        this.store = WorkspaceStore.isSupported() ? new WorkspaceStore() : null;
+
+        this.panel = document.getElementById('floating-recent-panel');
+        this.toggleBtn = document.getElementById('toggle-recent-panel');
+        this.list = document.getElementById('recent-workspace-list');
+        this.usage = document.getElementById('recent-storage-usage');
+
+        this.activeWorkspace = Promise.resolve(null); // Resolves to metadata of active workspace
+        this.edits = {}; // File path -> edited content of active workspace
+        this.pristineFiles = new Map(); // File path -> stored (unedited) file of active workspace
+        this.pendingChanges = null;
+        this.saveTimer = null;
+
+        // Callbacks set by the app
+        this.onOpen = null; // (workspaceId)
+    }
+
+    /**
+     * Show stored workspaces; opens panel on startup when there are any
+     */
+    async init() {
+        const workspaces = await this.refresh();
+        if (workspaces.length > 0 && this.panel && this.toggleBtn && getComputedStyle(this.panel).display === 'none') {
+            this.toggleBtn.click();
+        }
+    }
+
+    async refresh() {
+        if (!this.list) return [];
+        if (!this.store) {
+            this.list.innerHTML = '';
+            this.list.appendChild(this.createEmptyState('recentUnsupported'));
+            return [];
+        }
+
+        let workspaces = [];
+        try {
+            workspaces = await this.store.list();
+        } catch (error) {
+            console.error('Failed to read stored workspaces:', error);
+        }
+        this.renderList(workspaces);
+
+        const estimate = await this.store.estimate().catch(() => null);
+        if (this.usage) {
+            this.usage.textContent = estimate
+                ? `${window.i18n.t('recentStorageUsed')}: ${this.formatSize(estimate.usage)} / ${this.formatSize(estimate.quota)}`
+                : '';
+        }
+        return workspaces;
+    }
+
+    renderList(workspaces) {
+        this.list.innerHTML = '';
+        if (workspaces.length === 0) {
+            this.list.appendChild(this.createEmptyState('recentEmpty'));
+            return;
+        }
+
+        workspaces.forEach(workspace => {
+            const row = document.createElement('div');
+            row.className = 'recent-workspace-row';
+
+            const info = document.createElement('div');
+            info.className = 'recent-workspace-info';
+            info.title = window.i18n.t('recentOpen');
+            info.addEventListener('click', () => this.onOpen?.(workspace.id));
+
+            const name = document.createElement('div');
+            name.className = 'recent-workspace-name';
+            name.textContent = workspace.modelPath
+                ? `${workspace.name} · ${workspace.modelPath.split('/').pop()}`
+                : workspace.name;
+
+            const details = document.createElement('div');
+            details.className = 'recent-workspace-details';
+            details.textContent = [
+                new Date(workspace.updatedAt).toLocaleString(),
+                `${workspace.fileCount} ${window.i18n.t('recentFiles')}`,
+                this.formatSize(workspace.size)
+            ].join(' · ');
+
+            info.appendChild(name);
+            info.appendChild(details);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'collision-pair-btn';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = window.i18n.t('recentDelete');
+            deleteBtn.addEventListener('click', () => this.deleteWorkspace(workspace.id));
+
+            row.appendChild(info);
+            row.appendChild(deleteBtn);
+            this.list.appendChild(row);
+        });
+    }
+
+    createEmptyState(key) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'empty-state';
+        emptyState.textContent = window.i18n.t(key);
+        return emptyState;
+    }
+
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.ceil(bytes / 1024)} KB`;
+    }
+
+    /**
+     * Store dropped files as new workspace and make it active
+     * (an older workspace with the same name is replaced)
+     * @param {string} name
+     * @param {Map<string, File>} fileMap
+     */
+    saveDropped(name, fileMap) {
+        this.flushPending();
+        this.edits = {};
+        this.pristineFiles = new Map(fileMap);
+        if (!this.store) {
+            this.activeWorkspace = Promise.resolve(null);
+            return;
+        }
+
+        // Snapshot of fileMap, the map itself changes with later drops
+        const files = new Map(fileMap);
+        this.activeWorkspace = (async () => {
+            try {
+                const previous = (await this.store.list()).filter(workspace => workspace.name === name);
+                await Promise.all(previous.map(workspace => this.store.delete(workspace.id)));
+                return await this.store.create(name, files);
+            } catch (error) {
+                // Typically QuotaExceededError for very large folders
+                console.warn('Failed to store workspace:', error);
+                return null;
+            }
+        })();
+        this.activeWorkspace.then(() => this.refresh());
+    }
+
+    /**
+     * Make stored workspace active (after it was opened)
+     * @param {Object|null} workspace - Metadata
+     * @param {Array<[string, File]>} entries - Stored files
+     */
+    setActive(workspace, entries = []) {
+        this.flushPending();
+        this.activeWorkspace = Promise.resolve(workspace);
+        this.edits = { ...(workspace?.edits || {}) };
+        this.pristineFiles = new Map(entries);
+    }
+
+    /**
+     * Stored files with saved editor edits applied (all keys of an edited file get the new content)
+     * @returns {Array<[string, File]>}
+     */
+    applyEdits(entries, edits) {
+        const editedFiles = new Map();
+        Object.entries(edits || {}).forEach(([path, content]) => {
+            const original = entries.find(([key]) => key === path)?.[1];
+            if (original) {
+                editedFiles.set(original, new File([content], original.name, { type: original.type }));
+            }
+        });
+        return entries.map(([key, file]) => [key, editedFiles.get(file) || file]);
+    }
+
+    /**
+     * Save state of active workspace (debounced)
+     * @param {Object} changes - modelPath, jointValues
+     */
+    saveState(changes) {
+        this.pendingChanges = { ...this.pendingChanges, ...changes };
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+
+    /**
+     * Remember editor content of a workspace file (content equal to the stored file removes the edit)
+     * @param {File} file - File open in the editor
+     * @param {string} content
+     * @param {Map<string, File>} fileMap - Current file map (edited files replace stored ones there)
+     */
+    async saveEdit(file, content, fileMap) {
+        const path = this.findPath(file, fileMap);
+        if (!path) return;
+
+        if (content === await this.pristineFiles.get(path).text()) {
+            if (!(path in this.edits)) return;
+            delete this.edits[path];
+        } else {
+            this.edits[path] = content;
+        }
+        this.saveState({ edits: { ...this.edits } });
+    }
+
+    /**
+     * Stored path of a file (reloaded editor content replaces the File object, so fall back to its name)
+     */
+    findPath(file, fileMap) {
+        for (const [key, value] of fileMap) {
+            if (value === file && this.pristineFiles.has(key)) return key;
+        }
+        for (const key of this.pristineFiles.keys()) {
+            if (key === file.name || key.endsWith('/' + file.name)) return key;
+        }
+        return null;
+    }
+
+    async flush() {
+        const changes = this.pendingChanges;
+        this.pendingChanges = null;
+        this.saveTimer = null;
+        if (!changes) return;
+
+        const workspace = await this.activeWorkspace;
+        if (!workspace || !this.store) return;
+
+        try {
+            await this.store.update(workspace.id, changes);
+        } catch (error) {
+            console.warn('Failed to save workspace state:', error);
+        }
+    }
+
+    /**
+     * Write pending changes to the workspace they belong to before switching
+     */
+    flushPending() {
+        clearTimeout(this.saveTimer);
+        this.flush();
+    }
+
+    /**
+     * Model no longer comes from a stored workspace (e.g. loaded from URL)
+     */
+    clearActive() {
+        this.setActive(null);
+    }
+
+    async deleteWorkspace(id) {
+        const active = await this.activeWorkspace;
+        if (active?.id === id) {
+            this.clearActive();
+        }
+
+        try {
+            await this.store.delete(id);
+        } catch (error) {
+            console.error('Failed to delete workspace:', error);
+        }
+        this.refresh();
+    }
+}
@@ -0,0 +1,265 @@
+import * as d3 from 'd3';
+import { downloadBlob } from '../utils/FileUtils.js';
+
+/**
+ * SignalPlotUI - Live plots of simulation signals
+ * Samples selected joint/sensor/contact signals every frame and draws them over a sliding time window
+ */
+export class SignalPlotUI {
+    constructor() {
+        this.panel = document.getElementById('floating-plot-panel');
+        this.groupSelect = document.getElementById('plot-group-select');
+        this.signalList = document.getElementById('plot-signal-list');
+        this.windowInput = document.getElementById('plot-window-input');
+        this.chart = document.getElementById('plot-chart');
+        this.exportBtn = document.getElementById('plot-export-btn');
+        this.clearBtn = document.getElementById('plot-clear-btn');
+
+        this.simulationManager = null;
+        this.signals = [];
+        this.selectedKeys = new Set();
+        this.activeSignals = [];
+        this.samples = [];
+        this.windowSeconds = 5;
+        this.lastDrawTime = 0;
+        this.colors = d3.scaleOrdinal(d3.schemeCategory10);
+
+        if (this.groupSelect) {
+            this.groupSelect.addEventListener('change', () => this.renderSignalList());
+        }
+
+        if (this.windowInput) {
+            this.windowInput.value = this.windowSeconds;
+            this.windowInput.addEventListener('change', () => {
+                const value = parseFloat(this.windowInput.value);
+                if (isNaN(value) || value <= 0) {
+                    this.windowInput.value = this.windowSeconds;
+                    return;
+                }
+                this.windowSeconds = value;
+                this.draw();
+            });
+        }
+
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportCSV());
+        }
+
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => {
+                this.samples = [];
+                this.draw();
+            });
+        }
+    }
+
+    /**
+     * Update available signals for loaded simulation (null clears the panel)
+     * @param {MujocoSimulationManager|null} simulationManager
+     */
+    update(simulationManager) {
+        this.simulationManager = simulationManager?.hasScene() ? simulationManager : null;
+        this.signals = this.simulationManager ? this.simulationManager.getSignals() : [];
+
+        // Keep selection for signals that still exist, default to first joint position
+        const keys = new Set(this.signals.map(signal => signal.key));
+        this.selectedKeys = new Set([...this.selectedKeys].filter(key => keys.has(key)));
+        if (this.selectedKeys.size === 0 && this.signals.length > 0) {
+            this.selectedKeys.add(this.signals[0].key);
+        }
+
+        this.renderGroupOptions();
+        this.renderSignalList();
+        this.updateActiveSignals();
+    }
+
+    renderGroupOptions() {
+        if (!this.groupSelect) return;
+
+        const current = this.groupSelect.value;
+        const groups = [...new Set(this.signals.map(signal => signal.group))];
+        this.groupSelect.innerHTML = '';
+        groups.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group;
+            option.textContent = group;
+            this.groupSelect.appendChild(option);
+        });
+        if (groups.includes(current)) {
+            this.groupSelect.value = current;
+        }
+    }
+
+    /**
+     * Checkbox per signal of the selected group
+     */
+    renderSignalList() {
+        if (!this.signalList) return;
+        this.signalList.innerHTML = '';
+
+        if (this.signals.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('plotNoSimulation');
+            this.signalList.appendChild(empty);
+            return;
+        }
+
+        const group = this.groupSelect?.value;
+        this.signals.filter(signal => signal.group === group).forEach(signal => {
+            const label = document.createElement('label');
+            label.className = 'plot-signal-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.selectedKeys.has(signal.key);
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.selectedKeys.add(signal.key);
+                } else {
+                    this.selectedKeys.delete(signal.key);
+                }
+                this.updateActiveSignals();
+            });
+
+            const text = document.createElement('span');
+            text.textContent = signal.label;
+
+            label.appendChild(checkbox);
+            label.appendChild(text);
+            this.signalList.appendChild(label);
+        });
+    }
+
+    /**
+     * Samples store one value per active signal, so changing the selection restarts sampling
+     */
+    updateActiveSignals() {
+        this.activeSignals = this.signals.filter(signal => this.selectedKeys.has(signal.key));
+        this.samples = [];
+        this.draw();
+    }
+
+    isVisible() {
+        return !!this.panel && this.panel.style.display !== 'none' && getComputedStyle(this.panel).display !== 'none';
+    }
+
+    /**
+     * Sample active signals at current simulation time (called every frame)
+     */
+    sample() {
+        if (!this.simulationManager || this.activeSignals.length === 0 || !this.isVisible()) return;
+
+        const time = this.simulationManager.getSimulationTime();
+        const last = this.samples[this.samples.length - 1];
+        if (last && time === last.time) return;
+
+        // Time jumped back (reset or timeline scrubbing): start a new window
+        if (last && time < last.time) {
+            this.samples = [];
+        }
+
+        this.samples.push({
+            time,
+            values: this.activeSignals.map(signal => signal.read())
+        });
+
+        // Drop samples outside the window
+        const start = time - this.windowSeconds;
+        let firstKept = 0;
+        while (firstKept < this.samples.length && this.samples[firstKept].time < start) firstKept++;
+        if (firstKept > 0) {
+            this.samples.splice(0, firstKept);
+        }
+
+        // Redraw at most 20 times per second
+        const now = performance.now();
+        if (now - this.lastDrawTime > 50) {
+            this.lastDrawTime = now;
+            this.draw();
+        }
+    }
+
+    /**
+     * Draw series with d3 (one line per active signal, shared y axis)
+     */
+    draw() {
+        if (!this.chart) return;
+
+        const svg = d3.select(this.chart);
+        svg.selectAll('*').remove();
+
+        const width = this.chart.clientWidth || 360;
+        const height = this.chart.clientHeight || 200;
+        const margin = { top: 8, right: 8, bottom: 20, left: 44 };
+
+        if (this.samples.length < 2) return;
+
+        const endTime = this.samples[this.samples.length - 1].time;
+        const x = d3.scaleLinear()
+            .domain([endTime - this.windowSeconds, endTime])
+            .range([margin.left, width - margin.right]);
+
+        let yMin = d3.min(this.samples, sample => d3.min(sample.values));
+        let yMax = d3.max(this.samples, sample => d3.max(sample.values));
+        if (yMin === yMax) {
+            yMin -= 1;
+            yMax += 1;
+        }
+        const y = d3.scaleLinear()
+            .domain([yMin, yMax])
+            .nice()
+            .range([height - margin.bottom, margin.top]);
+
+        svg.append('g')
+            .attr('class', 'plot-axis')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(5));
+
+        svg.append('g')
+            .attr('class', 'plot-axis')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(5));
+
+        this.activeSignals.forEach((signal, i) => {
+            const line = d3.line()
+                .x(sample => x(sample.time))
+                .y(sample => y(sample.values[i]));
+
+            svg.append('path')
+                .datum(this.samples)
+                .attr('fill', 'none')
+                .attr('stroke', this.colors(signal.key))
+                .attr('stroke-width', 1.5)
+                .attr('d', line)
+                .append('title')
+                .text(signal.label);
+        });
+
+        // Legend
+        const legend = svg.append('g')
+            .attr('class', 'plot-legend')
+            .attr('transform', `translate(${margin.left + 6},${margin.top + 10})`);
+        this.activeSignals.forEach((signal, i) => {
+            legend.append('text')
+                .attr('y', i * 12)
+                .attr('fill', this.colors(signal.key))
+                .text(signal.label);
+        });
+    }
+
+    /**
+     * Export plotted samples as CSV (time + one column per signal)
+     */
+    exportCSV() {
+        if (this.samples.length === 0) return;
+
+        const escape = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+        const lines = [['time', ...this.activeSignals.map(signal => escape(signal.label))].join(',')];
+        this.samples.forEach(sample => {
+            lines.push([sample.time, ...sample.values].join(','));
+        });
+
+        downloadBlob(new Blob([lines.join('\n') + '\n'], { type: 'text/csv;charset=utf-8' }), 'signals.csv');
+    }
+}
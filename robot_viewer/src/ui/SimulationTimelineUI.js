@@ -0,0 +1,197 @@
+import { SimulationRecorder } from '../renderer/SimulationRecorder.js';
+import { downloadBlob } from '../utils/FileUtils.js';
+
+/**
+ * SimulationTimelineUI - Recorded trajectory timeline
+ * Pause/scrub/step through recorded MuJoCo states, change playback speed, export/import trajectories
+ */
+export class SimulationTimelineUI {
+    constructor() {
+        this.panel = document.getElementById('floating-timeline-panel');
+        this.slider = document.getElementById('timeline-slider');
+        this.timeLabel = document.getElementById('timeline-time');
+        this.playBtn = document.getElementById('timeline-play-btn');
+        this.stepBackBtn = document.getElementById('timeline-step-back-btn');
+        this.stepForwardBtn = document.getElementById('timeline-step-forward-btn');
+        this.liveBtn = document.getElementById('timeline-live-btn');
+        this.speedSelect = document.getElementById('timeline-speed-select');
+        this.exportCSVBtn = document.getElementById('timeline-export-csv-btn');
+        this.exportJSONBtn = document.getElementById('timeline-export-json-btn');
+        this.importBtn = document.getElementById('timeline-import-btn');
+        this.importInput = document.getElementById('timeline-import-input');
+        this.message = document.getElementById('timeline-message');
+
+        this.simulationManager = null;
+        this.scrubbing = false;
+
+        if (this.playBtn) {
+            this.playBtn.addEventListener('click', () => this.togglePlay());
+        }
+        if (this.stepBackBtn) {
+            this.stepBackBtn.addEventListener('click', () => this.simulationManager?.stepFrame(-1));
+        }
+        if (this.stepForwardBtn) {
+            this.stepForwardBtn.addEventListener('click', () => this.simulationManager?.stepFrame(1));
+        }
+        if (this.liveBtn) {
+            this.liveBtn.addEventListener('click', () => this.simulationManager?.exitPlayback());
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', () => {
+                if (this.simulationManager) {
+                    this.simulationManager.playback.speed = parseFloat(this.speedSelect.value) || 1;
+                }
+            });
+        }
+
+        if (this.slider) {
+            this.slider.addEventListener('input', () => {
+                const manager = this.simulationManager;
+                if (!manager) return;
+
+                this.scrubbing = true;
+                const index = parseInt(this.slider.value);
+                if (!manager.playback.active) {
+                    manager.enterPlayback(index);
+                } else {
+                    manager.setPlaybackPlaying(false);
+                    manager.seekFrame(index);
+                }
+            });
+            this.slider.addEventListener('change', () => {
+                this.scrubbing = false;
+            });
+        }
+
+        if (this.exportCSVBtn) {
+            this.exportCSVBtn.addEventListener('click', () => this.exportTrajectory('csv'));
+        }
+        if (this.exportJSONBtn) {
+            this.exportJSONBtn.addEventListener('click', () => this.exportTrajectory('json'));
+        }
+        if (this.importBtn && this.importInput) {
+            this.importBtn.addEventListener('click', () => this.importInput.click());
+            this.importInput.addEventListener('change', () => {
+                const file = this.importInput.files[0];
+                this.importInput.value = '';
+                if (file) {
+                    this.importTrajectory(file);
+                }
+            });
+        }
+    }
+
+    /**
+     * Show panel for running simulation, hide it otherwise
+     * @param {MujocoSimulationManager|null} simulationManager
+     */
+    update(simulationManager) {
+        if (!this.panel) return;
+
+        this.showMessage('');
+        this.simulationManager = simulationManager?.hasScene() ? simulationManager : null;
+        if (!this.simulationManager) {
+            this.panel.style.display = 'none';
+            return;
+        }
+
+        if (this.speedSelect) {
+            this.speedSelect.value = String(this.simulationManager.playback.speed);
+        }
+        this.updateTitles();
+        this.panel.style.display = 'flex';
+        this.refresh();
+    }
+
+    /**
+     * Localized tooltips of icon buttons
+     */
+    updateTitles() {
+        if (this.speedSelect) this.speedSelect.title = window.i18n.t('timelineSpeed');
+        if (this.stepBackBtn) this.stepBackBtn.title = window.i18n.t('timelineStepBack');
+        if (this.stepForwardBtn) this.stepForwardBtn.title = window.i18n.t('timelineStepForward');
+    }
+
+    /**
+     * Sync controls with recorder/playback state (called every frame)
+     */
+    refresh() {
+        const manager = this.simulationManager;
+        if (!manager || !manager.recorder || !this.slider || this.panel.style.display === 'none') return;
+
+        const { recorder, playback } = manager;
+        const lastIndex = Math.max(recorder.length - 1, 0);
+        const index = playback.active ? playback.index : lastIndex;
+
+        this.slider.max = lastIndex;
+        if (!this.scrubbing) {
+            this.slider.value = index;
+        }
+
+        if (this.timeLabel) {
+            const time = recorder.length > 0 ? recorder.getTime(index) : 0;
+            const endTime = recorder.length > 0 ? recorder.getTime(lastIndex) : 0;
+            this.timeLabel.textContent = `${time.toFixed(3)} / ${endTime.toFixed(3)} s`;
+        }
+
+        // Pause icon while physics runs or recording plays
+        const running = playback.active ? playback.playing : true;
+        if (this.playBtn) {
+            this.playBtn.textContent = running ? '⏸' : '▶';
+            this.playBtn.title = window.i18n.t(running ? 'timelinePause' : 'timelinePlay');
+        }
+        if (this.liveBtn) {
+            this.liveBtn.disabled = !playback.active;
+            this.liveBtn.classList.toggle('active', !playback.active);
+        }
+    }
+
+    /**
+     * Pause live physics into playback, or play/pause recorded frames
+     */
+    togglePlay() {
+        const manager = this.simulationManager;
+        if (!manager) return;
+
+        if (!manager.playback.active) {
+            manager.enterPlayback();
+        } else {
+            manager.setPlaybackPlaying(!manager.playback.playing);
+        }
+    }
+
+    exportTrajectory(format) {
+        const recorder = this.simulationManager?.recorder;
+        if (!recorder || recorder.length === 0) return;
+
+        const baseName = (this.simulationManager.originalModel?.name || 'trajectory').replace(/[^\w.-]+/g, '_');
+        if (format === 'csv') {
+            downloadBlob(new Blob([recorder.toCSV()], { type: 'text/csv;charset=utf-8' }), `${baseName}_trajectory.csv`);
+        } else {
+            downloadBlob(new Blob([JSON.stringify(recorder.toJSON())], { type: 'application/json' }), `${baseName}_trajectory.json`);
+        }
+    }
+
+    async importTrajectory(file) {
+        if (!this.simulationManager) return;
+
+        try {
+            const text = await file.text();
+            const recorder = file.name.toLowerCase().endsWith('.csv')
+                ? SimulationRecorder.fromCSV(text)
+                : SimulationRecorder.fromJSON(text);
+            this.simulationManager.loadRecording(recorder);
+            this.showMessage('');
+        } catch (error) {
+            console.error('Trajectory import failed:', error);
+            this.showMessage(`${window.i18n.t('timelineImportFailed')}: ${error.message}`);
+        }
+    }
+
+    showMessage(text) {
+        if (!this.message) return;
+        this.message.textContent = text;
+        this.message.style.display = text ? 'block' : 'none';
+    }
+}
@@ -125,6 +125,7 @@ export class UIController {
         const showCollisionBtn = document.getElementById('show-collision');
         const showComBtn = document.getElementById('show-com');
         const showInertiaBtn = document.getElementById('show-inertia');
+        const showContactsBtn = document.getElementById('show-contacts');
         const ignoreLimitsBtn = document.getElementById('ignore-limits');
 
         // Helper function: toggle button state
@@ -235,6 +236,20 @@ export class UIController {
             });
         }
 
+        if (showContactsBtn) {
+            showContactsBtn.addEventListener('click', () => {
+                toggleButton(showContactsBtn, (newState) => {
+                    // Contacts only exist in MuJoCo simulation; state is read when a scene loads
+                    const mujocoManager = window.app?.mujocoSimulationManager;
+                    if (mujocoManager && mujocoManager.hasScene()) {
+                        mujocoManager.toggleContactDisplay(newState);
+                    }
+
+                    this.sceneManager.render();
+                });
+            });
+        }
+
         if (ignoreLimitsBtn) {
             ignoreLimitsBtn.addEventListener('click', () => {
                 toggleButton(ignoreLimitsBtn, (newState) => {
@@ -395,6 +410,16 @@ export class UIController {
             'floating-files-panel': 'toggle-files-panel',
             'floating-joints-panel': 'toggle-joints-panel',
             'floating-model-tree': 'toggle-model-tree',
+            'floating-export-panel': 'toggle-export-panel',
+            'floating-fk-panel': 'toggle-fk-panel',
+            'floating-workspace-panel': 'toggle-workspace-panel',
+            'floating-collision-panel': 'toggle-collision-panel',
+            'floating-compare-panel': 'toggle-compare-panel',
+            'floating-mass-panel': 'toggle-mass-panel',
+            'floating-inertia-panel': 'toggle-inertia-panel',
+            'floating-edit-panel': 'toggle-edit-panel',
+            'floating-recent-panel': 'toggle-recent-panel',
+            'floating-plot-panel': 'mujoco-plot-btn-bar',
             // 'floating-help-panel': 'help-button'
         };
 
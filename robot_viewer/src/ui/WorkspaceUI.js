@@ -0,0 +1,208 @@
+import { Kinematics } from '../kinematics/Kinematics.js';
+import { InverseKinematics } from '../kinematics/InverseKinematics.js';
+import { WorkspaceAnalysis } from '../kinematics/WorkspaceAnalysis.js';
+import { WorkspaceVisualization } from '../renderer/WorkspaceVisualization.js';
+import { downloadBlob } from '../utils/FileUtils.js';
+
+/**
+ * WorkspaceUI - Workspace (reachability) analysis panel
+ * Samples the chain of the selected link in a Web Worker and shows the result as point cloud
+ */
+export class WorkspaceUI {
+    constructor(sceneManager) {
+        this.sceneManager = sceneManager;
+        this.visualization = new WorkspaceVisualization(sceneManager);
+
+        this.panel = document.getElementById('floating-workspace-panel');
+        this.linkSelect = document.getElementById('workspace-link-select');
+        this.samplesInput = document.getElementById('workspace-samples-input');
+        this.manipulabilityCheckbox = document.getElementById('workspace-manipulability');
+        this.pointSizeInput = document.getElementById('workspace-point-size-input');
+        this.computeBtn = document.getElementById('workspace-compute-btn');
+        this.clearBtn = document.getElementById('workspace-clear-btn');
+        this.exportBtn = document.getElementById('workspace-export-btn');
+        this.status = document.getElementById('workspace-status');
+
+        this.model = null;
+        this.worker = null;
+        this.result = null;
+        this.requestId = 0;
+
+        if (this.computeBtn) {
+            this.computeBtn.addEventListener('click', () => {
+                if (this.worker) {
+                    this.cancel();
+                    this.setStatus(window.i18n.t('workspaceCancelled'));
+                } else {
+                    this.compute();
+                }
+            });
+        }
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => this.clear());
+        }
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportPLY());
+        }
+        if (this.manipulabilityCheckbox) {
+            // Recolor existing result when manipulability was computed
+            this.manipulabilityCheckbox.addEventListener('change', () => {
+                if (this.result?.manipulability) {
+                    this.show();
+                }
+            });
+        }
+        if (this.pointSizeInput) {
+            this.pointSizeInput.value = this.visualization.pointSize;
+            this.pointSizeInput.addEventListener('change', () => {
+                const size = parseFloat(this.pointSizeInput.value);
+                if (isNaN(size) || size <= 0) {
+                    this.pointSizeInput.value = this.visualization.pointSize;
+                    return;
+                }
+                this.visualization.setPointSize(size);
+            });
+        }
+
+        this.updateButtons();
+    }
+
+    /**
+     * Update link choices for loaded model (previous result is discarded)
+     * @param {UnifiedRobotModel|null} model
+     */
+    update(model) {
+        this.clear();
+        this.model = model && model.joints?.size > 0 && !model.userData?.isUSDWASM ? model : null;
+        if (!this.linkSelect) return;
+
+        this.linkSelect.innerHTML = '';
+        if (!this.model) {
+            this.updateButtons();
+            return;
+        }
+
+        // Only links moved by at least one joint; default to the longest chain
+        const tree = Kinematics.buildTree(this.model);
+        let defaultLink = null;
+        let longestChain = 0;
+        this.model.links.forEach((link, name) => {
+            const chainLength = InverseKinematics.getChain(this.model, name, tree).length;
+            if (chainLength === 0) return;
+
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.linkSelect.appendChild(option);
+
+            if (chainLength > longestChain) {
+                longestChain = chainLength;
+                defaultLink = name;
+            }
+        });
+
+        if (defaultLink) {
+            this.linkSelect.value = defaultLink;
+        }
+        this.updateButtons();
+    }
+
+    updateButtons() {
+        const running = !!this.worker;
+        if (this.computeBtn) {
+            this.computeBtn.disabled = !this.model || !this.linkSelect?.value;
+            this.computeBtn.textContent = window.i18n.t(running ? 'workspaceCancel' : 'workspaceCompute');
+        }
+        if (this.exportBtn) {
+            this.exportBtn.disabled = !this.result;
+        }
+        if (this.clearBtn) {
+            this.clearBtn.disabled = !this.result;
+        }
+    }
+
+    setStatus(text) {
+        if (this.status) {
+            this.status.textContent = text;
+        }
+    }
+
+    compute() {
+        const linkName = this.linkSelect?.value;
+        if (!this.model || !linkName) return;
+
+        const samples = Math.max(100, Math.min(200000, parseInt(this.samplesInput?.value) || 5000));
+        if (this.samplesInput) {
+            this.samplesInput.value = samples;
+        }
+        const options = { samples, manipulability: !!this.manipulabilityCheckbox?.checked };
+
+        const worldFromRoot = Kinematics.getWorldFromRoot(this.model, linkName);
+        if (!worldFromRoot) {
+            console.warn(`Link ${linkName} has no scene object`);
+            return;
+        }
+
+        const id = ++this.requestId;
+        this.worker = new Worker(new URL('../kinematics/WorkspaceWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.id !== this.requestId) return;
+
+            if (message.type === 'progress') {
+                this.setStatus(`${window.i18n.t('workspaceSampling')} ${message.done} / ${message.total}`);
+            } else if (message.type === 'result') {
+                this.cancel();
+                this.result = { ...message.result, linkName, worldFromRoot };
+                this.show();
+                this.setStatus(`${message.result.count} ${window.i18n.t('workspacePoints')}`);
+            } else if (message.type === 'error') {
+                this.cancel();
+                console.error('Workspace analysis failed:', message.message);
+                this.setStatus(`${window.i18n.t('workspaceFailed')}: ${message.message}`);
+            }
+        };
+        this.worker.onerror = (error) => {
+            this.cancel();
+            console.error('Workspace worker error:', error);
+            this.setStatus(window.i18n.t('workspaceFailed'));
+        };
+
+        this.worker.postMessage({ id, model: Kinematics.toPlainModel(this.model), linkName, options });
+        this.setStatus(`${window.i18n.t('workspaceSampling')} 0 / ${samples}`);
+        this.updateButtons();
+    }
+
+    show() {
+        if (!this.result) return;
+        this.visualization.update(this.result, this.result.worldFromRoot, !!this.manipulabilityCheckbox?.checked);
+    }
+
+    /**
+     * Stop running worker
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.requestId++;
+        }
+        this.updateButtons();
+    }
+
+    clear() {
+        this.cancel();
+        this.result = null;
+        this.visualization.clear();
+        this.setStatus('');
+        this.updateButtons();
+    }
+
+    exportPLY() {
+        if (!this.result) return;
+
+        const ply = WorkspaceAnalysis.toPLY(this.result, this.visualization.colors);
+        const baseName = `${this.model?.name || 'robot'}_${this.result.linkName}`.replace(/[^\w.-]+/g, '_');
+        downloadBlob(new Blob([ply], { type: 'text/plain' }), `${baseName}_workspace.ply`);
+    }
+}
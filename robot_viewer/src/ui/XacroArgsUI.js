@@ -0,0 +1,74 @@
+/**
+ * XacroArgsUI - Xacro arguments panel
+ * Lists <xacro:arg> declarations of the loaded xacro model and lets user re-expand with new values
+ */
+export class XacroArgsUI {
+    constructor() {
+        this.panel = document.getElementById('floating-xacro-panel');
+        this.container = document.getElementById('xacro-args-list');
+        this.applyBtn = document.getElementById('xacro-apply-btn');
+        this.onApply = null; // Callback (args) => void
+
+        if (this.applyBtn) {
+            this.applyBtn.addEventListener('click', () => {
+                this.onApply?.(this.collectArgs());
+            });
+        }
+    }
+
+    /**
+     * Update panel for loaded model (hidden for non-xacro models or xacro without args)
+     */
+    update(model) {
+        if (!this.panel || !this.container) return;
+
+        const args = model?.userData?.xacro?.args || [];
+        this.container.innerHTML = '';
+
+        if (args.length === 0) {
+            this.panel.style.display = 'none';
+            return;
+        }
+
+        args.forEach(arg => {
+            const row = document.createElement('div');
+            row.className = 'joint-control xacro-arg-row';
+
+            const name = document.createElement('div');
+            name.className = 'joint-name';
+            name.textContent = arg.name;
+            name.title = arg.default !== null ? `${window.i18n.t('xacroArgDefault')}: ${arg.default}` : arg.name;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'xacro-arg-input';
+            input.setAttribute('data-arg', arg.name);
+            input.value = arg.value;
+
+            // Enter applies immediately
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.onApply?.(this.collectArgs());
+                }
+            });
+
+            row.appendChild(name);
+            row.appendChild(input);
+            this.container.appendChild(row);
+        });
+
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Collect current input values
+     * @returns {Object} Map of arg name -> value
+     */
+    collectArgs() {
+        const args = {};
+        this.container?.querySelectorAll('.xacro-arg-input').forEach(input => {
+            args[input.getAttribute('data-arg')] = input.value;
+        });
+        return args;
+    }
+}
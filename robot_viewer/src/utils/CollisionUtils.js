@@ -0,0 +1,372 @@
+import * as THREE from 'three';
+
+/**
+ * Collision utilities
+ * Convex shapes described by support functions, GJK intersection test and a triangle BVH for meshes
+ */
+
+const _localDirection = new THREE.Vector3();
+const _linear = new THREE.Matrix3();
+
+/**
+ * Convex primitive in world space: local shape (three.js geometry conventions, Y is the
+ * cylinder/capsule axis) mapped by an affine matrix (mesh.matrixWorld, may contain scale)
+ */
+export class ConvexShape {
+    /**
+     * @param {'box'|'sphere'|'cylinder'|'capsule'|'triangle'} kind
+     * @param {Object} params - box: {hx, hy, hz}, sphere: {radius}, cylinder: {radius, halfHeight},
+     *                          capsule: {radius, halfLength}, triangle: {a, b, c} (world points)
+     * @param {THREE.Matrix4} [matrix] - Local to world (ignored for triangles)
+     */
+    constructor(kind, params, matrix = null) {
+        this.kind = kind;
+        this.params = params;
+        this.matrix = matrix ? matrix.clone() : new THREE.Matrix4();
+        this.linearTranspose = _linear.setFromMatrix4(this.matrix).transpose().clone();
+        this.box = null;
+    }
+
+    /**
+     * Farthest point of shape in direction
+     */
+    support(direction, target) {
+        const p = this.params;
+
+        if (this.kind === 'triangle') {
+            const da = p.a.dot(direction);
+            const db = p.b.dot(direction);
+            const dc = p.c.dot(direction);
+            return target.copy(da >= db && da >= dc ? p.a : (db >= dc ? p.b : p.c));
+        }
+
+        // Support of affine image: M * s_local(A^T d)
+        const d = _localDirection.copy(direction).applyMatrix3(this.linearTranspose);
+        switch (this.kind) {
+            case 'box':
+                target.set(Math.sign(d.x) * p.hx, Math.sign(d.y) * p.hy, Math.sign(d.z) * p.hz);
+                break;
+            case 'sphere': {
+                const length = d.length();
+                target.copy(d).multiplyScalar(length > 0 ? p.radius / length : 0);
+                break;
+            }
+            case 'cylinder': {
+                const radial = Math.hypot(d.x, d.z);
+                const scale = radial > 0 ? p.radius / radial : 0;
+                target.set(d.x * scale, Math.sign(d.y) * p.halfHeight, d.z * scale);
+                break;
+            }
+            case 'capsule': {
+                const length = d.length();
+                target.copy(d).multiplyScalar(length > 0 ? p.radius / length : 0);
+                target.y += Math.sign(d.y) * p.halfLength;
+                break;
+            }
+            default:
+                target.set(0, 0, 0);
+        }
+        return target.applyMatrix4(this.matrix);
+    }
+
+    /**
+     * World axis-aligned bounds (from supports along the axes)
+     */
+    getBox() {
+        if (!this.box) {
+            const point = new THREE.Vector3();
+            const axis = new THREE.Vector3();
+            this.box = new THREE.Box3();
+            for (let i = 0; i < 3; i++) {
+                axis.set(0, 0, 0).setComponent(i, 1);
+                this.box.max.setComponent(i, this.support(axis, point).getComponent(i));
+                axis.setComponent(i, -1);
+                this.box.min.setComponent(i, this.support(axis, point).getComponent(i));
+            }
+        }
+        return this.box;
+    }
+
+    /**
+     * Convex shape for primitive three.js geometries, null for general meshes
+     * @param {THREE.Mesh} mesh
+     */
+    static fromMesh(mesh) {
+        const parameters = mesh.geometry?.parameters;
+        if (!parameters) return null;
+
+        switch (mesh.geometry.type) {
+            case 'BoxGeometry':
+                return new ConvexShape('box', {
+                    hx: parameters.width / 2,
+                    hy: parameters.height / 2,
+                    hz: parameters.depth / 2
+                }, mesh.matrixWorld);
+            case 'SphereGeometry':
+                return new ConvexShape('sphere', { radius: parameters.radius }, mesh.matrixWorld);
+            case 'CylinderGeometry':
+                return new ConvexShape('cylinder', {
+                    radius: Math.max(parameters.radiusTop, parameters.radiusBottom),
+                    halfHeight: parameters.height / 2
+                }, mesh.matrixWorld);
+            case 'CapsuleGeometry':
+                return new ConvexShape('capsule', {
+                    radius: parameters.radius,
+                    halfLength: parameters.length / 2
+                }, mesh.matrixWorld);
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * GJK boolean intersection test of two convex shapes
+ * @returns {boolean} True when shapes overlap (touching counts as separated)
+ */
+export function gjkIntersect(shapeA, shapeB, maxIterations = 64) {
+    const pointA = new THREE.Vector3();
+    const pointB = new THREE.Vector3();
+    const negated = new THREE.Vector3();
+
+    const support = (direction) => {
+        shapeA.support(direction, pointA);
+        shapeB.support(negated.copy(direction).negate(), pointB);
+        return new THREE.Vector3().subVectors(pointA, pointB);
+    };
+
+    const direction = new THREE.Vector3(1, 0, 0);
+    const first = support(direction);
+    // Simplex points, newest first
+    const simplex = [first];
+    direction.copy(first).negate();
+
+    for (let i = 0; i < maxIterations; i++) {
+        if (direction.lengthSq() < 1e-20) return true;
+
+        const point = support(direction);
+        if (point.dot(direction) <= 0) return false;
+
+        simplex.unshift(point);
+        if (nextSimplex(simplex, direction)) return true;
+    }
+    // Not converged: report overlap to stay on the safe side
+    return true;
+}
+
+const sameDirection = (a, b) => a.dot(b) > 0;
+
+function nextSimplex(simplex, direction) {
+    switch (simplex.length) {
+        case 2: return lineCase(simplex, direction);
+        case 3: return triangleCase(simplex, direction);
+        case 4: return tetrahedronCase(simplex, direction);
+        default: return false;
+    }
+}
+
+function lineCase(simplex, direction) {
+    const [a, b] = simplex;
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const ao = a.clone().negate();
+
+    if (sameDirection(ab, ao)) {
+        direction.crossVectors(ab, ao).cross(ab);
+        // Origin on the segment
+        if (direction.lengthSq() < 1e-20) return true;
+    } else {
+        simplex.length = 1;
+        direction.copy(ao);
+    }
+    return false;
+}
+
+function triangleCase(simplex, direction) {
+    const [a, b, c] = simplex;
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const ac = new THREE.Vector3().subVectors(c, a);
+    const ao = a.clone().negate();
+    const abc = new THREE.Vector3().crossVectors(ab, ac);
+
+    if (sameDirection(new THREE.Vector3().crossVectors(abc, ac), ao)) {
+        if (sameDirection(ac, ao)) {
+            simplex.splice(0, 3, a, c);
+            direction.crossVectors(ac, ao).cross(ac);
+            return false;
+        }
+        simplex.splice(0, 3, a, b);
+        return lineCase(simplex, direction);
+    }
+
+    if (sameDirection(new THREE.Vector3().crossVectors(ab, abc), ao)) {
+        simplex.splice(0, 3, a, b);
+        return lineCase(simplex, direction);
+    }
+
+    const side = abc.dot(ao);
+    // Origin in triangle plane
+    if (Math.abs(side) < 1e-14) return true;
+    if (side > 0) {
+        direction.copy(abc);
+    } else {
+        simplex.splice(0, 3, a, c, b);
+        direction.copy(abc).negate();
+    }
+    return false;
+}
+
+function tetrahedronCase(simplex, direction) {
+    const [a, b, c, d] = simplex;
+    const ab = new THREE.Vector3().subVectors(b, a);
+    const ac = new THREE.Vector3().subVectors(c, a);
+    const ad = new THREE.Vector3().subVectors(d, a);
+    const ao = a.clone().negate();
+
+    const abc = new THREE.Vector3().crossVectors(ab, ac);
+    const acd = new THREE.Vector3().crossVectors(ac, ad);
+    const adb = new THREE.Vector3().crossVectors(ad, ab);
+
+    if (sameDirection(abc, ao)) {
+        simplex.splice(0, 4, a, b, c);
+        return triangleCase(simplex, direction);
+    }
+    if (sameDirection(acd, ao)) {
+        simplex.splice(0, 4, a, c, d);
+        return triangleCase(simplex, direction);
+    }
+    if (sameDirection(adb, ao)) {
+        simplex.splice(0, 4, a, d, b);
+        return triangleCase(simplex, direction);
+    }
+    return true;
+}
+
+const LEAF_SIZE = 8;
+
+/**
+ * Bounding volume hierarchy over mesh triangles (geometry local coordinates)
+ */
+export class TriangleBVH {
+    /**
+     * @param {THREE.BufferGeometry} geometry
+     */
+    constructor(geometry) {
+        const position = geometry.getAttribute('position');
+        const index = geometry.getIndex();
+        const triangleCount = index ? index.count / 3 : position.count / 3;
+
+        // Vertex positions per triangle (9 floats each)
+        this.triangles = new Float32Array(triangleCount * 9);
+        for (let t = 0; t < triangleCount; t++) {
+            for (let v = 0; v < 3; v++) {
+                const vertex = index ? index.getX(t * 3 + v) : t * 3 + v;
+                this.triangles[t * 9 + v * 3] = position.getX(vertex);
+                this.triangles[t * 9 + v * 3 + 1] = position.getY(vertex);
+                this.triangles[t * 9 + v * 3 + 2] = position.getZ(vertex);
+            }
+        }
+
+        this.order = new Uint32Array(triangleCount);
+        for (let t = 0; t < triangleCount; t++) this.order[t] = t;
+
+        this.root = triangleCount > 0 ? this.build(0, triangleCount) : null;
+    }
+
+    build(start, end) {
+        const box = new THREE.Box3();
+        const centroidBox = new THREE.Box3();
+        const point = new THREE.Vector3();
+        const centroid = new THREE.Vector3();
+
+        for (let i = start; i < end; i++) {
+            const offset = this.order[i] * 9;
+            centroid.set(0, 0, 0);
+            for (let v = 0; v < 3; v++) {
+                point.fromArray(this.triangles, offset + v * 3);
+                box.expandByPoint(point);
+                centroid.add(point);
+            }
+            centroidBox.expandByPoint(centroid.divideScalar(3));
+        }
+
+        const node = { box, start, end, left: null, right: null };
+        if (end - start <= LEAF_SIZE) return node;
+
+        // Split at median along the longest centroid axis
+        const size = centroidBox.getSize(point);
+        const axis = size.x >= size.y && size.x >= size.z ? 0 : (size.y >= size.z ? 1 : 2);
+        const centroidOf = (t) => this.triangles[t * 9 + axis] + this.triangles[t * 9 + 3 + axis] + this.triangles[t * 9 + 6 + axis];
+        const sorted = Array.from(this.order.subarray(start, end)).sort((a, b) => centroidOf(a) - centroidOf(b));
+        this.order.set(sorted, start);
+
+        const middle = (start + end) >> 1;
+        node.left = this.build(start, middle);
+        node.right = this.build(middle, end);
+        return node;
+    }
+
+    /**
+     * Triangle of BVH order slot transformed to world
+     */
+    getTriangle(slot, matrix) {
+        const offset = this.order[slot] * 9;
+        return new ConvexShape('triangle', {
+            a: new THREE.Vector3().fromArray(this.triangles, offset).applyMatrix4(matrix),
+            b: new THREE.Vector3().fromArray(this.triangles, offset + 3).applyMatrix4(matrix),
+            c: new THREE.Vector3().fromArray(this.triangles, offset + 6).applyMatrix4(matrix)
+        });
+    }
+
+    /**
+     * Does mesh (with world matrix) intersect convex shape?
+     */
+    intersectsConvex(matrix, shape) {
+        const shapeBox = shape.getBox();
+        const nodeBox = new THREE.Box3();
+
+        const visit = (node) => {
+            if (!nodeBox.copy(node.box).applyMatrix4(matrix).intersectsBox(shapeBox)) return false;
+            if (!node.left) {
+                for (let slot = node.start; slot < node.end; slot++) {
+                    const triangle = this.getTriangle(slot, matrix);
+                    if (triangle.getBox().intersectsBox(shapeBox) && gjkIntersect(triangle, shape)) return true;
+                }
+                return false;
+            }
+            return visit(node.left) || visit(node.right);
+        };
+        return this.root ? visit(this.root) : false;
+    }
+
+    /**
+     * Does this mesh intersect another mesh? (surface intersection, containment is not detected)
+     */
+    intersectsBVH(matrix, other, otherMatrix) {
+        const boxA = new THREE.Box3();
+        const boxB = new THREE.Box3();
+
+        const visit = (nodeA, nodeB) => {
+            boxA.copy(nodeA.box).applyMatrix4(matrix);
+            boxB.copy(nodeB.box).applyMatrix4(otherMatrix);
+            if (!boxA.intersectsBox(boxB)) return false;
+
+            if (!nodeA.left && !nodeB.left) {
+                for (let slotA = nodeA.start; slotA < nodeA.end; slotA++) {
+                    const triangleA = this.getTriangle(slotA, matrix);
+                    for (let slotB = nodeB.start; slotB < nodeB.end; slotB++) {
+                        const triangleB = other.getTriangle(slotB, otherMatrix);
+                        if (triangleA.getBox().intersectsBox(triangleB.getBox()) && gjkIntersect(triangleA, triangleB)) return true;
+                    }
+                }
+                return false;
+            }
+
+            // Descend into the node with more triangles
+            if (!nodeB.left || (nodeA.left && nodeA.end - nodeA.start >= nodeB.end - nodeB.start)) {
+                return visit(nodeA.left, nodeB) || visit(nodeA.right, nodeB);
+            }
+            return visit(nodeA, nodeB.left) || visit(nodeA, nodeB.right);
+        };
+        return this.root && other.root ? visit(this.root, other.root) : false;
+    }
+}
@@ -65,6 +65,9 @@ export async function readDirectory(dirEntry, fileMap) {
 export function getFileTypeFromExtension(ext) {
     const typeMap = {
         'urdf': 'urdf',
+        'xacro': 'xacro',
+        'sdf': 'sdf',
+        'world': 'sdf',
         'xml': 'mjcf',
         'usd': 'usd',
         'usda': 'usd',
@@ -78,7 +81,7 @@ export function getFileTypeFromExtension(ext) {
  * Get file display type
  */
 export function getFileDisplayType(ext, fileName) {
-    const modelExts = ['urdf', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
+    const modelExts = ['urdf', 'xacro', 'sdf', 'world', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
     const meshExts = ['dae', 'stl', 'obj', 'collada'];
 
     if (modelExts.includes(ext)) {
@@ -97,3 +100,17 @@ export function normalizePath(path) {
     return path.replace(/\\/g, '/').replace(/^\/+/, '').replace(/\/+/g, '/');
 }
 
+/**
+ * Save a blob as file through a temporary download link
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
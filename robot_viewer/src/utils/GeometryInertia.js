@@ -0,0 +1,317 @@
+import * as THREE from 'three';
+import { Kinematics } from '../kinematics/Kinematics.js';
+import { MassProperties } from '../kinematics/MassProperties.js';
+
+/**
+ * GeometryInertia - Mass properties of a link computed from its geometry at uniform density
+ * Primitives use closed-form solids; meshes are integrated over signed tetrahedra spanned by
+ * their triangles, using the triangles loaded into the scene (so they count only once the mesh
+ * has loaded). Meshes that are not closed are marked approximate, and fall back to their
+ * bounding box when they enclose no volume.
+ */
+export class GeometryInertia {
+    /**
+     * @param {Link} link
+     * @param {number} density - kg/m³
+     * @param {'collision'|'visual'} source - Geometry list to use (falls back to the other one when empty)
+     * @param {string} [convention] - 'mjcf' for MJCF origins
+     * @returns {{mass: number, volume: number, com: number[], tensor: number[][], approximate: boolean}|null}
+     *   Tensor about the COM in link frame axes; null when the link has no usable geometry
+     */
+    static compute(link, density, source = 'collision', convention = 'urdf') {
+        const solids = this.collectSolids(link, source, convention);
+        if (solids.length === 0) return null;
+
+        const volume = solids.reduce((sum, solid) => sum + solid.volume, 0);
+        if (!(volume > 0)) return null;
+
+        const com = new THREE.Vector3();
+        solids.forEach(solid => com.addScaledVector(solid.center, solid.volume / volume));
+
+        // Each solid rotated into link axes and shifted to the common COM (per unit density)
+        const tensor = new THREE.Matrix3().set(0, 0, 0, 0, 0, 0, 0, 0, 0);
+        solids.forEach(solid => {
+            const rotated = solid.rotation.clone().multiply(solid.tensor).multiply(solid.rotation.clone().transpose());
+            const offset = solid.center.clone().sub(com);
+            MassProperties.addMatrix(tensor, rotated);
+            MassProperties.addMatrix(tensor, MassProperties.pointMassTensor(solid.volume, offset));
+        });
+        tensor.multiplyScalar(density);
+
+        return {
+            mass: volume * density,
+            volume,
+            com: com.toArray(),
+            tensor: MassProperties.toRows(tensor),
+            approximate: solids.some(solid => solid.approximate)
+        };
+    }
+
+    /**
+     * Geometry volume of a link (same solids as compute)
+     * @returns {{volume: number, approximate: boolean}|null}
+     */
+    static computeVolume(link, source = 'collision', convention = 'urdf') {
+        const solids = this.collectSolids(link, source, convention);
+        if (solids.length === 0) return null;
+        return {
+            volume: solids.reduce((sum, solid) => sum + solid.volume, 0),
+            approximate: solids.some(solid => solid.approximate)
+        };
+    }
+
+    /**
+     * Result scaled to a given total mass (density follows from the volume)
+     */
+    static withMass(result, mass) {
+        const scale = mass / result.mass;
+        return {
+            ...result,
+            mass,
+            tensor: result.tensor.map(row => row.map(value => value * scale))
+        };
+    }
+
+    /**
+     * Inertial in URDF form (origin at COM, axes of the link frame)
+     */
+    static toInertial(result) {
+        const [[ixx, ixy, ixz], [, iyy, iyz], [, , izz]] = result.tensor;
+        return {
+            mass: result.mass,
+            origin: { xyz: result.com, rpy: [0, 0, 0] },
+            ixx, iyy, izz, ixy, ixz, iyz
+        };
+    }
+
+    /**
+     * Solids of a link: volume, centre and rotation in link frame, unit-density tensor about the centre
+     */
+    static collectSolids(link, source, convention) {
+        let useVisual = source === 'visual';
+        if ((useVisual ? link.visuals : link.collisions).length === 0) {
+            useVisual = !useVisual;
+        }
+        const entries = useVisual ? link.visuals : link.collisions;
+
+        const solids = [];
+        entries.forEach((entry, index) => {
+            const solid = this.primitiveSolid(entry.geometry);
+            if (solid) {
+                const pose = Kinematics.originToMatrix(entry.origin, convention);
+                solid.center = new THREE.Vector3().setFromMatrixPosition(pose);
+                solid.rotation = new THREE.Matrix3().setFromMatrix4(pose);
+                solids.push(solid);
+                return;
+            }
+
+            const object = this.findGeometryObject(link, entry, index, useVisual);
+            const meshSolid = object ? this.meshSolid(link, object) : null;
+            if (meshSolid) {
+                solids.push(meshSolid);
+                return;
+            }
+
+            const box = object ? this.boundsInLinkFrame(link, object) : null;
+            if (box) {
+                const size = box.getSize(new THREE.Vector3());
+                const boxSolid = this.boxSolid(size.x, size.y, size.z);
+                boxSolid.center = box.getCenter(new THREE.Vector3());
+                boxSolid.rotation = new THREE.Matrix3();
+                boxSolid.approximate = true;
+                solids.push(boxSolid);
+            }
+        });
+        return solids.filter(solid => solid.volume > 0);
+    }
+
+    /**
+     * Closed-form solid for box, sphere, cylinder and capsule (Z axis); null for other shapes
+     */
+    static primitiveSolid(geometry) {
+        const size = geometry?.size;
+        if (!size) return null;
+
+        switch (geometry.type) {
+            case 'box':
+                return this.boxSolid(size.x, size.y, size.z);
+            case 'sphere': {
+                const r = size.radius;
+                const volume = 4 / 3 * Math.PI * r ** 3;
+                const i = 2 / 5 * volume * r * r;
+                return { volume, tensor: new THREE.Matrix3().set(i, 0, 0, 0, i, 0, 0, 0, i), approximate: false };
+            }
+            case 'cylinder': {
+                const r = size.radius;
+                const h = size.height ?? size.length ?? 0;
+                const volume = Math.PI * r * r * h;
+                const ixx = volume * (3 * r * r + h * h) / 12;
+                const izz = volume * r * r / 2;
+                return { volume, tensor: new THREE.Matrix3().set(ixx, 0, 0, 0, ixx, 0, 0, 0, izz), approximate: false };
+            }
+            case 'capsule': {
+                // Cylinder of length h between two hemispheres
+                const r = size.radius;
+                const h = size.height ?? size.length ?? 0;
+                const cylinder = Math.PI * r * r * h;
+                const spheres = 4 / 3 * Math.PI * r ** 3;
+                const ixx = cylinder * (h * h / 12 + r * r / 4) + spheres * (2 * r * r / 5 + h * h / 4 + 3 * h * r / 8);
+                const izz = cylinder * r * r / 2 + spheres * 2 * r * r / 5;
+                return { volume: cylinder + spheres, tensor: new THREE.Matrix3().set(ixx, 0, 0, 0, ixx, 0, 0, 0, izz), approximate: false };
+            }
+            default:
+                return null;
+        }
+    }
+
+    static boxSolid(x, y, z) {
+        const volume = x * y * z;
+        return {
+            volume,
+            tensor: new THREE.Matrix3().set(
+                volume * (y * y + z * z) / 12, 0, 0,
+                0, volume * (x * x + z * z) / 12, 0,
+                0, 0, volume * (x * x + y * y) / 12
+            ),
+            approximate: false
+        };
+    }
+
+    /**
+     * Solid of all mesh triangles under object by signed tetrahedron integration in link frame
+     * Each triangle (a, b, c) spans a tetrahedron with the origin of signed volume a·(b×c)/6,
+     * first moment V(a+b+c)/4 and second moment V/20 (aaᵀ + bbᵀ + ccᵀ + ssᵀ) with s = a+b+c
+     * @returns {Object|null} Solid about its own centroid; null when the triangles enclose no volume
+     */
+    static meshSolid(link, object) {
+        if (!link.threeObject) return null;
+
+        link.threeObject.updateWorldMatrix(true, true);
+        const linkInverse = link.threeObject.matrixWorld.clone().invert();
+        const a = new THREE.Vector3();
+        const b = new THREE.Vector3();
+        const c = new THREE.Vector3();
+        const s = new THREE.Vector3();
+        const cross = new THREE.Vector3();
+        const firstMoment = new THREE.Vector3();
+        // Second moment ∫ r rᵀ dV, row-major xx, xy, xz, yy, yz, zz
+        const second = [0, 0, 0, 0, 0, 0];
+        let volume = 0;
+        let closed = true;
+        let triangleCount = 0;
+
+        object.traverse(child => {
+            const position = child.isMesh ? child.geometry?.attributes?.position : null;
+            if (!position) return;
+
+            const toLink = linkInverse.clone().multiply(child.matrixWorld);
+            // Mirroring transforms turn the triangle winding around
+            const orientation = toLink.determinant() < 0 ? -1 : 1;
+            const index = child.geometry.index;
+            const count = index ? index.count : position.count;
+            const vertex = (i, target) => target.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(toLink);
+
+            for (let i = 0; i + 2 < count; i += 3) {
+                vertex(i, a);
+                vertex(i + 1, b);
+                vertex(i + 2, c);
+                const v = orientation * a.dot(cross.crossVectors(b, c)) / 6;
+                s.copy(a).add(b).add(c);
+                volume += v;
+                firstMoment.addScaledVector(s, v / 4);
+                const f = v / 20;
+                second[0] += f * (a.x * a.x + b.x * b.x + c.x * c.x + s.x * s.x);
+                second[1] += f * (a.x * a.y + b.x * b.y + c.x * c.y + s.x * s.y);
+                second[2] += f * (a.x * a.z + b.x * b.z + c.x * c.z + s.x * s.z);
+                second[3] += f * (a.y * a.y + b.y * b.y + c.y * c.y + s.y * s.y);
+                second[4] += f * (a.y * a.z + b.y * b.z + c.y * c.z + s.y * s.z);
+                second[5] += f * (a.z * a.z + b.z * b.z + c.z * c.z + s.z * s.z);
+            }
+            triangleCount += Math.floor(count / 3);
+            closed = closed && this.isClosed(position, index);
+        });
+
+        // Inward facing triangles give the same solid with all integrals negated
+        if (volume < 0) {
+            volume = -volume;
+            firstMoment.negate();
+            second.forEach((value, i) => { second[i] = -value; });
+        }
+        if (triangleCount === 0 || !(volume > 1e-12)) return null;
+
+        const center = firstMoment.divideScalar(volume);
+        const [xx, xy, xz, yy, yz, zz] = second;
+        const trace = xx + yy + zz;
+        // Inertia about the link origin, shifted to the centroid
+        const tensor = new THREE.Matrix3().set(
+            trace - xx, -xy, -xz,
+            -xy, trace - yy, -yz,
+            -xz, -yz, trace - zz
+        );
+        MassProperties.addMatrix(tensor, MassProperties.pointMassTensor(-volume, center));
+
+        return { volume, center, rotation: new THREE.Matrix3(), tensor, approximate: !closed };
+    }
+
+    /**
+     * Whether every edge is shared by exactly one other triangle running the opposite way
+     * (vertices are matched by position, STL files repeat them per triangle)
+     */
+    static isClosed(position, index) {
+        const count = index ? index.count : position.count;
+        const keys = new Map();
+        const key = (i) => {
+            const vertexIndex = index ? index.getX(i) : i;
+            // Rounded to µm so that seam vertices like ±1e-17 match
+            const id = [position.getX(vertexIndex), position.getY(vertexIndex), position.getZ(vertexIndex)]
+                .map(value => Math.round(value * 1e6) || 0).join(',');
+            if (!keys.has(id)) keys.set(id, keys.size);
+            return keys.get(id);
+        };
+
+        const edges = new Map();
+        for (let i = 0; i + 2 < count; i += 3) {
+            const triangle = [key(i), key(i + 1), key(i + 2)];
+            for (let j = 0; j < 3; j++) {
+                const from = triangle[j];
+                const to = triangle[(j + 1) % 3];
+                if (from === to) continue;
+                // +1 for from < to, -1 for the reverse direction
+                const edge = from < to ? `${from}_${to}` : `${to}_${from}`;
+                edges.set(edge, (edges.get(edge) || 0) + (from < to ? 1 : -1));
+            }
+        }
+        for (const balance of edges.values()) {
+            if (balance !== 0) return false;
+        }
+        return edges.size > 0;
+    }
+
+    /**
+     * Scene object of a visual/collision entry (urdf-loader keeps them as URDFVisual/URDFCollider children)
+     */
+    static findGeometryObject(link, entry, index, isVisual) {
+        if (entry.threeObject) return entry.threeObject;
+        const objects = (link.threeObject?.children || []).filter(child => isVisual ? child.isURDFVisual : child.isURDFCollider);
+        return objects[index] || null;
+    }
+
+    /**
+     * Bounding box of all meshes under object, in link frame
+     * @returns {THREE.Box3|null}
+     */
+    static boundsInLinkFrame(link, object) {
+        if (!link.threeObject) return null;
+
+        link.threeObject.updateWorldMatrix(true, true);
+        const linkInverse = link.threeObject.matrixWorld.clone().invert();
+        const box = new THREE.Box3();
+        object.traverse(child => {
+            if (!child.isMesh || !child.geometry) return;
+            if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+            const childBox = child.geometry.boundingBox.clone();
+            box.union(childBox.applyMatrix4(linkInverse.clone().multiply(child.matrixWorld)));
+        });
+        return box.isEmpty() ? null : box;
+    }
+}
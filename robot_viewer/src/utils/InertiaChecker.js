@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { MathUtils } from './MathUtils.js';
+import { GeometryInertia } from './GeometryInertia.js';
+
+// Plausible density range of robot parts (kg/m³): foams and hollow shells up to tungsten
+const MIN_DENSITY = 50;
+const MAX_DENSITY = 20000;
+// COM counts as far outside when its distance to the visual bounds exceeds this share of their diagonal
+const COM_OUTSIDE_RATIO = 0.5;
+
+/**
+ * InertiaChecker - Sanity checks of link inertials
+ * Mass, positive definiteness and triangle inequality of the inertia tensor,
+ * COM position relative to the visual bounds and density from the geometry volume
+ */
+export class InertiaChecker {
+    /**
+     * @param {UnifiedRobotModel} model
+     * @param {Object} [options] - source: geometry for the density check ('collision' | 'visual')
+     * @returns {Array<{link: string, severity: 'error'|'warning', code: string, details: string}>}
+     *   Errors first, then by link order
+     */
+    static check(model, options = {}) {
+        const source = options.source || 'collision';
+        const convention = model.userData?.type === 'mjcf' ? 'mjcf' : 'urdf';
+        const findings = [];
+
+        model.links.forEach((link, name) => {
+            const inertial = link.inertial;
+            const hasGeometry = link.visuals.length > 0 || link.collisions.length > 0;
+            if (!inertial) return;
+
+            const add = (severity, code, details = '') => findings.push({ link: name, severity, code, details });
+            const format = value => parseFloat(value.toPrecision(4)).toString();
+
+            const moments = this.principalMoments(inertial);
+            const hasInertia = moments.some(value => Math.abs(value) > 0);
+
+            // Massless frames without inertia are fine
+            if (!(inertial.mass > 0)) {
+                if (inertial.mass < 0 || hasGeometry || hasInertia) {
+                    add('error', 'massNonPositive', `m = ${format(inertial.mass || 0)}`);
+                }
+                return;
+            }
+
+            const smallest = Math.min(...moments);
+            if (smallest <= 0) {
+                add('error', 'notPositiveDefinite', `λ = ${moments.map(format).join(', ')}`);
+            } else {
+                const [a, b, c] = [...moments].sort((x, y) => x - y);
+                if (a + b < c * (1 - 1e-6)) {
+                    add('error', 'triangleInequality', `${format(a)} + ${format(b)} < ${format(c)}`);
+                }
+            }
+
+            const bounds = this.visualBounds(link);
+            if (bounds) {
+                const com = new THREE.Vector3(...(inertial.origin?.xyz || [0, 0, 0]));
+                const distance = bounds.distanceToPoint(com);
+                const diagonal = bounds.getSize(new THREE.Vector3()).length();
+                if (distance > COM_OUTSIDE_RATIO * diagonal) {
+                    add('warning', 'comOutsideBounds', `d = ${format(distance)} m`);
+                }
+            }
+
+            const volume = hasGeometry ? GeometryInertia.computeVolume(link, source, convention) : null;
+            // Volumes of open meshes are unreliable
+            if (volume?.volume > 0 && !volume.approximate) {
+                const density = inertial.mass / volume.volume;
+                if (density > MAX_DENSITY || density < MIN_DENSITY) {
+                    add('warning', 'densityImplausible', `ρ ≈ ${format(density)} kg/m³`);
+                }
+            }
+        });
+
+        const order = { error: 0, warning: 1 };
+        return findings
+            .map((finding, index) => ({ finding, index }))
+            .sort((a, b) => order[a.finding.severity] - order[b.finding.severity] || a.index - b.index)
+            .map(({ finding }) => finding);
+    }
+
+    /**
+     * Eigenvalues of the inertia tensor
+     */
+    static principalMoments(inertial) {
+        const { ixx = 0, iyy = 0, izz = 0, ixy = 0, ixz = 0, iyz = 0 } = inertial;
+        const matrix = new THREE.Matrix3().set(
+            ixx, ixy, ixz,
+            ixy, iyy, iyz,
+            ixz, iyz, izz
+        );
+        return MathUtils.computeEigenDecomposition3x3(matrix).eigenvalues;
+    }
+
+    /**
+     * Bounding box of the link's own visual meshes in link frame (null before meshes are loaded)
+     */
+    static visualBounds(link) {
+        if (!link.threeObject) return null;
+
+        const box = new THREE.Box3();
+        const visit = (object, isRoot) => {
+            if (!isRoot && (object.type === 'URDFLink' || object.isURDFLink)) return;
+            if (object.isURDFCollider || object.userData?.isCollision || object.userData?.isInertiaBox ||
+                object.userData?.isCOMMarker || object.userData?.isCenterOfMass) return;
+            if (object.isMesh) {
+                const bounds = GeometryInertia.boundsInLinkFrame(link, object);
+                if (bounds) box.union(bounds);
+            }
+            object.children.forEach(child => visit(child, false));
+        };
+        visit(link.threeObject, true);
+        return box.isEmpty() ? null : box;
+    }
+}
@@ -392,7 +392,7 @@ export class PointerJointDragControls extends JointDragControls {
         };
 
         this._mouseDown = e => {
-            if (e.button !== 0) return;
+            if (e.button !== 0 || !this.enabled) return;
             updateMouse(e);
             raycaster.setFromCamera(mouse, this.camera);
 
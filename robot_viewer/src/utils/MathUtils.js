@@ -53,7 +53,8 @@ export class MathUtils {
             }
 
             const tau = (aqq - app) / (2 * apq);
-            const t = Math.sign(tau) / (Math.abs(tau) + Math.sqrt(1 + tau * tau));
+            // Equal diagonal entries (tau = 0) need a 45° rotation, Math.sign(0) would skip it
+            const t = (tau >= 0 ? 1 : -1) / (Math.abs(tau) + Math.sqrt(1 + tau * tau));
             const c = 1 / Math.sqrt(1 + t * t);
             const s = t * c;
 
@@ -0,0 +1,138 @@
+/**
+ * ModelDiff - Physical differences between two UnifiedRobotModels
+ * Compares links (mass, inertia, geometry, mesh paths) and joints (type, connectivity, origin, axis, limits) by name
+ */
+export class ModelDiff {
+    /**
+     * @param {UnifiedRobotModel} base - Reference model
+     * @param {UnifiedRobotModel} target - Changed model
+     * @param {number} tolerance - Numbers closer than this are equal
+     * @returns {{links: Array<Object>, joints: Array<Object>, baseLinks: Map<string, string>, targetLinks: Map<string, string>}}
+     *   links / joints: {name, status: 'added'|'removed'|'changed', changes: [{property, base, target}]};
+     *   baseLinks / targetLinks: status of each link in the scene of that model ('removed' / 'added' / 'changed' / 'moved')
+     */
+    static compare(base, target, tolerance = 1e-6) {
+        const links = this.compareMaps(base.links, target.links, (a, b) => this.compareLinks(a, b, tolerance));
+        const joints = this.compareMaps(base.joints, target.joints, (a, b) => this.compareJoints(a, b, tolerance));
+
+        const baseLinks = new Map();
+        const targetLinks = new Map();
+        links.forEach(({ name, status }) => {
+            if (status !== 'added') baseLinks.set(name, status);
+            if (status !== 'removed') targetLinks.set(name, status);
+        });
+        // Changed joints move their child link (and everything below it)
+        joints.forEach(({ name, status }) => {
+            const childInBase = base.joints.get(name)?.child;
+            const childInTarget = target.joints.get(name)?.child;
+            if (childInBase && !baseLinks.has(childInBase)) baseLinks.set(childInBase, 'moved');
+            if (childInTarget && !targetLinks.has(childInTarget) && status !== 'removed') targetLinks.set(childInTarget, 'moved');
+        });
+
+        return { links, joints, baseLinks, targetLinks };
+    }
+
+    static compareMaps(baseMap, targetMap, compareItems) {
+        const result = [];
+        baseMap.forEach((item, name) => {
+            if (!targetMap.has(name)) {
+                result.push({ name, status: 'removed', changes: [] });
+                return;
+            }
+            const changes = compareItems(item, targetMap.get(name));
+            if (changes.length > 0) {
+                result.push({ name, status: 'changed', changes });
+            }
+        });
+        targetMap.forEach((item, name) => {
+            if (!baseMap.has(name)) {
+                result.push({ name, status: 'added', changes: [] });
+            }
+        });
+        return result;
+    }
+
+    static compareLinks(a, b, tolerance) {
+        const changes = [];
+        const ia = a.inertial;
+        const ib = b.inertial;
+
+        this.compareValue(changes, 'mass', ia?.mass ?? 0, ib?.mass ?? 0, tolerance);
+        this.compareValue(changes, 'inertia', this.inertiaValues(ia), this.inertiaValues(ib), tolerance);
+        this.compareValue(changes, 'inertial.xyz', ia?.origin?.xyz ?? [0, 0, 0], ib?.origin?.xyz ?? [0, 0, 0], tolerance);
+        this.compareValue(changes, 'inertial.rpy', ia?.origin?.rpy ?? [0, 0, 0], ib?.origin?.rpy ?? [0, 0, 0], tolerance);
+
+        this.compareGeometries(changes, 'visual', a.visuals || [], b.visuals || [], tolerance);
+        this.compareGeometries(changes, 'collision', a.collisions || [], b.collisions || [], tolerance);
+        return changes;
+    }
+
+    static compareGeometries(changes, prefix, listA, listB, tolerance) {
+        if (listA.length !== listB.length) {
+            changes.push({ property: `${prefix} count`, base: String(listA.length), target: String(listB.length) });
+        }
+
+        const count = Math.min(listA.length, listB.length);
+        for (let i = 0; i < count; i++) {
+            const label = count > 1 ? `${prefix}[${i}]` : prefix;
+            const ga = listA[i].geometry;
+            const gb = listB[i].geometry;
+            this.compareValue(changes, `${label}.type`, ga?.type ?? null, gb?.type ?? null, tolerance);
+            this.compareValue(changes, `${label}.mesh`, ga?.filename ?? null, gb?.filename ?? null, tolerance);
+            this.compareValue(changes, `${label}.size`, this.sizeValues(ga), this.sizeValues(gb), tolerance);
+            this.compareValue(changes, `${label}.xyz`, listA[i].origin?.xyz ?? [0, 0, 0], listB[i].origin?.xyz ?? [0, 0, 0], tolerance);
+            this.compareValue(changes, `${label}.rpy`, listA[i].origin?.rpy ?? [0, 0, 0], listB[i].origin?.rpy ?? [0, 0, 0], tolerance);
+        }
+    }
+
+    static compareJoints(a, b, tolerance) {
+        const changes = [];
+        this.compareValue(changes, 'type', a.type, b.type, tolerance);
+        this.compareValue(changes, 'parent', a.parent, b.parent, tolerance);
+        this.compareValue(changes, 'child', a.child, b.child, tolerance);
+        this.compareValue(changes, 'origin.xyz', a.origin?.xyz ?? [0, 0, 0], b.origin?.xyz ?? [0, 0, 0], tolerance);
+        this.compareValue(changes, 'origin.rpy', a.origin?.rpy ?? [0, 0, 0], b.origin?.rpy ?? [0, 0, 0], tolerance);
+        if (a.type !== 'fixed' || b.type !== 'fixed') {
+            this.compareValue(changes, 'axis', a.axis?.xyz ?? null, b.axis?.xyz ?? null, tolerance);
+        }
+        ['lower', 'upper', 'effort', 'velocity'].forEach(key => {
+            this.compareValue(changes, `limit.${key}`, a.limits?.[key] ?? null, b.limits?.[key] ?? null, tolerance);
+        });
+        return changes;
+    }
+
+    static inertiaValues(inertial) {
+        if (!inertial) return [0, 0, 0, 0, 0, 0];
+        return [inertial.ixx, inertial.iyy, inertial.izz, inertial.ixy, inertial.ixz, inertial.iyz].map(v => v || 0);
+    }
+
+    static sizeValues(geometry) {
+        if (!geometry?.size) return null;
+        return typeof geometry.size === 'object' ? Object.values(geometry.size) : geometry.size;
+    }
+
+    /**
+     * Add change entry when values differ (numbers and number arrays within tolerance)
+     */
+    static compareValue(changes, property, a, b, tolerance) {
+        if (this.isEqual(a, b, tolerance)) return;
+        changes.push({ property, base: this.format(a), target: this.format(b) });
+    }
+
+    static isEqual(a, b, tolerance) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) <= tolerance;
+        }
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((value, i) => this.isEqual(value, b[i], tolerance));
+        }
+        return a === b;
+    }
+
+    static format(value) {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'number') return parseFloat(value.toFixed(6)).toString();
+        if (Array.isArray(value)) return value.map(v => this.format(v)).join(' ');
+        return String(value);
+    }
+}
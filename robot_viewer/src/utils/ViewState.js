@@ -0,0 +1,102 @@
+/**
+ * ViewState - Shareable view encoded in URL parameters
+ * #model=<url>&joints=<name>:<value>,...&cam=x,y,z&target=x,y,z&show=visual,com&link=<name>
+ * Parameters are read from both query string and hash (hash wins)
+ */
+export class ViewState {
+    // Display toggles stored in "show" and their top bar buttons
+    static TOGGLE_BUTTONS = {
+        visual: 'show-visual',
+        collision: 'show-collision',
+        inertia: 'show-inertia',
+        com: 'show-com',
+        axes: 'toggle-axes-btn',
+        jointAxes: 'toggle-joint-axes-btn'
+    };
+
+    /**
+     * @param {Location|URL} location
+     * @returns {{model: string|null, joints: Map<string, number>|null, camera: {position: number[], target: number[]}|null,
+     *   toggles: Object<string, boolean>|null, link: string|null}|null} null when no view parameter is present
+     */
+    static parse(location) {
+        const params = new URLSearchParams(location.search);
+        new URLSearchParams(location.hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+
+        const state = {
+            model: params.get('model') || null,
+            joints: this.parseJoints(params.get('joints')),
+            camera: null,
+            toggles: null,
+            link: params.get('link') || null
+        };
+
+        const position = this.parseVector(params.get('cam'));
+        if (position) {
+            state.camera = { position, target: this.parseVector(params.get('target')) || [0, 0, 0] };
+        }
+
+        if (params.has('show')) {
+            const shown = new Set(params.get('show').split(',').filter(Boolean));
+            state.toggles = {};
+            Object.keys(this.TOGGLE_BUTTONS).forEach(key => {
+                state.toggles[key] = shown.has(key);
+            });
+        }
+
+        const hasView = state.model || state.joints || state.camera || state.toggles || state.link;
+        return hasView ? state : null;
+    }
+
+    static parseJoints(text) {
+        if (!text) return null;
+
+        const joints = new Map();
+        text.split(',').forEach(entry => {
+            const separator = entry.lastIndexOf(':');
+            if (separator <= 0) return;
+            const value = parseFloat(entry.substring(separator + 1));
+            if (isNaN(value)) return;
+            try {
+                joints.set(decodeURIComponent(entry.substring(0, separator)), value);
+            } catch (error) {
+                // Malformed escape in a hand-edited link: skip the entry
+                console.warn(`Ignoring joint value "${entry}":`, error.message);
+            }
+        });
+        return joints.size > 0 ? joints : null;
+    }
+
+    static parseVector(text) {
+        const values = (text || '').split(',').map(parseFloat);
+        return values.length === 3 && values.every(v => isFinite(v)) ? values : null;
+    }
+
+    /**
+     * Encode state as hash string (without leading '#')
+     */
+    static toHash(state) {
+        const params = new URLSearchParams();
+        const format = (value, digits) => parseFloat(value.toFixed(digits)).toString();
+
+        if (state.model) {
+            params.set('model', state.model);
+        }
+        if (state.joints?.size > 0) {
+            // Joint names are escaped so that ',' and ':' stay separators
+            params.set('joints', Array.from(state.joints, ([name, value]) =>
+                `${encodeURIComponent(name)}:${format(value, 4)}`).join(','));
+        }
+        if (state.camera) {
+            params.set('cam', state.camera.position.map(v => format(v, 3)).join(','));
+            params.set('target', state.camera.target.map(v => format(v, 3)).join(','));
+        }
+        if (state.toggles) {
+            params.set('show', Object.keys(state.toggles).filter(key => state.toggles[key]).join(','));
+        }
+        if (state.link) {
+            params.set('link', state.link);
+        }
+        return params.toString();
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * WorkspaceStore - IndexedDB storage of dropped workspaces
+ * Store "workspaces" keeps metadata and view state, store "files" keeps each File once
+ * together with all fileMap keys that refer to it
+ */
+const DB_NAME = 'robot-viewer';
+const DB_VERSION = 1;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+export class WorkspaceStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('workspaces')) {
+                        db.createObjectStore('workspaces', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('files')) {
+                        const files = db.createObjectStore('files', { autoIncrement: true });
+                        files.createIndex('workspaceId', 'workspaceId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Stored workspaces, most recently used first
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const db = await this.open();
+        const workspaces = await requestToPromise(db.transaction('workspaces').objectStore('workspaces').getAll());
+        return workspaces.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Store fileMap as new workspace
+     * @param {string} name
+     * @param {Map<string, File>} fileMap
+     * @returns {Promise<Object>} Workspace metadata
+     */
+    async create(name, fileMap) {
+        // fileMap holds the same File under several keys
+        const keysByFile = new Map();
+        fileMap.forEach((file, key) => {
+            if (!keysByFile.has(file)) keysByFile.set(file, []);
+            keysByFile.get(file).push(key);
+        });
+
+        const now = Date.now();
+        const workspace = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            createdAt: now,
+            updatedAt: now,
+            fileCount: keysByFile.size,
+            size: Array.from(keysByFile.keys()).reduce((sum, file) => sum + file.size, 0),
+            modelPath: null,
+            jointValues: null,
+            edits: {}
+        };
+
+        const db = await this.open();
+        const transaction = db.transaction(['workspaces', 'files'], 'readwrite');
+        transaction.objectStore('workspaces').put(workspace);
+        const files = transaction.objectStore('files');
+        keysByFile.forEach((keys, file) => {
+            files.put({ workspaceId: workspace.id, keys, file });
+        });
+        await transactionDone(transaction);
+        return workspace;
+    }
+
+    /**
+     * Merge changes into workspace metadata
+     */
+    async update(id, changes) {
+        const db = await this.open();
+        const transaction = db.transaction('workspaces', 'readwrite');
+        const store = transaction.objectStore('workspaces');
+        const workspace = await requestToPromise(store.get(id));
+        if (workspace) {
+            store.put({ ...workspace, ...changes, updatedAt: Date.now() });
+        }
+        await transactionDone(transaction);
+    }
+
+    /**
+     * @returns {Promise<{workspace: Object, entries: Array<[string, File]>}|null>}
+     */
+    async load(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['workspaces', 'files']);
+        const workspace = await requestToPromise(transaction.objectStore('workspaces').get(id));
+        if (!workspace) return null;
+
+        const records = await requestToPromise(transaction.objectStore('files').index('workspaceId').getAll(id));
+        const entries = [];
+        records.forEach(record => {
+            record.keys.forEach(key => entries.push([key, record.file]));
+        });
+        return { workspace, entries };
+    }
+
+    async delete(id) {
+        const db = await this.open();
+        const transaction = db.transaction(['workspaces', 'files'], 'readwrite');
+        transaction.objectStore('workspaces').delete(id);
+        const files = transaction.objectStore('files');
+        const keys = await requestToPromise(files.index('workspaceId').getAllKeys(id));
+        keys.forEach(key => files.delete(key));
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Origin storage usage and quota in bytes (null when the browser doesn't report it)
+     */
+    async estimate() {
+        if (!navigator.storage?.estimate) return null;
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+}
@@ -1,9 +1,75 @@
 /**
  * XMLUpdater - XML update utility
- * Used for updating URDF/MJCF XML content
+ * Writes model edits back into URDF / MJCF source text. Elements are located with the
+ * ModelReferences tag scanner and only the affected attribute values (or inserted child
+ * elements) are replaced, so comments, attribute order and indentation are kept.
+ *
+ * MJCF values follow the file's <compiler angle/eulerseq> settings, keep the orientation form
+ * an element already uses (quat, euler or axisangle) and take default classes into account:
+ * inherited attributes are resolved for reading and overridden on the element itself.
  */
 
+import * as THREE from 'three';
+import { scanElements } from '../editor/ModelReferences.js';
+import { Kinematics } from '../kinematics/Kinematics.js';
+
+const MJCF_ORIENTATIONS = ['quat', 'euler', 'axisangle', 'xyaxes', 'zaxis'];
+
 export class XMLUpdater {
+    /**
+     * @returns {'urdf'|'mjcf'|null} From the root element, null for xacro sources
+     *   (values there may come from macros and ${} expressions, edits are not written back)
+     */
+    static detectFormat(xmlContent) {
+        const { elements } = scanElements(xmlContent || '');
+        const root = elements[0];
+        if (this.isXacro(elements)) return null;
+        if (root?.name === 'robot') return 'urdf';
+        if (root?.name === 'mujoco') return 'mjcf';
+        return null;
+    }
+
+    /**
+     * Whether scanned elements belong to a xacro document (xacro namespace or xacro:* elements)
+     */
+    static isXacro(elements) {
+        return elements[0]?.attributes.has('xmlns:xacro') || elements.some(element => element.name.startsWith('xacro:'));
+    }
+
+    /**
+     * Write one model edit back into the document
+     * @param {string} xmlContent - Original XML content
+     * @param {Object} edit - { type, ...arguments of the matching update method }
+     *   jointLimits { joint, limits }, jointOrigin { joint, origin }, jointAxis { joint, axis },
+     *   bodyOrigin { link, origin } (MJCF), inertial { link, inertial },
+     *   geometryOrigin { link, target, origin }, geometrySize { link, target, geometry },
+     *   materialColor { link, target, rgba }
+     * @returns {string} Updated XML content (unchanged when the target is not found)
+     */
+    static applyEdit(xmlContent, edit) {
+        switch (edit.type) {
+            case 'jointLimits':
+                return this.updateJointLimits(xmlContent, edit.joint, edit.limits);
+            case 'jointOrigin':
+                return this.updateJointOrigin(xmlContent, edit.joint, edit.origin);
+            case 'jointAxis':
+                return this.updateJointAxis(xmlContent, edit.joint, edit.axis);
+            case 'bodyOrigin':
+                return this.updateMJCFBodyOrigin(xmlContent, edit.link, edit.origin);
+            case 'inertial':
+                return this.updateInertial(xmlContent, edit.link, edit.inertial);
+            case 'geometryOrigin':
+                return this.updateGeometryOrigin(xmlContent, edit.link, edit.target, edit.origin);
+            case 'geometrySize':
+                return this.updateGeometrySize(xmlContent, edit.link, edit.target, edit.geometry);
+            case 'materialColor':
+                return this.updateMaterialColor(xmlContent, edit.link, edit.target, edit.rgba);
+            default:
+                console.warn(`Unknown model edit: ${edit.type}`);
+                return xmlContent;
+        }
+    }
+
     /**
      * Update URDF joint limit attributes
      * @param {string} xmlContent - Original XML content
@@ -12,87 +78,354 @@ export class XMLUpdater {
      * @returns {string} Updated XML content
      */
     static updateURDFJointLimits(xmlContent, jointName, limits) {
-        try {
-            // Use regex to find joint definition
-            const jointRegex = new RegExp(
-                `<joint[^>]*name="${jointName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*>([\\s\\S]*?)</joint>`,
-                'g'
-            );
-
-            const match = jointRegex.exec(xmlContent);
-            if (!match) {
+        const doc = this.parse(xmlContent);
+        const joint = this.findURDFElement(doc, 'joint', jointName);
+        if (!joint) {
+            console.warn(`Joint not found: ${jointName}`);
+            return xmlContent;
+        }
+
+        const values = {};
+        ['lower', 'upper', 'effort', 'velocity'].forEach(key => {
+            if (limits[key] !== undefined && limits[key] !== null) {
+                values[key] = this.formatNumber(limits[key]);
+            }
+        });
+        return this.applyChanges(xmlContent, this.setChildAttributes(doc, joint, 'limit', values, { append: true }));
+    }
+
+    /**
+     * Update joint limits; MJCF writes range (in compiler angle units for hinge/ball joints)
+     * and the effort limit as actuatorfrcrange, velocity has no MJCF counterpart
+     * @param {Object} limits - { lower, upper, effort, velocity }, missing values are kept
+     */
+    static updateJointLimits(xmlContent, jointName, limits) {
+        const format = this.detectFormat(xmlContent);
+        if (format === 'urdf') {
+            return this.updateURDFJointLimits(xmlContent, jointName, limits);
+        }
+        if (format !== 'mjcf') return xmlContent;
+
+        const doc = this.parse(xmlContent);
+        const joint = this.findMJCFJoint(doc, jointName);
+        if (!joint) {
+            console.warn(`Joint not found: ${jointName}`);
+            return xmlContent;
+        }
+
+        const resolved = this.resolveMJCFAttributes(doc, joint);
+        const type = resolved.get('type') || 'hinge';
+        const scale = type === 'slide' ? 1 : this.mjcfAngleScale(doc);
+        const given = value => value !== undefined && value !== null;
+        const values = {};
+
+        if (given(limits.lower) || given(limits.upper)) {
+            const [lower = 0, upper = 0] = this.parseNumbers(resolved.get('range')).map(value => value / scale);
+            const range = [given(limits.lower) ? limits.lower : lower, given(limits.upper) ? limits.upper : upper];
+            values.range = this.formatNumbers(range.map(value => value * scale));
+            // Explicitly unlimited joints would ignore the range
+            if (resolved.get('limited') === 'false') values.limited = 'true';
+        }
+        if (given(limits.effort)) {
+            values.actuatorfrcrange = this.formatNumbers([-Math.abs(limits.effort), Math.abs(limits.effort)]);
+        }
+        return this.applyChanges(xmlContent, this.setAttributes(doc, joint, values));
+    }
+
+    /**
+     * Update joint origin: URDF <origin xyz rpy>, MJCF joint pos (joints have no orientation,
+     * see updateMJCFBodyOrigin for the body frame)
+     * @param {Object} origin - { xyz, rpy } (or { xyz, quat: {x, y, z, w} })
+     */
+    static updateJointOrigin(xmlContent, jointName, origin) {
+        const doc = this.parse(xmlContent);
+        const joint = doc.format === 'urdf' ? this.findURDFElement(doc, 'joint', jointName) : this.findMJCFJoint(doc, jointName);
+        if (!joint) {
+            console.warn(`Joint not found: ${jointName}`);
+            return xmlContent;
+        }
+
+        if (doc.format === 'urdf') {
+            return this.applyChanges(xmlContent, this.setURDFOrigin(doc, joint, origin));
+        }
+        return this.applyChanges(xmlContent, this.setAttributes(doc, joint, { pos: this.formatNumbers(origin.xyz || [0, 0, 0]) }));
+    }
+
+    /**
+     * Update joint axis: URDF <axis xyz>, MJCF joint axis attribute
+     * @param {number[]} axis - [x, y, z]
+     */
+    static updateJointAxis(xmlContent, jointName, axis) {
+        const doc = this.parse(xmlContent);
+        const value = this.formatNumbers(axis);
+        if (doc.format === 'urdf') {
+            const joint = this.findURDFElement(doc, 'joint', jointName);
+            if (!joint) {
                 console.warn(`Joint not found: ${jointName}`);
                 return xmlContent;
             }
+            return this.applyChanges(xmlContent, this.setChildAttributes(doc, joint, 'axis', { xyz: value }, { append: true }));
+        }
 
-            const jointContent = match[0];
-            let updatedJointContent = jointContent;
-
-            // Find limit tag
-            const limitRegex = /<limit([^>]*)>/;
-            const limitMatch = limitRegex.exec(jointContent);
-
-            if (limitMatch) {
-                // Limit tag exists, update attributes
-                let limitTag = limitMatch[0];
-                const limitAttrs = limitMatch[1];
-
-                // Update each attribute
-                if (limits.lower !== undefined && limits.lower !== null) {
-                    if (limitAttrs.includes('lower=')) {
-                        limitTag = limitTag.replace(/lower="[^"]*"/, `lower="${limits.lower}"`);
-                    } else {
-                        limitTag = limitTag.replace(/>$/, ` lower="${limits.lower}">`);
-                    }
-                }
+        const joint = this.findMJCFJoint(doc, jointName);
+        if (!joint) {
+            console.warn(`Joint not found: ${jointName}`);
+            return xmlContent;
+        }
+        return this.applyChanges(xmlContent, this.setAttributes(doc, joint, { axis: value }));
+    }
 
-                if (limits.upper !== undefined && limits.upper !== null) {
-                    if (limitAttrs.includes('upper=')) {
-                        limitTag = limitTag.replace(/upper="[^"]*"/, `upper="${limits.upper}"`);
-                    } else {
-                        limitTag = limitTag.replace(/>$/, ` upper="${limits.upper}">`);
-                    }
-                }
+    /**
+     * Update MJCF body pose (pos and orientation relative to the parent body)
+     */
+    static updateMJCFBodyOrigin(xmlContent, bodyName, origin) {
+        const doc = this.parse(xmlContent);
+        const body = doc.format === 'mjcf' ? this.findMJCFBody(doc, bodyName) : null;
+        if (!body) {
+            console.warn(`Body not found: ${bodyName}`);
+            return xmlContent;
+        }
+        return this.applyChanges(xmlContent, this.setMJCFPose(doc, body, origin));
+    }
 
-                if (limits.effort !== undefined && limits.effort !== null) {
-                    if (limitAttrs.includes('effort=')) {
-                        limitTag = limitTag.replace(/effort="[^"]*"/, `effort="${limits.effort}"`);
-                    } else {
-                        limitTag = limitTag.replace(/>$/, ` effort="${limits.effort}">`);
-                    }
-                }
+    /**
+     * Replace the inertial of a link (URDF) or body (MJCF)
+     * @param {Object} inertial - { mass, origin: { xyz, rpy }, ixx, iyy, izz, ixy, ixz, iyz } in link frame axes
+     *   rotated by origin.rpy (URDF) or in body frame axes (MJCF)
+     */
+    static updateInertial(xmlContent, linkName, inertial) {
+        const format = this.detectFormat(xmlContent);
+        if (format === 'urdf') return this.updateURDFInertial(xmlContent, linkName, inertial);
+        if (format === 'mjcf') return this.updateMJCFInertial(xmlContent, linkName, inertial);
+        return xmlContent;
+    }
 
-                if (limits.velocity !== undefined && limits.velocity !== null) {
-                    if (limitAttrs.includes('velocity=')) {
-                        limitTag = limitTag.replace(/velocity="[^"]*"/, `velocity="${limits.velocity}"`);
-                    } else {
-                        limitTag = limitTag.replace(/>$/, ` velocity="${limits.velocity}">`);
-                    }
-                }
+    /**
+     * Replace (or add) the <inertial> of a URDF link
+     * @param {string} xmlContent - Original XML content
+     * @param {string} linkName - Link name
+     * @param {Object} inertial - { mass, origin: { xyz, rpy }, ixx, iyy, izz, ixy, ixz, iyz }
+     * @returns {string} Updated XML content
+     */
+    static updateURDFInertial(xmlContent, linkName, inertial) {
+        const doc = this.parse(xmlContent);
+        const link = this.findURDFElement(doc, 'link', linkName);
+        if (!link) {
+            console.warn(`Link not found: ${linkName}`);
+            return xmlContent;
+        }
 
-                updatedJointContent = jointContent.replace(limitRegex, limitTag);
-            } else {
-                // No limit tag, create one
-                const attrs = [];
-                if (limits.lower !== undefined && limits.lower !== null) attrs.push(`lower="${limits.lower}"`);
-                if (limits.upper !== undefined && limits.upper !== null) attrs.push(`upper="${limits.upper}"`);
-                if (limits.effort !== undefined && limits.effort !== null) attrs.push(`effort="${limits.effort}"`);
-                if (limits.velocity !== undefined && limits.velocity !== null) attrs.push(`velocity="${limits.velocity}"`);
-
-                if (attrs.length > 0) {
-                    const limitTag = `    <limit ${attrs.join(' ')}/>`;
-                    // Insert before </joint>
-                    updatedJointContent = jointContent.replace('</joint>', `${limitTag}\n  </joint>`);
-                }
+        const format = (values) => this.formatNumbers(values);
+        const { xyz = [0, 0, 0], rpy = [0, 0, 0] } = inertial.origin || {};
+        const lines = [
+            '<inertial>',
+            `  <origin xyz="${format(xyz)}" rpy="${format(rpy)}"/>`,
+            `  <mass value="${format(inertial.mass)}"/>`,
+            `  <inertia ixx="${format(inertial.ixx)}" ixy="${format(inertial.ixy)}" ixz="${format(inertial.ixz)}" ` +
+                `iyy="${format(inertial.iyy)}" iyz="${format(inertial.iyz)}" izz="${format(inertial.izz)}"/>`,
+            '</inertial>'
+        ];
+
+        const existing = this.findChild(link, 'inertial');
+        if (existing) {
+            return this.applyChanges(xmlContent, [this.replaceElement(doc, existing, lines)]);
+        }
+        return this.applyChanges(xmlContent, this.insertChild(doc, link, lines));
+    }
+
+    /**
+     * Replace (or add) the <inertial> of an MJCF body, written as fullinertia
+     * Other attributes of an existing element stay, conflicting ones (diaginertia, orientation) are removed
+     * @param {string} xmlContent - Original XML content
+     * @param {string} bodyName - Body name
+     * @param {Object} inertial - { mass, origin: { xyz }, ixx, iyy, izz, ixy, ixz, iyz } in body frame
+     * @returns {string} Updated XML content
+     */
+    static updateMJCFInertial(xmlContent, bodyName, inertial) {
+        const doc = this.parse(xmlContent);
+        const body = this.findMJCFBody(doc, bodyName);
+        if (!body) {
+            console.warn(`Body not found: ${bodyName}`);
+            return xmlContent;
+        }
+
+        const { ixx, iyy, izz, ixy, ixz, iyz } = inertial;
+        const values = {
+            pos: this.formatNumbers(inertial.origin?.xyz || [0, 0, 0]),
+            mass: this.formatNumber(inertial.mass),
+            fullinertia: this.formatNumbers([ixx, iyy, izz, ixy, ixz, iyz]),
+            diaginertia: null
+        };
+        MJCF_ORIENTATIONS.forEach(name => {
+            values[name] = null;
+        });
+
+        const existing = this.findChild(body, 'inertial');
+        if (existing) {
+            return this.applyChanges(xmlContent, this.setAttributes(doc, existing, values));
+        }
+        const attributes = ['pos', 'mass', 'fullinertia'].map(name => `${name}="${values[name]}"`).join(' ');
+        return this.applyChanges(xmlContent, this.insertChild(doc, body, [`<inertial ${attributes}/>`]));
+    }
+
+    /**
+     * Update the origin of a visual / collision
+     * @param {Object} target - { kind: 'visual'|'collision', index, geomIndex }: URDF uses the index-th
+     *   <visual>/<collision> of the link, MJCF the geomIndex-th <geom> of the body (see MJCFAdapter)
+     * @param {Object} origin - { xyz, rpy } (or { xyz, quat })
+     */
+    static updateGeometryOrigin(xmlContent, linkName, target, origin) {
+        const doc = this.parse(xmlContent);
+        const element = this.findGeometryElement(doc, linkName, target);
+        if (!element) return xmlContent;
+
+        if (doc.format === 'urdf') {
+            return this.applyChanges(xmlContent, this.setURDFOrigin(doc, element, origin));
+        }
+
+        const resolved = this.resolveMJCFAttributes(doc, element);
+        const fromto = this.parseNumbers(resolved.get('fromto'));
+        if (fromto.length === 6) {
+            // fromto geoms ignore pos/orientation: move the segment, keeping its length, along the new Z axis
+            const pose = Kinematics.originToMatrix(origin, 'mjcf');
+            const halfLength = new THREE.Vector3(...fromto.slice(0, 3)).distanceTo(new THREE.Vector3(...fromto.slice(3))) / 2;
+            const center = new THREE.Vector3().setFromMatrixPosition(pose);
+            const direction = new THREE.Vector3(0, 0, 1).applyMatrix4(new THREE.Matrix4().extractRotation(pose));
+            return this.applyChanges(xmlContent, this.setAttributes(doc, element, {
+                fromto: this.fromtoValue(center, direction, halfLength)
+            }));
+        }
+        return this.applyChanges(xmlContent, this.setMJCFPose(doc, element, origin));
+    }
+
+    /**
+     * Update the size of a primitive (or mesh scale in URDF)
+     * @param {Object} target - See updateGeometryOrigin
+     * @param {GeometryType} geometry - Full sizes as in the model: box {x, y, z}, sphere {radius},
+     *   cylinder/capsule {radius, height}; mesh scale [sx, sy, sz]
+     */
+    static updateGeometrySize(xmlContent, linkName, target, geometry) {
+        const doc = this.parse(xmlContent);
+        const element = this.findGeometryElement(doc, linkName, target);
+        if (!element) return xmlContent;
+
+        const size = geometry.size || {};
+        if (doc.format === 'urdf') {
+            const shape = this.findChild(this.findChild(element, 'geometry'), geometry.type);
+            if (!shape) {
+                console.warn(`No <${geometry.type}> in ${target.kind} ${target.index} of ${linkName}`);
+                return xmlContent;
             }
+            const values = {
+                box: { size: this.formatNumbers([size.x, size.y, size.z]) },
+                sphere: { radius: this.formatNumber(size.radius) },
+                cylinder: { radius: this.formatNumber(size.radius), length: this.formatNumber(size.height) },
+                capsule: { radius: this.formatNumber(size.radius), length: this.formatNumber(size.height) },
+                mesh: geometry.scale ? { scale: this.formatNumbers(geometry.scale) } : {}
+            }[geometry.type] || {};
+            return this.applyChanges(xmlContent, this.setAttributes(doc, shape, values));
+        }
 
-            // Replace joint content in original XML
-            return xmlContent.replace(jointContent, updatedJointContent);
+        // MJCF sizes are half sizes, cylinder and capsule lengths half of the (cylindrical part) height
+        const resolved = this.resolveMJCFAttributes(doc, element);
+        const type = resolved.get('type') || (resolved.has('mesh') ? 'mesh' : 'sphere');
+        const fromto = this.parseNumbers(resolved.get('fromto'));
+        const values = {};
+        switch (type) {
+            case 'box':
+                values.size = this.formatNumbers([size.x / 2, size.y / 2, size.z / 2]);
+                break;
+            case 'sphere':
+                values.size = this.formatNumber(size.radius);
+                break;
+            case 'cylinder':
+            case 'capsule':
+                if (fromto.length === 6) {
+                    // Length comes from the segment: rescale it about its midpoint
+                    const from = new THREE.Vector3(...fromto.slice(0, 3));
+                    const to = new THREE.Vector3(...fromto.slice(3));
+                    const center = from.clone().add(to).multiplyScalar(0.5);
+                    values.size = this.formatNumber(size.radius);
+                    values.fromto = this.fromtoValue(center, to.clone().sub(from), size.height / 2);
+                } else {
+                    values.size = this.formatNumbers([size.radius, size.height / 2]);
+                }
+                break;
+            default:
+                // Mesh scale is defined by the shared <mesh> asset
+                console.warn(`Size of MJCF ${type} geoms is not written back`);
+                return xmlContent;
+        }
+        return this.applyChanges(xmlContent, this.setAttributes(doc, element, values));
+    }
+
+    /**
+     * Update the colour of a visual: URDF <material><color rgba>, MJCF geom rgba
+     * (which takes precedence over the geom's material)
+     * @param {Object} target - See updateGeometryOrigin (kind is 'visual')
+     * @param {number[]} rgba - [r, g, b, a] in 0..1
+     */
+    static updateMaterialColor(xmlContent, linkName, target, rgba) {
+        const doc = this.parse(xmlContent);
+        const element = this.findGeometryElement(doc, linkName, { kind: 'visual', ...target });
+        if (!element) return xmlContent;
+
+        const value = this.formatNumbers([...rgba, 1].slice(0, 4));
+        if (doc.format === 'mjcf') {
+            return this.applyChanges(xmlContent, this.setAttributes(doc, element, { rgba: value }));
+        }
 
-        } catch (error) {
-            console.error('Failed to update URDF joint limits:', error);
+        // A name-only <material> refers to a global one: a local <color> overrides it for this visual only
+        const material = this.findChild(element, 'material');
+        if (!material) {
+            const name = `${linkName}_material${target.index ? `_${target.index}` : ''}`;
+            return this.applyChanges(xmlContent, this.insertChild(doc, element, [
+                `<material name="${name}">`,
+                `  <color rgba="${value}"/>`,
+                '</material>'
+            ], { append: true }));
+        }
+        return this.applyChanges(xmlContent, this.setChildAttributes(doc, material, 'color', { rgba: value }));
+    }
+
+    /**
+     * Append <key> to MJCF <keyframe> section (created before </mujoco> if missing)
+     * Text is inserted in place so existing formatting and comments are kept
+     * @param {string} xmlContent - Original XML content
+     * @param {Object} key - { name, time, qpos: number[], qvel: number[], ctrl: number[] }
+     * @returns {string} Updated XML content
+     */
+    static addMJCFKeyframe(xmlContent, key) {
+        const format = (values) => values.map(v => String(parseFloat(v.toPrecision(8)))).join(' ');
+        const attrs = [`name="${this.escapeAttribute(key.name)}"`];
+        if (key.time) attrs.push(`time="${key.time}"`);
+        if (key.qpos && key.qpos.length > 0) attrs.push(`qpos="${format(key.qpos)}"`);
+        if (key.qvel && key.qvel.length > 0) attrs.push(`qvel="${format(key.qvel)}"`);
+        if (key.ctrl && key.ctrl.length > 0) attrs.push(`ctrl="${format(key.ctrl)}"`);
+        const keyTag = `<key ${attrs.join(' ')}/>`;
+
+        // Existing section: insert before closing tag, reusing indentation of previous line
+        const closeMatch = /([ \t]*)<\/keyframe>/.exec(xmlContent);
+        if (closeMatch) {
+            const indent = closeMatch[1];
+            return xmlContent.slice(0, closeMatch.index) +
+                `${indent}  ${keyTag}\n` +
+                xmlContent.slice(closeMatch.index);
+        }
+
+        // Self-closing or missing section: add new section before </mujoco>
+        const section = (indent) => `${indent}<keyframe>\n${indent}  ${keyTag}\n${indent}</keyframe>`;
+        const emptyMatch = /([ \t]*)<keyframe\s*\/>/.exec(xmlContent);
+        if (emptyMatch) {
+            return xmlContent.slice(0, emptyMatch.index) + section(emptyMatch[1]) + xmlContent.slice(emptyMatch.index + emptyMatch[0].length);
+        }
+
+        const endIndex = xmlContent.lastIndexOf('</mujoco>');
+        if (endIndex === -1) {
+            console.warn('MJCF root element not found, keyframe not added');
             return xmlContent;
         }
+        return xmlContent.slice(0, endIndex) + `\n${section('  ')}\n` + xmlContent.slice(endIndex);
     }
 
     /**
@@ -105,10 +438,352 @@ export class XMLUpdater {
         let updatedXML = xmlContent;
 
         for (let [jointName, limits] of jointsLimits.entries()) {
-            updatedXML = this.updateURDFJointLimits(updatedXML, jointName, limits);
+            updatedXML = this.updateJointLimits(updatedXML, jointName, limits);
         }
 
         return updatedXML;
     }
-}
 
+    // ----- Document lookup -----
+
+    static parse(xmlContent) {
+        const { elements } = scanElements(xmlContent);
+        const root = elements[0];
+        return {
+            xml: xmlContent,
+            elements,
+            format: root?.name === 'robot' ? 'urdf' : root?.name === 'mujoco' ? 'mjcf' : null
+        };
+    }
+
+    static nameOf(element) {
+        return element.attributes.get('name')?.value;
+    }
+
+    static findChild(element, name, index = 0) {
+        return element?.children.filter(child => child.name === name)[index] || null;
+    }
+
+    /**
+     * Top-level URDF link / joint (not the ones inside transmissions or gazebo tags)
+     */
+    static findURDFElement(doc, type, name) {
+        return doc.elements.find(element => element.name === type && element.parent?.name === 'robot' &&
+            this.nameOf(element) === name) || null;
+    }
+
+    static findMJCFBody(doc, name) {
+        return doc.elements.find(element => element.name === 'body' && this.nameOf(element) === name) || null;
+    }
+
+    static findMJCFJoint(doc, name) {
+        return doc.elements.find(element => (element.name === 'joint' || element.name === 'freejoint') &&
+            element.parent?.name === 'body' && this.nameOf(element) === name) || null;
+    }
+
+    /**
+     * URDF <visual>/<collision> or MJCF <geom> of a link, see updateGeometryOrigin for target
+     */
+    static findGeometryElement(doc, linkName, target) {
+        let element = null;
+        if (doc.format === 'urdf') {
+            element = this.findChild(this.findURDFElement(doc, 'link', linkName), target.kind, target.index);
+        } else if (doc.format === 'mjcf') {
+            element = this.findChild(this.findMJCFBody(doc, linkName), 'geom', target.geomIndex ?? target.index);
+        }
+        if (!element) {
+            console.warn(`${target.kind || 'geometry'} ${target.geomIndex ?? target.index} of ${linkName} not found`);
+        }
+        return element;
+    }
+
+    // ----- MJCF conventions -----
+
+    /**
+     * Attributes of an MJCF element including those inherited from its default class
+     * (class attribute, else childclass of the nearest body, else main)
+     * @returns {Map<string, string>}
+     */
+    static resolveMJCFAttributes(doc, element) {
+        const resolved = new Map();
+
+        let className = element.attributes.get('class')?.value;
+        for (let parent = element.parent; !className && parent; parent = parent.parent) {
+            className = parent.attributes.get('childclass')?.value;
+        }
+
+        const topDefaults = doc.elements.filter(candidate => candidate.name === 'default' && candidate.parent?.name === 'mujoco');
+        let defaultElement = className && className !== 'main'
+            ? doc.elements.find(candidate => candidate.name === 'default' && candidate.attributes.get('class')?.value === className)
+            : topDefaults[0];
+
+        // Outermost default first, nested classes override
+        const chain = [];
+        for (; defaultElement?.name === 'default'; defaultElement = defaultElement.parent) {
+            chain.unshift(defaultElement);
+        }
+        chain.forEach(defaults => {
+            this.findChild(defaults, element.name)?.attributes.forEach(({ value }, name) => resolved.set(name, value));
+        });
+
+        element.attributes.forEach(({ value }, name) => resolved.set(name, value));
+        return resolved;
+    }
+
+    static mjcfCompiler(doc) {
+        const compiler = doc.elements.find(element => element.name === 'compiler' && element.parent?.name === 'mujoco');
+        return {
+            // MuJoCo reads angles in degrees unless told otherwise
+            angle: compiler?.attributes.get('angle')?.value || 'degree',
+            eulerseq: compiler?.attributes.get('eulerseq')?.value || 'xyz'
+        };
+    }
+
+    /**
+     * Factor from radians to the file's angle unit
+     */
+    static mjcfAngleScale(doc) {
+        return this.mjcfCompiler(doc).angle === 'radian' ? 1 : 180 / Math.PI;
+    }
+
+    /**
+     * Changes for pos and orientation of an MJCF body / geom / site
+     * The orientation is written in the form the element (or its default class) already uses;
+     * xyaxes / zaxis and Euler sequences Three.js cannot represent become quat
+     */
+    static setMJCFPose(doc, element, origin) {
+        const pose = Kinematics.originToMatrix(origin, 'mjcf');
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        pose.decompose(position, quaternion, new THREE.Vector3());
+
+        const resolved = this.resolveMJCFAttributes(doc, element);
+        const values = { pos: this.formatNumbers(position.toArray()) };
+        MJCF_ORIENTATIONS.forEach(name => {
+            if (element.attributes.has(name)) values[name] = null;
+        });
+
+        // The element's own orientation wins over one from its default class
+        let kind = MJCF_ORIENTATIONS.find(name => element.attributes.has(name)) ||
+            MJCF_ORIENTATIONS.find(name => resolved.has(name)) || 'quat';
+        const { eulerseq } = this.mjcfCompiler(doc);
+        const scale = this.mjcfAngleScale(doc);
+        const euler = kind === 'euler' ? this.quaternionToEulerSequence(quaternion, eulerseq) : null;
+        if ((kind === 'euler' && !euler) || kind === 'xyaxes' || kind === 'zaxis') {
+            kind = 'quat';
+        }
+
+        if (kind === 'euler') {
+            values.euler = this.formatNumbers(euler.map(angle => angle * scale));
+        } else if (kind === 'axisangle') {
+            const previousAxis = this.parseNumbers(resolved.get('axisangle')).slice(0, 3);
+            const { axis, angle } = this.quaternionToAxisAngle(quaternion, previousAxis.length === 3 ? previousAxis : [0, 0, 1]);
+            values.axisangle = this.formatNumbers([...axis, angle * scale]);
+        } else if (Math.abs(quaternion.w) < 1 - 1e-12 || resolved.has('quat')) {
+            // Identity needs no attribute unless a default class sets another orientation
+            values.quat = this.formatNumbers([quaternion.w, quaternion.x, quaternion.y, quaternion.z]);
+        }
+        return this.setAttributes(doc, element, values);
+    }
+
+    /**
+     * Angles of a MuJoCo eulerseq (lower case: rotating axes, upper case: fixed axes), null when
+     * the sequence has repeated axes or mixes both cases
+     */
+    static quaternionToEulerSequence(quaternion, sequence) {
+        const axes = sequence.split('');
+        const intrinsic = sequence === sequence.toLowerCase();
+        const extrinsic = sequence === sequence.toUpperCase();
+        if (axes.length !== 3 || new Set(sequence.toLowerCase()).size !== 3 || (!intrinsic && !extrinsic)) {
+            return null;
+        }
+
+        // Fixed axes x, y, z equal rotating axes in reverse order z, y, x
+        const order = (intrinsic ? axes : [...axes].reverse()).join('').toUpperCase();
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, order);
+        return axes.map(axis => euler[axis.toLowerCase()]);
+    }
+
+    static quaternionToAxisAngle(quaternion, fallbackAxis) {
+        const q = quaternion.clone().normalize();
+        if (q.w < 0) q.set(-q.x, -q.y, -q.z, -q.w);
+        const sine = Math.sqrt(Math.max(0, 1 - q.w * q.w));
+        if (sine < 1e-9) {
+            return { axis: fallbackAxis, angle: 0 };
+        }
+        return { axis: [q.x / sine, q.y / sine, q.z / sine], angle: 2 * Math.acos(Math.min(1, q.w)) };
+    }
+
+    /**
+     * fromto value of a segment with the given centre and direction
+     */
+    static fromtoValue(center, direction, halfLength) {
+        const offset = direction.clone().normalize().multiplyScalar(halfLength);
+        return this.formatNumbers([...center.clone().sub(offset).toArray(), ...center.clone().add(offset).toArray()]);
+    }
+
+    // ----- Text changes -----
+
+    /**
+     * Changes for URDF <origin xyz rpy> of an element (added as first child when missing)
+     */
+    static setURDFOrigin(doc, element, origin) {
+        const values = {
+            xyz: this.formatNumbers(origin.xyz || [0, 0, 0]),
+            rpy: this.formatNumbers(origin.rpy || [0, 0, 0])
+        };
+        return this.setChildAttributes(doc, element, 'origin', values);
+    }
+
+    /**
+     * Changes setting attributes of a child element, adding the child when missing
+     */
+    static setChildAttributes(doc, parent, childName, values, options = {}) {
+        const child = this.findChild(parent, childName);
+        if (child) {
+            return this.setAttributes(doc, child, values);
+        }
+
+        const attributes = Object.entries(values)
+            .filter(([, value]) => value !== null)
+            .map(([name, value]) => ` ${name}="${this.escapeAttribute(value)}"`)
+            .join('');
+        return this.insertChild(doc, parent, [`<${childName}${attributes}/>`], options);
+    }
+
+    /**
+     * Changes replacing attribute values in place, removing (value null) or appending attributes
+     * @param {Object<string, string|null>} values
+     * @returns {Array<{from: number, to: number, insert: string}>}
+     */
+    static setAttributes(doc, element, values) {
+        const changes = [];
+        const added = [];
+        const firstAttribute = element.attributes.values().next().value;
+        const quote = firstAttribute ? doc.xml[firstAttribute.to] : '"';
+
+        Object.entries(values).forEach(([name, value]) => {
+            const attribute = element.attributes.get(name);
+            if (attribute && value === null) {
+                // Whole attribute with its leading whitespace
+                const nameStart = doc.xml.lastIndexOf(name, attribute.from);
+                let from = nameStart;
+                while (from > element.from && /\s/.test(doc.xml[from - 1])) from--;
+                changes.push({ from, to: attribute.to + 1, insert: '' });
+            } else if (attribute) {
+                if (attribute.value !== value) {
+                    changes.push({ from: attribute.from, to: attribute.to, insert: this.escapeAttribute(value, quote) });
+                }
+            } else if (value !== null) {
+                added.push(` ${name}=${quote}${this.escapeAttribute(value, quote)}${quote}`);
+            }
+        });
+
+        if (added.length > 0) {
+            // After the last attribute (or the tag name), before any whitespace and '>' or '/>'
+            let pos = element.to - (doc.xml.slice(element.from, element.to).endsWith('/>') ? 2 : 1);
+            while (pos > element.from && /\s/.test(doc.xml[pos - 1])) pos--;
+            changes.push({ from: pos, to: pos, insert: added.join('') });
+        }
+        return changes;
+    }
+
+    /**
+     * Change replacing a whole element with new lines (indented like the element)
+     */
+    static replaceElement(doc, element, lines) {
+        const indent = this.lineIndent(doc.xml, element.from);
+        return { from: element.from, to: element.end, insert: this.joinLines(doc, lines, indent) };
+    }
+
+    /**
+     * Changes inserting lines as first (or last) child, indented like existing children
+     * A self-closing parent is opened up
+     */
+    static insertChild(doc, parent, lines, options = {}) {
+        const parentIndent = this.lineIndent(doc.xml, parent.from);
+        const sibling = parent.children[0];
+        const indent = sibling && this.isLineStart(doc.xml, sibling.from)
+            ? this.lineIndent(doc.xml, sibling.from)
+            : parentIndent + this.indentUnit(doc.xml);
+        const block = this.joinLines(doc, lines, indent);
+
+        const startTag = doc.xml.slice(parent.from, parent.to);
+        if (startTag.endsWith('/>')) {
+            const openTag = startTag.replace(/\s*\/>$/, '>');
+            return [{
+                from: parent.from,
+                to: parent.to,
+                insert: `${openTag}\n${indent}${block}\n${parentIndent}</${parent.name}>`
+            }];
+        }
+
+        if (options.append) {
+            const closeStart = doc.xml.lastIndexOf('</', parent.end);
+            if (this.isLineStart(doc.xml, closeStart)) {
+                const lineStart = doc.xml.lastIndexOf('\n', closeStart - 1) + 1;
+                return [{ from: lineStart, to: lineStart, insert: `${indent}${block}\n` }];
+            }
+            return [{ from: closeStart, to: closeStart, insert: `\n${indent}${block}\n${parentIndent}` }];
+        }
+        return [{ from: parent.to, to: parent.to, insert: `\n${indent}${block}` }];
+    }
+
+    /**
+     * Lines of a new element joined at the given indentation; their two-space steps
+     * are replaced by the document's indentation step
+     */
+    static joinLines(doc, lines, indent) {
+        const unit = this.indentUnit(doc.xml);
+        return lines
+            .map(line => line.replace(/^((?: {2})+)/, steps => unit.repeat(steps.length / 2)))
+            .join(`\n${indent}`);
+    }
+
+    /**
+     * Apply non-overlapping changes (positions refer to the original text)
+     */
+    static applyChanges(xmlContent, changes) {
+        return [...changes]
+            .sort((a, b) => b.from - a.from)
+            .reduce((text, change) => text.slice(0, change.from) + change.insert + text.slice(change.to), xmlContent);
+    }
+
+    /**
+     * Leading whitespace of the line containing pos
+     */
+    static lineIndent(xmlContent, pos) {
+        const lineStart = xmlContent.lastIndexOf('\n', pos - 1) + 1;
+        return /^[ \t]*/.exec(xmlContent.slice(lineStart, pos))[0];
+    }
+
+    static isLineStart(xmlContent, pos) {
+        const lineStart = xmlContent.lastIndexOf('\n', pos - 1) + 1;
+        return /^[ \t]*$/.test(xmlContent.slice(lineStart, pos));
+    }
+
+    /**
+     * Indentation step of the document (first indented line), two spaces by default
+     */
+    static indentUnit(xmlContent) {
+        return /\n([ \t]+)</.exec(xmlContent)?.[1] || '  ';
+    }
+
+    static escapeAttribute(value, quote = '"') {
+        const escaped = String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+        return quote === '\'' ? escaped.replace(/'/g, '&apos;') : escaped.replace(/"/g, '&quot;');
+    }
+
+    static parseNumbers(text) {
+        return text ? text.trim().split(/\s+/).map(parseFloat).filter(value => !isNaN(value)) : [];
+    }
+
+    static formatNumbers(values) {
+        return [].concat(values).map(value => this.formatNumber(value)).join(' ');
+    }
+
+    static formatNumber(value) {
+        const number = Number(value) || 0;
+        return String(Math.abs(number) < 1e-15 ? 0 : parseFloat(number.toPrecision(8)));
+    }
+}
@@ -77,7 +77,7 @@ export const translations = {
         'clickToEditMin': '点击编辑下限',
         'clickToEditMax': '点击编辑上限',
         'dropHint': '拖拽机器人模型文件或文件夹到页面任意位置',
-        'dropHintSub': '支持 URDF, MJCF 格式<br>支持拖拽文件夹以加载mesh文件',
+        'dropHintSub': '支持 URDF, Xacro, SDF, MJCF 格式<br>支持拖拽文件夹以加载mesh文件',
         'graphHint': '拖动: 移动 | 滚轮: 缩放 | 右键: 隐藏/显示 | Ctrl+左键: 测量',
         // 'copyright': '© 2025 范子琦 版权所有。',
         'backToBlog': '回到博客',
@@ -126,7 +126,261 @@ export const translations = {
         'downloadFailed': '下载失败',
         'fileDownloaded': '文件已下载',
         'emptyContent': '编辑器内容为空，无法加载',
-        'fileType': '文件类型'
+        'fileType': '文件类型',
+
+        // Xacro
+        'xacroArgs': 'Xacro 参数',
+        'xacroApply': '应用',
+        'xacroArgDefault': '默认值',
+
+        // Export
+        'export': '导出',
+        'exportModel': '导出模型',
+        'exportFormat': '目标格式',
+        'exportNoModel': '没有可导出的模型',
+        'exportSameFormat': '模型已是该格式，请在编辑器中下载原文件',
+        'exportLossless': '转换无信息丢失',
+        'exportLossy': '以下内容无法完整转换：',
+        'exportMeshCount': '引用网格数',
+        'exportFailed': '导出失败',
+        'exportWarnEquality': '等式约束 "{name}"（{type}）无法用 URDF 表示',
+        'exportWarnTendon': '肌腱 "{name}"（{type}）无法用 URDF 表示',
+        'exportWarnFreeJointDropped': '已移除自由关节 "{joint}"："{link}" 成为浮动根连杆',
+        'exportWarnWorldLinkDropped': '世界连杆 "{link}" 只包含不支持的几何体，已移除',
+        'exportWarnBodySplit': 'Body "{link}" 有 {count} 个关节，已用虚拟连杆拆分',
+        'exportWarnRootsJoined': '{count} 个根连杆已通过固定关节连接到 "{link}"',
+        'exportWarnKinematicLoop': '连杆 "{link}" 属于运动学闭环，未导出',
+        'exportWarnInlineMesh': '几何体 "{name}" 是内联顶点网格，URDF 不支持，已跳过',
+        'exportWarnGeometryURDF': '几何体 "{name}"（{type}）URDF 不支持，已跳过',
+        'exportWarnCapsule': '胶囊体 "{name}" 已近似为圆柱体',
+        'exportWarnBallJoint': '球关节 "{joint}" 已导出为绕其轴的单一转动',
+        'exportWarnJointFixed': '关节 "{joint}"（{type}）已导出为固定关节',
+        'exportWarnPrismaticNoRange': '移动关节 "{joint}" 没有范围，URDF 限位保留为 0',
+        'exportWarnFloatingJoint': '浮动关节 "{joint}" 未连接到世界，已导出为固定关节',
+        'exportWarnMassFromCollision': '连杆 "{link}" 没有质量，MuJoCo 将根据碰撞几何体计算',
+        'exportWarnPlaceholderInertia': '连杆 "{link}" 没有质量，已添加较小的占位惯量',
+        'exportWarnMeshFormat': '几何体 "{name}" 的网格格式 .{format} MuJoCo 不支持，已跳过',
+        'exportWarnGeometryMJCF': '几何体 "{name}"（{type}）MuJoCo 不支持，已跳过',
+
+        // Actuators
+        'actuators': '执行器',
+        'ctrlNoiseStd': '噪声标准差',
+        'ctrlNoiseRate': '噪声时间常数',
+        'ctrlZero': '控制归零',
+
+        // Keyframes
+        'keyframes': '关键帧',
+        'keyframeSelect': '选择关键帧',
+        'keyframeCapture': '捕获姿态',
+
+        // Simulation timeline
+        'timeline': '时间轴',
+        'timelinePlay': '播放录制',
+        'timelinePause': '暂停',
+        'timelineStepBack': '上一帧',
+        'timelineStepForward': '下一帧',
+        'timelineLive': '实时',
+        'timelineSpeed': '回放速度',
+        'timelineImport': '导入',
+        'timelineImportFailed': '轨迹导入失败',
+
+        // Signal plots
+        'plots': '曲线',
+        'plotWindow': '时间窗 (s)',
+        'plotClear': '清空',
+        'plotExportCSV': '导出 CSV',
+        'plotNoSimulation': '开始仿真后可绘制信号',
+
+        // Contacts
+        'contacts': '接触',
+        'contactNormalForce': '法向力',
+        'contactFrictionForce': '摩擦力',
+        'contactDistance': '距离',
+
+        // Forward kinematics
+        'kinematics': '运动学',
+        'forwardKinematics': '正运动学',
+        'fkBase': '基准连杆',
+        'fkTarget': '目标连杆',
+        'fkMatrix': '齐次变换矩阵',
+        'copy': '复制',
+        'copied': '已复制',
+
+        // Inverse kinematics
+        'ikMode': 'IK',
+        'ikTarget': '目标',
+        'ikPickLink': '在3D视图或结构图中选择连杆',
+        'ikTranslate': '平移',
+        'ikRotate': '旋转',
+        'ikPositionOnly': '仅位置',
+        'ikNoChain': '该连杆没有可动关节链',
+        'ikChainJoints': '链上 {count} 个关节',
+        'ikConverged': '已收敛',
+        'ikError': '误差',
+
+        // Workspace analysis
+        'workspace': '工作空间',
+        'workspaceAnalysis': '工作空间分析',
+        'workspaceLink': '末端连杆',
+        'workspaceSamples': '采样数',
+        'workspacePointSize': '点大小 (m)',
+        'workspaceManipulability': '按可操作度着色',
+        'workspaceCompute': '计算',
+        'workspaceCancel': '取消',
+        'workspaceClear': '清除',
+        'workspaceExportPLY': '导出 PLY',
+        'workspaceSampling': '采样中',
+        'workspacePoints': '个点',
+        'workspaceCancelled': '已取消',
+        'workspaceFailed': '工作空间计算失败',
+
+        // Self collision
+        'selfCollision': '自碰撞',
+        'selfCollisionCheck': '自碰撞检测',
+        'collisionAuto': '关节变化时自动检测',
+        'collisionCheck': '立即检测',
+        'collisionNone': '无碰撞',
+        'collisionPairs': '对连杆碰撞',
+        'collisionColliding': '碰撞连杆对',
+        'collisionAllowed': '允许碰撞矩阵',
+        'collisionAllow': '允许',
+        'collisionAllowTitle': '将此连杆对加入允许碰撞矩阵',
+        'collisionRemove': '移除',
+        'collisionAdd': '添加',
+        'collisionImportSRDF': '导入 SRDF',
+        'collisionImported': '已导入禁用碰撞对',
+        'collisionImportFailed': 'SRDF 导入失败',
+        'collisionReasonAdjacent': '相邻',
+        'collisionReasonSrdf': 'SRDF',
+        'collisionReasonUser': '手动',
+
+        // SRDF planning groups
+        'planningGroup': '规划组',
+        'planningGroupAll': '全部关节',
+        'groupStateSelect': '应用命名姿态…',
+
+        // Shareable view link
+        'copyViewLink': '复制链接',
+        'viewLinkCopiedNoModel': '已复制（本地模型不含在链接中）',
+
+        // Recent workspaces
+        'recentWorkspaces': '最近',
+        'recentWorkspacesTitle': '最近的工作区',
+        'recentEmpty': '拖入的文件夹会保存在这里',
+        'recentUnsupported': '浏览器不支持 IndexedDB',
+        'recentOpen': '打开',
+        'recentDelete': '删除',
+        'recentFiles': '个文件',
+        'recentStorageUsed': '已用存储',
+
+        // Editor live reload
+        'liveReload': '实时',
+        'liveReloadApplied': '已实时更新',
+        'liveReloadParseError': '解析错误',
+        'liveReloadFailed': '加载失败，保留上一个模型',
+
+        // Editor lint
+        'lintUnknownReference': '未定义的引用',
+        'lintMissingInertial': '有几何体的 link 缺少 <inertial>',
+        'lintBodyWithoutMass': '带关节的 body 没有 inertial 或 geom（质量为零）',
+        'lintUnknownMeshFile': '未找到网格文件',
+
+        // Model compare
+        'compare': '对比',
+        'compareTitle': '模型对比',
+        'compareBase': '基准',
+        'compareTarget': '对比模型',
+        'compareOverlay': '叠加显示基准模型',
+        'compareRun': '对比',
+        'compareClear': '清除',
+        'compareNoModels': '文件树中没有可对比的模型',
+        'compareIdentical': '两个模型的 link 和关节相同',
+        'compareFailed': '对比失败',
+        'compareStatusAdded': '新增',
+        'compareStatusRemoved': '删除',
+        'compareStatusChanged': '修改',
+        'compareLinks': 'link',
+        'compareJoints': '关节',
+        'compareLink': 'Link',
+        'compareJoint': '关节',
+        'compareElement': '元素',
+        'compareProperty': '属性',
+
+        // Mass properties
+        'massProperties': '质量',
+        'massPropertiesTitle': '整机质量特性',
+        'massShowCOM': '显示整机质心',
+        'massNoModel': '未加载模型',
+        'massNone': '模型中没有带质量的 link',
+        'massTotal': '总质量',
+        'massLinksWithMass': '个 link 有质量',
+        'massCOM': '质心',
+        'massInertiaBase': '关于基座原点的惯量',
+        'massInertiaCOM': '关于质心的惯量',
+        'massLink': 'Link',
+        'massValue': '质量 (kg)',
+        'massFraction': '占比',
+        'massExportCSV': '导出 CSV',
+
+        // Inertia check
+        'inertiaCheck': '惯量检查',
+        'inertiaCheckTitle': '惯性参数合理性检查',
+        'inertiaDensity': '密度 (kg/m³)',
+        'inertiaSource': '几何来源',
+        'inertiaSourceCollision': '碰撞体',
+        'inertiaSourceVisual': '可视体',
+        'inertiaRun': '检查',
+        'inertiaNoModel': '未加载模型',
+        'inertiaAllOk': '所有惯性参数看起来合理',
+        'inertiaErrors': '个错误',
+        'inertiaWarnings': '个警告',
+        'inertiaError': '错误',
+        'inertiaWarning': '警告',
+        'inertiaMassNonPositive': '质量为零或负数',
+        'inertiaNotPositiveDefinite': '惯量张量不是正定的',
+        'inertiaTriangleInequality': '主惯量不满足三角不等式',
+        'inertiaComOutsideBounds': '质心远离可视几何体',
+        'inertiaDensityImplausible': '密度不合理',
+        'inertiaFix': '修正',
+        'inertiaFixTitle': '替换为按给定密度由几何体计算的惯量',
+        'inertiaFixNoGeometry': '没有可用于计算的几何体',
+        'inertiaFixed': '已替换惯性参数',
+        'inertiaFixedApproximate': '网格未闭合，结果为近似值',
+        'inertiaWrittenToEditor': '已写入编辑器',
+        'inertiaNotWritten': '模型文件未在编辑器中打开，仅应用于当前视图',
+        'inertiaFromGeometry': '由几何体计算',
+        'inertiaLink': 'Link',
+        'inertiaMass': '质量 (kg)',
+        'inertiaMassPlaceholder': '按密度',
+        'inertiaVolume': '体积 (m³)',
+        'inertiaResultMass': '质量 (kg)',
+        'inertiaCOM': '质心',
+        'inertiaTensor': '关于质心的惯量',
+        'inertiaPreview': '预览',
+        'inertiaApply': '应用',
+        'editProperties': '编辑属性',
+        'editPropertiesTitle': '编辑属性',
+        'editJoint': '关节',
+        'editLink': '连杆',
+        'editGeometry': '几何体',
+        'editVisual': '视觉',
+        'editCollision': '碰撞',
+        'editPosition': '位置',
+        'editRotation': '旋转 (rpy, rad)',
+        'editAxis': '轴',
+        'editBodyPosition': 'Body 位置',
+        'editBodyRotation': 'Body 旋转 (rpy, rad)',
+        'editSize': '尺寸',
+        'editRadius': '半径',
+        'editHeight': '高度',
+        'editScale': '缩放',
+        'editColor': '颜色',
+        'editOpacity': '不透明度',
+        'editApply': '应用',
+        'editNoModel': '加载 URDF 或 MJCF 模型以编辑属性',
+        'editNoChanges': '没有修改',
+        'editWritten': '已写入编辑器并重新加载模型',
+        'editNotWritten': '未写入：编辑器文档中找不到该元素'
     },
     'en-US': {
         // Top control bar
@@ -198,7 +452,7 @@ export const translations = {
         'clickToEditMin': 'Click to edit minimum',
         'clickToEditMax': 'Click to edit maximum',
         'dropHint': 'Drag and drop robot model files or folders anywhere',
-        'dropHintSub': 'Supports URDF, MJCF formats<br>Supports folder dragging to load mesh files',
+        'dropHintSub': 'Supports URDF, Xacro, SDF, MJCF formats<br>Supports folder dragging to load mesh files',
         'graphHint': 'Drag: Move | Scroll: Zoom | Right-click: Hide/Show | Ctrl+Click: Measure',
         'backToBlog': 'Back to Blog',
         'loadRobot': 'Load Robot',
@@ -247,7 +501,261 @@ export const translations = {
         'downloadFailed': 'Download failed',
         'fileDownloaded': 'File downloaded',
         'emptyContent': 'Editor content is empty, cannot load',
-        'fileType': 'File Type'
+        'fileType': 'File Type',
+
+        // Xacro
+        'xacroArgs': 'Xacro Args',
+        'xacroApply': 'Apply',
+        'xacroArgDefault': 'Default',
+
+        // Export
+        'export': 'Export',
+        'exportModel': 'Export Model',
+        'exportFormat': 'Target Format',
+        'exportNoModel': 'No exportable model loaded',
+        'exportSameFormat': 'Model is already in this format, download the original file from the editor',
+        'exportLossless': 'No information lost in conversion',
+        'exportLossy': 'Not fully converted:',
+        'exportMeshCount': 'Referenced meshes',
+        'exportFailed': 'Export failed',
+        'exportWarnEquality': 'Equality constraint "{name}" ({type}) is not representable in URDF',
+        'exportWarnTendon': 'Tendon "{name}" ({type}) is not representable in URDF',
+        'exportWarnFreeJointDropped': 'Free joint "{joint}" dropped: "{link}" becomes a floating root',
+        'exportWarnWorldLinkDropped': 'World link "{link}" only contains unsupported geometry, dropped',
+        'exportWarnBodySplit': 'Body "{link}" has {count} joints, split with dummy links',
+        'exportWarnRootsJoined': '{count} root links joined under "{link}" with fixed joints',
+        'exportWarnKinematicLoop': 'Link "{link}" is part of a kinematic loop and was not exported',
+        'exportWarnInlineMesh': 'Geometry "{name}" is an inline vertex mesh, not supported by URDF, skipped',
+        'exportWarnGeometryURDF': 'Geometry "{name}" of type {type} is not supported by URDF, skipped',
+        'exportWarnCapsule': 'Capsule "{name}" approximated by a cylinder',
+        'exportWarnBallJoint': 'Ball joint "{joint}" exported as a single rotation about its axis',
+        'exportWarnJointFixed': 'Joint "{joint}" of type {type} exported as fixed',
+        'exportWarnPrismaticNoRange': 'Prismatic joint "{joint}" has no range, URDF limits left at 0',
+        'exportWarnFloatingJoint': 'Floating joint "{joint}" is not attached to the world, exported as fixed',
+        'exportWarnMassFromCollision': 'Link "{link}" has no mass, MuJoCo will compute it from collision geometry',
+        'exportWarnPlaceholderInertia': 'Link "{link}" has no mass, a small placeholder inertia was added',
+        'exportWarnMeshFormat': 'Geometry "{name}": mesh format .{format} is not supported by MuJoCo, skipped',
+        'exportWarnGeometryMJCF': 'Geometry "{name}" ({type}) is not supported by MuJoCo, skipped',
+
+        // Actuators
+        'actuators': 'Actuators',
+        'ctrlNoiseStd': 'Noise std',
+        'ctrlNoiseRate': 'Noise rate',
+        'ctrlZero': 'Zero Controls',
+
+        // Keyframes
+        'keyframes': 'Keyframes',
+        'keyframeSelect': 'Select keyframe',
+        'keyframeCapture': 'Capture Pose',
+
+        // Simulation timeline
+        'timeline': 'Timeline',
+        'timelinePlay': 'Play recording',
+        'timelinePause': 'Pause',
+        'timelineStepBack': 'Previous frame',
+        'timelineStepForward': 'Next frame',
+        'timelineLive': 'Live',
+        'timelineSpeed': 'Playback speed',
+        'timelineImport': 'Import',
+        'timelineImportFailed': 'Trajectory import failed',
+
+        // Signal plots
+        'plots': 'Plots',
+        'plotWindow': 'Window (s)',
+        'plotClear': 'Clear',
+        'plotExportCSV': 'Export CSV',
+        'plotNoSimulation': 'Start the simulation to plot signals',
+
+        // Contacts
+        'contacts': 'Contacts',
+        'contactNormalForce': 'Normal force',
+        'contactFrictionForce': 'Friction force',
+        'contactDistance': 'Distance',
+
+        // Forward kinematics
+        'kinematics': 'Kinematics',
+        'forwardKinematics': 'Forward Kinematics',
+        'fkBase': 'Base link',
+        'fkTarget': 'Target link',
+        'fkMatrix': 'Homogeneous transform',
+        'copy': 'Copy',
+        'copied': 'Copied',
+
+        // Inverse kinematics
+        'ikMode': 'IK',
+        'ikTarget': 'Target',
+        'ikPickLink': 'Pick a link in the 3D view or graph',
+        'ikTranslate': 'Translate',
+        'ikRotate': 'Rotate',
+        'ikPositionOnly': 'Position only',
+        'ikNoChain': 'No movable joints above this link',
+        'ikChainJoints': '{count} joints in chain',
+        'ikConverged': 'Converged',
+        'ikError': 'Error',
+
+        // Workspace analysis
+        'workspace': 'Workspace',
+        'workspaceAnalysis': 'Workspace Analysis',
+        'workspaceLink': 'End link',
+        'workspaceSamples': 'Samples',
+        'workspacePointSize': 'Point size (m)',
+        'workspaceManipulability': 'Color by manipulability',
+        'workspaceCompute': 'Compute',
+        'workspaceCancel': 'Cancel',
+        'workspaceClear': 'Clear',
+        'workspaceExportPLY': 'Export PLY',
+        'workspaceSampling': 'Sampling',
+        'workspacePoints': 'points',
+        'workspaceCancelled': 'Cancelled',
+        'workspaceFailed': 'Workspace analysis failed',
+
+        // Self collision
+        'selfCollision': 'Collision',
+        'selfCollisionCheck': 'Self-Collision Check',
+        'collisionAuto': 'Check on joint change',
+        'collisionCheck': 'Check now',
+        'collisionNone': 'No collisions',
+        'collisionPairs': 'colliding pairs',
+        'collisionColliding': 'Colliding pairs',
+        'collisionAllowed': 'Allowed collision matrix',
+        'collisionAllow': 'Allow',
+        'collisionAllowTitle': 'Add this link pair to the allowed collision matrix',
+        'collisionRemove': 'Remove',
+        'collisionAdd': 'Add',
+        'collisionImportSRDF': 'Import SRDF',
+        'collisionImported': 'Imported disabled pairs',
+        'collisionImportFailed': 'SRDF import failed',
+        'collisionReasonAdjacent': 'adjacent',
+        'collisionReasonSrdf': 'SRDF',
+        'collisionReasonUser': 'user',
+
+        // SRDF planning groups
+        'planningGroup': 'Group',
+        'planningGroupAll': 'All joints',
+        'groupStateSelect': 'Apply named state…',
+
+        // Shareable view link
+        'copyViewLink': 'Copy link',
+        'viewLinkCopiedNoModel': 'Copied (local model not included)',
+
+        // Recent workspaces
+        'recentWorkspaces': 'Recent',
+        'recentWorkspacesTitle': 'Recent Workspaces',
+        'recentEmpty': 'Dropped folders are kept here',
+        'recentUnsupported': 'IndexedDB is not available in this browser',
+        'recentOpen': 'Open',
+        'recentDelete': 'Delete',
+        'recentFiles': 'files',
+        'recentStorageUsed': 'Storage used',
+
+        // Editor live reload
+        'liveReload': 'Live',
+        'liveReloadApplied': 'Live updated',
+        'liveReloadParseError': 'Parse error',
+        'liveReloadFailed': 'Load failed, previous model kept',
+
+        // Editor lint
+        'lintUnknownReference': 'Unknown reference',
+        'lintMissingInertial': 'Link with geometry has no <inertial>',
+        'lintBodyWithoutMass': 'Body with joints has no inertial or geom (zero mass)',
+        'lintUnknownMeshFile': 'Mesh file not found in loaded files',
+
+        // Model compare
+        'compare': 'Compare',
+        'compareTitle': 'Model Compare',
+        'compareBase': 'Base',
+        'compareTarget': 'Compared model',
+        'compareOverlay': 'Overlay base model',
+        'compareRun': 'Compare',
+        'compareClear': 'Clear',
+        'compareNoModels': 'No models to compare in the file tree',
+        'compareIdentical': 'Links and joints of both models are identical',
+        'compareFailed': 'Comparison failed',
+        'compareStatusAdded': 'added',
+        'compareStatusRemoved': 'removed',
+        'compareStatusChanged': 'changed',
+        'compareLinks': 'links',
+        'compareJoints': 'joints',
+        'compareLink': 'Link',
+        'compareJoint': 'Joint',
+        'compareElement': 'Element',
+        'compareProperty': 'Property',
+
+        // Mass properties
+        'massProperties': 'Mass',
+        'massPropertiesTitle': 'Mass Properties',
+        'massShowCOM': 'Show system COM',
+        'massNoModel': 'No model loaded',
+        'massNone': 'No link of the model has mass',
+        'massTotal': 'Total mass',
+        'massLinksWithMass': 'links with mass',
+        'massCOM': 'Centre of mass',
+        'massInertiaBase': 'Inertia about base origin',
+        'massInertiaCOM': 'Inertia about COM',
+        'massLink': 'Link',
+        'massValue': 'Mass (kg)',
+        'massFraction': 'Share',
+        'massExportCSV': 'Export CSV',
+
+        // Inertia check
+        'inertiaCheck': 'Inertia Check',
+        'inertiaCheckTitle': 'Inertia Sanity Check',
+        'inertiaDensity': 'Density (kg/m³)',
+        'inertiaSource': 'Geometry source',
+        'inertiaSourceCollision': 'Collision',
+        'inertiaSourceVisual': 'Visual',
+        'inertiaRun': 'Check',
+        'inertiaNoModel': 'No model loaded',
+        'inertiaAllOk': 'All inertials look plausible',
+        'inertiaErrors': 'errors',
+        'inertiaWarnings': 'warnings',
+        'inertiaError': 'Error',
+        'inertiaWarning': 'Warning',
+        'inertiaMassNonPositive': 'Mass is zero or negative',
+        'inertiaNotPositiveDefinite': 'Inertia tensor is not positive definite',
+        'inertiaTriangleInequality': 'Principal moments violate the triangle inequality',
+        'inertiaComOutsideBounds': 'COM lies far outside the visual geometry',
+        'inertiaDensityImplausible': 'Implausible density',
+        'inertiaFix': 'Fix',
+        'inertiaFixTitle': 'Replace with inertia computed from the geometry at the given density',
+        'inertiaFixNoGeometry': 'no geometry to compute the inertia from',
+        'inertiaFixed': 'inertia replaced',
+        'inertiaFixedApproximate': 'mesh is not closed, result is approximate',
+        'inertiaWrittenToEditor': 'written to the editor',
+        'inertiaNotWritten': 'model file is not open in the editor, applied to the view only',
+        'inertiaFromGeometry': 'Compute from geometry',
+        'inertiaLink': 'Link',
+        'inertiaMass': 'Mass (kg)',
+        'inertiaMassPlaceholder': 'from density',
+        'inertiaVolume': 'Volume (m³)',
+        'inertiaResultMass': 'Mass (kg)',
+        'inertiaCOM': 'COM',
+        'inertiaTensor': 'Inertia about COM',
+        'inertiaPreview': 'Preview',
+        'inertiaApply': 'Apply',
+        'editProperties': 'Edit Properties',
+        'editPropertiesTitle': 'Edit Properties',
+        'editJoint': 'Joint',
+        'editLink': 'Link',
+        'editGeometry': 'Geometry',
+        'editVisual': 'Visual',
+        'editCollision': 'Collision',
+        'editPosition': 'Position',
+        'editRotation': 'Rotation (rpy, rad)',
+        'editAxis': 'Axis',
+        'editBodyPosition': 'Body position',
+        'editBodyRotation': 'Body rotation (rpy, rad)',
+        'editSize': 'Size',
+        'editRadius': 'Radius',
+        'editHeight': 'Height',
+        'editScale': 'Scale',
+        'editColor': 'Color',
+        'editOpacity': 'Opacity',
+        'editApply': 'Apply',
+        'editNoModel': 'Load a URDF or MJCF model to edit its properties',
+        'editNoChanges': 'No changes',
+        'editWritten': 'Written to the editor, model reloaded',
+        'editNotWritten': 'Not written: the element was not found in the editor document'
     }
 };
 
@@ -12,6 +12,9 @@ export class ModelGraphView {
         this.currentZoom = null; // Save current zoom behavior
         this.currentSvg = null; // Save current SVG selector
         this.currentContainer = null; // Save current container
+        this.onLinkSelect = null; // Called with link name on normal node click
+        this.selectedLinkName = null; // Link of selected node
+        this.selectedJointName = null; // Joint of selected capsule
     }
 
     /**
@@ -255,30 +258,7 @@ export class ModelGraphView {
                 }
             } else {
                 // Normal click: highlight joint + jump to code
-                if (this.measurementController) {
-                    this.measurementController.clearMeasurement();
-                }
-
-                // Clear all selection states
-                this.clearAllSelections(svg);
-
-                // Select current joint node
-                d3.select(event.currentTarget).classed('selected', true);
-                d3.select(event.currentTarget).select('.joint-capsule-border')
-                    .style('stroke', isLightTheme ? 'var(--accent)' : '#ff4a4a')
-                    .style('stroke-width', '3');
-                d3.select(event.currentTarget).select('.joint-capsule-bg')
-                    .style('fill', isLightTheme ? 'rgba(10, 132, 255, 0.15)' : '#3a3a3a');
-
-                if (this.sceneManager) {
-                    this.sceneManager.highlightManager.clearHighlight();
-                    this.sceneManager.axesManager.showOnlyJointAxis(joint);
-                }
-
-                // Jump to joint definition in code editor
-                if (this.codeEditorManager && d.target.data.jointName) {
-                    this.codeEditorManager.scrollToJoint(d.target.data.jointName);
-                }
+                this.selectJointNode(event.currentTarget, joint, true);
             }
         });
 
@@ -366,30 +346,7 @@ export class ModelGraphView {
                 }
             } else {
                 // Normal click: highlight Link + jump to code
-                if (this.measurementController) {
-                    this.measurementController.clearMeasurement();
-                }
-
-                // Clear all selection states (including style reset)
-                this.clearAllSelections(svg);
-
-                // Select current node
-                d3.select(event.currentTarget).classed('selected', true);
-                d3.select(event.currentTarget).select('.node-border')
-                    .style('stroke', isLightTheme ? 'var(--accent)' : '#4a9eff')
-                    .style('stroke-width', '6');
-                d3.select(event.currentTarget).select('.node-bg')
-                    .style('fill', isLightTheme ? 'rgba(10, 132, 255, 0.15)' : '#3a3a3a');
-
-                if (d.data.data && this.sceneManager) {
-                    this.sceneManager.highlightManager.clearHighlight();
-                    this.sceneManager.highlightManager.highlightLink(d.data.data, this.sceneManager.currentModel);
-                }
-
-                // Jump to link definition in code editor
-                if (this.codeEditorManager && d.data.name) {
-                    this.codeEditorManager.scrollToLink(d.data.name);
-                }
+                this.selectLinkNode(event.currentTarget, d, true);
             }
         });
 
@@ -675,6 +632,9 @@ export class ModelGraphView {
      * Clear all selection states (unified handling, ensure styles are correctly reset)
      */
     clearAllSelections(svg) {
+        this.selectedLinkName = null;
+        this.selectedJointName = null;
+
         // Get current theme
         const currentTheme = document.documentElement.getAttribute('data-theme') || 'dark';
         const isLightTheme = currentTheme === 'light';
@@ -699,6 +659,107 @@ export class ModelGraphView {
         svg.selectAll('.graph-joint-group').classed('measurement-selected', false);
     }
 
+    /**
+     * Select link node: highlight link in the scene and optionally jump to its code
+     */
+    selectLinkNode(nodeElement, d, jumpToCode) {
+        const svg = d3.select('#model-graph-svg');
+        const isLightTheme = document.documentElement.getAttribute('data-theme') === 'light';
+
+        if (this.measurementController) {
+            this.measurementController.clearMeasurement();
+        }
+
+        // Clear all selection states (including style reset)
+        this.clearAllSelections(svg);
+
+        // Select current node
+        d3.select(nodeElement).classed('selected', true);
+        d3.select(nodeElement).select('.node-border')
+            .style('stroke', isLightTheme ? 'var(--accent)' : '#4a9eff')
+            .style('stroke-width', '6');
+        d3.select(nodeElement).select('.node-bg')
+            .style('fill', isLightTheme ? 'rgba(10, 132, 255, 0.15)' : '#3a3a3a');
+
+        if (d.data.data && this.sceneManager) {
+            this.sceneManager.highlightManager.clearHighlight();
+            this.sceneManager.highlightManager.highlightLink(d.data.data, this.sceneManager.currentModel);
+        }
+
+        // Jump to link definition in code editor
+        if (jumpToCode && this.codeEditorManager && d.data.name) {
+            this.codeEditorManager.scrollToLink(d.data.name);
+        }
+
+        this.selectedLinkName = d.data.name || null;
+
+        if (this.onLinkSelect && d.data.name) {
+            this.onLinkSelect(d.data.name);
+        }
+    }
+
+    /**
+     * Select joint node: show only its axis and optionally jump to its code
+     */
+    selectJointNode(jointElement, joint, jumpToCode) {
+        const svg = d3.select('#model-graph-svg');
+        const isLightTheme = document.documentElement.getAttribute('data-theme') === 'light';
+
+        if (this.measurementController) {
+            this.measurementController.clearMeasurement();
+        }
+
+        // Clear all selection states
+        this.clearAllSelections(svg);
+
+        // Select current joint node
+        d3.select(jointElement).classed('selected', true);
+        d3.select(jointElement).select('.joint-capsule-border')
+            .style('stroke', isLightTheme ? 'var(--accent)' : '#ff4a4a')
+            .style('stroke-width', '3');
+        d3.select(jointElement).select('.joint-capsule-bg')
+            .style('fill', isLightTheme ? 'rgba(10, 132, 255, 0.15)' : '#3a3a3a');
+
+        if (this.sceneManager) {
+            this.sceneManager.highlightManager.clearHighlight();
+            this.sceneManager.axesManager.showOnlyJointAxis(joint);
+        }
+
+        // Jump to joint definition in code editor
+        if (jumpToCode && this.codeEditorManager) {
+            this.codeEditorManager.scrollToJoint(joint.name);
+        }
+
+        this.selectedJointName = joint.name;
+    }
+
+    /**
+     * Select link node as if clicked (highlight, by default jump to code)
+     * @returns {boolean} Whether the link has a node in the graph
+     */
+    selectLink(linkName, jumpToCode = true) {
+        const selection = d3.select('#model-graph-svg').selectAll('.graph-node')
+            .filter(d => d?.data?.name === linkName);
+        if (selection.empty()) return false;
+
+        this.selectLinkNode(selection.node(), selection.datum(), jumpToCode);
+        return true;
+    }
+
+    /**
+     * Select joint node as if clicked (axis, by default jump to code)
+     * @returns {boolean} Whether the joint has a node in the graph
+     */
+    selectJoint(jointName, jumpToCode = true) {
+        const joint = this.sceneManager?.currentModel?.joints?.get(jointName);
+        const selection = d3.select('#model-graph-svg').selectAll('.graph-joint-group')
+            .filter(d => d?.target?.data?.jointName === jointName);
+        if (!joint || selection.empty()) return false;
+
+        this.selectJointNode(selection.node(), joint, jumpToCode);
+        return true;
+    }
+
     /**
      * Set measurement controller
      */